@@ -0,0 +1,109 @@
+// Web Worker running lockfile parsing and matching off the main thread (see runAnalysis in app.js)
+//
+// Messages received:
+//   { type: 'database', data }                 compromised packages database, indexed once on arrival
+//   { type: 'analyze', id, content, fileName } one lockfile
+//   { type: 'batch', id, files }               several lockfiles: [{ path, content }]
+//   { type: 'compare', id, base, head }        two lockfiles: { content, fileName } each
+//   analyze, batch and compare messages also carry the suppressions, allowCritical, registries and allowInstallScripts
+//   options of detection.analyzeProject
+// Messages posted:
+//   { type: 'progress', id, stage, done, total }  stage: 'parse', 'match' or 'batch'
+//   { type: 'result', id, analysis | batch | comparison }
+//   { type: 'error', id, message }
+//
+// Cancelling terminates the worker: matching is synchronous, so a cancel message would only be read once it is over.
+importScripts(
+    'lib/yaml.js',
+    'lib/yarn-lock.js',
+    'lib/pnpm-lock.js',
+    'lib/semver.js',
+    'lib/database.js',
+    'lib/ranges.js',
+    'lib/chains.js',
+    'lib/npm-lock.js',
+    'lib/suppressions.js',
+    'lib/heuristics.js',
+    'lib/detection.js',
+    'lib/sbom.js',
+    'lib/lockfile.js',
+    'lib/batch.js',
+    'lib/diff.js'
+);
+
+const { indexDatabase } = self.ShaiHulud.database;
+const { analyzeProject } = self.ShaiHulud.detection;
+const { parseLockfile } = self.ShaiHulud.lockfile;
+const { analyzeBatch, indexFindings } = self.ShaiHulud.batch;
+const { compareProjects } = self.ShaiHulud.diff;
+
+let compromisedData = null;
+
+function analyze({ id, content, fileName, suppressions, allowCritical, registries, allowInstallScripts }) {
+    self.postMessage({ type: 'progress', id, stage: 'parse', done: 0, total: 1 });
+    const parsed = parseLockfile(content, fileName);
+    
+    const results = analyzeProject(parsed, compromisedData, {
+        suppressions,
+        allowCritical,
+        registries,
+        allowInstallScripts,
+        onProgress: ({ done, total }) => self.postMessage({ type: 'progress', id, stage: 'match', done, total })
+    });
+    
+    return { results, parsed };
+}
+
+function batch({ id, files, suppressions, allowCritical, registries, allowInstallScripts }) {
+    const result = analyzeBatch(files, compromisedData, {
+        suppressions,
+        allowCritical,
+        registries,
+        allowInstallScripts,
+        onProgress: ({ done, total }) => self.postMessage({ type: 'progress', id, stage: 'batch', done, total })
+    });
+    result.findings = indexFindings(result.projects);
+    return result;
+}
+
+function compare({ id, base, head, suppressions, allowCritical, registries, allowInstallScripts }) {
+    self.postMessage({ type: 'progress', id, stage: 'parse', done: 0, total: 1 });
+    const baseParsed = parseLockfile(base.content, base.fileName);
+    const parsed = parseLockfile(head.content, head.fileName);
+    
+    const comparison = compareProjects(baseParsed, parsed, compromisedData, {
+        suppressions,
+        allowCritical,
+        registries,
+        allowInstallScripts,
+        onProgress: ({ done, total }) => self.postMessage({ type: 'progress', id, stage: 'match', done, total })
+    });
+    
+    return { ...comparison, parsed };
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    if (message.type === 'database') {
+        compromisedData = message.data;
+        indexDatabase(compromisedData);
+        return;
+    }
+    
+    try {
+        if (!compromisedData) throw new Error('Compromised packages data is not loaded yet.');
+        
+        if (message.type === 'analyze') {
+            self.postMessage({ type: 'result', id: message.id, analysis: analyze(message) });
+        } else if (message.type === 'batch') {
+            self.postMessage({ type: 'result', id: message.id, batch: batch(message) });
+        } else if (message.type === 'compare') {
+            self.postMessage({ type: 'result', id: message.id, comparison: compare(message) });
+        } else {
+            throw new Error(`Unknown message type "${message.type}"`);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+    }
+};
@@ -1,22 +1,171 @@
+// Detection engine (lib/detection.js) and lockfile parsers (lib/lockfile.js)
+const { analyzeProject } = ShaiHulud.detection;
+const { indexDatabase } = ShaiHulud.database;
+const { parseLockfile, isSupportedLockfileName } = ShaiHulud.lockfile;
+const { createPlan, formatBlock } = ShaiHulud.remediation;
+const { latestDate, addedSince, newVersionsOf } = ShaiHulud.changelog;
+const { FORMAT_FILES, createReport, formatReport } = ShaiHulud.report;
+const { selectProjectFiles, analyzeBatch, indexFindings } = ShaiHulud.batch;
+const { isZip, readZip } = ShaiHulud.zip;
+const { buildInventory, queryInventory } = ShaiHulud.inventory;
+const render = ShaiHulud.render;
+const { verifyDatabase } = ShaiHulud.signature;
+const { parseMaxAge, checkFreshness } = ShaiHulud.freshness;
+const { parseSuppressions } = ShaiHulud.suppressions;
+const { compareProjects } = ShaiHulud.diff;
+
+// Newest changelog entry seen by the previous analysis
+const LAST_SCAN_KEY = 'shaiHulud.lastScanDatabaseDate';
+// User override of the freshness threshold (days) of the shai-hulud-max-database-age meta tag
+const MAX_DATABASE_AGE_KEY = 'shaiHulud.maxDatabaseAgeDays';
+// Settings of the suspicious entries: private registries and packages allowed to run install scripts
+const REGISTRIES_KEY = 'shaiHulud.registries';
+const ALLOW_INSTALL_SCRIPTS_KEY = 'shaiHulud.allowInstallScripts';
+// Tag of the background database update in service-worker.js
+const PERIODIC_SYNC_TAG = 'update-database';
+const DAY = 24 * 60 * 60 * 1000;
+// Changelog entries listed in "Recent additions"
+const RECENT_ENTRIES = 3;
+const RECENT_PACKAGES_PER_ENTRY = 10;
+
 // Global variables
 let compromisedPackagesData = null;
+// Why the database was refused (signature verification) - analyses are disabled
+let databaseError = null;
+let databaseChangelog = null;
+let currentRemediationPlan = null;
+// Last analysis, for report exports
+let currentAnalysis = null;
+// Last batch analysis (several lockfiles), for the dashboard and its drill-down
+let currentBatch = null;
+// Inventory rows of the displayed analysis and the table state
+let inventoryRows = [];
+const inventoryState = { search: '', verdict: '', type: '', sortBy: 'verdict', sortDirection: 'asc', page: 1, pageSize: 50 };
+// Entries of the loaded .shaihulud-ignore.json
+let suppressionEntries = [];
+// Runs the displayed analysis again, when the suppressions or the suspicious entries settings change
+let rerunAnalysis = null;
+// Lockfiles selected for a comparison: { content, fileName }
+const compareSelection = { base: null, head: null };
+// Background analysis (analysis-worker.js) - null where Web Workers are unavailable, e.g. pages opened from file://
+let analysisWorker = null;
+// Analysis running in the worker: { id, resolve, reject }
+let pendingAnalysis = null;
+let analysisCounter = 0;
 
 // Load data on startup
 async function loadCompromisedPackages() {
     try {
-        const response = await fetch('data/compromised-packages.json');
-        compromisedPackagesData = await response.json();
+        const [response, signatureResponse] = await Promise.all([
+            fetch('data/compromised-packages.json'),
+            fetch('data/compromised-packages.json.sig')
+        ]);
+        const content = new Uint8Array(await response.arrayBuffer());
+        const signature = signatureResponse.ok ? await signatureResponse.json().catch(() => null) : null;
+        
+        // A tampered database would report "No threats detected": only verified bytes are parsed
+        try {
+            const publicKey = document.querySelector('meta[name="shai-hulud-database-key"]').content;
+            await verifyDatabase(content, signature, publicKey, crypto.subtle);
+        } catch (error) {
+            refuseDatabase(error);
+            return;
+        }
+        
+        compromisedPackagesData = JSON.parse(new TextDecoder().decode(content));
+        databaseError = null;
+        document.getElementById('compromisedCount').classList.remove('database-error');
+        // Name-keyed index built once, here and in the worker, instead of a linear search per dependency
+        indexDatabase(compromisedPackagesData);
+        if (analysisWorker) analysisWorker.postMessage({ type: 'database', data: compromisedPackagesData });
         updateInfoSection();
     } catch (error) {
         console.error('Error loading compromised packages:', error);
         document.getElementById('compromisedCount').textContent = 'Loading error';
     }
+    
+    await loadChangelog();
+}
+
+function refuseDatabase(error) {
+    console.error('Database signature verification failed:', error);
+    databaseError = `The compromised packages database could not be verified: ${error.message}. Analysis is disabled.`;
+    
+    const count = document.getElementById('compromisedCount');
+    count.textContent = '⛔ Database signature verification failed';
+    count.classList.add('database-error');
+    document.getElementById('lastUpdate').textContent = databaseError;
+}
+
+// Analyses need a loaded and verified database
+function checkDatabaseReady() {
+    if (compromisedPackagesData) return true;
+    alert(databaseError || 'Compromised packages data is not loaded yet.');
+    return false;
+}
+
+// Changelog generated by convert-list.js - optional, older deployments do not have it
+async function loadChangelog() {
+    try {
+        const response = await fetch('data/changelog.json');
+        if (!response.ok) return;
+        databaseChangelog = await response.json();
+        displayRecentAdditions();
+    } catch (error) {
+        console.warn('Database changelog not available:', error);
+    }
+}
+
+// Latest additions to the database
+function displayRecentAdditions() {
+    const container = document.getElementById('recentAdditions');
+    const entries = databaseChangelog.entries
+        .filter(entry => entry.added.length > 0)
+        .slice(0, RECENT_ENTRIES);
+    
+    container.replaceChildren(...(entries.length > 0 ?
+        render.recentAdditions(document, entries, { formatDate, perEntry: RECENT_PACKAGES_PER_ENTRY }) :
+        []));
+}
+
+// localStorage can be unavailable (privacy modes, file:// pages)
+function readLastScanDate() {
+    try {
+        return localStorage.getItem(LAST_SCAN_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+function storeLastScanDate(date) {
+    try {
+        localStorage.setItem(LAST_SCAN_KEY, date);
+    } catch (error) {
+        console.warn('Cannot remember the scan date:', error);
+    }
+}
+
+// Flag findings involving versions added to the database since the previous analysis, in a list of results
+// (one per project of a batch)
+function markNewFindings(resultsList) {
+    if (!databaseChangelog) return;
+    
+    const added = addedSince(databaseChangelog, readLastScanDate());
+    resultsList.forEach(results => [...results.threats, ...results.rangeFindings].forEach(finding => {
+        const newVersions = newVersionsOf(finding, added);
+        if (newVersions.length > 0) finding.newVersions = newVersions;
+    }));
+    
+    const latest = latestDate(databaseChangelog);
+    if (latest) storeLastScanDate(latest);
 }
 
 // Update info section
 function updateInfoSection() {
     if (!compromisedPackagesData) return;
     
+    displayFreshness(compromisedPackagesData.lastUpdate);
+    
     const count = compromisedPackagesData.compromisedPackages.length;
     const lastUpdate = compromisedPackagesData.lastUpdate;
     const attackName = compromisedPackagesData.attackName || 'Unknown attack';
@@ -29,41 +178,197 @@ function updateInfoSection() {
         `Last data update: ${formatDate(lastUpdate)}`;
 }
 
+// Freshness threshold in days: the user's setting, otherwise the page's meta tag
+function maxDatabaseAge() {
+    const pageDefault = parseMaxAge(document.querySelector('meta[name="shai-hulud-max-database-age"]').content);
+    try {
+        return parseMaxAge(localStorage.getItem(MAX_DATABASE_AGE_KEY), pageDefault);
+    } catch (error) {
+        return pageDefault;
+    }
+}
+
+// Prominent warning when the database - possibly cached offline for a while - is older than the threshold
+function displayFreshness(lastUpdate) {
+    const { ageDays, maxAgeDays, stale } = checkFreshness(lastUpdate, maxDatabaseAge());
+    const warning = document.getElementById('freshnessWarning');
+    
+    document.getElementById('maxDatabaseAge').value = maxAgeDays;
+    warning.hidden = !stale;
+    if (!stale) return;
+    
+    warning.textContent = (ageDays === null ?
+        '⚠️ The compromised packages database has no valid update date.' :
+        `⚠️ The compromised packages database is ${ageDays} days old (warning threshold: ${maxAgeDays} days).`) +
+        ' Packages compromised since then are not detected.' +
+        (navigator.onLine ? ' A newer database is downloaded in the background when available.' : ' You are offline: reconnect to update it.');
+}
+
+document.getElementById('maxDatabaseAge').addEventListener('change', (event) => {
+    try {
+        if (event.target.value === '') {
+            localStorage.removeItem(MAX_DATABASE_AGE_KEY);
+        } else {
+            localStorage.setItem(MAX_DATABASE_AGE_KEY, String(parseMaxAge(event.target.value, maxDatabaseAge())));
+        }
+    } catch (error) {
+        console.warn('Cannot remember the freshness threshold:', error);
+    }
+    if (compromisedPackagesData) displayFreshness(compromisedPackagesData.lastUpdate);
+});
+
+// Offline use and background database updates (service-worker.js) - not available from file:// pages
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'database-updated') {
+            loadCompromisedPackages().then(() => showNotification('Compromised packages database updated'));
+        }
+    });
+    
+    try {
+        const registration = await navigator.serviceWorker.register('service-worker.js');
+        // Installed apps can also update the database while closed (Chromium)
+        if ('periodicSync' in registration) {
+            await registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: DAY }).catch(() => {});
+        }
+    } catch (error) {
+        console.warn('Service worker not available, the page needs the network:', error);
+    }
+}
+
 // Format date
 function formatDate(dateString) {
     const options = { year: 'numeric', month: 'long', day: 'numeric' };
     return new Date(dateString).toLocaleDateString('en-US', options);
 }
 
-// Handle uploaded file
+// Display name of an IOC source id (multi-source databases list their sources)
+function sourceName(id) {
+    const source = (compromisedPackagesData.sources || []).find(candidate => candidate.id === id);
+    return source ? source.name : id;
+}
+
+// Handle uploaded files: one lockfile, several lockfiles or ZIP archives
 document.getElementById('fileInput').addEventListener('change', async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
+    
+    try {
+        await analyzeFiles(files.map(file => ({ path: file.name, file })));
+    } catch (error) {
+        alert('Error reading file. Make sure it is a valid package-lock.json, yarn.lock, pnpm-lock.yaml, package.json, CycloneDX or SPDX SBOM or ZIP file.');
+        console.error(error);
+    }
+    event.target.value = '';
+});
+
+// Handle a selected folder
+document.getElementById('folderInput').addEventListener('change', async (event) => {
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
     
     try {
-        const content = await file.text();
-        const packageLock = JSON.parse(content);
-        analyzePackageLock(packageLock);
+        await analyzeFiles(files.map(file => ({ path: file.webkitRelativePath || file.name, file })));
     } catch (error) {
-        alert('Error reading file. Make sure it is a valid package-lock.json file.');
+        alert('Error reading the folder.');
         console.error(error);
     }
+    event.target.value = '';
 });
 
 // Handle analyze button for pasted text
-document.getElementById('analyzeButton').addEventListener('click', () => {
+document.getElementById('analyzeButton').addEventListener('click', async () => {
     const pastedContent = document.getElementById('pasteArea').value.trim();
     
     if (!pastedContent) {
-        alert('Please paste your package-lock.json content in the text area.');
+        alert('Please paste your package-lock.json, yarn.lock, pnpm-lock.yaml, package.json or SBOM content in the text area.');
         return;
     }
     
     try {
-        const packageLock = JSON.parse(pastedContent);
-        analyzePackageLock(packageLock);
+        await analyzeLockfileContent(pastedContent);
     } catch (error) {
-        alert('Error analyzing content. Make sure it is valid package-lock.json JSON.');
+        alert('Error analyzing content. Make sure it is a valid package-lock.json, yarn.lock, pnpm-lock.yaml, package.json or CycloneDX/SPDX SBOM.');
+        console.error(error);
+    }
+});
+
+// Suppressions file: applied to the next analyses and to the displayed one
+function updateSuppressions(entries, status) {
+    suppressionEntries = entries;
+    document.getElementById('suppressionsStatus').textContent = status;
+    document.getElementById('clearSuppressions').hidden = entries.length === 0;
+    if (rerunAnalysis) rerunAnalysis().catch(error => console.error(error));
+}
+
+document.getElementById('suppressionsInput').addEventListener('change', async (event) => {
+    const [file] = event.target.files;
+    if (!file) return;
+    
+    try {
+        const entries = parseSuppressions(await file.text());
+        updateSuppressions(entries, `${entries.length} suppressions loaded from ${file.name}`);
+    } catch (error) {
+        alert(`Cannot load the suppressions: ${error.message}`);
+    }
+    event.target.value = '';
+});
+
+document.getElementById('clearSuppressions').addEventListener('click', () => {
+    updateSuppressions([], 'No suppressions loaded');
+});
+
+document.getElementById('allowCriticalSuppressions').addEventListener('change', () => {
+    if (rerunAnalysis && suppressionEntries.length > 0) rerunAnalysis().catch(error => console.error(error));
+});
+
+// Suspicious entries settings: "a, b c" -> ['a', 'b', 'c']
+function parseSettingList(value) {
+    return value.split(/[\s,]+/).filter(item => item);
+}
+
+// The inputs start from the remembered settings; changing them reruns the displayed analysis
+[['trustedRegistries', REGISTRIES_KEY], ['allowedInstallScripts', ALLOW_INSTALL_SCRIPTS_KEY]].forEach(([inputId, key]) => {
+    const input = document.getElementById(inputId);
+    try {
+        input.value = localStorage.getItem(key) || '';
+    } catch (error) {
+        // Not remembered: the setting starts empty
+    }
+    
+    input.addEventListener('change', () => {
+        try {
+            localStorage.setItem(key, parseSettingList(input.value).join(', '));
+        } catch (error) {
+            console.warn('Cannot remember the setting:', error);
+        }
+        if (rerunAnalysis) rerunAnalysis().catch(error => console.error(error));
+    });
+});
+
+// Compare mode: a base and a head lockfile, reporting what the change introduced
+function selectCompareFile(side, inputId, nameId) {
+    document.getElementById(inputId).addEventListener('change', async (event) => {
+        const [file] = event.target.files;
+        if (!file) return;
+        
+        compareSelection[side] = { content: await file.text(), fileName: file.name };
+        document.getElementById(nameId).textContent = file.name;
+        document.getElementById('compareButton').disabled = !compareSelection.base || !compareSelection.head;
+        event.target.value = '';
+    });
+}
+
+selectCompareFile('base', 'compareBaseInput', 'compareBaseName');
+selectCompareFile('head', 'compareHeadInput', 'compareHeadName');
+
+document.getElementById('compareButton').addEventListener('click', async () => {
+    try {
+        await compareLockfiles(compareSelection.base, compareSelection.head);
+    } catch (error) {
+        alert(`Error comparing the lockfiles: ${error.message}`);
         console.error(error);
     }
 });
@@ -84,164 +389,463 @@ uploadBox.addEventListener('drop', async (e) => {
     e.preventDefault();
     uploadBox.classList.remove('drag-over');
     
-    const file = e.dataTransfer.files[0];
-    if (file && file.name.includes('package-lock.json')) {
-        try {
-            const content = await file.text();
-            const packageLock = JSON.parse(content);
-            analyzePackageLock(packageLock);
-        } catch (error) {
-            alert('Error reading file.');
-            console.error(error);
+    try {
+        const files = await droppedFiles(e.dataTransfer);
+        if (files.some(({ path }) => isSupportedLockfileName(path) || isZipName(path))) {
+            await analyzeFiles(files);
+        } else {
+            alert('Please drop a valid package-lock.json, yarn.lock, pnpm-lock.yaml, package.json, SBOM, ZIP file or a folder containing them.');
         }
-    } else {
-        alert('Please drop a valid package-lock.json file.');
+    } catch (error) {
+        alert('Error reading file.');
+        console.error(error);
     }
 });
 
-// Analyze package-lock.json
-function analyzePackageLock(packageLock) {
-    if (!compromisedPackagesData) {
-        alert('Compromised packages data is not loaded yet.');
-        return;
+function isZipName(fileName) {
+    return fileName.toLowerCase().endsWith('.zip');
+}
+
+// Files of a drop, walking dropped folders: [{ path, file }]
+async function droppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+    
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files).map(file => ({ path: file.name, file }));
     }
     
-    const results = {
-        safe: 0,
-        warnings: 0,
-        threats: [],
-        allPackages: []
-    };
-    
-    // Extract dependencies (npm format v1, v2, v3)
-    const dependencies = extractDependencies(packageLock);
-    
-    // Analyze each dependency
-    dependencies.forEach(dep => {
-        const threat = checkPackage(dep.name, dep.version);
-        
-        if (threat) {
-            results.threats.push({
-                ...dep,
-                threat: threat
-            });
-        } else {
-            results.safe++;
+    const files = [];
+    for (const entry of entries) {
+        await collectEntry(entry, files);
+    }
+    return files;
+}
+
+async function collectEntry(entry, files) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ path: entry.fullPath.replace(/^\//, ''), file });
+        return;
+    }
+    // Installed packages and git internals never hold a project lockfile
+    if (entry.name === 'node_modules' || entry.name === '.git') return;
+    
+    const reader = entry.createReader();
+    // readEntries returns the directory content in batches, until an empty one
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+            await collectEntry(child, files);
         }
+    } while (batch.length > 0);
+}
+
+// Browser implementation of raw DEFLATE for lib/zip.js
+async function inflateRaw(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Lockfile contents of the selection, ZIP archives expanded: [{ path, content }]
+async function readProjectFiles(files) {
+    const contents = [];
+    const plainFiles = [];
+    
+    for (const { path, file } of files) {
+        if (!isZipName(path)) {
+            plainFiles.push({ path, file });
+            continue;
+        }
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        if (!isZip(bytes)) throw new Error(`${path} is not a ZIP archive`);
         
-        results.allPackages.push(dep);
-    });
+        const archiveFiles = await readZip(bytes, {
+            inflateRaw,
+            filter: name => selectProjectFiles([name]).length > 0
+        });
+        // package.json is kept only for directories without a lockfile, across the archive
+        const selected = new Set(selectProjectFiles(archiveFiles.map(archiveFile => archiveFile.name)));
+        archiveFiles
+            .filter(archiveFile => selected.has(archiveFile.name))
+            .forEach(archiveFile => contents.push({ path: `${path}/${archiveFile.name}`, content: archiveFile.content }));
+    }
     
-    displayResults(results);
+    const selected = new Set(selectProjectFiles(plainFiles.map(({ path }) => path)));
+    for (const { path, file } of plainFiles) {
+        if (selected.has(path)) contents.push({ path, content: await file.text() });
+    }
+    
+    return contents;
 }
 
-// Extract dependencies from package-lock
-function extractDependencies(packageLock) {
-    const dependencies = [];
-    
-    // npm format v2 and v3 (lockfileVersion 2 or 3)
-    if (packageLock.packages) {
-        Object.entries(packageLock.packages).forEach(([path, pkg]) => {
-            if (path === '') return; // Skip root
-            
-            const name = pkg.name || path.replace(/^node_modules\//, '');
-            const version = pkg.version;
-            
-            if (name && version) {
-                dependencies.push({ name, version, path });
-            }
-        });
+// One lockfile: the detailed results. Several lockfiles, a folder or a ZIP: the batch dashboard.
+async function analyzeFiles(files) {
+    if (files.length === 1 && !isZipName(files[0].path)) {
+        await analyzeLockfileContent(await files[0].file.text(), files[0].path);
+        return;
     }
     
-    // npm format v1 (lockfileVersion 1)
-    if (packageLock.dependencies) {
-        extractDependenciesRecursive(packageLock.dependencies, dependencies);
+    if (!checkDatabaseReady()) return;
+    
+    const projectFiles = await readProjectFiles(files);
+    if (projectFiles.length === 0) {
+        alert('No package-lock.json, yarn.lock, pnpm-lock.yaml, package.json or SBOM found in the selection.');
+        return;
     }
     
-    return dependencies;
+    await analyzeProjectFiles(projectFiles);
 }
 
-// Recursive extraction for npm v1
-function extractDependenciesRecursive(deps, result, prefix = '') {
-    Object.entries(deps).forEach(([name, info]) => {
-        result.push({
-            name: name,
-            version: info.version,
-            path: prefix + name
-        });
-        
-        if (info.dependencies) {
-            extractDependenciesRecursive(info.dependencies, result, prefix + name + ' > ');
-        }
+// Batch analysis of [{ path, content }]
+async function analyzeProjectFiles(projectFiles) {
+    rerunAnalysis = () => analyzeProjectFiles(projectFiles);
+    
+    const batch = await runAnalysis({ type: 'batch', files: projectFiles });
+    // Cancelled
+    if (!batch) return;
+    
+    currentBatch = batch;
+    markNewFindings(currentBatch.projects.filter(project => !project.error).map(project => project.results));
+    
+    displayBatch(currentBatch);
+}
+
+// Analyze lockfile content (package-lock.json, yarn.lock, pnpm-lock.yaml), a package.json or an SBOM
+async function analyzeLockfileContent(content, fileName) {
+    if (!checkDatabaseReady()) return;
+    
+    rerunAnalysis = () => analyzeLockfileContent(content, fileName);
+    const analysis = await runAnalysis({ type: 'analyze', content, fileName });
+    // Cancelled
+    if (!analysis) return;
+    
+    const { results, parsed } = analysis;
+    markNewFindings([results]);
+    
+    // A single analysis replaces the batch dashboard
+    currentBatch = null;
+    document.getElementById('batchSection').hidden = true;
+    
+    showAnalysis({ results, parsed, content, fileName });
+}
+
+// Compare a base and a head lockfile ({ content, fileName } each)
+async function compareLockfiles(base, head) {
+    if (!checkDatabaseReady()) return;
+    
+    rerunAnalysis = () => compareLockfiles(base, head);
+    const comparison = await runAnalysis({ type: 'compare', base, head });
+    // Cancelled
+    if (!comparison) return;
+    
+    markNewFindings([comparison.results]);
+    
+    currentBatch = null;
+    document.getElementById('batchSection').hidden = true;
+    
+    showAnalysis({
+        results: comparison.results,
+        parsed: comparison.parsed,
+        content: head.content,
+        fileName: head.fileName,
+        comparison,
+        baseFileName: base.fileName
     });
 }
 
-// Semantic version comparison
-function compareVersions(v1, v2) {
-    const parts1 = v1.split('.').map(Number);
-    const parts2 = v2.split('.').map(Number);
+// Start (or restart, after a cancellation) the analysis worker
+function startAnalysisWorker() {
+    if (typeof Worker === 'undefined') return;
     
-    for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
-        const p1 = parts1[i] || 0;
-        const p2 = parts2[i] || 0;
-        
-        if (p1 > p2) return 1;
-        if (p1 < p2) return -1;
+    try {
+        analysisWorker = new Worker('analysis-worker.js');
+    } catch (error) {
+        console.warn('Analysis worker not available, analyzing on the main thread:', error);
+        return;
     }
-    return 0;
+    
+    analysisWorker.onmessage = handleWorkerMessage;
+    // The worker script could not be loaded: analyze on the main thread from now on
+    analysisWorker.onerror = (event) => {
+        console.warn('Analysis worker failed, analyzing on the main thread:', event.message);
+        analysisWorker.terminate();
+        analysisWorker = null;
+        if (pendingAnalysis) {
+            const { message, resolve, reject } = pendingAnalysis;
+            pendingAnalysis = null;
+            try {
+                resolve(analyzeOnMainThread(message));
+            } catch (error) {
+                reject(error);
+            }
+        }
+    };
+    
+    if (compromisedPackagesData) analysisWorker.postMessage({ type: 'database', data: compromisedPackagesData });
 }
 
-// Check a package
-function checkPackage(packageName, version) {
-    // Search for package in compromised list
-    const compromisedPkg = compromisedPackagesData.compromisedPackages.find(
-        pkg => pkg.name === packageName
-    );
+function handleWorkerMessage(event) {
+    const message = event.data;
+    // Late messages of a cancelled analysis
+    if (!pendingAnalysis || message.id !== pendingAnalysis.id) return;
+    
+    if (message.type === 'progress') {
+        updateAnalysisProgress(message);
+        return;
+    }
+    
+    const { resolve, reject } = pendingAnalysis;
+    pendingAnalysis = null;
+    if (message.type === 'result') {
+        resolve(message.analysis || message.batch || message.comparison);
+    } else {
+        reject(new Error(message.message));
+    }
+}
+
+// Same analysis as analysis-worker.js, blocking the page
+function analyzeOnMainThread(message) {
+    const options = {
+        suppressions: message.suppressions,
+        allowCritical: message.allowCritical,
+        registries: message.registries,
+        allowInstallScripts: message.allowInstallScripts
+    };
+    if (message.type === 'batch') {
+        const batch = analyzeBatch(message.files, compromisedPackagesData, options);
+        batch.findings = indexFindings(batch.projects);
+        return batch;
+    }
+    if (message.type === 'compare') {
+        const parsed = parseLockfile(message.head.content, message.head.fileName);
+        const baseParsed = parseLockfile(message.base.content, message.base.fileName);
+        return { ...compareProjects(baseParsed, parsed, compromisedPackagesData, options), parsed };
+    }
+    const parsed = parseLockfile(message.content, message.fileName);
+    return { results: analyzeProject(parsed, compromisedPackagesData, options), parsed };
+}
+
+// Run an analysis in the worker - resolves with { results, parsed }, a batch or a comparison, or null when cancelled
+// The loaded suppressions and the suspicious entries settings apply to every analysis
+function runAnalysis(request) {
+    const message = {
+        ...request,
+        suppressions: suppressionEntries,
+        allowCritical: document.getElementById('allowCriticalSuppressions').checked,
+        registries: parseSettingList(document.getElementById('trustedRegistries').value),
+        allowInstallScripts: parseSettingList(document.getElementById('allowedInstallScripts').value)
+    };
+    if (!analysisWorker) return Promise.resolve(analyzeOnMainThread(message));
     
-    if (!compromisedPkg) return null;
+    // A new selection replaces the analysis still running
+    if (pendingAnalysis) cancelAnalysis();
     
-    // Check if exact version is compromised (CRITICAL)
-    const exactMatch = compromisedPkg.compromisedVersions.includes(version);
+    const id = ++analysisCounter;
+    updateAnalysisProgress({ stage: message.type === 'batch' ? 'batch' : 'parse', done: 0, total: message.files ? message.files.length : 1 });
+    document.getElementById('analysisProgress').hidden = false;
     
-    if (exactMatch) {
-        return {
-            severity: 'critical',
-            description: `🚨 CRITICAL - Exact compromised version detected in ${compromisedPackagesData.attackName} attack`,
-            compromisedVersions: compromisedPkg.compromisedVersions,
-            installedVersion: version,
-            exactMatch: true
-        };
+    return new Promise((resolve, reject) => {
+        pendingAnalysis = { id, message, resolve, reject };
+        analysisWorker.postMessage({ ...message, id });
+    }).finally(() => {
+        if (!pendingAnalysis) document.getElementById('analysisProgress').hidden = true;
+    });
+}
+
+// Matching runs synchronously in the worker: cancelling terminates it and starts a fresh one
+function cancelAnalysis() {
+    if (!pendingAnalysis) return;
+    
+    const { resolve } = pendingAnalysis;
+    pendingAnalysis = null;
+    analysisWorker.terminate();
+    startAnalysisWorker();
+    resolve(null);
+}
+
+const ANALYSIS_STAGE_LABELS = {
+    'parse': () => 'Parsing the lockfile…',
+    'match': ({ done, total }) => `Matching packages: ${done} / ${total}`,
+    'batch': ({ done, total }) => `Analyzing projects: ${done} / ${total}`
+};
+
+function updateAnalysisProgress(progress) {
+    const bar = document.getElementById('analysisProgressBar');
+    if (progress.stage === 'parse') {
+        // Indeterminate: parsing reports no intermediate progress
+        bar.removeAttribute('value');
+    } else {
+        bar.max = progress.total || 1;
+        bar.value = progress.done;
     }
+    document.getElementById('analysisProgressText').textContent = ANALYSIS_STAGE_LABELS[progress.stage](progress);
+}
+
+document.getElementById('cancelAnalysis').addEventListener('click', () => {
+    cancelAnalysis();
+    showNotification('Analysis cancelled');
+});
+
+// Detailed results of one lockfile (single analysis or a project of the batch dashboard)
+function showAnalysis(analysis) {
+    currentAnalysis = analysis;
     
-    // Check if installed version is higher than compromised versions (HIGH)
-    const isHigherVersion = compromisedPkg.compromisedVersions.some(compVer => {
-        try {
-            return compareVersions(version, compVer) > 0;
-        } catch (e) {
-            return false;
-        }
+    const projectTitle = document.getElementById('projectTitle');
+    projectTitle.textContent = currentBatch && analysis.fileName ? `Project: ${analysis.fileName}` : '';
+    document.getElementById('backToBatch').hidden = !currentBatch;
+    
+    const comparisonContainer = document.getElementById('comparisonContainer');
+    comparisonContainer.hidden = !analysis.comparison;
+    comparisonContainer.replaceChildren(...(analysis.comparison ? render.comparison(document, analysis.comparison, { baseFileName: analysis.baseFileName }) : []));
+    
+    displayResults(analysis.results);
+    displayRemediationPlan(createPlan(analysis.results, analysis.parsed, compromisedPackagesData));
+    displayInventory(analysis.results);
+}
+
+// Inventory of every analyzed package - resets the search, filters and page
+function displayInventory(results) {
+    inventoryRows = buildInventory(results);
+    Object.assign(inventoryState, { search: '', verdict: '', type: '', page: 1 });
+    document.getElementById('inventorySearch').value = '';
+    document.getElementById('inventoryVerdict').value = '';
+    document.getElementById('inventoryType').value = '';
+    renderInventory();
+}
+
+// Only the current page is rendered, so that lockfiles with thousands of packages stay responsive
+function renderInventory() {
+    const page = queryInventory(inventoryRows, inventoryState);
+    inventoryState.page = page.page;
+    
+    document.getElementById('inventoryRows').replaceChildren(...page.rows.map(row => render.inventoryRow(document, row)));
+    
+    document.getElementById('inventoryPageInfo').textContent = page.filtered === page.total ?
+        `Page ${page.page} of ${page.pageCount} - ${page.total} packages` :
+        `Page ${page.page} of ${page.pageCount} - ${page.filtered} of ${page.total} packages`;
+    document.getElementById('inventoryPrevious').disabled = page.page <= 1;
+    document.getElementById('inventoryNext').disabled = page.page >= page.pageCount;
+    
+    document.querySelectorAll('.inventory-table th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted-asc', th.dataset.sort === inventoryState.sortBy && inventoryState.sortDirection === 'asc');
+        th.classList.toggle('sorted-desc', th.dataset.sort === inventoryState.sortBy && inventoryState.sortDirection === 'desc');
+    });
+}
+
+function updateInventory(changes) {
+    Object.assign(inventoryState, { page: 1 }, changes);
+    renderInventory();
+}
+
+// Typing in the search field re-renders once the user pauses
+let inventorySearchTimer = null;
+document.getElementById('inventorySearch').addEventListener('input', (event) => {
+    clearTimeout(inventorySearchTimer);
+    inventorySearchTimer = setTimeout(() => updateInventory({ search: event.target.value }), 150);
+});
+
+document.getElementById('inventoryVerdict').addEventListener('change', (event) => updateInventory({ verdict: event.target.value }));
+document.getElementById('inventoryType').addEventListener('change', (event) => updateInventory({ type: event.target.value }));
+document.getElementById('inventoryPageSize').addEventListener('change', (event) => updateInventory({ pageSize: Number(event.target.value) }));
+
+document.getElementById('inventoryPrevious').addEventListener('click', () => {
+    inventoryState.page--;
+    renderInventory();
+});
+
+document.getElementById('inventoryNext').addEventListener('click', () => {
+    inventoryState.page++;
+    renderInventory();
+});
+
+document.querySelector('.inventory-table thead').addEventListener('click', (event) => {
+    const th = event.target.closest('th[data-sort]');
+    if (!th) return;
+    const sortDirection = inventoryState.sortBy === th.dataset.sort && inventoryState.sortDirection === 'asc' ? 'desc' : 'asc';
+    updateInventory({ sortBy: th.dataset.sort, sortDirection });
+});
+
+// Download the last analysis as a SARIF, JSON, CSV or Markdown report
+function exportReport(format) {
+    if (!currentAnalysis) return;
+    
+    const report = createReport(currentAnalysis.results, {
+        parsed: currentAnalysis.parsed,
+        content: currentAnalysis.content,
+        fileName: currentAnalysis.fileName,
+        compromisedData: compromisedPackagesData,
+        comparison: currentAnalysis.comparison,
+        baseFileName: currentAnalysis.baseFileName
     });
+    const { extension, mimeType } = FORMAT_FILES[format];
+    const blob = new Blob([formatReport(report, format)], { type: mimeType });
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `shai-hulud-report.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    
+    showNotification(`${format.toUpperCase()} report downloaded!`);
+}
+
+document.getElementById('exportSarif').addEventListener('click', () => exportReport('sarif'));
+document.getElementById('exportJson').addEventListener('click', () => exportReport('json'));
+document.getElementById('exportCsv').addEventListener('click', () => exportReport('csv'));
+document.getElementById('exportMarkdown').addEventListener('click', () => exportReport('markdown'));
+
+// Batch dashboard: one row per project and the cross-project view
+function displayBatch(batch) {
+    const { totals } = batch;
     
-    if (isHigherVersion) {
-        return {
-            severity: 'high',
-            description: `⚠️ HIGH - This package has compromised versions. Your version is higher but stay vigilant.`,
-            compromisedVersions: compromisedPkg.compromisedVersions,
-            installedVersion: version,
-            exactMatch: false
-        };
-    }
+    document.getElementById('resultsSection').hidden = true;
+    document.getElementById('batchSummary').replaceChildren(...render.batchSummary(document, totals));
+    document.getElementById('batchProjects').replaceChildren(...render.batchRows(document, batch.projects));
     
-    // Different version but known compromised package
-    return {
-        severity: 'warning',
-        description: `⚡ MEDIUM - Package known as compromised but your version differs.`,
-        compromisedVersions: compromisedPkg.compromisedVersions,
-        installedVersion: version,
-        exactMatch: false
-    };
+    document.getElementById('batchSearch').value = '';
+    displayCrossProjectView('');
+    
+    const batchSection = document.getElementById('batchSection');
+    batchSection.hidden = false;
+    batchSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Which projects contain a flagged package - filtered by the search field
+function displayCrossProjectView(query) {
+    const needle = query.trim().toLowerCase();
+    const findings = currentBatch.findings.filter(finding => finding.name.toLowerCase().includes(needle));
+    document.getElementById('batchFindings').replaceChildren(...render.crossProjectView(document, findings, {
+        projects: currentBatch.projects,
+        hasFindings: currentBatch.findings.length > 0
+    }));
 }
 
+// Drill-down into the result cards of one project
+function showBatchProject(index) {
+    const project = currentBatch.projects[index];
+    if (!project || project.error) return;
+    showAnalysis({ results: project.results, parsed: project.parsed, content: project.content, fileName: project.path });
+}
+
+document.getElementById('batchSection').addEventListener('click', (event) => {
+    const target = event.target.closest('[data-project-index]');
+    if (target) showBatchProject(Number(target.dataset.projectIndex));
+});
+
+document.getElementById('batchSearch').addEventListener('input', (event) => {
+    displayCrossProjectView(event.target.value);
+});
+
+document.getElementById('backToBatch').addEventListener('click', () => {
+    document.getElementById('resultsSection').hidden = true;
+    document.getElementById('batchSection').scrollIntoView({ behavior: 'smooth', block: 'start' });
+});
+
 // Display results
 function displayResults(results) {
     const resultsSection = document.getElementById('resultsSection');
@@ -251,97 +855,63 @@ function displayResults(results) {
     // Update counters
     document.getElementById('safeCount').textContent = results.safe;
     document.getElementById('warningCount').textContent = 
-        results.threats.filter(t => t.threat.severity === 'warning' || t.threat.severity === 'high').length;
+        results.threats.filter(t => ['high', 'warning', 'low'].includes(t.threat.severity)).length +
+        results.rangeFindings.length;
     document.getElementById('dangerCount').textContent = 
         results.threats.filter(t => t.threat.severity === 'critical').length;
     
     // Display threats
-    threatsContainer.innerHTML = '';
-    
-    if (results.threats.length === 0) {
-        threatsContainer.innerHTML = `
-            <div class="no-threats">
-                <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
-                    <polyline points="22 4 12 14.01 9 11.01"></polyline>
-                </svg>
-                <h3>No threats detected</h3>
-                <p>All your packages are safe according to our database.</p>
-            </div>
-        `;
+    if (results.threats.length === 0 && results.rangeFindings.length === 0) {
+        threatsContainer.replaceChildren(render.noThreats(document));
     } else {
-        results.threats.forEach(threat => {
-            const threatCard = createThreatCard(threat);
-            threatsContainer.appendChild(threatCard);
-        });
+        threatsContainer.replaceChildren(
+            ...results.threats.map(threat => render.threatCard(document, threat, { sourceName })),
+            ...results.rangeFindings.map(finding => render.rangeCard(document, finding))
+        );
     }
     
+    displaySuspicious(results.suspicious);
+    displaySuppressed(results.suppressed);
+    
     // Display details
-    const totalPackages = results.allPackages.length;
-    detailsContainer.innerHTML = `
-        <div class="details-summary">
-            <h3>📊 Statistics</h3>
-            <p>Total packages analyzed: <strong>${totalPackages}</strong></p>
-            <p>Safe packages: <strong>${results.safe}</strong> (${((results.safe / totalPackages) * 100).toFixed(1)}%)</p>
-            <p>Threats detected: <strong>${results.threats.length}</strong> (${((results.threats.length / totalPackages) * 100).toFixed(1)}%)</p>
-        </div>
-    `;
-    
-    resultsSection.style.display = 'block';
+    detailsContainer.replaceChildren(render.statistics(document, results));
+    
+    resultsSection.hidden = false;
     resultsSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
-// Create a threat card
-function createThreatCard(threat) {
-    const card = document.createElement('div');
-    card.className = `threat-card severity-${threat.threat.severity}`;
-    
-    const severityLabel = {
-        'critical': '🔴 CRITICAL',
-        'high': '🟠 HIGH',
-        'warning': '🟡 MEDIUM'
-    }[threat.threat.severity] || '⚠️ UNKNOWN';
-    
-    let detailsHtml = '';
-    
-    if (threat.threat.exactMatch) {
-        detailsHtml = `
-            <div class="threat-details critical-box">
-                <p class="warning-text"><strong>🚨 CRITICAL ALERT - EXACT COMPROMISED VERSION</strong></p>
-                <p><strong>Installed version:</strong> <code class="danger-code">${threat.threat.installedVersion}</code></p>
-                <p><strong>Known compromised versions:</strong> ${threat.threat.compromisedVersions.join(', ')}</p>
-                <p class="action-required"><strong>⚠️ IMMEDIATE ACTION REQUIRED - Remove this package now!</strong></p>
-            </div>
-        `;
-    } else {
-        detailsHtml = `
-            <div class="threat-details">
-                <p><strong>Installed version:</strong> <code>${threat.threat.installedVersion}</code></p>
-                <p><strong>Known compromised versions:</strong> ${threat.threat.compromisedVersions.join(', ')}</p>
-                ${threat.threat.severity === 'high' ? 
-                    '<p class="warning-text"><strong>Your version is higher than compromised versions, but this package is malicious</strong></p>' :
-                    '<p>Your version differs from listed compromised versions</p>'
-                }
-            </div>
-        `;
-    }
+// Packages flagged by the lockfile heuristics, apart from the compromised ones
+function displaySuspicious(suspicious) {
+    const suspiciousContainer = document.getElementById('suspiciousContainer');
+    suspiciousContainer.hidden = suspicious.length === 0;
+    suspiciousContainer.replaceChildren(
+        render.h(document, 'h3', {}, [`🔎 Suspicious packages (${suspicious.length})`]),
+        render.h(document, 'p', {}, ['Not on the compromised packages list: install scripts, sources outside the registries and missing or weak integrity hashes are signs worth a review.']),
+        ...suspicious.map(finding => render.suspiciousCard(document, finding))
+    );
+}
+
+// Acknowledged findings, apart from the active ones
+function displaySuppressed(suppressed) {
+    const suppressedContainer = document.getElementById('suppressedContainer');
+    suppressedContainer.hidden = suppressed.length === 0;
+    suppressedContainer.replaceChildren(
+        render.h(document, 'h3', {}, [`🔕 Suppressed findings (${suppressed.length})`]),
+        ...suppressed.map(finding => render.suppressedCard(document, finding))
+    );
+}
+
+// Remediation plan: pins for every finding, as a package.json block for each package manager
+function displayRemediationPlan(plan) {
+    const remediationContainer = document.getElementById('remediationContainer');
+    currentRemediationPlan = plan;
     
-    card.innerHTML = `
-        <div class="threat-header">
-            <h3>${threat.name}</h3>
-            <span class="severity-badge">${severityLabel}</span>
-        </div>
-        <div class="threat-body">
-            <p class="threat-description">${threat.threat.description}</p>
-            ${detailsHtml}
-        </div>
-        <div class="threat-actions">
-            <button onclick="copyPackageName('${threat.name}')">Copy name</button>
-            <button class="danger-btn" onclick="copyRemoveCommand('${threat.name}')">Copy removal command</button>
-        </div>
-    `;
+    if (plan.entries.length === 0 && plan.manualReview.length === 0) {
+        remediationContainer.replaceChildren();
+        return;
+    }
     
-    return card;
+    remediationContainer.replaceChildren(...render.remediationPlan(document, plan, { block: formatBlock(plan, plan.packageManager) }));
 }
 
 // Utility functions to copy to clipboard
@@ -350,12 +920,30 @@ function copyPackageName(name) {
     showNotification('Package name copied!');
 }
 
-function copyRemoveCommand(name) {
-    const command = `npm uninstall ${name}`;
-    navigator.clipboard.writeText(command);
-    showNotification('Removal command copied!');
+function copyRemediationBlock() {
+    if (!currentRemediationPlan) return;
+    navigator.clipboard.writeText(formatBlock(currentRemediationPlan, currentRemediationPlan.packageManager));
+    showNotification('Override block copied!');
+}
+
+function copyRemediationCommand() {
+    if (!currentRemediationPlan || !currentRemediationPlan.command) return;
+    navigator.clipboard.writeText(currentRemediationPlan.command);
+    showNotification('Command copied!');
 }
 
+// Buttons of the result cards and of the remediation plan (data-action)
+const RESULT_ACTIONS = {
+    'copy-name': button => copyPackageName(button.dataset.name),
+    'copy-block': () => copyRemediationBlock(),
+    'copy-command': () => copyRemediationCommand()
+};
+
+document.getElementById('resultsSection').addEventListener('click', (event) => {
+    const button = event.target.closest('[data-action]');
+    if (button && RESULT_ACTIONS[button.dataset.action]) RESULT_ACTIONS[button.dataset.action](button);
+});
+
 function showNotification(message) {
     const notification = document.createElement('div');
     notification.className = 'notification';
@@ -373,4 +961,6 @@ function showNotification(message) {
 }
 
 // Initialize
+startAnalysisWorker();
 loadCompromisedPackages();
+registerServiceWorker();
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// Analysis benchmark: linear database search (one find() per dependency, before the name index)
+// against the indexed lookup, then the whole lockfile analysis
+//
+// node bench/analysis.js [--packages 20000] [--database 5000] [--runs 5]
+const { parseArgs } = require('util');
+const { createFixture } = require('./fixture');
+const { classifyVersion, checkPackage, analyzeProject } = require('../lib/detection');
+const { parseLockfile } = require('../lib/lockfile');
+
+const { values } = parseArgs({
+    options: {
+        packages: { type: 'string', default: '20000' },
+        database: { type: 'string', default: '5000' },
+        runs: { type: 'string', default: '5' }
+    }
+});
+
+const packageCount = Number(values.packages);
+const databaseSize = Number(values.database);
+const runs = Number(values.runs);
+
+// Median duration in milliseconds, after one warm-up run
+function measure(fn) {
+    fn();
+    const durations = [];
+    for (let run = 0; run < runs; run++) {
+        const start = process.hrtime.bigint();
+        fn();
+        durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    durations.sort((a, b) => a - b);
+    return durations[Math.floor(durations.length / 2)];
+}
+
+const { database, packageLock } = createFixture({ packageCount, databaseSize });
+const content = JSON.stringify(packageLock);
+const parsed = parseLockfile(content, 'package-lock.json');
+
+const linear = measure(() => {
+    let findings = 0;
+    parsed.dependencies.forEach(dep => {
+        const pkg = database.compromisedPackages.find(candidate => candidate.name === dep.name);
+        if (pkg && classifyVersion(dep.version, pkg.compromisedVersions)) findings++;
+    });
+    return findings;
+});
+
+const indexed = measure(() => {
+    let findings = 0;
+    parsed.dependencies.forEach(dep => {
+        if (checkPackage(dep.name, dep.version, database)) findings++;
+    });
+    return findings;
+});
+
+const parse = measure(() => parseLockfile(content, 'package-lock.json'));
+const analysis = measure(() => analyzeProject(parsed, database));
+const findings = analyzeProject(parsed, database).threats.length;
+
+console.log(`Fixture: ${parsed.dependencies.length} packages, ${databaseSize} compromised packages, ${findings} findings (median of ${runs} runs)`);
+console.table({
+    'Matching - linear search': { ms: Number(linear.toFixed(1)) },
+    'Matching - name index': { ms: Number(indexed.toFixed(1)) },
+    'Parsing (package-lock.json)': { ms: Number(parse.toFixed(1)) },
+    'Full analysis (matching + chains)': { ms: Number(analysis.toFixed(1)) }
+});
+console.log(`Speedup of the name index: ${(linear / indexed).toFixed(1)}x`);
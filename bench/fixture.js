@@ -0,0 +1,48 @@
+// Benchmark fixture - a large monorepo-like package-lock.json and database, generated deterministically
+// so that runs on different machines and commits analyze the same input
+
+// Small deterministic PRNG (mulberry32): the same seed always gives the same fixture
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function packageName(index) {
+    return index % 3 === 0 ? `@scope-${index % 97}/package-${index}` : `package-${index}`;
+}
+
+// { database, packageLock } - packageCount lockfile entries, databaseSize compromised packages,
+// about one lockfile entry in 50 being a compromised package (exact or another version)
+function createFixture({ packageCount = 20000, databaseSize = 5000, seed = 1 } = {}) {
+    const next = random(seed);
+    const version = () => `${Math.floor(next() * 10)}.${Math.floor(next() * 20)}.${Math.floor(next() * 30)}`;
+    
+    const compromisedPackages = Array.from({ length: databaseSize }, (_, index) => ({
+        name: `compromised-${index}`,
+        compromisedVersions: [version(), version()]
+    }));
+    
+    const packages = { '': { name: 'benchmark-monorepo', version: '1.0.0' } };
+    for (let index = 0; index < packageCount; index++) {
+        const compromised = next() < 0.02 ? compromisedPackages[Math.floor(next() * databaseSize)] : null;
+        const name = compromised ? compromised.name : packageName(index);
+        const installed = compromised && next() < 0.5 ? compromised.compromisedVersions[0] : version();
+        // Nested copies, as in real monorepos with several versions of the same package
+        const path = index % 10 === 0 ? `node_modules/package-${index - 1}/node_modules/${name}` : `node_modules/${name}`;
+        packages[path] = { version: installed, dev: index % 4 === 0 || undefined };
+    }
+    
+    return {
+        database: { attackName: 'Benchmark', lastUpdate: '2026-01-01', compromisedPackages },
+        packageLock: { name: 'benchmark-monorepo', version: '1.0.0', lockfileVersion: 3, packages }
+    };
+}
+
+module.exports = {
+    createFixture
+};
@@ -1,111 +1,268 @@
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
 const https = require('https');
+const { parseArgs } = require('util');
+const { parseSource, parsePayloadHashes, buildDatabase, checkAnomalies, findDisagreements, validateConfig } = require('./lib/ioc-sources');
+const { diffDatabases, appendChangelog } = require('./lib/changelog');
+const { SIGNING_KEY_ENV, generateSigningKeyPair, publicKeyOf, embedPublicKey, checkPublicKey, signDatabase } = require('./lib/signing');
 
-// DataDog CSV URL
-const CSV_URL = 'https://raw.githubusercontent.com/DataDog/indicators-of-compromise/main/shai-hulud-2.0/consolidated_iocs.csv';
+// Sources to merge (CSV, JSON or OSV, from a URL or a local file)
+const DEFAULT_SOURCES_PATH = path.join(__dirname, 'ioc-sources.json');
+const DEFAULT_OUTPUT_PATH = path.join(__dirname, 'data', 'compromised-packages.json');
 
-// Create tmp folder if it doesn't exist
-const tmpDir = path.join(__dirname, 'tmp');
-if (!fs.existsSync(tmpDir)) {
-    fs.mkdirSync(tmpDir);
+const MAX_REDIRECTS = 5;
+
+// Download a source - fails on non-2xx responses and on truncated bodies
+function download(url, redirects = 0) {
+    const client = url.startsWith('http:') ? http : https;
+    
+    return new Promise((resolve, reject) => {
+        client.get(url, (response) => {
+            const { statusCode, headers } = response;
+            
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                response.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    reject(new Error(`Too many redirects for ${url}`));
+                    return;
+                }
+                resolve(download(new URL(headers.location, url).toString(), redirects + 1));
+                return;
+            }
+            
+            if (statusCode < 200 || statusCode >= 300) {
+                response.resume();
+                reject(new Error(`HTTP ${statusCode} for ${url}`));
+                return;
+            }
+            
+            const chunks = [];
+            
+            response.on('data', (chunk) => {
+                chunks.push(chunk);
+            });
+            
+            response.on('aborted', () => reject(new Error(`Download of ${url} was interrupted`)));
+            
+            response.on('end', () => {
+                const body = Buffer.concat(chunks);
+                const expectedLength = Number(headers['content-length']);
+                if (!response.complete || (headers['content-length'] && body.length !== expectedLength)) {
+                    reject(new Error(`Truncated download for ${url}: received ${body.length} of ${expectedLength || 'unknown'} bytes`));
+                    return;
+                }
+                resolve(body.toString('utf-8'));
+            });
+            
+            response.on('error', reject);
+        }).on('error', reject);
+    });
 }
 
-console.log('📥 Downloading CSV file from DataDog...');
+// Content of a source - local files are relative to the sources configuration
+async function loadSource(source, baseDir) {
+    if (source.file) {
+        return fs.readFileSync(path.resolve(baseDir, source.file), 'utf-8');
+    }
+    return download(source.url);
+}
 
-// Download CSV file to tmp/
-const tmpCsvPath = path.join(tmpDir, 'datadog-iocs.csv');
+// Existing JSON file (previous database or changelog), null when missing or invalid
+function readPreviousJson(filePath, description) {
+    if (!fs.existsSync(filePath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        console.warn(`⚠️  Existing ${description} at ${filePath} is not valid JSON, it will be replaced`);
+        return null;
+    }
+}
+
+function summarizeChanges(changes) {
+    return changes.map(change => `${change.name}@${change.versions.join(', ')}`).join('; ');
+}
 
-https.get(CSV_URL, (response) => {
-    let csvContent = '';
+// Detached signature next to the database: compromised-packages.json.sig
+function signaturePathOf(outputPath) {
+    return `${outputPath}.sig`;
+}
+
+// Write the database and, with a signing key, its signature - the page refuses an unsigned database
+function writeDatabase(database, outputPath, signingKey) {
+    const content = JSON.stringify(database, null, 2);
+    const signaturePath = signaturePathOf(outputPath);
+    const signature = signingKey ? signDatabase(content, signingKey) : null;
     
-    response.on('data', (chunk) => {
-        csvContent += chunk;
-    });
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, content, 'utf-8');
     
-    response.on('end', () => {
-        console.log('✅ Download complete!');
-        
-        // Save to tmp/
-        fs.writeFileSync(tmpCsvPath, csvContent, 'utf-8');
-        
-        processCSV(csvContent);
-        
-        // Clean tmp folder
-        console.log('🧹 Cleaning tmp/ folder...');
-        fs.rmSync(tmpDir, { recursive: true, force: true });
-        console.log('✨ Cleanup complete!');
-    });
-}).on('error', (err) => {
-    console.error('❌ Download error:', err.message);
-    
-    // Clean on error
-    if (fs.existsSync(tmpDir)) {
-        fs.rmSync(tmpDir, { recursive: true, force: true });
+    if (signature) {
+        fs.writeFileSync(signaturePath, JSON.stringify(signature, null, 2), 'utf-8');
+        console.log(`🔏 Signed with key ${signature.keyId}`);
+    } else {
+        // A signature of a previous database would not match anyway
+        fs.rmSync(signaturePath, { force: true });
+        console.warn(`⚠️  No signing key (--signing-key or ${SIGNING_KEY_ENV}): the database is not signed and the web page will refuse it`);
     }
-    process.exit(1);
-});
-
-function processCSV(csvContent) {
+}
 
-    // Parse CSV and extract packages with their compromised versions
-    const lines = csvContent.split('\n');
-    const packages = [];
+// Create a signing key pair: the private key file for the CI secret, the public key for index.html
+function generateKey(privateKeyPath) {
+    if (fs.existsSync(privateKeyPath)) {
+        throw new Error(`${privateKeyPath} already exists`);
+    }
+    const { privateKey, publicKey } = generateSigningKeyPair();
+    fs.writeFileSync(privateKeyPath, privateKey, { encoding: 'utf-8', mode: 0o600 });
+    
+    console.log(`🔑 Private key written to ${privateKeyPath} - store it as the ${SIGNING_KEY_ENV} secret and keep it out of git`);
+    console.log('Public key for the shai-hulud-database-key meta tag of index.html:');
+    console.log(publicKey);
+    return publicKey;
+}
 
-    for (let i = 1; i < lines.length; i++) { // Skip header
-        const line = lines[i].trim();
-        if (!line) continue;
-        
-        // Parse CSV line (format: package_name,package_versions,"sources")
-        // Split by comma but respect quotes
-        const parts = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let char of line) {
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                parts.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        parts.push(current.trim());
-        
-        if (parts.length >= 2) {
-            const packageName = parts[0];
-            const versionsString = parts[1];
-            
-            // Keep versions grouped by package
-            const versions = versionsString.split(',').map(v => v.trim()).filter(v => v);
-            
-            packages.push({
-                name: packageName,
-                compromisedVersions: versions
-            });
-        }
+// Deployment: write the public key of the signing key in the meta tag of the page (index.html)
+function embedKey(htmlPath, signingKey) {
+    if (!signingKey) {
+        throw new Error(`No signing key (--signing-key or ${SIGNING_KEY_ENV}): the deployed page could not verify the database`);
     }
+    const publicKey = publicKeyOf(signingKey);
+    fs.writeFileSync(htmlPath, embedPublicKey(fs.readFileSync(htmlPath, 'utf-8'), publicKey), 'utf-8');
+    console.log(`🔑 Public key ${publicKey} written to ${htmlPath}`);
+    return publicKey;
+}
 
-    // Create JSON object
-    const jsonOutput = {
-        "attackName": "Shai Hulud 2.0",
-        "lastUpdate": new Date().toISOString().split('T')[0],
-        "source": "https://github.com/DataDog/indicators-of-compromise/blob/main/shai-hulud-2.0/consolidated_iocs.csv",
-        "compromisedPackages": packages
-    };
+// Deployment check: the page holds a public key, the one the database is signed with when a signature exists
+function checkKey(htmlPath, outputPath) {
+    const signaturePath = signaturePathOf(outputPath);
+    const signature = fs.existsSync(signaturePath) ? JSON.parse(fs.readFileSync(signaturePath, 'utf-8')) : null;
+    const publicKey = checkPublicKey(fs.readFileSync(htmlPath, 'utf-8'), signature);
+    console.log(`✅ ${htmlPath} verifies the database with ${publicKey}`);
+    return publicKey;
+}
 
-    // Write to data/compromised-packages.json
-    const dataDir = path.join(__dirname, 'data');
-    if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir);
+async function convert({
+    sourcesPath = DEFAULT_SOURCES_PATH,
+    outputPath = DEFAULT_OUTPUT_PATH,
+    changelogPath = path.join(path.dirname(outputPath), 'changelog.json'),
+    signingKey = null,
+    force = false
+} = {}) {
+    const config = validateConfig(JSON.parse(fs.readFileSync(sourcesPath, 'utf-8')));
+    const baseDir = path.dirname(sourcesPath);
+    const parsedSources = [];
+    const errors = [];
+    
+    for (const source of config.sources) {
+        console.log(`📥 Loading ${source.name || source.id} (${source.format}) from ${source.url || source.file}...`);
+        const sourceErrors = [];
+        let entries;
+        let payloadHashes;
+        try {
+            const content = await loadSource(source, baseDir);
+            entries = parseSource(content, source.format, sourceErrors);
+            payloadHashes = parsePayloadHashes(content, source.format, sourceErrors);
+        } catch (error) {
+            throw new Error(`Source "${source.id}": ${error.message}`);
+        }
+        console.log(`✅ ${entries.length} packages` + (payloadHashes.length > 0 ? `, ${payloadHashes.length} payload hashes` : '') +
+            (sourceErrors.length > 0 ? `, ${sourceErrors.length} records rejected` : ''));
+        sourceErrors.forEach(error => {
+            console.warn(`   ⚠️  ${source.id}${error.line ? ` line ${error.line}` : ''}: ${error.message}`);
+        });
+        errors.push(...sourceErrors);
+        parsedSources.push({ source, entries, payloadHashes });
     }
     
-    const outputPath = path.join(dataDir, 'compromised-packages.json');
-    fs.writeFileSync(outputPath, JSON.stringify(jsonOutput, null, 2), 'utf-8');
-
+    const database = buildDatabase(config, parsedSources);
+    
+    if (parsedSources.length > 1) {
+        const disagreements = findDisagreements(database.compromisedPackages, config.sources.map(source => source.id));
+        console.log(`⚖️  ${disagreements.length} versions are not reported by every source`);
+    }
+    
+    // Never deploy a database built from an error page or a truncated list
+    const recordCount = parsedSources.reduce((total, { entries }) => total + entries.length, 0) + errors.length;
+    const previous = readPreviousJson(outputPath, 'database');
+    const problems = checkAnomalies({
+        database,
+        previous,
+        recordCount,
+        errorCount: errors.length
+    }, config.guard);
+    
+    if (problems.length > 0) {
+        if (!force) {
+            throw new Error(`Refusing to overwrite ${outputPath}: ${problems.join('; ')}. Use --force to write it anyway.`);
+        }
+        console.warn(`⚠️  Writing despite anomalies (--force): ${problems.join('; ')}`);
+    }
+    
+    writeDatabase(database, outputPath, signingKey);
+    
+    // Without a previous database everything would be "added": the changelog starts with the next update
+    const diff = previous ? diffDatabases(previous, database) : { added: [], removed: [] };
+    const changelog = appendChangelog(readPreviousJson(changelogPath, 'changelog'), diff, new Date().toISOString());
+    fs.mkdirSync(path.dirname(changelogPath), { recursive: true });
+    fs.writeFileSync(changelogPath, JSON.stringify(changelog, null, 2), 'utf-8');
+    
     console.log(`✅ Conversion complete!`);
-    console.log(`📦 ${packages.length} compromised packages detected`);
-    console.log(`📝 File generated: ${outputPath}`);
+    console.log(`📦 ${database.compromisedPackages.length} compromised packages detected`);
+    if (diff.added.length > 0) console.log(`🆕 Added: ${summarizeChanges(diff.added)}`);
+    if (diff.removed.length > 0) console.log(`🗑️  Removed: ${summarizeChanges(diff.removed)}`);
+    console.log(`📝 Files generated: ${[outputPath, signingKey ? signaturePathOf(outputPath) : null, changelogPath].filter(Boolean).join(', ')}`);
+    
+    return database;
 }
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            sources: { type: 'string' },
+            output: { type: 'string' },
+            changelog: { type: 'string' },
+            'signing-key': { type: 'string' },
+            'generate-key': { type: 'string' },
+            'embed-key': { type: 'string' },
+            'check-key': { type: 'string' },
+            force: { type: 'boolean' }
+        }
+    });
+    
+    const outputPath = values.output ? path.resolve(values.output) : DEFAULT_OUTPUT_PATH;
+    const signingKey = values['signing-key'] ? fs.readFileSync(path.resolve(values['signing-key']), 'utf-8') : process.env[SIGNING_KEY_ENV];
+    
+    new Promise(resolve => {
+        if (values['generate-key']) {
+            resolve(generateKey(path.resolve(values['generate-key'])));
+            return;
+        }
+        if (values['embed-key']) {
+            resolve(embedKey(path.resolve(values['embed-key']), signingKey));
+            return;
+        }
+        if (values['check-key']) {
+            resolve(checkKey(path.resolve(values['check-key']), outputPath));
+            return;
+        }
+        resolve(convert({
+            sourcesPath: values.sources ? path.resolve(values.sources) : DEFAULT_SOURCES_PATH,
+            outputPath,
+            changelogPath: values.changelog ? path.resolve(values.changelog) : path.join(path.dirname(outputPath), 'changelog.json'),
+            signingKey,
+            force: values.force
+        }));
+    }).catch(error => {
+        console.error('❌ Conversion error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    convert,
+    generateKey,
+    embedKey,
+    checkKey,
+    download,
+    loadSource
+};
@@ -0,0 +1,151 @@
+// Batch analysis - many lockfiles (a folder, a ZIP, a multiple selection) with per-project and cross-project summaries
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./lockfile'), require('./detection'));
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.batch = factory(root.ShaiHulud.lockfile, root.ShaiHulud.detection);
+    }
+})(typeof self !== 'undefined' ? self : this, function (lockfile, detection) {
+    'use strict';
+
+    // Directories that never hold a project's own lockfile
+    const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+    // Most to least severe, for sorting and counts
+    const SEVERITY_ORDER = ['critical', 'high', 'warning', 'low', 'range'];
+
+    function splitPath(filePath) {
+        return filePath.split(/[\\/]/).filter(segment => segment && segment !== '.');
+    }
+
+    // Project of a lockfile: its directory ("." at the top level)
+    function projectOf(filePath) {
+        const segments = splitPath(filePath);
+        return segments.length > 1 ? segments.slice(0, -1).join('/') : '.';
+    }
+
+    // Lockfiles to analyze among a list of paths: supported names and SBOMs outside node_modules,
+    // package.json only for directories without a lockfile
+    function selectProjectFiles(filePaths) {
+        const candidates = filePaths.filter(filePath => {
+            const segments = splitPath(filePath);
+            const name = segments[segments.length - 1];
+            return (lockfile.SUPPORTED_FILE_NAMES.includes(name) || lockfile.isSbomFileName(name)) &&
+                !segments.some(segment => IGNORED_DIRECTORIES.includes(segment));
+        });
+        
+        const withLockfile = new Set(candidates
+            .filter(filePath => !filePath.endsWith('package.json'))
+            .map(projectOf));
+        
+        return candidates.filter(filePath => {
+            const segments = splitPath(filePath);
+            return segments[segments.length - 1] !== 'package.json' || !withLockfile.has(projectOf(filePath));
+        });
+    }
+
+    // Counts by severity for one analysis - suspicious packages (heuristics) are counted apart from SEVERITY_ORDER
+    function countSeverities(results) {
+        const counts = { critical: 0, high: 0, warning: 0, low: 0, range: results.rangeFindings.length, suspicious: (results.suspicious || []).length };
+        results.threats.forEach(threat => {
+            counts[threat.threat.severity]++;
+        });
+        return counts;
+    }
+
+    function worstSeverity(counts) {
+        return SEVERITY_ORDER.find(severity => counts[severity] > 0) || null;
+    }
+
+    // One project row: { project, path, format, parsed, content, results, counts, worst } or { project, path, error }
+    // options: suppressions, allowCritical, registries, allowInstallScripts and now (see detection.analyzeProject)
+    function analyzeProjectFile(file, compromisedData, options = {}) {
+        const entry = { project: projectOf(file.path), path: file.path };
+        try {
+            const parsed = lockfile.parseLockfile(file.content, file.path);
+            const results = detection.analyzeProject(parsed, compromisedData, {
+                suppressions: options.suppressions,
+                allowCritical: options.allowCritical,
+                registries: options.registries,
+                allowInstallScripts: options.allowInstallScripts,
+                now: options.now
+            });
+            const counts = countSeverities(results);
+            return { ...entry, format: parsed.format, parsed, content: file.content, results, counts, worst: worstSeverity(counts) };
+        } catch (error) {
+            return { ...entry, error: error.message };
+        }
+    }
+
+    // Analyze [{ path, content }] - projects sorted from the most to the least severe, then by name
+    // options.onProgress({ done, total }) is called after each project, suppressions apply to every project
+    function analyzeBatch(files, compromisedData, options = {}) {
+        const rank = project => project.error ? SEVERITY_ORDER.length + 1 :
+            (project.worst ? SEVERITY_ORDER.indexOf(project.worst) : SEVERITY_ORDER.length);
+        
+        const projects = files
+            .map((file, index) => {
+                const project = analyzeProjectFile(file, compromisedData, options);
+                if (options.onProgress) options.onProgress({ done: index + 1, total: files.length });
+                return project;
+            })
+            .sort((a, b) => rank(a) - rank(b) || a.path.localeCompare(b.path));
+        
+        const totals = { projects: projects.length, affected: 0, errors: 0, critical: 0, high: 0, warning: 0, low: 0, range: 0, suspicious: 0, suppressed: 0 };
+        projects.forEach(project => {
+            if (project.error) {
+                totals.errors++;
+                return;
+            }
+            if (project.worst) totals.affected++;
+            totals.suspicious += project.counts.suspicious;
+            totals.suppressed += project.results.suppressed.length;
+            SEVERITY_ORDER.forEach(severity => {
+                totals[severity] += project.counts[severity];
+            });
+        });
+        
+        return { projects, totals };
+    }
+
+    // Cross-project view: [{ name, worst, projects: [{ project, path, versions, severity }] }]
+    // for every flagged package, most severe first
+    function indexFindings(projects) {
+        const byName = new Map();
+        const add = (name, project, version, severity) => {
+            const packageEntry = byName.get(name) || { name, projects: [] };
+            let projectEntry = packageEntry.projects.find(candidate => candidate.path === project.path);
+            if (!projectEntry) {
+                projectEntry = { project: project.project, path: project.path, versions: [], severity };
+                packageEntry.projects.push(projectEntry);
+            }
+            if (!projectEntry.versions.includes(version)) projectEntry.versions.push(version);
+            if (SEVERITY_ORDER.indexOf(severity) < SEVERITY_ORDER.indexOf(projectEntry.severity)) {
+                projectEntry.severity = severity;
+            }
+            byName.set(name, packageEntry);
+        };
+        
+        projects.filter(project => !project.error).forEach(project => {
+            project.results.threats.forEach(threat => add(threat.name, project, threat.version, threat.threat.severity));
+            project.results.rangeFindings.forEach(finding => add(finding.name, project, finding.range, 'range'));
+        });
+        
+        return Array.from(byName.values())
+            .map(entry => ({
+                ...entry,
+                worst: SEVERITY_ORDER.find(severity => entry.projects.some(project => project.severity === severity))
+            }))
+            .sort((a, b) => SEVERITY_ORDER.indexOf(a.worst) - SEVERITY_ORDER.indexOf(b.worst) || a.name.localeCompare(b.name));
+    }
+
+    return {
+        SEVERITY_ORDER,
+        projectOf,
+        selectProjectFiles,
+        countSeverities,
+        analyzeBatch,
+        indexFindings
+    };
+});
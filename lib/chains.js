@@ -0,0 +1,112 @@
+// Dependency chains ("why is this here?") from the root project to a package
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.chains = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_MAX_CHAINS = 10;
+    // Upper bound on explored nodes per search, so that very wide graphs stay responsive
+    const MAX_STEPS = 20000;
+
+    const parentIndexes = new WeakMap();
+    const dependencyIndexes = new WeakMap();
+
+    // Reverse edges and direct dependencies of each root, computed once per graph
+    function parentIndex(graph) {
+        if (parentIndexes.has(graph)) return parentIndexes.get(graph);
+        
+        const parents = new Map();
+        Object.entries(graph.edges).forEach(([parent, children]) => {
+            children.forEach(child => {
+                if (!parents.has(child)) parents.set(child, []);
+                parents.get(child).push(parent);
+            });
+        });
+        
+        const rootsOf = new Map();
+        graph.roots.forEach(projectRoot => {
+            projectRoot.dependencies.forEach(id => {
+                if (!rootsOf.has(id)) rootsOf.set(id, []);
+                rootsOf.get(id).push(projectRoot.name);
+            });
+        });
+        
+        const index = { parents, rootsOf };
+        parentIndexes.set(graph, index);
+        return index;
+    }
+
+    // Chains to a package, walking parents backwards from the target: { chains, more }
+    // chains: the maxChains shortest [{ root: 'my-project', path: [directDependencyId, ..., targetId] }]
+    // more: chains found beyond them - a lower bound when the search reaches MAX_STEPS
+    function searchChains(graph, targetId, maxChains = DEFAULT_MAX_CHAINS) {
+        const { parents, rootsOf } = parentIndex(graph);
+        const chains = [];
+        let more = 0;
+        let steps = 0;
+        
+        // Breadth-first on partial chains, so that the shortest chains come first
+        let frontier = [[targetId]];
+        while (frontier.length > 0 && steps < MAX_STEPS) {
+            const next = [];
+            
+            for (const partial of frontier) {
+                const head = partial[0];
+                steps++;
+                
+                (rootsOf.get(head) || []).forEach(rootName => {
+                    if (chains.length < maxChains) {
+                        chains.push({ root: rootName, path: partial });
+                    } else {
+                        more++;
+                    }
+                });
+                
+                (parents.get(head) || []).forEach(parent => {
+                    if (!partial.includes(parent) && next.length < MAX_STEPS) next.push([parent, ...partial]);
+                });
+            }
+            
+            frontier = next;
+        }
+        
+        return { chains, more };
+    }
+
+    // Up to maxChains chains to a package, shortest first (see searchChains)
+    function findChains(graph, targetId, maxChains = DEFAULT_MAX_CHAINS) {
+        return searchChains(graph, targetId, maxChains).chains;
+    }
+
+    // Dependencies by path, computed once per dependency list rather than once per described package
+    function dependencyIndex(dependencies) {
+        if (!dependencyIndexes.has(dependencies)) {
+            dependencyIndexes.set(dependencies, new Map(dependencies.map(dep => [dep.path, dep])));
+        }
+        return dependencyIndexes.get(dependencies);
+    }
+
+    // Human-readable chains: { chains: [['my-project', 'a@1.0.0', 'b@2.0.0']], more } (see searchChains)
+    function describeChains(graph, dependencies, targetId, maxChains = DEFAULT_MAX_CHAINS) {
+        const byPath = dependencyIndex(dependencies);
+        const label = id => {
+            const dep = byPath.get(id);
+            return dep ? `${dep.name}@${dep.version}` : id;
+        };
+        
+        const { chains, more } = searchChains(graph, targetId, maxChains);
+        return { chains: chains.map(chain => [chain.root, ...chain.path.map(label)]), more };
+    }
+
+    return {
+        DEFAULT_MAX_CHAINS,
+        searchChains,
+        findChains,
+        describeChains
+    };
+});
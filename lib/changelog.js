@@ -0,0 +1,92 @@
+// Database changelog - what convert-list.js added or removed, and what is new since a previous scan
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.changelog = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Changelog entries kept in data/changelog.json
+    const MAX_ENTRIES = 100;
+
+    function versionsByName(database) {
+        const map = new Map();
+        ((database && database.compromisedPackages) || []).forEach(pkg => {
+            map.set(pkg.name, new Set(pkg.compromisedVersions));
+        });
+        return map;
+    }
+
+    // Versions of "from" missing in "to": [{ name, versions, wholePackage }]
+    function missingVersions(from, to) {
+        const changes = [];
+        from.forEach((versions, name) => {
+            const other = to.get(name);
+            const missing = Array.from(versions).filter(version => !other || !other.has(version));
+            if (missing.length > 0) {
+                changes.push({ name, versions: missing, wholePackage: !other });
+            }
+        });
+        return changes;
+    }
+
+    // Changes between two databases: { added, removed }, each [{ name, versions, wholePackage }]
+    function diffDatabases(previous, next) {
+        const before = versionsByName(previous);
+        const after = versionsByName(next);
+        return {
+            added: missingVersions(after, before),
+            removed: missingVersions(before, after)
+        };
+    }
+
+    // Changelog with a new entry first - unchanged when the database did not change
+    function appendChangelog(changelog, diff, date, maxEntries = MAX_ENTRIES) {
+        const entries = (changelog && changelog.entries) || [];
+        if (diff.added.length === 0 && diff.removed.length === 0) {
+            return { entries };
+        }
+        return { entries: [{ date, ...diff }, ...entries].slice(0, maxEntries) };
+    }
+
+    // Date of the newest changelog entry, stored after each scan
+    function latestDate(changelog) {
+        const entries = (changelog && changelog.entries) || [];
+        return entries.length > 0 ? entries[0].date : null;
+    }
+
+    // Versions added after a date: Map of name -> Set of versions
+    function addedSince(changelog, sinceDate) {
+        const added = new Map();
+        if (!sinceDate) return added;
+        
+        ((changelog && changelog.entries) || [])
+            .filter(entry => entry.date > sinceDate)
+            .forEach(entry => entry.added.forEach(change => {
+                const versions = added.get(change.name) || new Set();
+                change.versions.forEach(version => versions.add(version));
+                added.set(change.name, versions);
+            }));
+        
+        return added;
+    }
+
+    // Compromised versions of a finding that were added to the database after the previous scan
+    function newVersionsOf(finding, added) {
+        const versions = added.get(finding.name);
+        if (!versions) return [];
+        return finding.threat.compromisedVersions.filter(version => versions.has(version));
+    }
+
+    return {
+        MAX_ENTRIES,
+        diffDatabases,
+        appendChangelog,
+        latestDate,
+        addedSince,
+        newVersionsOf
+    };
+});
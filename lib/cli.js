@@ -0,0 +1,566 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { analyzeProject, isBlocking } = require('./detection');
+const { parseLockfile } = require('./lockfile');
+const { createPlan, formatBlock } = require('./remediation');
+const { REPORT_FORMATS, describeDatabase, createReport, formatReport } = require('./report');
+const { SUPPRESSION_FILE_NAME, parseSuppressions } = require('./suppressions');
+const { compareProjects } = require('./diff');
+const { listInstalled, findPayloadIndicators, compareWithLockfile } = require('./installed');
+const { scanRepository, rotationChecklist } = require('./repository');
+const { scanHistory } = require('./history');
+
+// Exit codes used by CI pipelines
+const EXIT_OK = 0;
+const EXIT_THREATS = 1;
+const EXIT_ERROR = 2;
+
+const DEFAULT_DB_PATH = path.join(__dirname, '..', 'data', 'compromised-packages.json');
+// Lockfiles looked for next to an installed node_modules, in this order
+const PROJECT_LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+const USAGE = `Usage: shai-hulud-tester scan <path-to-lockfile> [options]
+       shai-hulud-tester diff <base-lockfile> <head-lockfile> [options]
+       shai-hulud-tester installed <project-dir> [--lockfile <path>] [options]
+       shai-hulud-tester repo <checkout-dir> [--format json] [--output <path>]
+       shai-hulud-tester history <repository-dir> [--lockfile <path>] [options]
+
+Commands:
+  scan <lockfile>    Analyze a package-lock.json, yarn.lock, pnpm-lock.yaml, package.json or SBOM
+                     against the compromised packages database
+  diff <base> <head> Compare two lockfiles (e.g. a pull request's base and head): added, removed and
+                     changed packages, and only the findings the change introduced
+  installed <dir>    Inspect the node_modules folder of a project: installed versions, payload files,
+                     known malicious file hashes, lifecycle scripts running them, and the differences
+                     with the project's lockfile (text or json format)
+  repo <dir>         Check a repository checkout for the changes the worm makes: injected workflows,
+                     self-hosted runner registrations, lifecycle scripts and exfiltration files, with the
+                     credentials to rotate (text or json format)
+  history <dir>      Walk the git history of the lockfiles of a local clone and report when each compromised
+                     version entered and left them: commits, authors, dates (text or json format)
+
+Options:
+  --db <path>        Path to compromised-packages.json (default: data/compromised-packages.json)
+  --format <format>  Report format: text (default), ${REPORT_FORMATS.join(', ')}
+  --output <path>    Write the report to a file instead of the standard output
+  --lockfile <path>  installed: lockfile to compare the node_modules folder with (default: the project's
+                     ${PROJECT_LOCKFILES.join(', ')})
+                     history: lockfile path in the repository (default: every lockfile of the history)
+  --ignore-file <path>
+                     Suppressions file (default: ${SUPPRESSION_FILE_NAME} next to the (head) lockfile, when present)
+  --allow-critical-suppressions
+                     Let suppressions hide CRITICAL exact matches
+  --registry <url>   Registry whose tarballs are expected, besides registry.npmjs.org and registry.yarnpkg.com
+                     (repeatable) - other sources are reported as suspicious
+  --allow-install-script <name>
+                     Package allowed to run install scripts, besides the built-in allowlist ("@scope/*" for
+                     a scope, repeatable)
+  -h, --help         Show this help
+
+Exit codes:
+  0  No CRITICAL or HIGH findings (diff: no new ones)
+  1  CRITICAL or HIGH findings detected (diff: introduced by the change; installed: or payload indicators;
+     repo: CRITICAL or HIGH indicators; history: a compromised version is still in a lockfile at HEAD)
+  2  Usage or input error`;
+
+const severityLabels = {
+    'critical': '🔴 CRITICAL',
+    'high': '🟠 HIGH',
+    'warning': '🟡 MEDIUM',
+    'low': '🔵 LOW'
+};
+
+// Read and parse a JSON file, with a readable error message
+function readJsonFile(filePath, description) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf-8');
+    } catch (error) {
+        throw new Error(`Cannot read ${description} at ${filePath}: ${error.message}`);
+    }
+    
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${description} at ${filePath}: ${error.message}`);
+    }
+}
+
+// Read and parse a lockfile (package-lock.json, yarn.lock, pnpm-lock.yaml) - { content, lockfile }
+function readLockfile(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf-8');
+    } catch (error) {
+        throw new Error(`Cannot read lockfile at ${filePath}: ${error.message}`);
+    }
+    
+    try {
+        return { content, lockfile: parseLockfile(content, filePath) };
+    } catch (error) {
+        throw new Error(`Invalid lockfile at ${filePath}: ${error.message}`);
+    }
+}
+
+// Suppressions of --ignore-file, or of the file next to the lockfile - [] when there is none
+function readSuppressions(lockfilePath, ignoreFile) {
+    const filePath = ignoreFile || path.join(path.dirname(lockfilePath), SUPPRESSION_FILE_NAME);
+    if (!ignoreFile && !fs.existsSync(filePath)) return [];
+    
+    const file = readJsonFile(filePath, 'suppressions file');
+    try {
+        return parseSuppressions(file);
+    } catch (error) {
+        throw new Error(`Invalid suppressions file at ${filePath}: ${error.message}`);
+    }
+}
+
+// Path of a file in the reports: relative to the working directory with "/" separators, absolute outside of it
+function reportPath(filePath) {
+    const relative = path.relative(process.cwd(), path.resolve(filePath));
+    const inside = relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+    return (inside ? relative : path.resolve(filePath)).split(path.sep).join('/');
+}
+
+// Machine-readable report (--format), to the standard output or to --output
+function writeReport(results, { lockfilePath, lockfile, content, compromisedData, comparison, basePath }, options, io) {
+    const report = createReport(results, {
+        parsed: lockfile,
+        content,
+        fileName: reportPath(lockfilePath),
+        compromisedData,
+        comparison,
+        baseFileName: basePath && reportPath(basePath)
+    });
+    writeOutput(formatReport(report, options.format), options, io);
+}
+
+function writeOutput(output, options, io) {
+    if (options.output) {
+        fs.writeFileSync(options.output, output, 'utf-8');
+        io.stderr.write(`📝 ${options.format} report written to ${options.output}\n`);
+    } else {
+        io.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+    }
+}
+
+function printRemediationPlan(plan, io) {
+    if (plan.entries.length > 0) {
+        io.stdout.write('\n🛠️  Remediation plan - add to the root package.json:\n');
+        io.stdout.write(`${formatBlock(plan, plan.packageManager)}\n`);
+        io.stdout.write(`Then regenerate the lockfile: ${plan.command}\n`);
+    }
+    if (plan.manualReview.length > 0) {
+        io.stdout.write(`Review manually (version cannot be compared): ${plan.manualReview.join(', ')}\n`);
+    }
+}
+
+function printSuppressed(results, suppressions, io) {
+    if (suppressions.length > 0) {
+        io.stdout.write(`🔕 ${suppressions.length} suppressions loaded, ${results.suppressed.length} findings suppressed\n`);
+    }
+    results.suppressed.forEach(finding => {
+        io.stdout.write(`🔕 SUPPRESSED  ${finding.name}@${finding.version}  (${finding.path})\n`);
+        io.stdout.write(`    Reason: ${finding.suppression.reason} - owner: ${finding.suppression.owner}, expires ${finding.suppression.expires}\n`);
+    });
+}
+
+// Lockfile heuristics: reported, but never fail the scan
+function printSuspicious(results, io) {
+    results.suspicious.forEach(finding => {
+        io.stdout.write(`🔎 SUSPICIOUS  ${finding.name}@${finding.version}  (${finding.path})\n`);
+        finding.threat.signals.forEach(signal => io.stdout.write(`    ${signal.message}\n`));
+    });
+    if (results.suspicious.length > 0) {
+        io.stdout.write(`🔎 ${results.suspicious.length} suspicious packages: not on the compromised packages list, but worth a review\n`);
+    }
+}
+
+function printFindings(results, io) {
+    results.threats.forEach(threat => {
+        const label = severityLabels[threat.threat.severity] || '⚠️ UNKNOWN';
+        io.stdout.write(`${label}  ${threat.name}@${threat.version}  (${threat.path})\n`);
+        io.stdout.write(`    Known compromised versions: ${threat.threat.compromisedVersions.join(', ')}\n`);
+        if (threat.threat.versionSources) {
+            const provenance = threat.threat.compromisedVersions
+                .map(version => `${version} (${(threat.threat.versionSources[version] || []).join(', ') || 'unknown'})`);
+            io.stdout.write(`    Reported by: ${provenance.join(', ')}\n`);
+        }
+        if (threat.importers && threat.importers.length > 0) {
+            io.stdout.write(`    Workspace projects: ${threat.importers.join(', ')}\n`);
+        }
+        (threat.chains || []).forEach(chain => {
+            io.stdout.write(`    Chain: ${chain.join(' > ')}\n`);
+        });
+        if (threat.moreChains) {
+            io.stdout.write(`    +${threat.moreChains} more chains\n`);
+        }
+        if (threat.suppression) {
+            io.stdout.write(threat.suppression.status === 'expired' ?
+                `    Suppression expired on ${threat.suppression.expires} (owner: ${threat.suppression.owner})\n` :
+                '    Suppression ignored: CRITICAL exact matches need --allow-critical-suppressions\n');
+        }
+    });
+    
+    results.rangeFindings.forEach(finding => {
+        io.stdout.write(`🟣 RANGE  ${finding.name}@${finding.range}  (${finding.field})\n`);
+        io.stdout.write(`    Admits compromised versions: ${finding.threat.admittedVersions.join(', ')}\n`);
+        if (finding.threat.suggestedPin) {
+            io.stdout.write(`    Suggested pin: ${finding.threat.suggestedPin}\n`);
+        }
+        if (finding.threat.suggestedRange) {
+            io.stdout.write(`    Suggested range: ${finding.threat.suggestedRange}\n`);
+        }
+    });
+}
+
+// Options of detection.analyzeProject
+function analysisOptions(lockfilePath, options) {
+    return {
+        suppressions: readSuppressions(lockfilePath, options['ignore-file']),
+        allowCritical: options['allow-critical-suppressions'],
+        registries: options.registry,
+        allowInstallScripts: options['allow-install-script']
+    };
+}
+
+function printDatabase(compromisedData, io) {
+    io.stdout.write(`📦 Database: ${compromisedData.compromisedPackages.length} compromised packages (${compromisedData.attackName}, ${compromisedData.lastUpdate})\n`);
+}
+
+function scan(lockfilePath, options, io) {
+    const compromisedData = readJsonFile(options.db || DEFAULT_DB_PATH, 'compromised packages database');
+    const { content, lockfile } = readLockfile(lockfilePath);
+    const analysis = analysisOptions(lockfilePath, options);
+    
+    const results = analyzeProject(lockfile, compromisedData, analysis);
+    const blocking = results.threats.filter(isBlocking);
+    
+    if (options.format && options.format !== 'text') {
+        writeReport(results, { lockfilePath, lockfile, content, compromisedData }, options, io);
+        return blocking.length > 0 ? EXIT_THREATS : EXIT_OK;
+    }
+    
+    io.stdout.write(`🔍 Analyzed ${results.allPackages.length} packages from ${lockfilePath}` +
+        (results.local > 0 ? ` (${results.local} local workspace packages not checked)` : '') + '\n');
+    printDatabase(compromisedData, io);
+    printSuppressed(results, analysis.suppressions, io);
+    printSuspicious(results, io);
+    
+    if (results.threats.length === 0 && results.rangeFindings.length === 0) {
+        io.stdout.write('✅ No threats detected\n');
+        return EXIT_OK;
+    }
+    
+    printFindings(results, io);
+    printRemediationPlan(createPlan(results, lockfile, compromisedData), io);
+    
+    io.stdout.write(`\n${results.threats.length} findings, ${blocking.length} CRITICAL/HIGH` +
+        (results.rangeFindings.length > 0 ? `, ${results.rangeFindings.length} ranges admitting compromised versions` : '') + '\n');
+    
+    return blocking.length > 0 ? EXIT_THREATS : EXIT_OK;
+}
+
+function printChanges(changes, io) {
+    io.stdout.write(`📝 ${changes.added.length} added, ${changes.removed.length} removed, ${changes.changed.length} changed packages\n`);
+    changes.added.forEach(change => io.stdout.write(`  + ${change.name}@${change.versions.join(', ')}\n`));
+    changes.removed.forEach(change => io.stdout.write(`  - ${change.name}@${change.versions.join(', ')}\n`));
+    changes.changed.forEach(change => io.stdout.write(`  ~ ${change.name} ${change.from.join(', ')} → ${change.to.join(', ')}\n`));
+}
+
+// Compare a base and a head lockfile: only the findings the change introduced count
+function diff(basePath, headPath, options, io) {
+    const compromisedData = readJsonFile(options.db || DEFAULT_DB_PATH, 'compromised packages database');
+    const base = readLockfile(basePath);
+    const head = readLockfile(headPath);
+    const analysis = analysisOptions(headPath, options);
+    
+    const comparison = compareProjects(base.lockfile, head.lockfile, compromisedData, analysis);
+    const { results } = comparison;
+    const blocking = results.threats.filter(isBlocking);
+    
+    if (options.format && options.format !== 'text') {
+        writeReport(results, { lockfilePath: headPath, lockfile: head.lockfile, content: head.content, compromisedData, comparison, basePath }, options, io);
+        return blocking.length > 0 ? EXIT_THREATS : EXIT_OK;
+    }
+    
+    io.stdout.write(`🔍 Compared ${headPath} (${results.allPackages.length} packages) with ${basePath}\n`);
+    printDatabase(compromisedData, io);
+    printChanges(comparison.changes, io);
+    printSuppressed(results, analysis.suppressions, io);
+    printSuspicious(results, io);
+    
+    if (results.preexisting.length > 0) {
+        io.stdout.write(`ℹ️  ${results.preexisting.length} findings already in the base lockfile: ` +
+            `${results.preexisting.map(threat => `${threat.name}@${threat.version}`).join(', ')}\n`);
+    }
+    if (comparison.resolved.length > 0) {
+        io.stdout.write(`✅ Removed by the change: ${comparison.resolved.map(threat => `${threat.name}@${threat.version}`).join(', ')}\n`);
+    }
+    
+    if (results.threats.length === 0 && results.rangeFindings.length === 0) {
+        io.stdout.write('✅ No new threats introduced\n');
+        return EXIT_OK;
+    }
+    
+    printFindings(results, io);
+    printRemediationPlan(createPlan(results, head.lockfile, compromisedData), io);
+    
+    io.stdout.write(`\n${results.threats.length} new findings, ${blocking.length} CRITICAL/HIGH` +
+        (results.rangeFindings.length > 0 ? `, ${results.rangeFindings.length} new ranges admitting compromised versions` : '') + '\n');
+    
+    return blocking.length > 0 ? EXIT_THREATS : EXIT_OK;
+}
+
+// --lockfile, or the first lockfile of the project folder - null when there is none
+function projectLockfile(projectDir, lockfilePath) {
+    if (lockfilePath) return { path: lockfilePath, ...readLockfile(lockfilePath) };
+    const name = PROJECT_LOCKFILES.find(candidate => fs.existsSync(path.join(projectDir, candidate)));
+    return name ? { path: path.join(projectDir, name), ...readLockfile(path.join(projectDir, name)) } : null;
+}
+
+const PAYLOAD_LABELS = {
+    'payload-file': '☠️  PAYLOAD FILE',
+    'payload-hash': '☠️  PAYLOAD HASH',
+    'lifecycle-script': '☠️  LIFECYCLE SCRIPT'
+};
+
+function printLockfileDifferences(lockfilePath, changes, io) {
+    const count = changes.added.length + changes.removed.length + changes.changed.length;
+    if (count === 0) {
+        io.stdout.write(`✅ The installed packages match ${lockfilePath}\n`);
+        return;
+    }
+    io.stdout.write(`📝 The installed packages differ from ${lockfilePath}:\n`);
+    changes.added.forEach(change => io.stdout.write(`  + ${change.name}@${change.versions.join(', ')} installed but not in the lockfile\n`));
+    changes.removed.forEach(change => io.stdout.write(`  - ${change.name}@${change.versions.join(', ')} in the lockfile but not installed\n`));
+    changes.changed.forEach(change => io.stdout.write(`  ~ ${change.name} ${change.to.join(', ')} installed, ${change.from.join(', ')} in the lockfile\n`));
+}
+
+// Inspect what is really on disk: node_modules of a project, checked against the database and its lockfile
+function installed(projectDir, options, io) {
+    if (options.format && options.format !== 'text' && options.format !== 'json') {
+        throw new Error('installed reports are available in the text and json formats');
+    }
+    const nodeModules = path.join(projectDir, 'node_modules');
+    if (!fs.existsSync(nodeModules)) {
+        throw new Error(`No node_modules folder in ${projectDir}`);
+    }
+    
+    const compromisedData = readJsonFile(options.db || DEFAULT_DB_PATH, 'compromised packages database');
+    const lock = projectLockfile(projectDir, options.lockfile);
+    // Suppressions are looked for in the project folder
+    const analysis = analysisOptions(nodeModules, options);
+    
+    const packages = listInstalled(projectDir);
+    const dependencies = packages.map(({ name, version, path: installPath }) => ({ name, version, path: installPath }));
+    const results = analyzeProject({ format: 'node_modules', dependencies }, compromisedData, analysis);
+    const indicators = findPayloadIndicators(packages, compromisedData);
+    const changes = lock ? compareWithLockfile(packages, lock.lockfile) : null;
+    const blocking = results.threats.filter(isBlocking);
+    const exitCode = blocking.length > 0 || indicators.length > 0 ? EXIT_THREATS : EXIT_OK;
+    
+    if (options.format === 'json') {
+        const report = createReport(results, { parsed: { format: 'node_modules' }, fileName: reportPath(nodeModules), compromisedData });
+        report.payloadIndicators = indicators;
+        report.lockfile = lock ? { file: lock.path.split(path.sep).join('/'), ...changes } : null;
+        writeOutput(formatReport(report, 'json'), options, io);
+        return exitCode;
+    }
+    
+    io.stdout.write(`🔍 Inspected ${packages.length} installed packages in ${nodeModules}\n`);
+    printDatabase(compromisedData, io);
+    if (!compromisedData.payloadHashes) {
+        io.stdout.write('ℹ️  The database lists no payload hashes: payload files are found by name only\n');
+    }
+    if (lock) {
+        printLockfileDifferences(lock.path, changes, io);
+    } else {
+        io.stdout.write(`ℹ️  No lockfile found in ${projectDir} (--lockfile to compare with one)\n`);
+    }
+    printSuppressed(results, analysis.suppressions, io);
+    
+    indicators.forEach(indicator => {
+        io.stdout.write(`${PAYLOAD_LABELS[indicator.type]}  ${indicator.name}@${indicator.version}  (${indicator.file})\n`);
+        io.stdout.write(`    ${indicator.message}\n`);
+    });
+    
+    if (results.threats.length === 0 && indicators.length === 0) {
+        io.stdout.write('✅ No threats detected\n');
+        return EXIT_OK;
+    }
+    
+    printFindings(results, io);
+    io.stdout.write(`\n${results.threats.length} findings, ${blocking.length} CRITICAL/HIGH, ${indicators.length} payload indicators\n`);
+    if (indicators.length > 0) {
+        io.stdout.write('⚠️  Payload found: treat this machine as compromised, remove node_modules and rotate its credentials\n');
+    }
+    
+    return exitCode;
+}
+
+// Check a repository checkout for the indicators of lib/repository.js, with the incident response checklist
+function repo(checkoutDir, options, io) {
+    if (options.format && options.format !== 'text' && options.format !== 'json') {
+        throw new Error('repo reports are available in the text and json formats');
+    }
+    
+    const { files, workflows, manifests, findings } = scanRepository(checkoutDir);
+    const checklist = rotationChecklist(findings);
+    const exitCode = checklist.length > 0 ? EXIT_THREATS : EXIT_OK;
+    
+    if (options.format === 'json') {
+        writeOutput(JSON.stringify({ directory: checkoutDir.split(path.sep).join('/'), generatedAt: new Date().toISOString(), files, findings, checklist }, null, 2), options, io);
+        return exitCode;
+    }
+    
+    io.stdout.write(`🔍 Checked ${files} files in ${checkoutDir} (${workflows} workflows, ${manifests} package.json)\n`);
+    if (findings.length === 0) {
+        io.stdout.write('✅ No compromise indicators found\n');
+        return EXIT_OK;
+    }
+    
+    findings.forEach(finding => {
+        io.stdout.write(`${severityLabels[finding.severity]}  ${finding.file}${finding.line ? `:${finding.line}` : ''}\n`);
+        io.stdout.write(`    ${finding.message}\n`);
+    });
+    
+    const serious = findings.filter(finding => finding.severity === 'critical' || finding.severity === 'high');
+    io.stdout.write(`\n${findings.length} indicators, ${serious.length} CRITICAL/HIGH\n`);
+    if (checklist.length > 0) {
+        io.stdout.write('\n🚨 Incident response - treat the repository and the machines using it as compromised:\n');
+        checklist.forEach(item => {
+            io.stdout.write(`  [ ] ${item.title}: ${item.action}\n`);
+            io.stdout.write(`      because of ${item.files.join(', ')}\n`);
+        });
+    }
+    
+    return exitCode;
+}
+
+function describeCommit(commit) {
+    return `${commit.sha.slice(0, 10)} ${commit.date.replace('T', ' ')} by ${commit.author} <${commit.email}> - "${commit.subject}"`;
+}
+
+// Exposure windows of the compromised versions in the git history of a local clone
+function history(repoDir, options, io) {
+    if (options.format && options.format !== 'text' && options.format !== 'json') {
+        throw new Error('history reports are available in the text and json formats');
+    }
+    
+    const compromisedData = readJsonFile(options.db || DEFAULT_DB_PATH, 'compromised packages database');
+    const { lockfiles, windows } = scanHistory(repoDir, compromisedData, { lockfile: options.lockfile });
+    // Closed windows are past exposures to investigate, only a version still at HEAD fails the command
+    const exitCode = windows.some(window => !window.removed) ? EXIT_THREATS : EXIT_OK;
+    
+    if (options.format === 'json') {
+        const report = { repository: repoDir.split(path.sep).join('/'), generatedAt: new Date().toISOString(), database: describeDatabase(compromisedData), lockfiles, windows };
+        writeOutput(JSON.stringify(report, null, 2), options, io);
+        return exitCode;
+    }
+    
+    if (lockfiles.length === 0) {
+        io.stdout.write(`ℹ️  No lockfile in the history of ${repoDir}\n`);
+        return EXIT_OK;
+    }
+    io.stdout.write(`🔍 Walked the history of ${repoDir}: ${lockfiles.map(lockfile => `${lockfile.path} (${lockfile.revisions} revisions)`).join(', ')}\n`);
+    printDatabase(compromisedData, io);
+    lockfiles.forEach(lockfile => lockfile.errors.forEach(({ commit, message }) => {
+        io.stdout.write(`⚠️  ${lockfile.path} at ${commit.sha.slice(0, 10)} could not be read or parsed, revision skipped: ${message}\n`);
+    }));
+    
+    if (windows.length === 0) {
+        io.stdout.write('✅ No compromised version was ever committed\n');
+        return EXIT_OK;
+    }
+    
+    windows.forEach(window => {
+        io.stdout.write(`${severityLabels[window.severity]}  ${window.name}@${window.version}  (${window.lockfile})\n`);
+        io.stdout.write(`    Introduced: ${describeCommit(window.introduced)}\n`);
+        if (window.removed) {
+            io.stdout.write(`    Removed:    ${describeCommit(window.removed)}\n`);
+            io.stdout.write(`    Exposed for ${window.days} days\n`);
+        } else {
+            io.stdout.write(`    Still in the lockfile at HEAD - exposed for ${window.days} days so far\n`);
+        }
+    });
+    
+    const current = windows.filter(window => !window.removed);
+    io.stdout.write(`\n${windows.length} exposure windows, ${current.length} still open\n`);
+    
+    return exitCode;
+}
+
+// Entry point for bin/shai-hulud-tester.js - returns the process exit code
+function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                db: { type: 'string' },
+                format: { type: 'string' },
+                output: { type: 'string' },
+                lockfile: { type: 'string' },
+                'ignore-file': { type: 'string' },
+                'allow-critical-suppressions': { type: 'boolean' },
+                registry: { type: 'string', multiple: true },
+                'allow-install-script': { type: 'string', multiple: true },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        io.stderr.write(`❌ ${error.message}\n\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+    
+    const [command, ...args] = parsed.positionals;
+    
+    if (parsed.values.help) {
+        io.stdout.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+    
+    const { format } = parsed.values;
+    if (format && format !== 'text' && !REPORT_FORMATS.includes(format)) {
+        io.stderr.write(`❌ Unsupported report format "${format}". Supported: text, ${REPORT_FORMATS.join(', ')}\n`);
+        return EXIT_ERROR;
+    }
+    if (parsed.values.output && (!format || format === 'text')) {
+        io.stderr.write(`❌ --output requires a report format (--format ${REPORT_FORMATS.join('|')})\n`);
+        return EXIT_ERROR;
+    }
+    
+    try {
+        if (command === 'scan' && args.length === 1) {
+            return scan(args[0], parsed.values, io);
+        }
+        if (command === 'diff' && args.length === 2) {
+            return diff(args[0], args[1], parsed.values, io);
+        }
+        if (command === 'installed' && args.length === 1) {
+            return installed(args[0], parsed.values, io);
+        }
+        if (command === 'repo' && args.length === 1) {
+            return repo(args[0], parsed.values, io);
+        }
+        if (command === 'history' && args.length === 1) {
+            return history(args[0], parsed.values, io);
+        }
+    } catch (error) {
+        io.stderr.write(`❌ ${error.message}\n`);
+        return EXIT_ERROR;
+    }
+    
+    io.stderr.write(`${USAGE}\n`);
+    return EXIT_ERROR;
+}
+
+module.exports = {
+    run,
+    EXIT_OK,
+    EXIT_THREATS,
+    EXIT_ERROR
+};
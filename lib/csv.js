@@ -0,0 +1,76 @@
+// Strict RFC 4180 CSV parser - quoted fields with "" escapes, commas and line breaks, CRLF or LF records
+function parseCsv(content) {
+    const text = content.charCodeAt(0) === 0xFEFF ? content.slice(1) : content;
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let afterQuote = false;
+    let line = 1;
+    let recordLine = 1;
+    let i = 0;
+    
+    const endField = () => {
+        record.push(field);
+        field = '';
+        afterQuote = false;
+    };
+    const endRecord = () => {
+        endField();
+        // Blank lines carry no record
+        if (record.length > 1 || record[0] !== '') records.push({ line: recordLine, fields: record });
+        record = [];
+    };
+    
+    while (i < text.length) {
+        const char = text[i];
+        
+        if (quoted) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                quoted = false;
+                afterQuote = true;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            i++;
+            continue;
+        }
+        
+        if (char === ',') {
+            endField();
+        } else if (char === '\r' || char === '\n') {
+            endRecord();
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            line++;
+            recordLine = line;
+        } else if (char === '"') {
+            if (field !== '' || afterQuote) {
+                throw new SyntaxError(`CSV line ${line}: unexpected quote inside an unquoted field`);
+            }
+            quoted = true;
+        } else {
+            if (afterQuote) {
+                throw new SyntaxError(`CSV line ${line}: unexpected character after a closing quote`);
+            }
+            field += char;
+        }
+        i++;
+    }
+    
+    if (quoted) {
+        throw new SyntaxError(`CSV line ${line}: unterminated quoted field (truncated file?)`);
+    }
+    if (field !== '' || record.length > 0) endRecord();
+    
+    return records;
+}
+
+module.exports = {
+    parseCsv
+};
@@ -0,0 +1,39 @@
+// Compromised packages database - name-keyed index shared by the detection, range and remediation checks
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.database = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // One index per compromisedPackages array: built on first use, reused by every later lookup
+    const indexes = new WeakMap();
+
+    // Map of package name -> database entry
+    function indexDatabase(compromisedData) {
+        const packages = compromisedData.compromisedPackages;
+        let index = indexes.get(packages);
+        if (!index) {
+            index = new Map();
+            packages.forEach(pkg => {
+                // First entry wins, as with the linear search this index replaces
+                if (!index.has(pkg.name)) index.set(pkg.name, pkg);
+            });
+            indexes.set(packages, index);
+        }
+        return index;
+    }
+
+    // Database entry of a package, or null
+    function findPackage(compromisedData, packageName) {
+        return indexDatabase(compromisedData).get(packageName) || null;
+    }
+
+    return {
+        indexDatabase,
+        findPackage
+    };
+});
@@ -0,0 +1,203 @@
+// Shared detection engine - loaded by index.html (as a classic script) and by Node (CommonJS)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./npm-lock'), require('./semver'), require('./ranges'), require('./chains'), require('./database'), require('./suppressions'), require('./heuristics'));
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.detection = factory(root.ShaiHulud.npmLock, root.ShaiHulud.semver, root.ShaiHulud.ranges, root.ShaiHulud.chains, root.ShaiHulud.database, root.ShaiHulud.suppressions, root.ShaiHulud.heuristics);
+    }
+})(typeof self !== 'undefined' ? self : this, function (npmLock, semver, ranges, chains, database, suppressions, heuristics) {
+    'use strict';
+
+    // Dependencies matched between two progress reports
+    const PROGRESS_INTERVAL = 1000;
+
+    // Extract dependencies from package-lock (npm format v1, v2, v3)
+    function extractDependencies(packageLock) {
+        return npmLock.extractNpmDependencies(packageLock);
+    }
+
+    // Semantic version comparison (SemVer 2.0 precedence)
+    function compareVersions(v1, v2) {
+        return semver.compare(v1, v2);
+    }
+
+    // Position of the installed version relative to the compromised ones:
+    // 'exact', 'above' (newer than all), 'between', 'below' (older than all) or 'unknown' (not comparable)
+    function classifyVersion(version, compromisedVersions) {
+        if (compromisedVersions.includes(version)) return 'exact';
+        if (!semver.isValid(version)) return 'unknown';
+        
+        const comparisons = compromisedVersions
+            .filter(semver.isValid)
+            .map(compVer => compareVersions(version, compVer));
+        
+        if (comparisons.length === 0) return 'unknown';
+        // Same precedence, e.g. "1.0.0+build" or "v1.0.0" for "1.0.0"
+        if (comparisons.includes(0)) return 'exact';
+        if (comparisons.every(result => result > 0)) return 'above';
+        if (comparisons.every(result => result < 0)) return 'below';
+        return 'between';
+    }
+
+    // Check a package against the compromised packages data
+    function checkPackage(packageName, version, compromisedData) {
+        // Search for package in compromised list (name-keyed index, built once per database)
+        const compromisedPkg = database.findPackage(compromisedData, packageName);
+        
+        if (!compromisedPkg) return null;
+        
+        const versionPosition = classifyVersion(version, compromisedPkg.compromisedVersions);
+        const finding = {
+            compromisedVersions: compromisedPkg.compromisedVersions,
+            installedVersion: version,
+            exactMatch: versionPosition === 'exact',
+            versionPosition
+        };
+        
+        // Sources that reported each compromised version (multi-source databases)
+        if (compromisedPkg.versionSources) {
+            finding.versionSources = compromisedPkg.versionSources;
+        }
+        
+        // Exact compromised version (CRITICAL)
+        if (versionPosition === 'exact') {
+            return {
+                severity: 'critical',
+                description: `🚨 CRITICAL - Exact compromised version detected in ${compromisedData.attackName} attack`,
+                ...finding
+            };
+        }
+        
+        // Installed version is higher than compromised versions (HIGH)
+        if (versionPosition === 'above') {
+            return {
+                severity: 'high',
+                description: `⚠️ HIGH - This package has compromised versions. Your version is higher but stay vigilant.`,
+                ...finding
+            };
+        }
+        
+        // Installed version sits between compromised releases (HIGH)
+        if (versionPosition === 'between') {
+            return {
+                severity: 'high',
+                description: `⚠️ HIGH - This package has compromised versions released both before and after yours. Stay vigilant.`,
+                ...finding
+            };
+        }
+        
+        // Installed version predates every compromised release (LOW)
+        if (versionPosition === 'below') {
+            return {
+                severity: 'low',
+                description: `🔵 LOW - Package known as compromised but your version is older than every compromised version.`,
+                ...finding
+            };
+        }
+        
+        // Version that cannot be ordered against the compromised ones
+        return {
+            severity: 'warning',
+            description: `⚡ MEDIUM - Package known as compromised but your version differs.`,
+            ...finding
+        };
+    }
+
+    // Sort extracted dependencies into safe packages and threats
+    // options.onProgress({ done, total }) is called every PROGRESS_INTERVAL dependencies and at the end
+    function analyzeDependencies(dependencies, compromisedData, options = {}) {
+        const results = {
+            safe: 0,
+            local: 0,
+            warnings: 0,
+            threats: [],
+            allPackages: []
+        };
+        
+        const { onProgress } = options;
+        
+        // Analyze each dependency
+        dependencies.forEach((dep, index) => {
+            if (onProgress && index > 0 && index % PROGRESS_INTERVAL === 0) {
+                onProgress({ done: index, total: dependencies.length });
+            }
+            
+            // Workspace packages come from the project itself, not from the registry
+            if (dep.local) {
+                results.local++;
+                results.allPackages.push(dep);
+                return;
+            }
+            
+            const threat = checkPackage(dep.name, dep.version, compromisedData);
+            
+            if (threat) {
+                results.threats.push({
+                    ...dep,
+                    threat: threat
+                });
+            } else {
+                results.safe++;
+            }
+            
+            results.allPackages.push(dep);
+        });
+        
+        if (onProgress) onProgress({ done: dependencies.length, total: dependencies.length });
+        
+        return results;
+    }
+
+    // Analyze a parsed package-lock (npm format v1, v2, v3)
+    function analyzeLockfile(packageLock, compromisedData) {
+        return analyzeDependencies(extractDependencies(packageLock), compromisedData);
+    }
+
+    // Analyze a parsed lockfile or package.json (see lockfile.parseLockfile):
+    // installed packages with the chains that bring each threat in (threat.moreChains counts those left out),
+    // and declared ranges that could resolve to a compromised release
+    // options.suppressions (suppressions.parseSuppressions) move acknowledged findings to results.suppressed,
+    // with options.allowCritical and options.now (see suppressions.applySuppressions)
+    // results.suspicious lists the other packages whose lockfile entry looks risky, with options.registries
+    // and options.allowInstallScripts (see heuristics.analyzeHeuristics)
+    function analyzeProject(parsed, compromisedData, options = {}) {
+        const results = analyzeDependencies(parsed.dependencies, compromisedData, options);
+        
+        if (parsed.graph) {
+            results.threats.forEach(threat => {
+                const described = chains.describeChains(parsed.graph, parsed.dependencies, threat.path);
+                threat.chains = described.chains;
+                if (described.more > 0) threat.moreChains = described.more;
+            });
+        }
+        
+        Object.assign(results, suppressions.applySuppressions(results.threats, options.suppressions || [], options));
+        
+        results.rangeFindings = parsed.manifest ?
+            ranges.analyzeManifest(parsed.manifest, compromisedData, parsed.installedVersions) :
+            [];
+        
+        const matchedPaths = new Set([...results.threats, ...results.suppressed].map(finding => finding.path));
+        results.suspicious = heuristics.analyzeHeuristics(parsed, options, matchedPaths);
+        
+        return results;
+    }
+
+    // Findings that should block a merge
+    function isBlocking(threat) {
+        return threat.threat.severity === 'critical' || threat.threat.severity === 'high';
+    }
+
+    return {
+        PROGRESS_INTERVAL,
+        extractDependencies,
+        compareVersions,
+        classifyVersion,
+        checkPackage,
+        analyzeDependencies,
+        analyzeLockfile,
+        analyzeProject,
+        isBlocking
+    };
+});
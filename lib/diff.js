@@ -0,0 +1,97 @@
+// Lockfile comparison (code review) - packages added, removed and changed between a base and a head lockfile,
+// and the findings the change introduced: a package version installed in head but not in base
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./semver'), require('./detection'));
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.diff = factory(root.ShaiHulud.semver, root.ShaiHulud.detection);
+    }
+})(typeof self !== 'undefined' ? self : this, function (semver, detection) {
+    'use strict';
+
+    function packageKey(dependency) {
+        return `${dependency.name}@${dependency.version}`;
+    }
+
+    function rangeKey(finding) {
+        return `${finding.field}:${finding.name}@${finding.range}`;
+    }
+
+    // Installed versions by package name - workspace packages come from the project itself and are left out
+    function versionsByName(dependencies) {
+        const versions = new Map();
+        dependencies.filter(dependency => !dependency.local).forEach(dependency => {
+            if (!versions.has(dependency.name)) versions.set(dependency.name, new Set());
+            versions.get(dependency.name).add(String(dependency.version));
+        });
+        return versions;
+    }
+
+    // SemVer order, versions that are not SemVer (git, tarballs) last
+    function sortedVersions(versions) {
+        return Array.from(versions).sort((a, b) => {
+            const validA = semver.isValid(a);
+            const validB = semver.isValid(b);
+            if (validA && validB) return semver.compare(a, b);
+            return validA !== validB ? (validA ? -1 : 1) : a.localeCompare(b);
+        });
+    }
+
+    // Packages by name: { added: [{ name, versions }], removed: [{ name, versions }], changed: [{ name, from, to }] }
+    // A package whose set of installed versions differs (upgrade, downgrade, a second copy) is changed
+    function diffDependencies(baseDependencies, headDependencies) {
+        const base = versionsByName(baseDependencies);
+        const head = versionsByName(headDependencies);
+        const names = Array.from(new Set([...base.keys(), ...head.keys()])).sort();
+        const changes = { added: [], removed: [], changed: [] };
+        
+        names.forEach(name => {
+            const from = base.get(name);
+            const to = head.get(name);
+            if (!from) {
+                changes.added.push({ name, versions: sortedVersions(to) });
+            } else if (!to) {
+                changes.removed.push({ name, versions: sortedVersions(from) });
+            } else if (from.size !== to.size || Array.from(to).some(version => !from.has(version))) {
+                changes.changed.push({ name, from: sortedVersions(from), to: sortedVersions(to) });
+            }
+        });
+        
+        return changes;
+    }
+
+    // Compare two parsed lockfiles (see lockfile.parseLockfile), options as in detection.analyzeProject:
+    // { changes, results, resolved }
+    //   results   head results limited to the findings the change introduced (and the ranges it added),
+    //             suspicious packages included,
+    //             results.preexisting holds the head findings whose package version was already in base
+    //   resolved  findings of base whose package version is gone from head
+    function compareProjects(baseParsed, headParsed, compromisedData, options = {}) {
+        const base = detection.analyzeProject(baseParsed, compromisedData, { ...options, onProgress: null });
+        const head = detection.analyzeProject(headParsed, compromisedData, options);
+        
+        const baseInstalled = new Set(baseParsed.dependencies.map(packageKey));
+        const headInstalled = new Set(headParsed.dependencies.map(packageKey));
+        const baseRanges = new Set(base.rangeFindings.map(rangeKey));
+        const introduced = finding => !baseInstalled.has(packageKey(finding));
+        
+        return {
+            changes: diffDependencies(baseParsed.dependencies, headParsed.dependencies),
+            results: {
+                ...head,
+                threats: head.threats.filter(introduced),
+                preexisting: head.threats.filter(finding => !introduced(finding)),
+                suppressed: head.suppressed.filter(introduced),
+                rangeFindings: head.rangeFindings.filter(finding => !baseRanges.has(rangeKey(finding))),
+                suspicious: head.suspicious.filter(introduced)
+            },
+            resolved: base.threats.filter(threat => !headInstalled.has(packageKey(threat)))
+        };
+    }
+
+    return {
+        diffDependencies,
+        compareProjects
+    };
+});
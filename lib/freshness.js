@@ -0,0 +1,42 @@
+// Database freshness - warn when the (possibly cached, offline) database is older than a threshold
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.freshness = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Default threshold, overridable by the page (meta tag) and by the user (settings)
+    const DEFAULT_MAX_AGE_DAYS = 7;
+
+    const DAY = 24 * 60 * 60 * 1000;
+
+    // Threshold in days from a setting: a positive number, otherwise the fallback
+    function parseMaxAge(value, fallback = DEFAULT_MAX_AGE_DAYS) {
+        const days = Number(value);
+        return value !== null && value !== undefined && value !== '' && Number.isFinite(days) && days > 0 ? days : fallback;
+    }
+
+    // Whole days between lastUpdate ("2025-11-25" or an ISO date) and now, null when the date is invalid
+    function databaseAge(lastUpdate, now = new Date()) {
+        const updated = new Date(lastUpdate).getTime();
+        if (Number.isNaN(updated)) return null;
+        return Math.max(0, Math.floor((now.getTime() - updated) / DAY));
+    }
+
+    // { ageDays, maxAgeDays, stale } - a database without a valid date is stale
+    function checkFreshness(lastUpdate, maxAgeDays = DEFAULT_MAX_AGE_DAYS, now = new Date()) {
+        const ageDays = databaseAge(lastUpdate, now);
+        return { ageDays, maxAgeDays, stale: ageDays === null || ageDays > maxAgeDays };
+    }
+
+    return {
+        DEFAULT_MAX_AGE_DAYS,
+        parseMaxAge,
+        databaseAge,
+        checkFreshness
+    };
+});
@@ -0,0 +1,165 @@
+// Lockfile heuristics - signs of risk in package-lock.json entries (lockfileVersion 2 and 3) of packages that are
+// not on the compromised packages list: install scripts, tarballs from outside the registries, missing or weak
+// integrity, git and tarball dependencies. Reported with the "suspicious" severity, apart from the IOC matches.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.heuristics = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SUSPICIOUS = 'suspicious';
+
+    // Registries whose tarballs are expected - options.registries adds private registries and mirrors
+    const DEFAULT_REGISTRIES = ['https://registry.npmjs.org/', 'https://registry.yarnpkg.com/'];
+
+    // Well-known packages whose install scripts build native code or download binaries - keep sorted.
+    // "@scope/*" allows a whole scope; options.allowInstallScripts adds project-specific entries.
+    const INSTALL_SCRIPT_ALLOWLIST = [
+        '@parcel/watcher',
+        '@prisma/client',
+        '@prisma/engines',
+        '@sentry/cli',
+        '@swc/core',
+        'bcrypt',
+        'better-sqlite3',
+        'bufferutil',
+        'canvas',
+        'core-js',
+        'core-js-pure',
+        'cpu-features',
+        'cypress',
+        'deasync',
+        'electron',
+        'es5-ext',
+        'esbuild',
+        'fsevents',
+        'husky',
+        'keytar',
+        'leveldown',
+        'lmdb',
+        'msgpackr-extract',
+        'msw',
+        'node-pty',
+        'node-sass',
+        'nx',
+        'prisma',
+        'protobufjs',
+        'puppeteer',
+        're2',
+        'sharp',
+        'sqlite3',
+        'ssh2',
+        'unrs-resolver',
+        'utf-8-validate'
+    ];
+
+    // Integrity algorithms considered strong enough (Subresource Integrity)
+    const STRONG_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+
+    function withTrailingSlash(url) {
+        return url.endsWith('/') ? url : `${url}/`;
+    }
+
+    function isAllowed(name, allowlist) {
+        return allowlist.some(entry => entry === name || (entry.endsWith('/*') && name.startsWith(entry.slice(0, -1))));
+    }
+
+    // Where a lockfile entry was resolved from: 'registry', 'foreign-registry', 'git', 'tarball' or null (not recorded)
+    function classifyResolved(resolved, registries) {
+        if (!resolved) return null;
+        if (/^(git(\+[a-z]+)?|github|gitlab|bitbucket):/i.test(resolved)) return 'git';
+        if (/^https?:\/\//i.test(resolved)) {
+            if (registries.some(registry => resolved.startsWith(registry))) return 'registry';
+            // Registry tarball URLs end with /<name>/-/<name>-<version>.tgz
+            return /\/-\/[^/]+\.tgz$/i.test(resolved) ? 'foreign-registry' : 'tarball';
+        }
+        if (/^file:.*\.(tgz|tar\.gz|tar)$/i.test(resolved)) return 'tarball';
+        return null;
+    }
+
+    // Algorithms of an SRI integrity string: "sha512-… sha1-…" -> ['sha512', 'sha1']
+    function integrityAlgorithms(integrity) {
+        return String(integrity).trim().split(/\s+/).map(hash => hash.split('-')[0].toLowerCase());
+    }
+
+    function hostOf(url) {
+        const match = /^[a-z+]+:\/\/(?:[^@/]*@)?([^/:#]+)/i.exec(url);
+        return match ? match[1] : url;
+    }
+
+    // Signals of one lockfile entry: [{ type, message }], type is 'install-script', 'foreign-registry', 'git-dependency',
+    // 'tarball-dependency', 'missing-integrity' or 'weak-integrity'
+    function inspectEntry(dependency, entry, { registries, allowlist }) {
+        const signals = [];
+        const source = classifyResolved(entry.resolved, registries);
+        
+        if (entry.hasInstallScript && !isAllowed(dependency.name, allowlist)) {
+            signals.push({ type: 'install-script', message: 'Runs an install script (preinstall, install or postinstall) and is not on the allowlist' });
+        }
+        if (source === 'foreign-registry') {
+            signals.push({ type: 'foreign-registry', message: `Resolved from ${hostOf(entry.resolved)}, outside the configured registries` });
+        } else if (source === 'git') {
+            signals.push({ type: 'git-dependency', message: `Installed from a git repository: ${entry.resolved}` });
+        } else if (source === 'tarball') {
+            signals.push({ type: 'tarball-dependency', message: `Installed from a tarball: ${entry.resolved}` });
+        }
+        
+        // Only downloaded tarballs are verified: bundled packages ship inside their parent's tarball,
+        // git dependencies are pinned by commit
+        if (entry.resolved && !entry.inBundle && source !== 'git') {
+            const algorithms = entry.integrity ? integrityAlgorithms(entry.integrity) : [];
+            if (algorithms.length === 0) {
+                signals.push({ type: 'missing-integrity', message: 'No integrity hash: the downloaded tarball is not verified' });
+            } else if (!algorithms.some(algorithm => STRONG_ALGORITHMS.includes(algorithm))) {
+                signals.push({ type: 'weak-integrity', message: `Weak integrity hash (${algorithms.join(', ')}) instead of sha512` });
+            }
+        }
+        
+        return signals;
+    }
+
+    // Suspicious findings of a parsed lockfile (see lockfile.parseLockfile) - only npm lockfiles with "packages" entries
+    // carry the install metadata. Packages in skipPaths (IOC matches) are left out.
+    // [{ ...dependency, threat: { severity: 'suspicious', description, signals } }]
+    // options: { registries, allowInstallScripts } extend DEFAULT_REGISTRIES and INSTALL_SCRIPT_ALLOWLIST
+    function analyzeHeuristics(parsed, options = {}, skipPaths = new Set()) {
+        if (!parsed.installMetadata) return [];
+        
+        const settings = {
+            registries: [...DEFAULT_REGISTRIES, ...(options.registries || [])].map(withTrailingSlash),
+            allowlist: [...INSTALL_SCRIPT_ALLOWLIST, ...(options.allowInstallScripts || [])]
+        };
+        
+        const findings = [];
+        parsed.dependencies.forEach(dependency => {
+            const entry = parsed.installMetadata[dependency.path];
+            if (!entry || dependency.local || skipPaths.has(dependency.path)) return;
+            
+            const signals = inspectEntry(dependency, entry, settings);
+            if (signals.length === 0) return;
+            
+            findings.push({
+                ...dependency,
+                threat: {
+                    severity: SUSPICIOUS,
+                    description: 'Not on the compromised packages list, but its lockfile entry deserves a review',
+                    signals
+                }
+            });
+        });
+        
+        return findings;
+    }
+
+    return {
+        SUSPICIOUS,
+        DEFAULT_REGISTRIES,
+        INSTALL_SCRIPT_ALLOWLIST,
+        classifyResolved,
+        analyzeHeuristics
+    };
+});
@@ -0,0 +1,126 @@
+// Git history scan for the CLI - "how long were we exposed?". Every commit of a local clone that touched a lockfile
+// is analyzed, and each compromised version (exact match, CRITICAL) gets its exposure windows: the commit that
+// brought it into the lockfile and the commit that took it out, with their authors and dates. Only the local
+// repository is read (git log, git cat-file): no fetch, no network.
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { parseLockfile } = require('./lockfile');
+const { analyzeDependencies } = require('./detection');
+
+const LOCKFILE_NAMES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'];
+// Lockfiles of large monorepos exceed the default 1 MB of execFileSync
+const MAX_BUFFER = 512 * 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+// Separates the fields of the git log format
+const FIELD_SEPARATOR = '\x1f';
+
+function git(repoDir, args) {
+    try {
+        return execFileSync('git', ['-C', repoDir, '-c', 'core.quotePath=false', ...args], {
+            encoding: 'utf-8',
+            maxBuffer: MAX_BUFFER,
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new Error('git is required to scan the history');
+        throw new Error(String(error.stderr || error.message).trim());
+    }
+}
+
+// Lockfiles touched by the history of HEAD, deleted ones included, relative to the repository root
+function findLockfiles(repoDir) {
+    const files = git(repoDir, ['log', '--format=', '--name-only', 'HEAD']).split('\n').map(file => file.trim());
+    return Array.from(new Set(files.filter(file => LOCKFILE_NAMES.includes(path.posix.basename(file)) && !file.split('/').includes('node_modules')))).sort();
+}
+
+// Commits that touched a file, oldest first: [{ sha, author, email, date, subject }]
+function listRevisions(repoDir, file) {
+    const format = ['%H', '%an', '%ae', '%aI', '%s'].join(FIELD_SEPARATOR);
+    return git(repoDir, ['log', '--reverse', `--format=${format}`, 'HEAD', '--', file])
+        .split('\n')
+        .filter(line => line)
+        .map(line => {
+            const [sha, author, email, date, subject] = line.split(FIELD_SEPARATOR);
+            return { sha, author, email, date, subject };
+        });
+}
+
+// Content of a file at a commit - null when the commit deleted it. Unreadable objects (corrupt repository, missing
+// objects of a shallow clone, lockfiles beyond MAX_BUFFER) throw: they say nothing about the file being deleted.
+function readRevision(repoDir, sha, file) {
+    if (git(repoDir, ['ls-tree', '--name-only', sha, '--', file]).trim() === '') return null;
+    return git(repoDir, ['cat-file', 'blob', `${sha}:${file}`]);
+}
+
+// Compromised versions of a lockfile revision, by "name@version": Map(key -> { name, version, severity })
+function compromisedVersions(content, file, compromisedData) {
+    const parsed = parseLockfile(content, path.posix.basename(file));
+    const found = new Map();
+    analyzeDependencies(parsed.dependencies, compromisedData).threats
+        .filter(threat => threat.threat.severity === 'critical')
+        .forEach(threat => found.set(`${threat.name}@${threat.version}`, { name: threat.name, version: threat.version, severity: threat.threat.severity }));
+    return found;
+}
+
+// Exposure windows of one lockfile: { path, revisions, errors, windows }
+// windows: [{ lockfile, name, version, severity, introduced, removed, days }], removed is null while the version
+// is still in the lockfile at HEAD. Revisions that cannot be read or parsed are listed in errors and skipped.
+function scanLockfileHistory(repoDir, file, compromisedData, now) {
+    const revisions = listRevisions(repoDir, file);
+    const errors = [];
+    const windows = [];
+    const open = new Map();
+    
+    revisions.forEach(commit => {
+        let present;
+        try {
+            const content = readRevision(repoDir, commit.sha, file);
+            present = content === null ? new Map() : compromisedVersions(content, file, compromisedData);
+        } catch (error) {
+            errors.push({ commit, message: error.message });
+            return;
+        }
+        
+        open.forEach((window, key) => {
+            if (present.has(key)) return;
+            window.removed = commit;
+            open.delete(key);
+        });
+        present.forEach((finding, key) => {
+            if (open.has(key)) return;
+            const window = { lockfile: file, ...finding, introduced: commit, removed: null, days: null };
+            windows.push(window);
+            open.set(key, window);
+        });
+    });
+    
+    windows.forEach(window => {
+        const end = window.removed ? new Date(window.removed.date) : now;
+        window.days = Math.round((end - new Date(window.introduced.date)) / DAY * 10) / 10;
+    });
+    
+    return { path: file, revisions: revisions.length, errors, windows };
+}
+
+// Exposure windows of a local clone, for the lockfiles of its history or the given one (path in the repository):
+// { lockfiles: [{ path, revisions, errors }], windows }
+function scanHistory(repoDir, compromisedData, { lockfile = null, now = new Date() } = {}) {
+    git(repoDir, ['rev-parse', '--verify', '--quiet', 'HEAD']);
+    
+    const files = lockfile ? [lockfile.split(path.sep).join('/')] : findLockfiles(repoDir);
+    const scanned = files.map(file => scanLockfileHistory(repoDir, file, compromisedData, now));
+    if (lockfile && scanned[0].revisions === 0) {
+        throw new Error(`No commit touches ${lockfile}`);
+    }
+    
+    return {
+        lockfiles: scanned.map(({ path: file, revisions, errors }) => ({ path: file, revisions, errors })),
+        windows: scanned.flatMap(result => result.windows)
+    };
+}
+
+module.exports = {
+    LOCKFILE_NAMES,
+    findLockfiles,
+    scanHistory
+};
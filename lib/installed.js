@@ -0,0 +1,150 @@
+// Installed packages scanner for the CLI - walks a node_modules tree, reads each package.json and looks for the
+// Shai-Hulud payload: its files, the SHA-256 of known malicious files (database "payloadHashes") and the lifecycle
+// scripts that run them. A lockfile does not prove what is on disk: compareWithLockfile reports the differences.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { diffDependencies } = require('./diff');
+
+// Shai-Hulud 2.0 payload: the loader run by the preinstall script and the bundled credential stealer
+const PAYLOAD_FILE_NAMES = ['setup_bun.js', 'bun_environment.js'];
+const LIFECYCLE_SCRIPTS = ['preinstall', 'install', 'postinstall', 'prepare'];
+// Larger files are not hashed (bun_environment.js is about 10 MB)
+const MAX_HASHED_FILE_SIZE = 64 * 1024 * 1024;
+
+function readManifest(dir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf-8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Entries sorted by name, so that reports do not depend on the file system order
+function readDirectory(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => (a.name < b.name ? -1 : (a.name > b.name ? 1 : 0)));
+    } catch (error) {
+        return [];
+    }
+}
+
+// Installed packages of a project: [{ name, version, path, dir, manifest }], path as in package-lock.json
+// ("node_modules/a/node_modules/b"). Symbolic links (workspaces, pnpm's top-level links) are not followed:
+// pnpm packages are read from node_modules/.pnpm instead.
+function listInstalled(projectDir) {
+    const packages = [];
+    
+    function visitPackage(dir, installPath) {
+        const manifest = readManifest(dir);
+        if (manifest && typeof manifest.name === 'string' && typeof manifest.version === 'string') {
+            packages.push({ name: manifest.name, version: manifest.version, path: installPath, dir, manifest });
+        }
+        visitNodeModules(path.join(dir, 'node_modules'), `${installPath}/`);
+    }
+    
+    function visitNodeModules(dir, prefix) {
+        readDirectory(dir).forEach(entry => {
+            if (entry.name === '.pnpm' && entry.isDirectory()) {
+                readDirectory(path.join(dir, entry.name))
+                    .filter(store => store.isDirectory())
+                    .forEach(store => visitNodeModules(path.join(dir, entry.name, store.name, 'node_modules'), `${prefix}node_modules/.pnpm/${store.name}/`));
+                return;
+            }
+            if (entry.name.startsWith('.') || !entry.isDirectory()) return;
+            
+            if (entry.name.startsWith('@')) {
+                readDirectory(path.join(dir, entry.name))
+                    .filter(scoped => scoped.isDirectory())
+                    .forEach(scoped => visitPackage(path.join(dir, entry.name, scoped.name), `${prefix}node_modules/${entry.name}/${scoped.name}`));
+            } else {
+                visitPackage(path.join(dir, entry.name), `${prefix}node_modules/${entry.name}`);
+            }
+        });
+    }
+    
+    visitNodeModules(path.join(projectDir, 'node_modules'), '');
+    return packages;
+}
+
+// Files of a package, relative to its folder with "/" separators, without its nested node_modules
+function packageFiles(dir, prefix = '') {
+    return readDirectory(dir).flatMap(entry => {
+        if (entry.isDirectory()) {
+            return entry.name === 'node_modules' ? [] : packageFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`);
+        }
+        return entry.isFile() ? [`${prefix}${entry.name}`] : [];
+    });
+}
+
+function sha256Of(filePath) {
+    if (fs.statSync(filePath).size > MAX_HASHED_FILE_SIZE) return null;
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Files run by a lifecycle script: "node setup_bun.js", "node ./scripts/x.js && …"
+function scriptTargets(command) {
+    return Array.from(String(command).matchAll(/\b(?:node|bun)\s+([^\s;&|]+)/g), match => path.posix.normalize(match[1]));
+}
+
+// Payload indicators of the installed packages: [{ type, name, version, path, file, message, sha256 }]
+// type: 'payload-file', 'payload-hash' or 'lifecycle-script'. Hashed files are the payload file names,
+// the file names of the database hashes and the files run by lifecycle scripts.
+function findPayloadIndicators(packages, compromisedData) {
+    const knownHashes = new Map((compromisedData.payloadHashes || []).map(entry => [entry.sha256.toLowerCase(), entry]));
+    const hashedNames = new Set([...PAYLOAD_FILE_NAMES, ...Array.from(knownHashes.values()).map(entry => entry.fileName).filter(Boolean)]);
+    const indicators = [];
+    
+    packages.forEach(pkg => {
+        const indicator = (type, file, message, extra = {}) => indicators.push({
+            type, name: pkg.name, version: pkg.version, path: pkg.path, file: `${pkg.path}/${file}`, message, ...extra
+        });
+        const scripts = LIFECYCLE_SCRIPTS
+            .filter(script => pkg.manifest.scripts && typeof pkg.manifest.scripts[script] === 'string')
+            .map(script => ({ script, command: pkg.manifest.scripts[script], targets: scriptTargets(pkg.manifest.scripts[script]) }));
+        const targets = new Set(scripts.flatMap(({ targets: files }) => files));
+        const maliciousFiles = new Set();
+        
+        packageFiles(pkg.dir).forEach(file => {
+            const fileName = path.posix.basename(file);
+            if (PAYLOAD_FILE_NAMES.includes(fileName)) {
+                indicator('payload-file', file, `Shai-Hulud payload file ${fileName}`);
+                maliciousFiles.add(file);
+            }
+            if (knownHashes.size === 0 || !(hashedNames.has(fileName) || targets.has(file))) return;
+            
+            const sha256 = sha256Of(path.join(pkg.dir, file));
+            const known = sha256 && knownHashes.get(sha256);
+            if (known) {
+                indicator('payload-hash', file, `SHA-256 matches a known malicious file${known.description ? ` (${known.description})` : ''}`, { sha256 });
+                maliciousFiles.add(file);
+            }
+        });
+        
+        scripts.forEach(({ script, command, targets: files }) => {
+            const runsPayload = files.some(file => maliciousFiles.has(file)) ||
+                PAYLOAD_FILE_NAMES.some(fileName => command.includes(fileName));
+            if (runsPayload) indicator('lifecycle-script', 'package.json', `"${script}" script runs the payload: ${command}`);
+        });
+    });
+    
+    return indicators;
+}
+
+// Where the installed tree disagrees with a parsed lockfile (see lockfile.parseLockfile), as diff.diffDependencies:
+// added = installed but not locked, removed = locked but not installed, changed = other versions installed.
+// Optional and peer entries missing from the disk are expected (other platforms, not installed peers).
+function compareWithLockfile(packages, parsed) {
+    const installed = new Set(packages.map(pkg => `${pkg.name}@${pkg.version}`));
+    const expected = parsed.dependencies.filter(dependency => !dependency.local &&
+        (installed.has(`${dependency.name}@${dependency.version}`) || !(dependency.optional || dependency.devOptional || dependency.peer)));
+    return diffDependencies(expected, packages);
+}
+
+module.exports = {
+    PAYLOAD_FILE_NAMES,
+    LIFECYCLE_SCRIPTS,
+    listInstalled,
+    findPayloadIndicators,
+    compareWithLockfile
+};
@@ -0,0 +1,97 @@
+// Package inventory - every analyzed package with its flags and verdict, with search, filters, sorting and pages
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.inventory = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_PAGE_SIZE = 50;
+
+    // Verdicts from the most to the least severe
+    const VERDICT_ORDER = ['critical', 'high', 'warning', 'low', 'suspicious', 'suppressed', 'local', 'safe'];
+
+    // Dependency flags recorded by npm lockfiles (yarn and pnpm do not record them)
+    const FLAGS = ['dev', 'optional', 'devOptional', 'peer'];
+
+    // { name, version, path, flags, verdict, searchText } for each package of results.allPackages
+    function buildInventory(results) {
+        const severityByPath = new Map([
+            ...(results.suspicious || []).map(finding => [finding.path, 'suspicious']),
+            ...(results.suppressed || []).map(finding => [finding.path, 'suppressed']),
+            // Comparisons: findings already in the base lockfile (see diff.compareProjects)
+            ...[...(results.preexisting || []), ...results.threats].map(threat => [threat.path, threat.threat.severity])
+        ]);
+        
+        return results.allPackages.map(dependency => {
+            const name = String(dependency.name);
+            const version = String(dependency.version);
+            const path = String(dependency.path);
+            return {
+                name,
+                version,
+                path,
+                flags: FLAGS.filter(flag => dependency[flag]),
+                verdict: dependency.local ? 'local' : (severityByPath.get(dependency.path) || 'safe'),
+                searchText: `${name} ${version} ${path}`.toLowerCase()
+            };
+        });
+    }
+
+    // "prod" for packages without any flag
+    function matchesType(row, type) {
+        if (!type) return true;
+        if (type === 'prod') return row.flags.length === 0;
+        return row.flags.includes(type);
+    }
+
+    const COMPARATORS = {
+        name: (a, b) => a.name.localeCompare(b.name) || a.path.localeCompare(b.path),
+        version: (a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }) || a.name.localeCompare(b.name),
+        path: (a, b) => a.path.localeCompare(b.path),
+        verdict: (a, b) => VERDICT_ORDER.indexOf(a.verdict) - VERDICT_ORDER.indexOf(b.verdict) || a.name.localeCompare(b.name),
+        flags: (a, b) => a.flags.join(',').localeCompare(b.flags.join(',')) || a.name.localeCompare(b.name)
+    };
+
+    // One page of the inventory: { rows, total, filtered, page, pageCount }
+    function queryInventory(rows, {
+        search = '',
+        verdict = '',
+        type = '',
+        sortBy = 'name',
+        sortDirection = 'asc',
+        page = 1,
+        pageSize = DEFAULT_PAGE_SIZE
+    } = {}) {
+        const needle = search.trim().toLowerCase();
+        const filtered = rows.filter(row =>
+            (!needle || row.searchText.includes(needle)) &&
+            (!verdict || row.verdict === verdict) &&
+            matchesType(row, type)
+        );
+        
+        const comparator = COMPARATORS[sortBy] || COMPARATORS.name;
+        filtered.sort(sortDirection === 'desc' ? (a, b) => comparator(b, a) : comparator);
+        
+        const pageCount = Math.max(1, Math.ceil(filtered.length / pageSize));
+        const current = Math.min(Math.max(1, page), pageCount);
+        
+        return {
+            rows: filtered.slice((current - 1) * pageSize, current * pageSize),
+            total: rows.length,
+            filtered: filtered.length,
+            page: current,
+            pageCount
+        };
+    }
+
+    return {
+        DEFAULT_PAGE_SIZE,
+        VERDICT_ORDER,
+        buildInventory,
+        queryInventory
+    };
+});
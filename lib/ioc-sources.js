@@ -0,0 +1,314 @@
+// IOC sources for convert-list.js - parse vendor lists (CSV, JSON, OSV) and merge them into one database
+const semver = require('./semver');
+const { parseCsv } = require('./csv');
+
+const SUPPORTED_FORMATS = ['csv', 'json', 'osv'];
+
+// Column names used by vendors for the package name and its versions
+const NAME_COLUMNS = ['package_name', 'package', 'name'];
+const VERSION_COLUMNS = ['package_versions', 'versions', 'version'];
+
+// npm package names: optional scope, URL-safe characters, at most 214 characters (legacy names may contain capitals)
+const PACKAGE_NAME_PATTERN = /^(?:@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/i;
+const MAX_PACKAGE_NAME_LENGTH = 214;
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+// Anomaly guard defaults, overridable with "guard" in ioc-sources.json
+const DEFAULT_GUARD = {
+    // Refuse when the package count drops by more than this ratio compared to the existing database
+    maxPackageDrop: 0.2,
+    // Refuse when more than this ratio of the imported records are rejected
+    maxErrorRate: 0.05
+};
+
+function splitVersions(value) {
+    return String(value).split(',').map(version => version.trim()).filter(version => version);
+}
+
+// CSV with a header row, e.g. DataDog's "package_name,package_versions,sources".
+// Records with a wrong number of fields are reported in errors and skipped.
+function parseCsvSource(content, errors = []) {
+    const records = parseCsv(content);
+    if (records.length === 0) return [];
+    
+    const header = records[0].fields.map(column => column.trim().toLowerCase());
+    const nameIndex = header.findIndex(column => NAME_COLUMNS.includes(column));
+    const versionIndex = header.findIndex(column => VERSION_COLUMNS.includes(column));
+    if (nameIndex === -1 || versionIndex === -1) {
+        throw new Error(`CSV header must contain a package name (${NAME_COLUMNS.join(', ')}) and a version column (${VERSION_COLUMNS.join(', ')})`);
+    }
+    
+    const entries = [];
+    records.slice(1).forEach(({ line, fields }) => {
+        if (fields.length !== header.length) {
+            errors.push({ line, message: `expected ${header.length} fields, found ${fields.length}` });
+            return;
+        }
+        entries.push({ name: fields[nameIndex].trim(), versions: splitVersions(fields[versionIndex]), line });
+    });
+    
+    return entries;
+}
+
+// JSON lists: this project's database format, an array of { name, versions } or a { name: [versions] } map
+function parseJsonSource(content) {
+    const data = JSON.parse(content);
+    const list = Array.isArray(data) ? data : data.compromisedPackages;
+    
+    if (Array.isArray(list)) {
+        return list.map(entry => {
+            const versions = entry.compromisedVersions || entry.versions || entry.version || [];
+            return { name: entry.name, versions: Array.isArray(versions) ? versions.map(String) : splitVersions(versions) };
+        }).filter(entry => entry.name);
+    }
+    
+    if (data && typeof data === 'object') {
+        return Object.entries(data).map(([name, versions]) => ({
+            name,
+            versions: Array.isArray(versions) ? versions.map(String) : splitVersions(versions)
+        }));
+    }
+    
+    throw new Error('JSON source must be an array, a { compromisedPackages } object or a { name: versions } map');
+}
+
+// OSV records (https://ossf.github.io/osv-schema/): a record, an array of records or { vulns: [...] }
+// Only explicitly listed npm versions are used - open ranges such as "introduced: 0" cannot be expanded offline
+function parseOsvSource(content) {
+    const data = JSON.parse(content);
+    const records = Array.isArray(data) ? data : (data.vulns || [data]);
+    const entries = [];
+    
+    records.forEach(record => {
+        (record.affected || []).forEach(affected => {
+            const pkg = affected.package || {};
+            if (pkg.ecosystem !== 'npm' || !pkg.name || !Array.isArray(affected.versions)) return;
+            entries.push({ name: pkg.name, versions: affected.versions.map(String) });
+        });
+    });
+    
+    return entries;
+}
+
+// SHA-256 hashes of known malicious files, listed by JSON sources in "payloadHashes":
+// [{ sha256, fileName, description }] - other formats carry none. Invalid hashes are reported in errors.
+function parsePayloadHashes(content, format, errors = []) {
+    if (format !== 'json') return [];
+    
+    const data = JSON.parse(content);
+    const list = data && !Array.isArray(data) && Array.isArray(data.payloadHashes) ? data.payloadHashes : [];
+    return list.filter(entry => {
+        if (entry && typeof entry.sha256 === 'string' && SHA256_PATTERN.test(entry.sha256)) return true;
+        errors.push({ message: `invalid payload hash ${JSON.stringify(entry && entry.sha256)}` });
+        return false;
+    }).map(entry => ({
+        sha256: entry.sha256.toLowerCase(),
+        fileName: typeof entry.fileName === 'string' ? entry.fileName : null,
+        description: typeof entry.description === 'string' ? entry.description : null
+    }));
+}
+
+function isValidPackageName(name) {
+    return typeof name === 'string' &&
+        name.length <= MAX_PACKAGE_NAME_LENGTH &&
+        PACKAGE_NAME_PATTERN.test(name);
+}
+
+// Drop invalid package names and versions, reporting each of them in errors
+function validateEntries(entries, errors = []) {
+    const valid = [];
+    
+    entries.forEach(entry => {
+        const where = entry.line ? { line: entry.line } : {};
+        if (!isValidPackageName(entry.name)) {
+            errors.push({ ...where, message: `invalid package name ${JSON.stringify(entry.name)}` });
+            return;
+        }
+        
+        const versions = entry.versions.filter(version => {
+            if (semver.isValid(version) && !/^[v=]/.test(version)) return true;
+            errors.push({ ...where, message: `invalid version ${JSON.stringify(version)} for ${entry.name}` });
+            return false;
+        });
+        if (entry.versions.length === 0) {
+            errors.push({ ...where, message: `no version listed for ${entry.name}` });
+        }
+        if (versions.length > 0) valid.push({ name: entry.name, versions });
+    });
+    
+    return valid;
+}
+
+// Valid [{ name, versions }] of a source content - rejected records are reported in errors
+function parseSource(content, format, errors = []) {
+    switch (format) {
+        case 'csv': return validateEntries(parseCsvSource(content, errors), errors);
+        case 'json': return validateEntries(parseJsonSource(content), errors);
+        case 'osv': return validateEntries(parseOsvSource(content), errors);
+        default:
+            throw new Error(`Unsupported source format "${format}". Supported: ${SUPPORTED_FORMATS.join(', ')}`);
+    }
+}
+
+// Reasons to refuse replacing the existing database with a new one (empty when it looks sane)
+function checkAnomalies({ database, previous, recordCount, errorCount }, guard = {}) {
+    const { maxPackageDrop, maxErrorRate } = { ...DEFAULT_GUARD, ...guard };
+    const problems = [];
+    const count = database.compromisedPackages.length;
+    
+    if (count === 0) {
+        problems.push('the new database is empty');
+    }
+    
+    const previousCount = previous && Array.isArray(previous.compromisedPackages) ? previous.compromisedPackages.length : 0;
+    if (previousCount > 0 && count < previousCount * (1 - maxPackageDrop)) {
+        problems.push(`package count dropped from ${previousCount} to ${count} (more than ${Math.round(maxPackageDrop * 100)}%)`);
+    }
+    
+    const errorRate = recordCount > 0 ? errorCount / recordCount : 0;
+    if (errorRate > maxErrorRate) {
+        problems.push(`${errorCount} of ${recordCount} records rejected (more than ${Math.round(maxErrorRate * 100)}%)`);
+    }
+    
+    return problems;
+}
+
+function compareVersionStrings(a, b) {
+    if (semver.isValid(a) && semver.isValid(b)) return semver.compare(a, b);
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// Merge parsed sources ([{ source, entries }]) into database packages.
+// Each version records the ids of the sources that reported it in versionSources.
+function mergeSources(parsedSources) {
+    const packages = new Map();
+    
+    parsedSources.forEach(({ source, entries }) => {
+        entries.forEach(entry => {
+            const name = entry.name.trim();
+            const versionSources = packages.get(name) || {};
+            
+            entry.versions.forEach(rawVersion => {
+                const version = rawVersion.trim();
+                if (!version) return;
+                versionSources[version] = versionSources[version] || [];
+                if (!versionSources[version].includes(source.id)) versionSources[version].push(source.id);
+            });
+            
+            packages.set(name, versionSources);
+        });
+    });
+    
+    return Array.from(packages.entries())
+        .sort(([a], [b]) => (a < b ? -1 : (a > b ? 1 : 0)))
+        .map(([name, versionSources]) => {
+            const compromisedVersions = Object.keys(versionSources).sort(compareVersionStrings);
+            const sorted = {};
+            compromisedVersions.forEach(version => {
+                sorted[version] = versionSources[version];
+            });
+            return { name, compromisedVersions, versionSources: sorted };
+        });
+}
+
+// Merge the payload hashes of parsed sources ([{ source, payloadHashes }]), with the ids of the sources listing them
+function mergePayloadHashes(parsedSources) {
+    const hashes = new Map();
+    
+    parsedSources.forEach(({ source, payloadHashes = [] }) => {
+        payloadHashes.forEach(entry => {
+            const merged = hashes.get(entry.sha256) || { sha256: entry.sha256, fileName: null, description: null, sources: [] };
+            merged.fileName = merged.fileName || entry.fileName;
+            merged.description = merged.description || entry.description;
+            if (!merged.sources.includes(source.id)) merged.sources.push(source.id);
+            hashes.set(entry.sha256, merged);
+        });
+    });
+    
+    return Array.from(hashes.values()).sort((a, b) => (a.sha256 < b.sha256 ? -1 : 1));
+}
+
+// Versions not reported by every source - the lists disagree on them
+function findDisagreements(packages, sourceIds) {
+    const disagreements = [];
+    packages.forEach(pkg => {
+        pkg.compromisedVersions.forEach(version => {
+            const reportedBy = pkg.versionSources[version];
+            if (reportedBy.length < sourceIds.length) {
+                disagreements.push({ name: pkg.name, version, reportedBy });
+            }
+        });
+    });
+    return disagreements;
+}
+
+// Complete database object written to data/compromised-packages.json
+function buildDatabase(config, parsedSources, date = new Date()) {
+    const sources = parsedSources.map(({ source }) => ({
+        id: source.id,
+        name: source.name || source.id,
+        url: source.homepage || source.url || source.file
+    }));
+    
+    const payloadHashes = mergePayloadHashes(parsedSources);
+    
+    return {
+        attackName: config.attackName,
+        // Generation time - identifies the database version used by a report
+        version: date.toISOString(),
+        lastUpdate: date.toISOString().split('T')[0],
+        source: sources.map(source => source.url).join(', '),
+        sources,
+        compromisedPackages: mergeSources(parsedSources),
+        // Only when a source lists them (see parsePayloadHashes)
+        ...(payloadHashes.length > 0 ? { payloadHashes } : {})
+    };
+}
+
+// Check the sources configuration (ioc-sources.json)
+function validateConfig(config) {
+    if (!config || !Array.isArray(config.sources) || config.sources.length === 0) {
+        throw new Error('Sources configuration must contain a non-empty "sources" array');
+    }
+    
+    const ids = new Set();
+    config.sources.forEach((source, index) => {
+        if (!source.id) throw new Error(`Source #${index + 1} has no "id"`);
+        if (ids.has(source.id)) throw new Error(`Duplicate source id "${source.id}"`);
+        ids.add(source.id);
+        if (!SUPPORTED_FORMATS.includes(source.format)) {
+            throw new Error(`Source "${source.id}" has an unsupported format "${source.format}". Supported: ${SUPPORTED_FORMATS.join(', ')}`);
+        }
+        if (!source.url === !source.file) {
+            throw new Error(`Source "${source.id}" needs either a "url" or a "file"`);
+        }
+    });
+    
+    Object.entries(config.guard || {}).forEach(([key, value]) => {
+        if (!(key in DEFAULT_GUARD)) throw new Error(`Unknown guard setting "${key}"`);
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+            throw new Error(`Guard setting "${key}" must be a ratio between 0 and 1`);
+        }
+    });
+    
+    return config;
+}
+
+module.exports = {
+    SUPPORTED_FORMATS,
+    DEFAULT_GUARD,
+    isValidPackageName,
+    parseCsvSource,
+    parseJsonSource,
+    parseOsvSource,
+    validateEntries,
+    parseSource,
+    parsePayloadHashes,
+    checkAnomalies,
+    mergeSources,
+    mergePayloadHashes,
+    findDisagreements,
+    buildDatabase,
+    validateConfig
+};
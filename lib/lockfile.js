@@ -0,0 +1,92 @@
+// Lockfile format detection - turns raw file content into the {name, version, path} list used by checkPackage,
+// plus the declared ranges (package.json or lockfile root entry) when available. SBOMs (see sbom.js) are read like lockfiles.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./npm-lock'), require('./yarn-lock'), require('./pnpm-lock'), require('./sbom'));
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.lockfile = factory(root.ShaiHulud.npmLock, root.ShaiHulud.yarnLock, root.ShaiHulud.pnpmLock, root.ShaiHulud.sbom);
+    }
+})(typeof self !== 'undefined' ? self : this, function (npmLock, yarnLock, pnpmLock, sbom) {
+    'use strict';
+
+    const SUPPORTED_FILE_NAMES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'package.json'];
+    // Usual SBOM file names: bom.json, sbom.json, app.cdx.json, app.spdx.json
+    const SBOM_FILE_SUFFIXES = ['bom.json', '.cdx.json', '.spdx.json'];
+
+    function baseName(fileName) {
+        return (fileName || '').split(/[\\/]/).pop();
+    }
+
+    function isSbomFileName(fileName) {
+        const name = baseName(fileName).toLowerCase();
+        return SBOM_FILE_SUFFIXES.some(suffix => name.endsWith(suffix));
+    }
+
+    function isSupportedLockfileName(fileName) {
+        const name = baseName(fileName);
+        return SUPPORTED_FILE_NAMES.some(supported => name.endsWith(supported)) || isSbomFileName(name);
+    }
+
+    // Detect the lockfile format from its file name, falling back to its content (pasted text)
+    function detectFormat(content, fileName) {
+        const name = baseName(fileName);
+        
+        if (name.endsWith('yarn.lock')) return 'yarn';
+        if (name.endsWith('pnpm-lock.yaml')) return 'pnpm';
+        if (name.endsWith('package-lock.json') || name.endsWith('npm-shrinkwrap.json')) return 'npm';
+        if (name === 'package.json') return 'package-json';
+        
+        // JSON: SBOMs declare their format, a lockfile always declares its lockfileVersion, a package.json never does
+        if (name.endsWith('.json') || content.trimStart().startsWith('{')) {
+            if (/"bomFormat"\s*:\s*"CycloneDX"/.test(content)) return 'cyclonedx';
+            if (/"spdxVersion"\s*:/.test(content)) return 'spdx';
+            return /"lockfileVersion"\s*:/.test(content) ? 'npm' : 'package-json';
+        }
+        
+        if (/^# yarn lockfile v1/m.test(content) || yarnLock.isBerryLockfile(content)) return 'yarn';
+        if (pnpmLock.isPnpmLockfile(content)) return 'pnpm';
+        
+        return null;
+    }
+
+    function parseLockfile(content, fileName) {
+        const format = detectFormat(content, fileName);
+        
+        if (format === 'npm') {
+            const packageLock = JSON.parse(content);
+            return {
+                format,
+                dependencies: npmLock.extractNpmDependencies(packageLock),
+                graph: npmLock.buildNpmGraph(packageLock),
+                installMetadata: npmLock.extractInstallMetadata(packageLock),
+                ...npmLock.extractRootManifest(packageLock)
+            };
+        }
+        if (format === 'package-json') {
+            return { format, dependencies: [], manifest: JSON.parse(content), installedVersions: {} };
+        }
+        if (format === 'yarn') {
+            return { format, ...yarnLock.readYarnLockfile(content) };
+        }
+        if (format === 'pnpm') {
+            return { format, ...pnpmLock.readPnpmLockfile(content) };
+        }
+        if (format === 'cyclonedx') {
+            return { format, ...sbom.readCycloneDx(JSON.parse(content)) };
+        }
+        if (format === 'spdx') {
+            return { format, ...sbom.readSpdx(JSON.parse(content)) };
+        }
+        
+        throw new Error('Unrecognized lockfile format. Supported: package-lock.json, yarn.lock (v1 and Berry), pnpm-lock.yaml (v5, v6, v9), package.json, CycloneDX JSON (1.4 to 1.6) and SPDX 2.3 JSON SBOMs.');
+    }
+
+    return {
+        SUPPORTED_FILE_NAMES,
+        isSbomFileName,
+        isSupportedLockfileName,
+        detectFormat,
+        parseLockfile
+    };
+});
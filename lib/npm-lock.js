@@ -0,0 +1,249 @@
+// package-lock.json / npm-shrinkwrap.json model (lockfileVersion 1, 2 and 3)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.npmLock = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const NODE_MODULES = 'node_modules/';
+
+    // Package name installed at a lockfile path: the segment after the last node_modules/
+    // ("node_modules/a/node_modules/@scope/b" -> "@scope/b")
+    function nameFromPath(path) {
+        const index = path.lastIndexOf(NODE_MODULES);
+        return index === -1 ? null : path.slice(index + NODE_MODULES.length);
+    }
+
+    // Parse an npm alias specifier: "npm:real-pkg@1.2.3" -> { name: 'real-pkg', version: '1.2.3' }
+    function parseAliasSpec(spec) {
+        if (typeof spec !== 'string' || !spec.startsWith('npm:')) return null;
+        const target = spec.slice(4);
+        const at = target.lastIndexOf('@');
+        if (at <= 0) return null;
+        return { name: target.slice(0, at), version: target.slice(at + 1) };
+    }
+
+    // Copy the dependency type flags that are set
+    function withFlags(dependency, pkg) {
+        ['dev', 'optional', 'devOptional', 'peer'].forEach(flag => {
+            if (pkg[flag]) dependency[flag] = true;
+        });
+        return dependency;
+    }
+
+    // lockfileVersion 2 and 3 - "packages" keyed by install path
+    function extractFromPackages(packages) {
+        const dependencies = [];
+        // Workspace folders that are targets of a link are reported through the link
+        const linkTargets = new Set(
+            Object.values(packages).filter(pkg => pkg.link && pkg.resolved).map(pkg => pkg.resolved)
+        );
+        
+        Object.entries(packages).forEach(([path, pkg]) => {
+            if (path === '') return; // Skip root
+            
+            const installedName = nameFromPath(path);
+            
+            // Workspace link: node_modules/my-lib -> packages/my-lib
+            if (pkg.link) {
+                const target = packages[pkg.resolved] || {};
+                dependencies.push({
+                    name: installedName || target.name || path,
+                    version: target.version || pkg.version || '0.0.0',
+                    path,
+                    local: true
+                });
+                return;
+            }
+            
+            // Workspace folder (not under node_modules)
+            if (installedName === null) {
+                if (linkTargets.has(path)) return;
+                dependencies.push({
+                    name: pkg.name || path.split('/').pop(),
+                    version: pkg.version || '0.0.0',
+                    path,
+                    local: true
+                });
+                return;
+            }
+            
+            if (!pkg.version) return;
+            
+            const dependency = { name: pkg.name || installedName, version: pkg.version, path };
+            // Aliased install: "name" is the real package, the path holds the alias
+            if (pkg.name && pkg.name !== installedName) {
+                dependency.alias = installedName;
+            }
+            dependencies.push(withFlags(dependency, pkg));
+        });
+        
+        return dependencies;
+    }
+
+    // lockfileVersion 1 - nested "dependencies" objects
+    function extractFromDependencies(deps, result, prefix = '') {
+        Object.entries(deps).forEach(([name, info]) => {
+            const path = prefix + name;
+            const alias = parseAliasSpec(info.version);
+            
+            if (alias) {
+                result.push(withFlags({ name: alias.name, version: alias.version, path, alias: name }, info));
+            } else if (/^(file|link):/.test(info.version || '')) {
+                result.push({ name, version: info.version, path, local: true });
+            } else if (info.version) {
+                result.push(withFlags({ name, version: info.version, path }, info));
+            }
+            
+            if (info.dependencies) {
+                extractFromDependencies(info.dependencies, result, path + ' > ');
+            }
+        });
+        return result;
+    }
+
+    function extractNpmDependencies(packageLock) {
+        // lockfileVersion 2 also carries a v1 "dependencies" section for old npm clients:
+        // reading both would count every package twice
+        if (packageLock.packages) {
+            return extractFromPackages(packageLock.packages);
+        }
+        if (packageLock.dependencies) {
+            return extractFromDependencies(packageLock.dependencies, []);
+        }
+        return [];
+    }
+
+    const EDGE_FIELDS = ['dependencies', 'optionalDependencies', 'peerDependencies'];
+    // Development dependencies are only installed for the root project and workspaces
+    const PROJECT_EDGE_FIELDS = ['devDependencies', ...EDGE_FIELDS];
+
+    function dependencyNames(pkg, fields) {
+        const names = new Set();
+        fields.forEach(field => Object.keys(pkg[field] || {}).forEach(name => names.add(name)));
+        return Array.from(names);
+    }
+
+    // Node resolution: <from>/node_modules/<name>, then the same in each parent install folder
+    function resolveInstallPath(packages, fromPath, name) {
+        let base = fromPath;
+        for (;;) {
+            const candidate = base ? `${base}/${NODE_MODULES}${name}` : NODE_MODULES + name;
+            if (packages[candidate]) return candidate;
+            if (!base) return null;
+            
+            const index = base.lastIndexOf(`/${NODE_MODULES}`);
+            base = index === -1 ? '' : base.slice(0, index);
+        }
+    }
+
+    // lockfileVersion 2 and 3: edges follow the dependencies of each entry, resolved like Node does
+    function buildGraphFromPackages(packageLock) {
+        const packages = packageLock.packages;
+        const edges = {};
+        const roots = [];
+        
+        const resolveAll = (fromPath, pkg, fields) => dependencyNames(pkg, fields)
+            .map(name => resolveInstallPath(packages, fromPath, name))
+            .filter(Boolean);
+        
+        Object.entries(packages).forEach(([path, pkg]) => {
+            if (path === '') {
+                roots.push({ name: pkg.name || packageLock.name || '(root)', dependencies: resolveAll(path, pkg, PROJECT_EDGE_FIELDS) });
+            } else if (nameFromPath(path) === null) {
+                // Workspace folder: its own root, so chains name the workspace
+                roots.push({ name: path, dependencies: resolveAll(path, pkg, PROJECT_EDGE_FIELDS) });
+            } else {
+                edges[path] = pkg.link ? [] : resolveAll(path, pkg, EDGE_FIELDS);
+            }
+        });
+        
+        return { roots, edges };
+    }
+
+    // lockfileVersion 1: "requires" resolved in the entry's own nested dependencies, then in its ancestors'
+    function buildGraphFromDependencies(packageLock) {
+        const edges = {};
+        const hasParent = new Set();
+        
+        function visit(deps, prefix, scopes) {
+            const innerScopes = [{ deps, prefix }, ...scopes];
+            
+            Object.entries(deps).forEach(([name, info]) => {
+                const path = prefix + name;
+                const ownScopes = info.dependencies ?
+                    [{ deps: info.dependencies, prefix: path + ' > ' }, ...innerScopes] :
+                    innerScopes;
+                
+                edges[path] = Object.keys(info.requires || {}).map(required => {
+                    const scope = ownScopes.find(candidate => candidate.deps[required]);
+                    return scope ? scope.prefix + required : null;
+                }).filter(Boolean);
+                edges[path].forEach(child => hasParent.add(child));
+                
+                if (info.dependencies) visit(info.dependencies, path + ' > ', innerScopes);
+            });
+        }
+        
+        visit(packageLock.dependencies, '', []);
+        
+        // v1 does not record the root's direct dependencies: top-level entries nobody requires are direct
+        const direct = Object.keys(packageLock.dependencies).filter(name => !hasParent.has(name));
+        return { roots: [{ name: packageLock.name || '(root)', dependencies: direct }], edges };
+    }
+
+    // Dependency graph: { roots: [{ name, dependencies: [paths] }], edges: { path: [paths] } }
+    function buildNpmGraph(packageLock) {
+        if (packageLock.packages) return buildGraphFromPackages(packageLock);
+        if (packageLock.dependencies) return buildGraphFromDependencies(packageLock);
+        return { roots: [], edges: {} };
+    }
+
+    // Root project entry (lockfileVersion 2 and 3) with the versions locked for its direct dependencies
+    function extractRootManifest(packageLock) {
+        const packages = packageLock.packages;
+        if (!packages || !packages['']) return null;
+        
+        const installedVersions = {};
+        Object.entries(packages).forEach(([path, pkg]) => {
+            const name = path.startsWith(NODE_MODULES) && nameFromPath(path);
+            if (name && path === NODE_MODULES + name && pkg.version) {
+                installedVersions[name] = pkg.version;
+            }
+        });
+        
+        return { manifest: packages[''], installedVersions };
+    }
+
+    // Install metadata of the lockfileVersion 2 and 3 entries, which extractNpmDependencies leaves out:
+    // { path: { resolved, integrity, hasInstallScript, inBundle } }, null for lockfileVersion 1
+    function extractInstallMetadata(packageLock) {
+        const packages = packageLock.packages;
+        if (!packages) return null;
+        
+        const metadata = {};
+        Object.entries(packages).forEach(([path, pkg]) => {
+            if (pkg.link || !pkg.version || nameFromPath(path) === null) return;
+            metadata[path] = {
+                resolved: pkg.resolved || null,
+                integrity: pkg.integrity || null,
+                hasInstallScript: Boolean(pkg.hasInstallScript),
+                inBundle: Boolean(pkg.inBundle)
+            };
+        });
+        return metadata;
+    }
+
+    return {
+        nameFromPath,
+        parseAliasSpec,
+        extractNpmDependencies,
+        buildNpmGraph,
+        extractRootManifest,
+        extractInstallMetadata
+    };
+});
@@ -0,0 +1,158 @@
+// pnpm-lock.yaml parser - lockfile versions 5.x, 6.x and 9.x, with workspace importers
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./yaml'));
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.pnpmLock = factory(root.ShaiHulud.yaml);
+    }
+})(typeof self !== 'undefined' ? self : this, function (yaml) {
+    'use strict';
+
+    const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+    function isPnpmLockfile(content) {
+        return /^lockfileVersion: /m.test(content) && /^(importers|packages|dependencies|specifiers):/m.test(content);
+    }
+
+    // Remove peer dependency suffixes: "1.0.0(react@18.2.0)" (v6, v9) or "1.0.0_react@18.2.0" (v5)
+    function stripPeerSuffix(value) {
+        const paren = value.indexOf('(');
+        return paren === -1 ? value : value.slice(0, paren);
+    }
+
+    // Parse a package key into name and version:
+    // "/name/1.0.0_peer" (v5), "/name@1.0.0(peer)" (v6), "name@1.0.0(peer)" (v9)
+    function parsePackageKey(key, majorVersion = 9) {
+        const withoutSlash = stripPeerSuffix(key.replace(/^\//, ''));
+        
+        if (majorVersion < 6) {
+            // The version is the last path segment
+            const slash = withoutSlash.lastIndexOf('/');
+            if (slash <= 0) return null;
+            return {
+                name: withoutSlash.slice(0, slash),
+                version: withoutSlash.slice(slash + 1).split('_')[0]
+            };
+        }
+        
+        const at = withoutSlash.lastIndexOf('@');
+        if (at <= 0) return null;
+        return { name: withoutSlash.slice(0, at), version: withoutSlash.slice(at + 1) };
+    }
+
+    // Turn a dependency reference into the key used in packages/snapshots
+    function referenceToKey(name, reference, majorVersion) {
+        if (reference.startsWith('link:') || reference.startsWith('file:') || reference.startsWith('workspace:')) {
+            return null;
+        }
+        if (reference.startsWith('/')) return reference; // v5/v6 alias
+        
+        if (majorVersion >= 9) {
+            // v9 alias: "real-name@1.0.0"
+            return stripPeerSuffix(reference).lastIndexOf('@') > 0 ? reference : `${name}@${reference}`;
+        }
+        if (majorVersion >= 6) {
+            return `/${name}@${reference}`;
+        }
+        return `/${name}/${reference}`;
+    }
+
+    // Dependency references of an importer or a package, as { name: reference }
+    function collectReferences(entry) {
+        const references = {};
+        DEPENDENCY_FIELDS.forEach(field => {
+            Object.entries((entry && entry[field]) || {}).forEach(([name, value]) => {
+                // v6+ importers use { specifier, version }
+                references[name] = typeof value === 'object' && value !== null ? value.version : value;
+            });
+        });
+        return references;
+    }
+
+    // { dependencies, graph } - see npm-lock.buildNpmGraph for the graph shape
+    function readPnpmLockfile(content) {
+        const lockfile = yaml.parse(content) || {};
+        const majorVersion = parseInt(String(lockfile.lockfileVersion), 10) || 5;
+        const packages = lockfile.packages || {};
+        // v9 keeps the dependency graph in "snapshots", package metadata in "packages"
+        const nodes = majorVersion >= 9 ? (lockfile.snapshots || {}) : packages;
+        
+        // Single-project lockfiles keep the root importer at the top level
+        const importers = lockfile.importers || { '.': lockfile };
+        
+        const byPackage = new Map();
+        
+        function record(key, importer) {
+            const parsed = parsePackageKey(key, majorVersion);
+            if (!parsed) return null;
+            
+            const id = `${parsed.name}@${parsed.version}`;
+            if (!byPackage.has(id)) {
+                byPackage.set(id, { name: parsed.name, version: parsed.version, path: key, importers: [] });
+            }
+            const dependency = byPackage.get(id);
+            if (importer !== null && !dependency.importers.includes(importer)) {
+                dependency.importers.push(importer);
+            }
+            return dependency;
+        }
+        
+        function childKeys(entry) {
+            return Object.entries(collectReferences(entry))
+                .map(([name, reference]) => referenceToKey(name, String(reference), majorVersion))
+                .filter(Boolean);
+        }
+        
+        // Walk the graph from each importer to attribute every package to the projects that use it
+        Object.entries(importers).forEach(([importer, entry]) => {
+            const visited = new Set();
+            const queue = childKeys(entry);
+            
+            while (queue.length > 0) {
+                const key = queue.shift();
+                if (visited.has(key)) continue;
+                visited.add(key);
+                record(key, importer);
+                
+                childKeys(nodes[key]).forEach(childKey => {
+                    if (!visited.has(childKey)) queue.push(childKey);
+                });
+            }
+        });
+        
+        // Packages not reachable from any importer are still reported
+        Object.keys(nodes).forEach(key => record(key, null));
+        
+        // Graph between deduplicated packages (peer variants share one node)
+        const canonicalPath = key => {
+            const dependency = record(key, null);
+            return dependency ? dependency.path : null;
+        };
+        const edges = {};
+        Object.entries(nodes).forEach(([key, entry]) => {
+            const path = canonicalPath(key);
+            if (!path) return;
+            const children = new Set(edges[path] || []);
+            childKeys(entry).map(canonicalPath).filter(Boolean).forEach(child => children.add(child));
+            edges[path] = Array.from(children);
+        });
+        const roots = Object.entries(importers).map(([importer, entry]) => ({
+            name: importer,
+            dependencies: Array.from(new Set(childKeys(entry).map(canonicalPath).filter(Boolean)))
+        }));
+        
+        return { dependencies: Array.from(byPackage.values()), graph: { roots, edges } };
+    }
+
+    function extractPnpmDependencies(content) {
+        return readPnpmLockfile(content).dependencies;
+    }
+
+    return {
+        isPnpmLockfile,
+        parsePackageKey,
+        readPnpmLockfile,
+        extractPnpmDependencies
+    };
+});
@@ -0,0 +1,111 @@
+// package.json range checks - can the next install resolve to a compromised release?
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./semver'), require('./database'));
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.ranges = factory(root.ShaiHulud.semver, root.ShaiHulud.database);
+    }
+})(typeof self !== 'undefined' ? self : this, function (semver, database) {
+    'use strict';
+
+    const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+    // "npm:real-pkg@^1.0.0" -> { name: 'real-pkg', range: '^1.0.0' }
+    function resolveSpec(name, spec) {
+        if (spec.startsWith('npm:')) {
+            const target = spec.slice(4);
+            const at = target.indexOf('@', 1);
+            return at === -1 ? { name: target, range: '*' } : { name: target.slice(0, at), range: target.slice(at + 1) };
+        }
+        return { name, range: spec };
+    }
+
+    // Override keys may carry a version selector: "foo@^1.0.0"
+    function overrideName(key) {
+        const at = key.indexOf('@', 1);
+        return at === -1 ? key : key.slice(0, at);
+    }
+
+    // Flatten npm overrides, including nested ones: { "a": { ".": "1.0.0", "b": "2.0.0" } }
+    function collectOverrides(overrides, result) {
+        Object.entries(overrides || {}).forEach(([key, value]) => {
+            if (typeof value === 'string') {
+                if (key !== '.') result.push({ name: overrideName(key), spec: value });
+                return;
+            }
+            if (value && typeof value === 'object') {
+                if (typeof value['.'] === 'string') {
+                    result.push({ name: overrideName(key), spec: value['.'] });
+                }
+                collectOverrides(value, result);
+            }
+        });
+        return result;
+    }
+
+    // Every dependency range declared by a package.json (or a lockfile root entry)
+    function extractRanges(manifest) {
+        const ranges = [];
+        
+        DEPENDENCY_FIELDS.forEach(field => {
+            Object.entries(manifest[field] || {}).forEach(([name, spec]) => {
+                if (typeof spec === 'string') ranges.push({ field, ...resolveSpec(name, spec) });
+            });
+        });
+        
+        collectOverrides(manifest.overrides, []).forEach(({ name, spec }) => {
+            // "$foo" references the version declared in dependencies
+            if (!spec.startsWith('$')) ranges.push({ field: 'overrides', ...resolveSpec(name, spec) });
+        });
+        
+        return ranges;
+    }
+
+    // Check a declared range against the compromised versions of the package
+    function checkRange(packageName, range, compromisedData, installedVersion) {
+        const compromisedPkg = database.findPackage(compromisedData, packageName);
+        if (!compromisedPkg) return null;
+        
+        // Git URLs, file: paths, dist-tags... cannot be evaluated
+        const sets = semver.parseRange(range);
+        if (!sets) return null;
+        
+        const admittedVersions = compromisedPkg.compromisedVersions.filter(version => semver.satisfies(version, sets));
+        if (admittedVersions.length === 0) return null;
+        
+        const isCompromised = version => compromisedPkg.compromisedVersions.some(
+            compVer => semver.isValid(compVer) && semver.compare(version, compVer) === 0
+        );
+        const candidates = [installedVersion, semver.minVersion(sets)]
+            .filter(version => version && semver.satisfies(version, sets) && !isCompromised(version));
+        
+        return {
+            severity: 'range',
+            description: `🟣 RANGE - Range admits compromised version${admittedVersions.length > 1 ? 's' : ''} ${admittedVersions.join(', ')}`,
+            compromisedVersions: compromisedPkg.compromisedVersions,
+            admittedVersions,
+            range,
+            suggestedPin: candidates.length > 0 ? candidates[0] : null,
+            suggestedRange: semver.excludeVersions(sets, admittedVersions)
+        };
+    }
+
+    // Check every range of a manifest; installedVersions maps names to the version currently locked
+    function analyzeManifest(manifest, compromisedData, installedVersions = {}) {
+        const findings = [];
+        
+        extractRanges(manifest).forEach(({ field, name, range }) => {
+            const threat = checkRange(name, range, compromisedData, installedVersions[name]);
+            if (threat) findings.push({ name, range, field, threat });
+        });
+        
+        return findings;
+    }
+
+    return {
+        extractRanges,
+        checkRange,
+        analyzeManifest
+    };
+});
@@ -0,0 +1,174 @@
+// Remediation plans - overrides (npm), resolutions (yarn) and pnpm.overrides pinning every finding
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./semver'), require('./database'));
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.remediation = factory(root.ShaiHulud.semver, root.ShaiHulud.database);
+    }
+})(typeof self !== 'undefined' ? self : this, function (semver, database) {
+    'use strict';
+
+    // Install commands that rewrite the lockfile with the new pins, without running lifecycle scripts
+    const REGENERATE_COMMANDS = {
+        npm: 'npm install --ignore-scripts',
+        yarn: 'yarn install --ignore-scripts',
+        'yarn-berry': 'yarn install --mode=skip-build',
+        pnpm: 'pnpm install --ignore-scripts'
+    };
+
+    // Lowest version of the release line: "1.0.0" for 1.x, "0.3.0" for 0.3.x
+    function releaseLineStart(parsed) {
+        return parsed.major > 0 ? `${parsed.major}.0.0` : `0.${parsed.minor}.0`;
+    }
+
+    function sameReleaseLine(a, b) {
+        return a.major === b.major && (a.major > 0 || a.minor === b.minor);
+    }
+
+    // Nearest safe version for a compromised install.
+    // With known safe versions: the closest one, below first. Otherwise a range that resolves to the
+    // newest release before the compromised ones, or just after them when nothing precedes them.
+    function nearestSafeVersion(installedVersion, compromisedVersions, safeVersions = []) {
+        const installed = semver.parse(installedVersion);
+        if (!installed) return null;
+        
+        const known = safeVersions.filter(version => {
+            const parsed = semver.parse(version);
+            return parsed && sameReleaseLine(parsed, installed);
+        }).sort(semver.compare);
+        if (known.length > 0) {
+            const below = known.filter(version => semver.compare(version, installedVersion) < 0);
+            return below.length > 0 ? below[below.length - 1] : known[0];
+        }
+        
+        const sorted = compromisedVersions.filter(semver.isValid).sort(semver.compare);
+        const index = sorted.findIndex(version => semver.compare(version, installedVersion) === 0);
+        if (index === -1) return installedVersion;
+        
+        // Consecutive compromised patches (3.4.1, 3.4.2) are skipped together
+        let start = index;
+        while (start > 0 && semver.isNextPatch(sorted[start - 1], sorted[start])) start--;
+        let end = index;
+        while (end < sorted.length - 1 && semver.isNextPatch(sorted[end], sorted[end + 1])) end++;
+        
+        const previous = sorted[start - 1];
+        const next = sorted[end + 1];
+        const lineStart = releaseLineStart(installed);
+        
+        if (semver.compare(sorted[start], lineStart) > 0) {
+            const lower = previous && sameReleaseLine(semver.parse(previous), installed) ? `>${previous}` : `>=${lineStart}`;
+            return `${lower} <${sorted[start]}`;
+        }
+        
+        const nextLine = installed.major > 0 ? `${installed.major + 1}.0.0` : `0.${installed.minor + 1}.0`;
+        const upper = next && sameReleaseLine(semver.parse(next), installed) ? next : nextLine;
+        return `>${sorted[end]} <${upper}`;
+    }
+
+    // Installed versions in SemVer order - git, tarball and other non-SemVer versions first, in string order
+    function compareInstalled(a, b) {
+        const validA = semver.isValid(a);
+        const validB = semver.isValid(b);
+        if (validA && validB) return semver.compare(a, b);
+        if (validA !== validB) return validA ? 1 : -1;
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    // One entry per package: { name, installedVersions, target, reason }
+    function createPlanEntries(results, compromisedData) {
+        const byName = new Map();
+        const safeVersionsOf = name => {
+            const pkg = database.findPackage(compromisedData, name);
+            return (pkg && pkg.safeVersions) || [];
+        };
+        
+        results.threats.forEach(threat => {
+            if (threat.threat.versionPosition === 'unknown') return;
+            
+            const entry = byName.get(threat.name) || { name: threat.name, installedVersions: [], compromised: [], clean: [] };
+            if (!entry.installedVersions.includes(threat.version)) entry.installedVersions.push(threat.version);
+            (threat.threat.exactMatch ? entry.compromised : entry.clean).push(threat.version);
+            entry.compromisedVersions = threat.threat.compromisedVersions;
+            byName.set(threat.name, entry);
+        });
+        
+        const entries = Array.from(byName.values()).map(entry => {
+            if (entry.compromised.length > 0) {
+                const installed = entry.compromised.sort(compareInstalled)[entry.compromised.length - 1];
+                return {
+                    name: entry.name,
+                    installedVersions: entry.installedVersions,
+                    target: nearestSafeVersion(installed, entry.compromisedVersions, safeVersionsOf(entry.name)),
+                    reason: 'compromised'
+                };
+            }
+            // Clean install of a compromised package: pin it so it cannot drift to a compromised release
+            return {
+                name: entry.name,
+                installedVersions: entry.installedVersions,
+                target: entry.clean.sort(compareInstalled)[entry.clean.length - 1],
+                reason: 'pin'
+            };
+        });
+        
+        (results.rangeFindings || []).forEach(finding => {
+            if (entries.some(entry => entry.name === finding.name)) return;
+            const target = finding.threat.suggestedPin || finding.threat.suggestedRange;
+            if (target) {
+                entries.push({ name: finding.name, installedVersions: [], target, reason: 'range' });
+            }
+        });
+        
+        return entries.filter(entry => entry.target);
+    }
+
+    // Package manager of the analyzed project
+    function packageManagerOf(parsed) {
+        if (parsed.format === 'yarn') return parsed.variant === 'berry' ? 'yarn-berry' : 'yarn';
+        if (parsed.format === 'pnpm') return 'pnpm';
+        return 'npm';
+    }
+
+    // Remediation plan for analysis results (see detection.analyzeProject)
+    function createPlan(results, parsed, compromisedData) {
+        const entries = createPlanEntries(results, compromisedData);
+        const pins = {};
+        entries.forEach(entry => {
+            pins[entry.name] = entry.target;
+        });
+        
+        // Packages whose installed version cannot be compared (git, tarballs) need a manual review - listed ones
+        // included, which have no release line to move to
+        const manualReview = Array.from(new Set(results.threats
+            .filter(threat => threat.threat.versionPosition === 'unknown' || !semver.isValid(threat.version))
+            .map(threat => threat.name)))
+            .filter(name => !pins[name]);
+        
+        const packageManager = packageManagerOf(parsed);
+        
+        return {
+            entries,
+            manualReview,
+            packageManager,
+            blocks: {
+                npm: { overrides: pins },
+                yarn: { resolutions: pins },
+                pnpm: { pnpm: { overrides: pins } }
+            },
+            command: entries.length > 0 ? REGENERATE_COMMANDS[packageManager] : null
+        };
+    }
+
+    // package.json snippet for a package manager: "npm", "yarn" or "pnpm"
+    function formatBlock(plan, packageManager) {
+        const key = packageManager === 'yarn-berry' ? 'yarn' : packageManager;
+        return JSON.stringify(plan.blocks[key], null, 2);
+    }
+
+    return {
+        nearestSafeVersion,
+        createPlan,
+        formatBlock
+    };
+});
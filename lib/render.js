@@ -0,0 +1,467 @@
+// Results view built with DOM APIs - lockfile data only ever reaches the page as text nodes and data-* attributes
+// Each function takes the document to build with, so that Node tests can render with a minimal DOM
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.render = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    const SEVERITY_LABELS = {
+        'critical': '🔴 CRITICAL',
+        'high': '🟠 HIGH',
+        'warning': '🟡 MEDIUM',
+        'low': '🔵 LOW',
+        'range': '🟣 RANGE',
+        'suspicious': '🔎 SUSPICIOUS'
+    };
+
+    const VERDICT_LABELS = {
+        ...SEVERITY_LABELS,
+        'suppressed': '🔕 Suppressed',
+        'local': 'Local (not checked)',
+        'safe': '✅ Safe'
+    };
+
+    const POSITION_NOTES = {
+        'above': { text: 'Your version is higher than compromised versions, but this package is malicious', warning: true },
+        'between': { text: 'Your version sits between compromised versions of this package', warning: true },
+        'below': { text: 'Your version is older than every known compromised version' }
+    };
+
+    const PLAN_REASONS = {
+        'compromised': 'Nearest non-compromised version',
+        'pin': 'Pin the installed version',
+        'range': 'Declared range admits compromised versions'
+    };
+
+    // Set attributes: className, dataset and plain attributes. Event handler attributes are refused,
+    // behaviour is attached by delegated listeners (data-action) so the page needs no inline script.
+    function setAttributes(element, attributes) {
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (value === undefined || value === null || value === false) return;
+            if (/^on/i.test(name)) throw new Error(`Inline event handler attribute "${name}" is not allowed`);
+            
+            if (name === 'className') {
+                element.className = value;
+            } else if (name === 'dataset') {
+                Object.entries(value).forEach(([key, data]) => {
+                    element.dataset[key] = String(data);
+                });
+            } else {
+                element.setAttribute(name, value === true ? '' : String(value));
+            }
+        });
+    }
+
+    // Strings and numbers become text nodes, null/false/'' are skipped, arrays are flattened
+    function appendChildren(doc, element, children) {
+        [children].flat(Infinity).forEach(child => {
+            if (child === null || child === undefined || child === false || child === '') return;
+            element.appendChild(typeof child === 'object' ? child : doc.createTextNode(String(child)));
+        });
+    }
+
+    function h(doc, tag, attributes = {}, children = []) {
+        const element = doc.createElement(tag);
+        setAttributes(element, attributes);
+        appendChildren(doc, element, children);
+        return element;
+    }
+
+    function svg(doc, tag, attributes = {}, children = []) {
+        const element = doc.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, String(value)));
+        children.forEach(child => element.appendChild(child));
+        return element;
+    }
+
+    function code(doc, text, className) {
+        return h(doc, 'code', { className }, [text]);
+    }
+
+    // [a, ', ', b, ', ', c]
+    function joinNodes(nodes, separator = ', ') {
+        return nodes.flatMap((node, index) => index === 0 ? [node] : [separator, node]);
+    }
+
+    // "Label: value" paragraph
+    function field(doc, label, value) {
+        return h(doc, 'p', {}, [h(doc, 'strong', {}, [label]), ' ', value]);
+    }
+
+    // "Recent additions" of the database changelog: [heading, list]
+    function recentAdditions(doc, entries, { formatDate, perEntry }) {
+        return [
+            h(doc, 'h3', {}, ['🆕 Recent additions']),
+            h(doc, 'ul', {}, entries.map(entry => {
+                const shown = entry.added.slice(0, perEntry);
+                const more = entry.added.length - shown.length;
+                return h(doc, 'li', {}, [
+                    h(doc, 'strong', {}, [formatDate(entry.date)]),
+                    ': ',
+                    joinNodes(shown.map(change => code(doc, `${change.name}@${change.versions.join(', ')}`))),
+                    more > 0 ? ` and ${more} more` : ''
+                ]);
+            }))
+        ];
+    }
+
+    // Banner for findings involving versions added since the previous analysis
+    function newFinding(doc, finding) {
+        if (!finding.newVersions) return null;
+        return h(doc, 'p', { className: 'new-finding' }, [
+            '🆕 New since your last scan: ',
+            joinNodes(finding.newVersions.map(version => code(doc, version))),
+            ' added to the database'
+        ]);
+    }
+
+    function cardHeader(doc, name, badge) {
+        return h(doc, 'div', { className: 'threat-header' }, [
+            h(doc, 'h3', {}, [name]),
+            h(doc, 'span', { className: 'severity-badge' }, [badge])
+        ]);
+    }
+
+    function threatDetails(doc, threat) {
+        const compromised = field(doc, 'Known compromised versions:', threat.compromisedVersions.join(', '));
+        
+        if (threat.exactMatch) {
+            return h(doc, 'div', { className: 'threat-details critical-box' }, [
+                h(doc, 'p', { className: 'warning-text' }, [h(doc, 'strong', {}, ['🚨 CRITICAL ALERT - EXACT COMPROMISED VERSION'])]),
+                field(doc, 'Installed version:', code(doc, threat.installedVersion, 'danger-code')),
+                compromised,
+                h(doc, 'p', { className: 'action-required' }, [h(doc, 'strong', {}, ['⚠️ IMMEDIATE ACTION REQUIRED - Remove this package now!'])])
+            ]);
+        }
+        
+        const note = POSITION_NOTES[threat.versionPosition] || { text: 'Your version differs from listed compromised versions' };
+        return h(doc, 'div', { className: 'threat-details' }, [
+            field(doc, 'Installed version:', code(doc, threat.installedVersion)),
+            compromised,
+            note.warning ?
+                h(doc, 'p', { className: 'warning-text' }, [h(doc, 'strong', {}, [note.text])]) :
+                h(doc, 'p', {}, [note.text])
+        ]);
+    }
+
+    // Sources that reported each compromised version
+    function provenance(doc, threat, sourceName) {
+        if (!threat.versionSources) return null;
+        return h(doc, 'div', { className: 'threat-provenance' }, [
+            h(doc, 'p', {}, [h(doc, 'strong', {}, ['Reported by:'])]),
+            h(doc, 'ul', {}, threat.compromisedVersions.map(version => h(doc, 'li', {}, [
+                code(doc, version),
+                ' - ',
+                (threat.versionSources[version] || []).map(sourceName).join(', ') || 'unknown source'
+            ])))
+        ]);
+    }
+
+    // Dependency chains from the root project to the package
+    function dependencyChains(doc, finding) {
+        if (!finding.chains) return null;
+        return h(doc, 'div', { className: 'threat-chains' }, [
+            h(doc, 'p', {}, [
+                h(doc, 'strong', {}, ['Why is this here?']),
+                ' ',
+                h(doc, 'span', { className: 'small-text' }, ['Lockfile entry: ', code(doc, finding.path)])
+            ]),
+            finding.chains.length > 0 ?
+                h(doc, 'ul', {}, finding.chains.map(chain => h(doc, 'li', {}, joinNodes(chain.map(step => code(doc, step)), ' → ')))) :
+                h(doc, 'p', {}, ['No dependency chain from the root project was found in the lockfile.']),
+            finding.moreChains ? h(doc, 'p', { className: 'small-text' }, [`+${finding.moreChains} more chains`]) : null
+        ]);
+    }
+
+    // Justification of a suppression (see suppressions.applySuppressions)
+    function suppressionDetails(doc, suppression) {
+        return [
+            field(doc, 'Versions:', code(doc, suppression.versions)),
+            field(doc, 'Reason:', suppression.reason),
+            field(doc, 'Owner:', suppression.owner),
+            field(doc, 'Expires:', suppression.expires)
+        ];
+    }
+
+    // Why a matching suppression left the finding active
+    function suppressionNote(doc, suppression) {
+        if (!suppression) return null;
+        const title = suppression.status === 'expired' ?
+            `🔔 Suppression expired on ${suppression.expires} - this finding is active again` :
+            '🚫 Suppression ignored - CRITICAL exact matches can only be suppressed with the override';
+        return h(doc, 'div', { className: 'suppression-note' }, [
+            h(doc, 'p', {}, [h(doc, 'strong', {}, [title])]),
+            ...suppressionDetails(doc, suppression)
+        ]);
+    }
+
+    // Card of an installed package known as compromised
+    function threatCard(doc, finding, { sourceName = id => id } = {}) {
+        const { threat } = finding;
+        
+        return h(doc, 'div', { className: `threat-card severity-${threat.severity}` }, [
+            cardHeader(doc, finding.name, SEVERITY_LABELS[threat.severity] || '⚠️ UNKNOWN'),
+            h(doc, 'div', { className: 'threat-body' }, [
+                newFinding(doc, finding),
+                suppressionNote(doc, finding.suppression),
+                h(doc, 'p', { className: 'threat-description' }, [threat.description]),
+                threatDetails(doc, threat),
+                provenance(doc, threat, sourceName),
+                // pnpm workspaces: projects that depend on this package
+                finding.importers && finding.importers.length > 0 ?
+                    h(doc, 'p', { className: 'threat-workspaces' }, [
+                        h(doc, 'strong', {}, ['Workspace projects:']),
+                        ' ',
+                        joinNodes(finding.importers.map(importer => code(doc, importer)))
+                    ]) :
+                    null,
+                dependencyChains(doc, finding)
+            ]),
+            h(doc, 'div', { className: 'threat-actions' }, [
+                h(doc, 'button', { type: 'button', dataset: { action: 'copy-name', name: finding.name } }, ['Copy name']),
+                h(doc, 'button', { type: 'button', className: 'danger-btn', dataset: { action: 'copy-block' } }, ['Copy override block'])
+            ])
+        ]);
+    }
+
+    // Compact card of an acknowledged finding, with its justification
+    function suppressedCard(doc, finding) {
+        return h(doc, 'div', { className: 'threat-card suppressed-card' }, [
+            cardHeader(doc, finding.name, `${VERDICT_LABELS.suppressed} · ${SEVERITY_LABELS[finding.threat.severity]}`),
+            h(doc, 'div', { className: 'threat-body' }, [
+                field(doc, 'Installed version:', code(doc, finding.version)),
+                ...suppressionDetails(doc, finding.suppression)
+            ])
+        ]);
+    }
+
+    // Card of a declared range that admits a compromised version
+    function rangeCard(doc, finding) {
+        const { threat } = finding;
+        
+        return h(doc, 'div', { className: 'threat-card severity-range' }, [
+            cardHeader(doc, finding.name, SEVERITY_LABELS.range),
+            h(doc, 'div', { className: 'threat-body' }, [
+                newFinding(doc, finding),
+                h(doc, 'p', { className: 'threat-description' }, [threat.description]),
+                h(doc, 'div', { className: 'threat-details' }, [
+                    field(doc, 'Declared range:', [code(doc, finding.range), ' in ', code(doc, finding.field)]),
+                    field(doc, 'Known compromised versions:', threat.compromisedVersions.join(', ')),
+                    h(doc, 'p', { className: 'warning-text' }, [h(doc, 'strong', {}, ['The next install or update could resolve to a compromised version'])]),
+                    threat.suggestedPin ? field(doc, 'Suggested pin:', code(doc, threat.suggestedPin)) : null,
+                    threat.suggestedRange ? field(doc, 'Suggested range excluding compromised versions:', code(doc, threat.suggestedRange)) : null
+                ])
+            ])
+        ]);
+    }
+
+    // Card of a package flagged by the lockfile heuristics (see heuristics.analyzeHeuristics)
+    function suspiciousCard(doc, finding) {
+        return h(doc, 'div', { className: 'threat-card severity-suspicious' }, [
+            cardHeader(doc, finding.name, SEVERITY_LABELS.suspicious),
+            h(doc, 'div', { className: 'threat-body' }, [
+                h(doc, 'p', { className: 'threat-description' }, [finding.threat.description]),
+                h(doc, 'div', { className: 'threat-details' }, [
+                    field(doc, 'Installed version:', code(doc, finding.version)),
+                    field(doc, 'Lockfile path:', code(doc, finding.path)),
+                    h(doc, 'ul', { className: 'suspicious-signals' }, finding.threat.signals.map(signal => h(doc, 'li', {}, [signal.message])))
+                ])
+            ])
+        ]);
+    }
+
+    function noThreats(doc) {
+        return h(doc, 'div', { className: 'no-threats' }, [
+            svg(doc, 'svg', { width: 64, height: 64, viewBox: '0 0 24 24', fill: 'none', stroke: 'currentColor', 'stroke-width': 2 }, [
+                svg(doc, 'path', { d: 'M22 11.08V12a10 10 0 1 1-5.93-9.14' }),
+                svg(doc, 'polyline', { points: '22 4 12 14.01 9 11.01' })
+            ]),
+            h(doc, 'h3', {}, ['No threats detected']),
+            h(doc, 'p', {}, ['All your packages are safe according to our database.'])
+        ]);
+    }
+
+    function statistics(doc, results) {
+        const totalPackages = results.allPackages.length;
+        const percent = count => totalPackages > 0 ? ((count / totalPackages) * 100).toFixed(1) : '0.0';
+        const line = (label, count, suffix = '') => h(doc, 'p', {}, [label, h(doc, 'strong', {}, [count]), suffix]);
+        
+        return h(doc, 'div', { className: 'details-summary' }, [
+            h(doc, 'h3', {}, ['📊 Statistics']),
+            line('Total packages analyzed: ', totalPackages),
+            line('Safe packages: ', results.safe, ` (${percent(results.safe)}%)`),
+            line('Threats detected: ', results.threats.length, ` (${percent(results.threats.length)}%)`),
+            results.suppressed && results.suppressed.length > 0 ? line('Suppressed findings: ', results.suppressed.length) : null,
+            results.local > 0 ? line('Local workspace packages (not checked): ', results.local) : null,
+            line('Declared ranges admitting a compromised version: ', results.rangeFindings.length),
+            results.suspicious && results.suspicious.length > 0 ? line('Suspicious packages (heuristics): ', results.suspicious.length) : null
+        ]);
+    }
+
+    // Remediation plan panel: [heading, table, block, actions, manual review]
+    // block is the formatted package.json block of the plan (remediation.formatBlock)
+    function remediationPlan(doc, plan, { block }) {
+        const blockKey = plan.packageManager === 'yarn-berry' ? 'yarn' : plan.packageManager;
+        const blockName = { npm: '"overrides"', yarn: '"resolutions"', pnpm: '"pnpm.overrides"' }[blockKey];
+        const nodes = [h(doc, 'h3', {}, ['🛠️ Remediation plan'])];
+        
+        if (plan.entries.length > 0) {
+            nodes.push(
+                h(doc, 'table', { className: 'remediation-table' }, [
+                    h(doc, 'thead', {}, [h(doc, 'tr', {}, ['Package', 'Installed', 'Pin to', 'Reason'].map(title => h(doc, 'th', {}, [title])))]),
+                    h(doc, 'tbody', {}, plan.entries.map(entry => h(doc, 'tr', {}, [
+                        h(doc, 'td', {}, [code(doc, entry.name)]),
+                        h(doc, 'td', {}, entry.installedVersions.length > 0 ? joinNodes(entry.installedVersions.map(version => code(doc, version))) : ['-']),
+                        h(doc, 'td', {}, [code(doc, entry.target)]),
+                        h(doc, 'td', {}, [PLAN_REASONS[entry.reason]])
+                    ])))
+                ]),
+                h(doc, 'p', {}, [`Add this ${blockName} block to your root `, code(doc, 'package.json'), ' to pin all findings at once:']),
+                h(doc, 'pre', { className: 'remediation-block' }, [block]),
+                h(doc, 'p', {}, ['Then regenerate the lockfile without running install scripts: ', code(doc, plan.command)]),
+                h(doc, 'div', { className: 'threat-actions' }, [
+                    h(doc, 'button', { type: 'button', dataset: { action: 'copy-block' } }, [`Copy ${blockName} block`]),
+                    h(doc, 'button', { type: 'button', dataset: { action: 'copy-command' } }, ['Copy command'])
+                ])
+            );
+        }
+        
+        if (plan.manualReview.length > 0) {
+            nodes.push(h(doc, 'p', { className: 'warning-text' }, [
+                'Review manually (installed version cannot be compared): ',
+                joinNodes(plan.manualReview.map(name => code(doc, name)))
+            ]));
+        }
+        
+        return nodes;
+    }
+
+    // One row of the package inventory (see inventory.buildInventory)
+    function inventoryRow(doc, row) {
+        return h(doc, 'tr', { className: `inventory-${row.verdict}` }, [
+            h(doc, 'td', {}, [code(doc, row.name)]),
+            h(doc, 'td', {}, [code(doc, row.version)]),
+            h(doc, 'td', {}, [code(doc, row.path)]),
+            h(doc, 'td', {}, [row.flags.join(', ')]),
+            h(doc, 'td', {}, [VERDICT_LABELS[row.verdict]])
+        ]);
+    }
+
+    // Batch dashboard totals: [projects line, severities line]
+    function batchSummary(doc, totals) {
+        return [
+            h(doc, 'p', {}, [
+                h(doc, 'strong', {}, [totals.projects]), ' projects analyzed, ',
+                h(doc, 'strong', {}, [totals.affected]), ' affected',
+                totals.errors > 0 ? [', ', h(doc, 'strong', {}, [totals.errors]), ' unreadable'] : null,
+                totals.suppressed > 0 ? [', ', h(doc, 'strong', {}, [totals.suppressed]), ' suppressed findings'] : null,
+                totals.suspicious > 0 ? [', ', h(doc, 'strong', {}, [totals.suspicious]), ' suspicious packages'] : null
+            ]),
+            h(doc, 'p', {}, joinNodes(['critical', 'high', 'warning', 'low', 'range'].map(severity => [
+                `${SEVERITY_LABELS[severity]}: `,
+                h(doc, 'strong', {}, [totals[severity]])
+            ]), ' · '))
+        ];
+    }
+
+    // One dashboard row per project, data-project-index pointing into projects
+    function batchRows(doc, projects) {
+        return projects.map((project, index) => project.error ?
+            h(doc, 'tr', { className: 'batch-error' }, [
+                h(doc, 'td', {}, [code(doc, project.path)]),
+                h(doc, 'td', { colspan: 8 }, [`⚠️ ${project.error}`])
+            ]) :
+            h(doc, 'tr', { className: project.worst ? `batch-row-${project.worst}` : '' }, [
+                h(doc, 'td', {}, [code(doc, project.path)]),
+                h(doc, 'td', {}, [project.results.allPackages.length]),
+                ['critical', 'high', 'warning', 'low', 'range', 'suspicious'].map(severity => h(doc, 'td', {}, [project.counts[severity]])),
+                h(doc, 'td', {}, [h(doc, 'button', { type: 'button', className: 'batch-view-btn', dataset: { projectIndex: index } }, ['View details'])])
+            ]));
+    }
+
+    // Which projects contain each flagged package (see batch.indexFindings)
+    function crossProjectView(doc, findings, { projects, hasFindings }) {
+        if (findings.length === 0) {
+            return [h(doc, 'p', { className: 'small-text' }, [hasFindings ? 'No flagged package matches your search.' : 'No compromised package in any project.'])];
+        }
+        
+        return findings.map(finding => h(doc, 'div', { className: `batch-finding severity-${finding.worst}` }, [
+            h(doc, 'p', {}, [
+                code(doc, finding.name), ' ',
+                h(doc, 'span', { className: 'severity-badge' }, [SEVERITY_LABELS[finding.worst]]),
+                ` in ${finding.projects.length} project${finding.projects.length > 1 ? 's' : ''}`
+            ]),
+            h(doc, 'ul', {}, finding.projects.map(project => h(doc, 'li', {}, [
+                h(doc, 'button', {
+                    type: 'button',
+                    className: 'batch-link',
+                    dataset: { projectIndex: projects.findIndex(candidate => candidate.path === project.path) }
+                }, [project.path]),
+                ' ',
+                joinNodes(project.versions.map(version => code(doc, version))),
+                ` - ${SEVERITY_LABELS[project.severity]}`
+            ])))
+        ]));
+    }
+
+    // Dependency changes of a comparison (see diff.compareProjects): [heading, summary, table, notes]
+    function comparison(doc, { changes, results, resolved }, { baseFileName }) {
+        const briefs = findings => joinNodes(findings.map(finding => h(doc, 'span', {}, [
+            code(doc, `${finding.name}@${finding.version}`), ` (${SEVERITY_LABELS[finding.threat.severity]})`
+        ])));
+        const rows = [
+            ...changes.added.map(change => ['Added', change.name, change.versions.join(', ')]),
+            ...changes.removed.map(change => ['Removed', change.name, change.versions.join(', ')]),
+            ...changes.changed.map(change => ['Changed', change.name, `${change.from.join(', ')} → ${change.to.join(', ')}`])
+        ];
+        const nodes = [
+            h(doc, 'h3', {}, [`🔀 Changes since ${baseFileName}`]),
+            h(doc, 'p', {}, [`${changes.added.length} added, ${changes.removed.length} removed, ${changes.changed.length} changed packages. Only the findings the change introduced are listed below.`])
+        ];
+        
+        if (rows.length > 0) {
+            nodes.push(h(doc, 'table', { className: 'comparison-table' }, [
+                h(doc, 'thead', {}, [h(doc, 'tr', {}, ['Change', 'Package', 'Versions'].map(title => h(doc, 'th', {}, [title])))]),
+                h(doc, 'tbody', {}, rows.map(([change, name, versions]) => h(doc, 'tr', { className: `change-${change.toLowerCase()}` }, [
+                    h(doc, 'td', {}, [change]),
+                    h(doc, 'td', {}, [code(doc, name)]),
+                    h(doc, 'td', {}, [versions])
+                ])))
+            ]));
+        }
+        if (results.preexisting.length > 0) {
+            nodes.push(h(doc, 'p', { className: 'small-text' }, ['Findings already in the base lockfile: ', briefs(results.preexisting)]));
+        }
+        if (resolved.length > 0) {
+            nodes.push(h(doc, 'p', { className: 'small-text' }, ['✅ Findings removed by the change: ', briefs(resolved)]));
+        }
+        return nodes;
+    }
+
+    return {
+        SEVERITY_LABELS,
+        VERDICT_LABELS,
+        h,
+        recentAdditions,
+        newFinding,
+        threatCard,
+        suppressedCard,
+        suspiciousCard,
+        rangeCard,
+        noThreats,
+        statistics,
+        remediationPlan,
+        inventoryRow,
+        batchSummary,
+        batchRows,
+        crossProjectView,
+        comparison
+    };
+});
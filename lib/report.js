@@ -0,0 +1,485 @@
+// Report exports - SARIF 2.1.0, JSON, CSV and Markdown for an analysis (see detection.analyzeProject)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.report = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const TOOL_NAME = 'shai-hulud-tester';
+    const TOOL_URI = 'https://github.com/Ballrock/shai-hulud-tester';
+
+    const REPORT_FORMATS = ['json', 'sarif', 'csv', 'markdown'];
+
+    // Lockfile name used in reports when the content was pasted
+    const DEFAULT_FILE_NAMES = {
+        'npm': 'package-lock.json',
+        'yarn': 'yarn.lock',
+        'pnpm': 'pnpm-lock.yaml',
+        'package-json': 'package.json',
+        'cyclonedx': 'bom.json',
+        'spdx': 'sbom.spdx.json'
+    };
+
+    const SEVERITY_LABELS = {
+        'critical': 'CRITICAL',
+        'high': 'HIGH',
+        'warning': 'MEDIUM',
+        'low': 'LOW',
+        'range': 'RANGE',
+        'suspicious': 'SUSPICIOUS'
+    };
+
+    const VERDICT_LABELS = {
+        ...SEVERITY_LABELS,
+        'suppressed': 'SUPPRESSED',
+        'safe': 'SAFE',
+        'local': 'LOCAL'
+    };
+
+    // One SARIF rule per kind of finding
+    const SARIF_RULES = [
+        {
+            id: 'SHAI-HULUD-001',
+            name: 'CompromisedVersionInstalled',
+            shortDescription: { text: 'Exact compromised version installed' },
+            defaultConfiguration: { level: 'error' }
+        },
+        {
+            id: 'SHAI-HULUD-002',
+            name: 'CompromisedPackageInstalled',
+            shortDescription: { text: 'Package with compromised versions installed' },
+            defaultConfiguration: { level: 'warning' }
+        },
+        {
+            id: 'SHAI-HULUD-003',
+            name: 'RangeAdmitsCompromisedVersion',
+            shortDescription: { text: 'Declared range admits a compromised version' },
+            defaultConfiguration: { level: 'warning' }
+        },
+        {
+            id: 'SHAI-HULUD-004',
+            name: 'SuspiciousLockfileEntry',
+            shortDescription: { text: 'Lockfile entry with an install script, a foreign source or a missing or weak integrity' },
+            defaultConfiguration: { level: 'note' }
+        }
+    ];
+
+    const SARIF_LEVELS = {
+        'critical': 'error',
+        'high': 'error',
+        'warning': 'warning',
+        'low': 'note',
+        'range': 'warning',
+        'suspicious': 'note'
+    };
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    function indentOf(line) {
+        return line.length - line.trimStart().length;
+    }
+
+    // Line declaring "key" (JSON, YAML or yarn.lock syntax) between "from" and "to", -1 when absent.
+    // Lockfile entries open a block ("key": { or key:), declared ranges are "key": "value" lines.
+    // With "outermost", the least indented match wins so that a top-level entry is preferred over a nested one.
+    function findKeyLine(lines, key, { from = 0, to = lines.length, block = true, outermost = false } = {}) {
+        const end = block ? '(:\\s*\\{?\\s*$|,.*:\\s*$)' : ':';
+        const pattern = new RegExp(`^\\s*["']?/?${escapeRegExp(key)}["']?\\s*${end}`);
+        let found = -1;
+        for (let index = from; index < to; index++) {
+            if (!pattern.test(lines[index])) continue;
+            if (!outermost) return index;
+            if (found === -1 || indentOf(lines[index]) < indentOf(lines[found])) found = index;
+        }
+        return found;
+    }
+
+    // End of the block opened at "index": the next line indented at most as much
+    function blockEnd(lines, index) {
+        const indent = indentOf(lines[index]);
+        for (let next = index + 1; next < lines.length; next++) {
+            if (lines[next].trim() && indentOf(lines[next]) <= indent) return next;
+        }
+        return lines.length;
+    }
+
+    function findTextLine(lines, texts) {
+        for (const text of texts) {
+            const index = lines.findIndex(line => line.includes(text));
+            if (index !== -1) return index;
+        }
+        return -1;
+    }
+
+    // 1-based line of an installed package in the lockfile, null when it cannot be found
+    function locateDependency(content, dependency) {
+        const lines = content.split(/\r?\n/);
+        
+        // npm v1 paths ("a > b") follow the nesting, other formats use a single key
+        let index = -1;
+        for (const segment of dependency.path.split(' > ')) {
+            index = index === -1 ?
+                findKeyLine(lines, segment, { outermost: true }) :
+                findKeyLine(lines, segment, { from: index + 1, to: blockEnd(lines, index), outermost: true });
+            if (index === -1) break;
+        }
+        
+        // yarn classic keys list several descriptors, pnpm v5 keys use "/name/version"
+        if (index === -1) index = findKeyLine(lines, dependency.path.split(', ')[0], { outermost: true });
+        if (index === -1) {
+            index = findTextLine(lines, [`${dependency.name}@${dependency.version}`, `/${dependency.name}/${dependency.version}`, `"${dependency.name}"`]);
+        }
+        
+        return index === -1 ? null : index + 1;
+    }
+
+    // 1-based line of a declared range (package.json field or lockfile root entry)
+    function locateRange(content, finding) {
+        const lines = content.split(/\r?\n/);
+        const fieldIndex = findKeyLine(lines, finding.field, { block: false });
+        let index = fieldIndex === -1 ? -1 :
+            findKeyLine(lines, finding.name, { from: fieldIndex + 1, to: blockEnd(lines, fieldIndex), block: false });
+        if (index === -1) index = findKeyLine(lines, finding.name, { block: false });
+        return index === -1 ? null : index + 1;
+    }
+
+    // Database identification, so that a report can be reproduced
+    function describeDatabase(compromisedData) {
+        return {
+            attackName: compromisedData.attackName,
+            version: compromisedData.version || compromisedData.lastUpdate,
+            lastUpdate: compromisedData.lastUpdate,
+            packageCount: compromisedData.compromisedPackages.length,
+            sources: (compromisedData.sources || []).map(source => source.id)
+        };
+    }
+
+    function verdictOf(dependency, threatsByPath, suppressedPaths, suspiciousPaths) {
+        if (dependency.local) return 'local';
+        const threat = threatsByPath.get(dependency.path);
+        if (threat) return threat.threat.severity;
+        if (suppressedPaths.has(dependency.path)) return 'suppressed';
+        return suspiciousPaths.has(dependency.path) ? 'suspicious' : 'safe';
+    }
+
+    function describeFinding(threat, content) {
+        return {
+            name: threat.name,
+            version: threat.version,
+            path: threat.path,
+            severity: threat.threat.severity,
+            description: threat.threat.description,
+            compromisedVersions: threat.threat.compromisedVersions,
+            versionPosition: threat.threat.versionPosition,
+            line: content ? locateDependency(content, threat) : null,
+            ...(threat.threat.versionSources ? { versionSources: threat.threat.versionSources } : {}),
+            ...(threat.importers ? { importers: threat.importers } : {}),
+            ...(threat.chains ? { chains: threat.chains } : {}),
+            ...(threat.moreChains ? { moreChains: threat.moreChains } : {}),
+            ...(threat.suppression ? { suppression: threat.suppression } : {})
+        };
+    }
+
+    // Dependency changes of a comparison (see diff.compareProjects), findings as { name, version, severity }
+    function describeComparison(comparison, baseFile) {
+        const brief = threat => ({ name: threat.name, version: threat.version, severity: threat.threat.severity });
+        return {
+            base: baseFile,
+            ...comparison.changes,
+            preexisting: comparison.results.preexisting.map(brief),
+            resolved: comparison.resolved.map(brief)
+        };
+    }
+
+    // Format-independent report: { tool, generatedAt, file, format, database, summary, findings, suppressed, rangeFindings, suspicious, packages }
+    // A comparison (with baseFileName) limits the findings to what the change introduced and adds report.comparison
+    function createReport(results, { parsed, content, fileName, compromisedData, comparison, baseFileName, generatedAt = new Date().toISOString() }) {
+        const file = fileName || DEFAULT_FILE_NAMES[parsed.format] || 'lockfile';
+        // Findings already in the base of a comparison keep their verdict in the package list
+        const threatsByPath = new Map([...(results.preexisting || []), ...results.threats].map(threat => [threat.path, threat]));
+        const suppressed = results.suppressed || [];
+        const suppressedPaths = new Set(suppressed.map(finding => finding.path));
+        const suspicious = results.suspicious || [];
+        const suspiciousPaths = new Set(suspicious.map(finding => finding.path));
+        const countOf = severity => results.threats.filter(threat => threat.threat.severity === severity).length;
+        
+        return {
+            tool: { name: TOOL_NAME, informationUri: TOOL_URI },
+            generatedAt,
+            file,
+            format: parsed.format,
+            database: describeDatabase(compromisedData),
+            summary: {
+                packages: results.allPackages.length,
+                safe: results.safe,
+                local: results.local,
+                critical: countOf('critical'),
+                high: countOf('high'),
+                medium: countOf('warning'),
+                low: countOf('low'),
+                ranges: results.rangeFindings.length,
+                suspicious: suspicious.length,
+                suppressed: suppressed.length
+            },
+            findings: results.threats.map(threat => describeFinding(threat, content)),
+            suppressed: suppressed.map(finding => describeFinding(finding, content)),
+            rangeFindings: results.rangeFindings.map(finding => ({
+                name: finding.name,
+                range: finding.range,
+                field: finding.field,
+                severity: 'range',
+                description: finding.threat.description,
+                admittedVersions: finding.threat.admittedVersions,
+                suggestedPin: finding.threat.suggestedPin,
+                suggestedRange: finding.threat.suggestedRange,
+                line: content ? locateRange(content, finding) : null
+            })),
+            suspicious: suspicious.map(finding => ({
+                name: finding.name,
+                version: finding.version,
+                path: finding.path,
+                severity: 'suspicious',
+                description: finding.threat.description,
+                signals: finding.threat.signals,
+                line: content ? locateDependency(content, finding) : null
+            })),
+            packages: results.allPackages.map(dependency => ({
+                name: dependency.name,
+                version: dependency.version,
+                path: dependency.path,
+                verdict: verdictOf(dependency, threatsByPath, suppressedPaths, suspiciousPaths)
+            })),
+            ...(comparison ? { comparison: describeComparison(comparison, baseFileName || 'base') } : {})
+        };
+    }
+
+    function toJson(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    // Location of the analyzed file: a POSIX path relative to the checkout root (%SRCROOT%) - a file:// URI for
+    // the absolute paths given to the CLI for lockfiles outside its working directory
+    function sarifArtifact(file) {
+        const posixPath = file.replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+        if (/^([A-Za-z]:)?\//.test(posixPath)) {
+            return { uri: `file://${posixPath.startsWith('/') ? '' : '/'}${encodeURI(posixPath)}` };
+        }
+        return { uri: encodeURI(posixPath), uriBaseId: '%SRCROOT%' };
+    }
+
+    function sarifLocation(report, line) {
+        const physicalLocation = { artifactLocation: sarifArtifact(report.file) };
+        if (line) physicalLocation.region = { startLine: line };
+        return [{ physicalLocation }];
+    }
+
+    function sarifFinding(report, finding) {
+        return {
+            ruleId: finding.severity === 'critical' ? SARIF_RULES[0].id : SARIF_RULES[1].id,
+            level: SARIF_LEVELS[finding.severity],
+            message: { text: `${finding.name}@${finding.version}: ${finding.description} (known compromised versions: ${finding.compromisedVersions.join(', ')})` },
+            locations: sarifLocation(report, finding.line),
+            partialFingerprints: { packageVersion: `${finding.name}@${finding.version}` },
+            properties: { severity: SEVERITY_LABELS[finding.severity], path: finding.path, chains: finding.chains || [], moreChains: finding.moreChains || 0 }
+        };
+    }
+
+    function toSarif(report) {
+        const results = [
+            ...report.findings.map(finding => sarifFinding(report, finding)),
+            // Code scanning lists suppressed results as dismissed, with the justification
+            ...report.suppressed.map(finding => ({
+                ...sarifFinding(report, finding),
+                suppressions: [{
+                    kind: 'external',
+                    status: 'accepted',
+                    justification: `${finding.suppression.reason} (owner: ${finding.suppression.owner}, expires ${finding.suppression.expires})`
+                }]
+            })),
+            ...report.rangeFindings.map(finding => ({
+                ruleId: SARIF_RULES[2].id,
+                level: SARIF_LEVELS.range,
+                message: { text: `${finding.name}@${finding.range} (${finding.field}): ${finding.description}` },
+                locations: sarifLocation(report, finding.line),
+                partialFingerprints: { packageRange: `${finding.field}:${finding.name}@${finding.range}` },
+                properties: { severity: SEVERITY_LABELS.range, suggestedPin: finding.suggestedPin, suggestedRange: finding.suggestedRange }
+            })),
+            ...report.suspicious.map(finding => ({
+                ruleId: SARIF_RULES[3].id,
+                level: SARIF_LEVELS.suspicious,
+                message: { text: `${finding.name}@${finding.version}: ${finding.signals.map(signal => signal.message).join('; ')}` },
+                locations: sarifLocation(report, finding.line),
+                partialFingerprints: { packageVersion: `${finding.name}@${finding.version}` },
+                properties: { severity: SEVERITY_LABELS.suspicious, path: finding.path, signals: finding.signals.map(signal => signal.type) }
+            }))
+        ];
+        
+        return JSON.stringify({
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: report.tool.name,
+                        informationUri: report.tool.informationUri,
+                        rules: SARIF_RULES
+                    }
+                },
+                artifacts: [{ location: sarifArtifact(report.file) }],
+                results,
+                properties: { generatedAt: report.generatedAt, database: report.database }
+            }]
+        }, null, 2);
+    }
+
+    // RFC 4180 field
+    function csvField(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Every package with its verdict
+    function toCsv(report) {
+        const header = ['name', 'version', 'path', 'verdict', 'compromised_versions', 'database_version', 'database_date'];
+        const findingsByPath = new Map(report.findings.map(finding => [finding.path, finding]));
+        const rows = report.packages.map(pkg => {
+            const finding = findingsByPath.get(pkg.path);
+            return [
+                pkg.name,
+                pkg.version,
+                pkg.path,
+                VERDICT_LABELS[pkg.verdict],
+                finding ? finding.compromisedVersions.join(' ') : '',
+                report.database.version,
+                report.database.lastUpdate
+            ];
+        });
+        
+        return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // Markdown table cell
+    function mdCell(value) {
+        return String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    }
+
+    function toMarkdown(report) {
+        const { summary, database } = report;
+        const lines = [
+            `# Shai Hulud analysis - ${mdCell(report.file)}`,
+            '',
+            `- Generated: ${report.generatedAt}`,
+            `- Database: ${mdCell(database.attackName)}, version ${mdCell(database.version)} (${mdCell(database.lastUpdate)}), ${database.packageCount} compromised packages`,
+            '',
+            '## Summary',
+            '',
+            '| Packages | Safe | Critical | High | Medium | Low | Ranges | Suspicious | Suppressed |',
+            '| --- | --- | --- | --- | --- | --- | --- | --- | --- |',
+            `| ${summary.packages} | ${summary.safe} | ${summary.critical} | ${summary.high} | ${summary.medium} | ${summary.low} | ${summary.ranges} | ${summary.suspicious} | ${summary.suppressed} |`,
+            ''
+        ];
+        
+        if (report.comparison) lines.push(...markdownComparison(report.comparison));
+        
+        if (report.findings.length > 0) {
+            lines.push(report.comparison ? '## New findings' : '## Findings', '', '| Severity | Package | Version | Known compromised versions | Line |', '| --- | --- | --- | --- | --- |');
+            report.findings.forEach(finding => {
+                lines.push(`| ${SEVERITY_LABELS[finding.severity]} | \`${mdCell(finding.name)}\` | ${mdCell(finding.version)} | ${mdCell(finding.compromisedVersions.join(', '))} | ${finding.line || ''} |`);
+            });
+            lines.push('');
+        }
+        
+        if (report.suppressed.length > 0) {
+            lines.push('## Suppressed findings', '', '| Severity | Package | Version | Reason | Owner | Expires |', '| --- | --- | --- | --- | --- | --- |');
+            report.suppressed.forEach(finding => {
+                lines.push(`| ${SEVERITY_LABELS[finding.severity]} | \`${mdCell(finding.name)}\` | ${mdCell(finding.version)} | ${mdCell(finding.suppression.reason)} | ${mdCell(finding.suppression.owner)} | ${finding.suppression.expires} |`);
+            });
+            lines.push('');
+        }
+        
+        if (report.rangeFindings.length > 0) {
+            lines.push('## Ranges admitting compromised versions', '', '| Package | Range | Field | Admitted versions | Suggested range |', '| --- | --- | --- | --- | --- |');
+            report.rangeFindings.forEach(finding => {
+                lines.push(`| \`${mdCell(finding.name)}\` | ${mdCell(finding.range)} | ${mdCell(finding.field)} | ${mdCell(finding.admittedVersions.join(', '))} | ${mdCell(finding.suggestedRange || '')} |`);
+            });
+            lines.push('');
+        }
+        
+        if (report.suspicious.length > 0) {
+            lines.push('## Suspicious packages', '', 'Not on the compromised packages list, but worth a review.', '', '| Package | Version | Signals | Line |', '| --- | --- | --- | --- |');
+            report.suspicious.forEach(finding => {
+                lines.push(`| \`${mdCell(finding.name)}\` | ${mdCell(finding.version)} | ${mdCell(finding.signals.map(signal => signal.message).join('; '))} | ${finding.line || ''} |`);
+            });
+            lines.push('');
+        }
+        
+        if (report.findings.length === 0 && report.rangeFindings.length === 0) {
+            lines.push(report.comparison ? '✅ No new threats introduced' : '✅ No threats detected', '');
+        }
+        
+        return lines.join('\n');
+    }
+
+    // Dependency changes against the base lockfile, and the findings the change leaves or removes
+    function markdownComparison(comparison) {
+        const briefs = findings => findings.map(finding => `\`${mdCell(finding.name)}@${mdCell(finding.version)}\` (${SEVERITY_LABELS[finding.severity]})`).join(', ');
+        const lines = [
+            `## Changes since ${mdCell(comparison.base)}`,
+            '',
+            `${comparison.added.length} added, ${comparison.removed.length} removed, ${comparison.changed.length} changed packages`,
+            ''
+        ];
+        const rows = [
+            ...comparison.added.map(change => ['Added', change.name, change.versions.join(', ')]),
+            ...comparison.removed.map(change => ['Removed', change.name, change.versions.join(', ')]),
+            ...comparison.changed.map(change => ['Changed', change.name, `${change.from.join(', ')} → ${change.to.join(', ')}`])
+        ];
+        if (rows.length > 0) {
+            lines.push('| Change | Package | Versions |', '| --- | --- | --- |');
+            rows.forEach(([change, name, versions]) => lines.push(`| ${change} | \`${mdCell(name)}\` | ${mdCell(versions)} |`));
+            lines.push('');
+        }
+        if (comparison.preexisting.length > 0) lines.push(`Findings already in the base lockfile: ${briefs(comparison.preexisting)}`, '');
+        if (comparison.resolved.length > 0) lines.push(`Findings removed by the change: ${briefs(comparison.resolved)}`, '');
+        return lines;
+    }
+
+    const FORMATTERS = {
+        json: toJson,
+        sarif: toSarif,
+        csv: toCsv,
+        markdown: toMarkdown
+    };
+
+    // File extension and MIME type of each export
+    const FORMAT_FILES = {
+        json: { extension: 'json', mimeType: 'application/json' },
+        sarif: { extension: 'sarif', mimeType: 'application/sarif+json' },
+        csv: { extension: 'csv', mimeType: 'text/csv' },
+        markdown: { extension: 'md', mimeType: 'text/markdown' }
+    };
+
+    function formatReport(report, format) {
+        const formatter = FORMATTERS[format];
+        if (!formatter) {
+            throw new Error(`Unsupported report format "${format}". Supported: ${REPORT_FORMATS.join(', ')}`);
+        }
+        return formatter(report);
+    }
+
+    return {
+        REPORT_FORMATS,
+        FORMAT_FILES,
+        locateDependency,
+        locateRange,
+        describeDatabase,
+        createReport,
+        formatReport
+    };
+});
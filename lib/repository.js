@@ -0,0 +1,218 @@
+// Repository compromise check for the CLI - besides publishing infected packages, Shai-Hulud modifies the
+// repositories it reaches: it plants GitHub workflows, registers the machine as a self-hosted runner and leaves the
+// files it exfiltrates. scanRepository walks a checkout for these indicators, rotationChecklist turns them into the
+// credentials to rotate.
+const fs = require('fs');
+const path = require('path');
+const { PAYLOAD_FILE_NAMES, LIFECYCLE_SCRIPTS } = require('./installed');
+
+// Workflow file names planted by the worm
+const WORKFLOW_FILES = [
+    { pattern: /^discussion\.ya?ml$/i, severity: 'critical', message: 'Workflow file name of the Shai-Hulud discussion backdoor' },
+    { pattern: /^shai-hulud(-workflow)?\.ya?ml$/i, severity: 'critical', message: 'Workflow file name of the Shai-Hulud exfiltration workflow' },
+    { pattern: /^formatter_\d+\.ya?ml$/i, severity: 'high', message: 'Workflow file name used by Shai-Hulud 2.0 to dump the repository secrets' }
+];
+
+// Workflow content
+const WORKFLOW_PATTERNS = [
+    { pattern: /\$\{\{\s*github\.event\.discussion\.(body|title)\s*\}\}/, severity: 'critical', message: 'Runs the text of a discussion as a command: anyone able to open a discussion controls the runner' },
+    { pattern: /toJSON\(\s*secrets\s*\)/i, severity: 'critical', message: 'Serializes every secret available to the workflow' },
+    { pattern: /webhook\.site/i, severity: 'critical', message: 'Sends data to webhook.site, the Shai-Hulud exfiltration endpoint' },
+    { pattern: /SHA1HULUD/i, severity: 'critical', message: 'Targets the self-hosted runner registered by Shai-Hulud 2.0 (SHA1HULUD)' },
+    { pattern: /runs-on:\s*\[?\s*['"]?self-hosted/i, severity: 'warning', message: 'Runs on a self-hosted runner: check that the runner is yours' }
+];
+
+// Files left in the checkout: the payload, the files it exfiltrates and the scripts of the first wave.
+// Common names ("generic") are only HIGH next to a payload or secrets file, MEDIUM (a review) elsewhere.
+const ARTIFACT_FILES = [
+    ...PAYLOAD_FILE_NAMES.map(name => ({ name, severity: 'critical', message: `Shai-Hulud payload file ${name}` })),
+    { name: 'truffleSecrets.json', severity: 'critical', message: 'Secrets found by TruffleHog, collected for exfiltration' },
+    { name: 'actionsSecrets.json', severity: 'critical', message: 'GitHub Actions secrets collected for exfiltration' },
+    { name: 'cloud.json', severity: 'high', generic: true, message: 'Cloud credentials collected for exfiltration (AWS, Google Cloud, Azure)' },
+    { name: 'environment.json', severity: 'high', generic: true, message: 'Environment variables collected for exfiltration' },
+    { name: 'contents.json', severity: 'high', generic: true, message: 'System information collected for exfiltration' },
+    { name: 'processor.sh', severity: 'high', message: 'Script of the first Shai-Hulud wave (branch and workflow injection)' },
+    { name: 'migrate-repos.sh', severity: 'high', message: 'Script of the first Shai-Hulud wave (private repositories made public)' }
+];
+
+// Files written by the registration of a GitHub Actions self-hosted runner
+const RUNNER_FILES = ['.runner', '.credentials', '.credentials_rsaparams'];
+
+// Lifecycle script commands
+const SCRIPT_PATTERNS = [
+    { pattern: new RegExp(PAYLOAD_FILE_NAMES.map(name => name.replace('.', '\\.')).join('|')), severity: 'critical', message: 'Runs the Shai-Hulud payload' },
+    { pattern: /trufflehog/i, severity: 'critical', message: 'Runs TruffleHog to collect secrets' },
+    { pattern: /webhook\.site/i, severity: 'critical', message: 'Sends data to webhook.site, the Shai-Hulud exfiltration endpoint' },
+    { pattern: /\b(curl|wget)\b[^|;&]*\|\s*(sudo\s+)?(ba|z)?sh\b/, severity: 'high', message: 'Pipes a download into a shell' }
+];
+
+// Branch created by the first wave in every repository it reached
+const BRANCH_NAME = 'shai-hulud';
+
+// Incident response, in order: an item applies when a CRITICAL or HIGH indicator of one of its categories is found
+// ("*": any category)
+const CHECKLIST = [
+    { id: 'npm', categories: ['*'], title: 'npm tokens', action: 'Revoke every npm token of the developers and CI jobs that installed or published from this repository (npm token list, npm token revoke), then require two-factor authentication for publishing' },
+    { id: 'github', categories: ['*'], title: 'GitHub credentials', action: 'Revoke the personal access tokens, gh CLI and OAuth tokens and SSH keys used on the affected machines; look for repositories named or described "Shai-Hulud" in their accounts' },
+    { id: 'actions', categories: ['workflow', 'branch', 'artifact'], title: 'GitHub Actions secrets', action: 'Rotate every repository and organization secret the workflows can read, delete the injected workflows and review the workflow runs and their logs' },
+    { id: 'runner', categories: ['runner', 'workflow'], title: 'Self-hosted runners', action: 'Remove unknown runners (Settings > Actions > Runners), delete their folder and reinstall the machines that registered them' },
+    { id: 'cloud', categories: ['artifact', 'lifecycle-script', 'runner'], title: 'Cloud credentials', action: 'Rotate the AWS, Google Cloud and Azure credentials of the affected machines, and the secrets stored in their secret managers' },
+    { id: 'files', categories: ['artifact', 'lifecycle-script'], title: 'Secrets stored in files', action: 'Rotate the credentials found in the checkout and the home folder (.env files, .npmrc, cloud configuration): TruffleHog scans them' }
+];
+
+const SKIPPED_DIRECTORIES = ['.git', 'node_modules'];
+
+function lineOf(content, index) {
+    return content.slice(0, index).split('\n').length;
+}
+
+// Files of a checkout, relative with "/" separators - .git and node_modules are skipped, symbolic links not followed
+function listFiles(dir, prefix = '') {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+    
+    return entries.sort((a, b) => (a.name < b.name ? -1 : (a.name > b.name ? 1 : 0))).flatMap(entry => {
+        if (entry.isDirectory()) {
+            return SKIPPED_DIRECTORIES.includes(entry.name) ? [] : listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`);
+        }
+        return entry.isFile() ? [`${prefix}${entry.name}`] : [];
+    });
+}
+
+function isWorkflow(file) {
+    return /(^|\/)\.github\/workflows\/[^/]+\.ya?ml$/i.test(file);
+}
+
+// Indicators of a workflow file: [{ category, severity, file, line, message }]
+function inspectWorkflow(file, content) {
+    const indicators = [];
+    const fileName = path.posix.basename(file);
+    
+    WORKFLOW_FILES.filter(({ pattern }) => pattern.test(fileName)).forEach(({ severity, message }) => {
+        indicators.push({ category: 'workflow', severity, file, line: null, message });
+    });
+    WORKFLOW_PATTERNS.forEach(({ pattern, severity, message }) => {
+        const match = pattern.exec(content);
+        if (match) indicators.push({ category: 'workflow', severity, file, line: lineOf(content, match.index), message });
+    });
+    
+    return indicators;
+}
+
+// Indicators of the lifecycle scripts of a package.json
+function inspectManifest(file, content) {
+    let manifest;
+    try {
+        manifest = JSON.parse(content);
+    } catch (error) {
+        return [];
+    }
+    const scripts = manifest && manifest.scripts;
+    if (!scripts || typeof scripts !== 'object') return [];
+    
+    return LIFECYCLE_SCRIPTS.filter(script => typeof scripts[script] === 'string').flatMap(script => SCRIPT_PATTERNS
+        .filter(({ pattern }) => pattern.test(scripts[script]))
+        .map(({ severity, message }) => ({
+            category: 'lifecycle-script',
+            severity,
+            file,
+            line: lineOf(content, content.indexOf(`"${script}"`)),
+            message: `${message}: "${script}": ${scripts[script]}`
+        })));
+}
+
+// Runner registration files: CRITICAL when the runner is the one registered by the worm
+function inspectRunner(dir, file) {
+    let content = '';
+    try {
+        content = fs.readFileSync(path.join(dir, file), 'utf-8');
+    } catch (error) {
+        // Unreadable registration: reported as an unknown runner
+    }
+    return /SHA1HULUD/i.test(content)
+        ? { category: 'runner', severity: 'critical', file, line: null, message: 'Self-hosted runner registered by Shai-Hulud 2.0 (SHA1HULUD)' }
+        : { category: 'runner', severity: 'high', file, line: null, message: 'GitHub Actions self-hosted runner registration inside the checkout' };
+}
+
+// Local and remote-tracking branches named shai-hulud, from the refs files and packed-refs
+function findBranches(dir) {
+    const gitDir = path.join(dir, '.git');
+    const refs = listFiles(path.join(gitDir, 'refs')).map(ref => `refs/${ref}`);
+    try {
+        fs.readFileSync(path.join(gitDir, 'packed-refs'), 'utf-8').split('\n').forEach(line => {
+            const match = /^[0-9a-f]+ (refs\/\S+)$/.exec(line.trim());
+            if (match) refs.push(match[1]);
+        });
+    } catch (error) {
+        // No packed refs
+    }
+    
+    return Array.from(new Set(refs))
+        .filter(ref => /^refs\/(heads|remotes\/[^/]+)\//.test(ref) && ref.endsWith(`/${BRANCH_NAME}`))
+        .map(ref => ({ category: 'branch', severity: 'high', file: `.git/${ref}`, line: null, message: `"${BRANCH_NAME}" branch, created by the first Shai-Hulud wave to inject its workflow` }));
+}
+
+// Artifact files of a checkout - generic names are HIGH only in a folder holding a distinctive artifact
+function findArtifacts(files) {
+    const matches = files.flatMap(file => ARTIFACT_FILES
+        .filter(artifact => artifact.name === path.posix.basename(file))
+        .map(artifact => ({ file, artifact })));
+    const payloadFolders = new Set(matches.filter(({ artifact }) => !artifact.generic).map(({ file }) => path.posix.dirname(file)));
+    
+    return matches.map(({ file, artifact }) => {
+        if (!artifact.generic || payloadFolders.has(path.posix.dirname(file))) {
+            return { category: 'artifact', severity: artifact.severity, file, line: null, message: artifact.message };
+        }
+        return { category: 'artifact', severity: 'warning', file, line: null, message: `Common file name also used by Shai-Hulud for its exfiltration files: check its content (${artifact.message.toLowerCase()})` };
+    });
+}
+
+// Indicators of a repository checkout: { files, workflows, manifests, findings }
+// findings: [{ category, severity, file, line, message }], category is 'workflow', 'runner', 'artifact',
+// 'lifecycle-script' or 'branch'
+function scanRepository(dir) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`Not a directory: ${dir}`);
+    }
+    
+    const files = listFiles(dir);
+    const read = file => fs.readFileSync(path.join(dir, file), 'utf-8');
+    const workflows = files.filter(isWorkflow);
+    const manifests = files.filter(file => path.posix.basename(file) === 'package.json');
+    
+    const findings = [
+        ...workflows.flatMap(file => inspectWorkflow(file, read(file))),
+        ...manifests.flatMap(file => inspectManifest(file, read(file))),
+        ...files.filter(file => RUNNER_FILES.includes(path.posix.basename(file))).map(file => inspectRunner(dir, file)),
+        ...findArtifacts(files),
+        ...findBranches(dir)
+    ];
+    
+    return { files: files.length, workflows: workflows.length, manifests: manifests.length, findings };
+}
+
+// Credentials to rotate after these findings: [{ id, title, action, files }], files being the indicators behind it
+function rotationChecklist(findings) {
+    const serious = findings.filter(finding => finding.severity === 'critical' || finding.severity === 'high');
+    
+    return CHECKLIST.map(({ id, categories, title, action }) => ({
+        id,
+        title,
+        action,
+        files: Array.from(new Set(serious
+            .filter(finding => categories.includes('*') || categories.includes(finding.category))
+            .map(finding => finding.file)))
+    })).filter(item => item.files.length > 0);
+}
+
+module.exports = {
+    BRANCH_NAME,
+    scanRepository,
+    inspectWorkflow,
+    inspectManifest,
+    rotationChecklist
+};
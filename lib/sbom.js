@@ -0,0 +1,166 @@
+// SBOM readers - CycloneDX JSON (1.4 to 1.6) and SPDX 2.3 JSON
+//
+// npm packages are identified by their package URL (pkg:npm/%40scope/name@1.2.3); other ecosystems are ignored.
+// The SBOM dependency graph (CycloneDX "dependencies", SPDX "relationships") becomes the { roots, edges } graph
+// of npm-lock.buildNpmGraph, going through non-npm components so that chains keep the SBOM hierarchy.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.sbom = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const CYCLONEDX_VERSIONS = ['1.4', '1.5', '1.6'];
+    const SPDX_VERSIONS = ['SPDX-2.3'];
+    // Root name when the SBOM does not describe its subject
+    const DEFAULT_ROOT_NAME = 'SBOM';
+
+    function decode(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    // pkg:npm/%40scope/name@1.2.3?qualifiers#subpath -> { name: '@scope/name', version: '1.2.3' },
+    // null for other package types and npm purls without a version
+    function parsePurl(purl) {
+        const match = /^pkg:\/*npm\/([^?#]+)/i.exec(String(purl || '').trim());
+        if (!match) return null;
+        
+        const at = match[1].lastIndexOf('@');
+        // "@" at 0 is an unencoded scope without a version
+        if (at <= 0) return null;
+        
+        const name = match[1].slice(0, at).split('/').map(decode).join('/');
+        const version = decode(match[1].slice(at + 1));
+        if (!name || !version || name.split('/').length > 2) return null;
+        return { name, version };
+    }
+
+    // Shared by both formats - nodes: Map of id -> { purl, name }, children: Map of id -> [ids], rootIds: subjects of the SBOM
+    function buildProject(nodes, children, rootIds) {
+        const packages = new Map();
+        nodes.forEach((node, id) => {
+            const parsed = parsePurl(node.purl);
+            if (parsed && !rootIds.includes(id)) packages.set(id, { ...parsed, path: id });
+        });
+        
+        // npm packages reached from a node, looking through non-npm components (applications, libraries of other ecosystems)
+        function npmChildren(id) {
+            const found = new Set();
+            const visited = new Set([id]);
+            const queue = [...(children.get(id) || [])];
+            while (queue.length > 0) {
+                const child = queue.shift();
+                if (visited.has(child)) continue;
+                visited.add(child);
+                if (packages.has(child)) {
+                    found.add(child);
+                } else {
+                    queue.push(...(children.get(child) || []));
+                }
+            }
+            return Array.from(found);
+        }
+        
+        const edges = {};
+        packages.forEach((dependency, id) => {
+            edges[id] = npmChildren(id);
+        });
+        
+        let roots = rootIds.map(id => ({ name: (nodes.get(id) && nodes.get(id).name) || id, dependencies: npmChildren(id) }))
+            .filter(projectRoot => projectRoot.dependencies.length > 0);
+        // No described subject, or no graph for it: the packages nothing depends on are the direct dependencies
+        if (roots.length === 0) {
+            const dependedOn = new Set(Object.values(edges).flat());
+            roots = [{ name: DEFAULT_ROOT_NAME, dependencies: Array.from(packages.keys()).filter(id => !dependedOn.has(id)) }];
+        }
+        
+        return { dependencies: Array.from(packages.values()), graph: { roots, edges } };
+    }
+
+    // Components are nested in CycloneDX (assemblies): flatten them
+    function collectComponents(components, nodes) {
+        (components || []).forEach(component => {
+            const id = component['bom-ref'] || component.purl;
+            if (id && !nodes.has(id)) {
+                nodes.set(id, { purl: component.purl, name: component.version ? `${component.name}@${component.version}` : component.name });
+            }
+            collectComponents(component.components, nodes);
+        });
+    }
+
+    // { dependencies, graph } of a CycloneDX JSON document
+    function readCycloneDx(bom) {
+        if (!CYCLONEDX_VERSIONS.includes(String(bom.specVersion))) {
+            throw new Error(`Unsupported CycloneDX version "${bom.specVersion}". Supported: ${CYCLONEDX_VERSIONS.join(', ')}`);
+        }
+        
+        const nodes = new Map();
+        const subject = bom.metadata && bom.metadata.component;
+        collectComponents(subject ? [subject] : [], nodes);
+        collectComponents(bom.components, nodes);
+        
+        const children = new Map();
+        (bom.dependencies || []).forEach(entry => {
+            if (entry && entry.ref) children.set(entry.ref, (entry.dependsOn || []).slice());
+        });
+        
+        const rootIds = subject && (subject['bom-ref'] || subject.purl) ? [subject['bom-ref'] || subject.purl] : [];
+        return buildProject(nodes, children, rootIds);
+    }
+
+    // SPDX relationship types that point from a dependency to its dependent ("X DEPENDENCY_OF Y")
+    function isReverseDependency(type) {
+        return /DEPENDENCY_OF$/.test(type);
+    }
+
+    // { dependencies, graph } of an SPDX JSON document
+    function readSpdx(document) {
+        if (!SPDX_VERSIONS.includes(document.spdxVersion)) {
+            throw new Error(`Unsupported SPDX version "${document.spdxVersion}". Supported: ${SPDX_VERSIONS.join(', ')}`);
+        }
+        
+        const nodes = new Map();
+        (document.packages || []).forEach(pkg => {
+            const purlRef = (pkg.externalRefs || []).find(ref => ref.referenceType === 'purl' && parsePurl(ref.referenceLocator));
+            nodes.set(pkg.SPDXID, {
+                purl: purlRef ? purlRef.referenceLocator : null,
+                name: pkg.versionInfo ? `${pkg.name}@${pkg.versionInfo}` : pkg.name
+            });
+        });
+        
+        const children = new Map();
+        const addChild = (parent, child) => {
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(child);
+        };
+        const rootIds = (document.documentDescribes || []).slice();
+        (document.relationships || []).forEach(({ spdxElementId, relationshipType, relatedSpdxElement }) => {
+            if (relationshipType === 'DESCRIBES' && spdxElementId === document.SPDXID) {
+                if (!rootIds.includes(relatedSpdxElement)) rootIds.push(relatedSpdxElement);
+            } else if (relationshipType === 'DESCRIBED_BY' && relatedSpdxElement === document.SPDXID) {
+                if (!rootIds.includes(spdxElementId)) rootIds.push(spdxElementId);
+            } else if (relationshipType === 'DEPENDS_ON' || relationshipType === 'CONTAINS') {
+                addChild(spdxElementId, relatedSpdxElement);
+            } else if (isReverseDependency(relationshipType) || relationshipType === 'CONTAINED_BY') {
+                addChild(relatedSpdxElement, spdxElementId);
+            }
+        });
+        
+        return buildProject(nodes, children, rootIds);
+    }
+
+    return {
+        CYCLONEDX_VERSIONS,
+        SPDX_VERSIONS,
+        parsePurl,
+        readCycloneDx,
+        readSpdx
+    };
+});
@@ -0,0 +1,363 @@
+// SemVer 2.0.0 parsing and precedence (https://semver.org/#spec-item-11) and npm range matching
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.semver = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const IDENTIFIER = '(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)';
+    // A leading "v" or "=" is tolerated, as npm does
+    const SEMVER_PATTERN = new RegExp(
+        '^[v=]?(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)' +
+        `(?:-(${IDENTIFIER}(?:\\.${IDENTIFIER})*))?` +
+        '(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$'
+    );
+
+    // Parse a version string, returns null when it is not valid SemVer
+    function parse(version) {
+        if (typeof version !== 'string') return null;
+        
+        const match = version.trim().match(SEMVER_PATTERN);
+        if (!match) return null;
+        
+        const numbers = [match[1], match[2], match[3]].map(Number);
+        if (numbers.some(n => n > Number.MAX_SAFE_INTEGER)) return null;
+        
+        return {
+            major: numbers[0],
+            minor: numbers[1],
+            patch: numbers[2],
+            prerelease: match[4] ? match[4].split('.').map(id => /^\d+$/.test(id) ? Number(id) : id) : [],
+            build: match[5] ? match[5].split('.') : []
+        };
+    }
+
+    function isValid(version) {
+        return parse(version) !== null;
+    }
+
+    // Numeric identifiers have lower precedence than alphanumeric ones
+    function compareIdentifiers(a, b) {
+        const aNumeric = typeof a === 'number';
+        const bNumeric = typeof b === 'number';
+        
+        if (aNumeric && !bNumeric) return -1;
+        if (!aNumeric && bNumeric) return 1;
+        if (a < b) return -1;
+        if (a > b) return 1;
+        return 0;
+    }
+
+    function comparePrerelease(a, b) {
+        // A version without prerelease has higher precedence: 1.0.0-rc.1 < 1.0.0
+        if (a.length === 0 && b.length === 0) return 0;
+        if (a.length === 0) return 1;
+        if (b.length === 0) return -1;
+        
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            // A larger set of identifiers has higher precedence: 1.0.0-alpha < 1.0.0-alpha.1
+            if (a[i] === undefined) return -1;
+            if (b[i] === undefined) return 1;
+            
+            const result = compareIdentifiers(a[i], b[i]);
+            if (result !== 0) return result;
+        }
+        return 0;
+    }
+
+    // Compare two versions by precedence: -1, 0 or 1. Build metadata is ignored.
+    // Throws a TypeError when either version is not valid SemVer.
+    function compare(v1, v2) {
+        const a = parse(v1);
+        const b = parse(v2);
+        
+        if (!a) throw new TypeError(`Invalid version: ${v1}`);
+        if (!b) throw new TypeError(`Invalid version: ${v2}`);
+        
+        for (const field of ['major', 'minor', 'patch']) {
+            if (a[field] > b[field]) return 1;
+            if (a[field] < b[field]) return -1;
+        }
+        return comparePrerelease(a.prerelease, b.prerelease);
+    }
+
+    // Partial version used in ranges: "1", "1.2", "1.x", "*", "1.2.3-beta.1"
+    const PARTIAL_PATTERN = new RegExp(
+        '^[v=]?(0|[1-9]\\d*|[xX*])(?:\\.(0|[1-9]\\d*|[xX*]))?(?:\\.(0|[1-9]\\d*|[xX*]))?' +
+        `(?:-(${IDENTIFIER}(?:\\.${IDENTIFIER})*))?` +
+        '(?:\\+[0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*)?$'
+    );
+
+    function isWildcard(part) {
+        return part === undefined || part === 'x' || part === 'X' || part === '*';
+    }
+
+    function parsePartial(text) {
+        const match = text.match(PARTIAL_PATTERN);
+        if (!match) return null;
+        
+        const major = isWildcard(match[1]) ? null : Number(match[1]);
+        const minor = major === null || isWildcard(match[2]) ? null : Number(match[2]);
+        const patch = minor === null || isWildcard(match[3]) ? null : Number(match[3]);
+        
+        return { major, minor, patch, prerelease: patch === null ? '' : (match[4] ? `-${match[4]}` : '') };
+    }
+
+    function formatPartial(partial) {
+        return `${partial.major || 0}.${partial.minor || 0}.${partial.patch || 0}${partial.prerelease}`;
+    }
+
+    // Lowest version above every version matching the partial ("1.2" -> "1.3.0-0")
+    function nextAfterPartial(partial) {
+        if (partial.minor === null) return `${partial.major + 1}.0.0-0`;
+        return `${partial.major}.${partial.minor + 1}.0-0`;
+    }
+
+    // Turn one range element into comparators: { operator, version }
+    function desugar(operator, partial) {
+        const any = [{ operator: '>=', version: '0.0.0-0' }];
+        const exact = partial.patch !== null;
+        
+        if (operator === '^') {
+            if (partial.major === null) return any;
+            const lower = { operator: '>=', version: formatPartial(partial) };
+            let upper;
+            if (partial.major > 0 || partial.minor === null) {
+                upper = `${partial.major + 1}.0.0-0`;
+            } else if (partial.minor > 0 || partial.patch === null) {
+                upper = `0.${partial.minor + 1}.0-0`;
+            } else {
+                upper = `0.0.${partial.patch + 1}-0`;
+            }
+            return [lower, { operator: '<', version: upper }];
+        }
+        
+        if (operator === '~') {
+            if (partial.major === null) return any;
+            return [
+                { operator: '>=', version: formatPartial(partial) },
+                { operator: '<', version: nextAfterPartial(partial) }
+            ];
+        }
+        
+        if (partial.major === null) {
+            // "*", "x", ">=*"; "<*" and ">*" match nothing
+            return operator === '<' || operator === '>' ? [{ operator: '<', version: '0.0.0-0' }] : any;
+        }
+        
+        if (exact) {
+            return [{ operator: operator || '=', version: formatPartial(partial) }];
+        }
+        
+        // Partial versions: "1.2" is ">=1.2.0 <1.3.0-0"
+        switch (operator) {
+            case '>':
+                return [{ operator: '>=', version: nextAfterPartial(partial).replace(/-0$/, '') }];
+            case '>=':
+                return [{ operator: '>=', version: formatPartial(partial) }];
+            case '<':
+                return [{ operator: '<', version: `${formatPartial(partial)}-0` }];
+            case '<=':
+                return [{ operator: '<', version: nextAfterPartial(partial) }];
+            default:
+                return [
+                    { operator: '>=', version: formatPartial(partial) },
+                    { operator: '<', version: nextAfterPartial(partial) }
+                ];
+        }
+    }
+
+    // Upper bound of a hyphen range: "1.2.3 - 2.3" includes every 2.3.x
+    function hyphenUpper(partial) {
+        if (partial.major === null) return [];
+        if (partial.patch !== null) return [{ operator: '<=', version: formatPartial(partial) }];
+        return [{ operator: '<', version: nextAfterPartial(partial) }];
+    }
+
+    // Parse an npm range into comparator sets (OR of ANDs), returns null when it is not a valid range
+    function parseRange(range) {
+        if (typeof range !== 'string') return null;
+        
+        const sets = range.trim().split(/\s*\|\|\s*/).map(part => {
+            const comparators = [];
+            
+            const hyphen = part.match(/^(\S+)\s+-\s+(\S+)$/);
+            if (hyphen) {
+                const lower = parsePartial(hyphen[1]);
+                const upper = parsePartial(hyphen[2]);
+                if (!lower || !upper) return null;
+                return [...desugar('>=', lower), ...hyphenUpper(upper)];
+            }
+            
+            // "> 1.2.3" is written with a space by some authors
+            const tokens = part.replace(/([<>=~^]+)\s+/g, '$1').split(/\s+/).filter(Boolean);
+            if (tokens.length === 0) return desugar('', { major: null });
+            
+            for (const token of tokens) {
+                const match = token.match(/^(\^|~>?|[<>]=?|=)?(.*)$/);
+                const partial = parsePartial(match[2]);
+                if (!partial) return null;
+                comparators.push(...desugar((match[1] || '').replace('~>', '~'), partial));
+            }
+            return comparators;
+        });
+        
+        return sets.includes(null) ? null : sets;
+    }
+
+    function testComparator(version, comparator) {
+        const result = compare(version, comparator.version);
+        switch (comparator.operator) {
+            case '>': return result > 0;
+            case '>=': return result >= 0;
+            case '<': return result < 0;
+            case '<=': return result <= 0;
+            default: return result === 0;
+        }
+    }
+
+    function testSet(version, set) {
+        if (!set.every(comparator => testComparator(version, comparator))) return false;
+        
+        // npm rule: a prerelease only matches when a comparator has a prerelease on the same [major, minor, patch]
+        const parsed = parse(version);
+        if (parsed.prerelease.length === 0) return true;
+        
+        return set.some(comparator => {
+            const bound = parse(comparator.version);
+            return bound.prerelease.length > 0 && !(bound.prerelease.length === 1 && bound.prerelease[0] === 0 && comparator.operator === '<') &&
+                bound.major === parsed.major && bound.minor === parsed.minor && bound.patch === parsed.patch;
+        });
+    }
+
+    // Does the version satisfy the range (npm semantics)?
+    function satisfies(version, range) {
+        const sets = typeof range === 'string' ? parseRange(range) : range;
+        if (!sets || !isValid(version)) return false;
+        return sets.some(set => testSet(version, set));
+    }
+
+    // Reduce a comparator set to its tightest lower and upper bounds, null when nothing can match
+    function simplifySet(set) {
+        let lower = null;
+        let upper = null;
+        
+        set.forEach(comparator => {
+            const { operator, version } = comparator;
+            if (operator === '>' || operator === '>=' || operator === '=') {
+                const candidate = { operator: operator === '=' ? '>=' : operator, version };
+                const result = lower ? compare(version, lower.version) : 1;
+                if (result > 0 || (result === 0 && operator === '>')) lower = candidate;
+            }
+            if (operator === '<' || operator === '<=' || operator === '=') {
+                const candidate = { operator: operator === '=' ? '<=' : operator, version };
+                const result = upper ? compare(version, upper.version) : -1;
+                if (result < 0 || (result === 0 && operator === '<')) upper = candidate;
+            }
+        });
+        
+        if (lower && upper) {
+            const result = compare(lower.version, upper.version);
+            if (result > 0 || (result === 0 && (lower.operator === '>' || upper.operator === '<'))) return null;
+        }
+        
+        return [lower, upper].filter(Boolean);
+    }
+
+    function formatComparator(comparator) {
+        if (comparator.operator === '>=' && comparator.version === '0.0.0-0') return '*';
+        // "<2.0.0-0" reads as "<2.0.0" under the prerelease rule
+        return `${comparator.operator}${comparator.version.replace(/-0$/, '')}`;
+    }
+
+    // Format comparator sets back into a range string
+    function formatRange(sets) {
+        return sets.map(set => {
+            if (set.length === 2 && set[0].operator === '>=' && set[1].operator === '<=' && compare(set[0].version, set[1].version) === 0) {
+                return set[0].version;
+            }
+            const parts = set.map(formatComparator).filter(part => part !== '*' || set.length === 1);
+            return parts.join(' ');
+        }).join(' || ');
+    }
+
+    function isNextPatch(lower, upper) {
+        const a = parse(lower);
+        const b = parse(upper);
+        return a.prerelease.length === 0 && b.prerelease.length === 0 &&
+            a.major === b.major && a.minor === b.minor && a.patch + 1 === b.patch;
+    }
+
+    // Narrow a range so that it excludes the given versions
+    function excludeVersions(range, versions) {
+        const sets = typeof range === 'string' ? parseRange(range) : range;
+        if (!sets) return null;
+        
+        const sorted = versions.filter(isValid).sort(compare);
+        // Gaps between the excluded versions: <v1, >v1 <v2, ..., >vn
+        const gaps = [];
+        for (let i = 0; i <= sorted.length; i++) {
+            // Nothing but prereleases fits between 1.2.3 and 1.2.4
+            if (i > 0 && i < sorted.length && isNextPatch(sorted[i - 1], sorted[i])) continue;
+            
+            const gap = [];
+            if (i > 0) gap.push({ operator: '>', version: sorted[i - 1] });
+            if (i < sorted.length) gap.push({ operator: '<', version: sorted[i] });
+            gaps.push(gap);
+        }
+        
+        const narrowed = [];
+        sets.forEach(set => {
+            gaps.forEach(gap => {
+                const simplified = simplifySet([...set, ...gap]);
+                if (simplified) narrowed.push(simplified);
+            });
+        });
+        
+        return narrowed.length > 0 ? formatRange(narrowed) : null;
+    }
+
+    // Lowest version above an exclusive lower bound, as npm's semver.minVersion: 1.2.3 -> 1.2.4, 1.2.3-beta -> 1.2.3-beta.0
+    function nextVersion(version) {
+        const { major, minor, patch, prerelease } = parse(version);
+        return prerelease.length === 0 ?
+            `${major}.${minor}.${patch + 1}` :
+            `${major}.${minor}.${patch}-${[...prerelease, 0].join('.')}`;
+    }
+
+    // Lowest version matching the range, when it can be derived from the range bounds
+    function minVersion(range) {
+        const sets = typeof range === 'string' ? parseRange(range) : range;
+        if (!sets) return null;
+        // As npm, 0.0.0 before the prereleases of the lower bounds (>=0.0.0-0, >0.0.0-alpha)
+        if (satisfies('0.0.0', sets)) return '0.0.0';
+        
+        const candidates = sets
+            .map(simplifySet)
+            .filter(Boolean)
+            .map(set => {
+                const lower = set.find(comparator => comparator.operator === '>=' || comparator.operator === '>');
+                if (!lower) return '0.0.0';
+                return lower.operator === '>' ? nextVersion(lower.version) : lower.version;
+            })
+            .filter(version => satisfies(version, sets))
+            .sort(compare);
+        
+        return candidates.length > 0 ? candidates[0] : null;
+    }
+
+    return {
+        parse,
+        isValid,
+        compare,
+        parseRange,
+        satisfies,
+        excludeVersions,
+        minVersion,
+        isNextPatch
+    };
+});
@@ -0,0 +1,94 @@
+// Database signature verification (Ed25519, WebCrypto) - the page refuses a database it cannot verify
+//
+// Signature file (compromised-packages.json.sig), written by convert-list.js (see lib/signing.js):
+//   { "algorithm": "Ed25519", "keyId": "<first 8 bytes of SHA-256(public key), hex>", "signature": "<base64>" }
+// The signature covers the exact bytes of compromised-packages.json.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.signature = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SIGNATURE_ALGORITHM = 'Ed25519';
+    // Raw Ed25519 public key and signature lengths
+    const PUBLIC_KEY_LENGTH = 32;
+    const SIGNATURE_LENGTH = 64;
+
+    function base64ToBytes(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let index = 0; index < binary.length; index++) {
+            bytes[index] = binary.charCodeAt(index);
+        }
+        return bytes;
+    }
+
+    function bytesToHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Short identifier of a raw public key, to tell "signed with another key" from "tampered"
+    async function keyIdOf(publicKeyBytes, subtle) {
+        const digest = new Uint8Array(await subtle.digest('SHA-256', publicKeyBytes));
+        return bytesToHex(digest.slice(0, 8));
+    }
+
+    function decodeBase64(text, expectedLength, description) {
+        let bytes;
+        try {
+            bytes = base64ToBytes(String(text || '').trim());
+        } catch (error) {
+            throw new Error(`${description} is not valid base64`);
+        }
+        if (bytes.length !== expectedLength) {
+            throw new Error(`${description} must be ${expectedLength} bytes, got ${bytes.length}`);
+        }
+        return bytes;
+    }
+
+    // Resolves when the signature file signs content (bytes) with the public key (base64, raw 32 bytes),
+    // rejects with the reason otherwise. subtle is the WebCrypto SubtleCrypto (window.crypto.subtle).
+    async function verifyDatabase(content, signatureFile, publicKeyBase64, subtle) {
+        if (!subtle) {
+            throw new Error('WebCrypto is not available: open the page over HTTPS or from localhost');
+        }
+        if (!publicKeyBase64) {
+            throw new Error('No database public key is configured in the page');
+        }
+        if (!signatureFile || typeof signatureFile !== 'object') {
+            throw new Error('The database signature is missing');
+        }
+        if (signatureFile.algorithm !== SIGNATURE_ALGORITHM) {
+            throw new Error(`Unsupported database signature algorithm "${signatureFile.algorithm}" (expected ${SIGNATURE_ALGORITHM})`);
+        }
+        
+        const publicKeyBytes = decodeBase64(publicKeyBase64, PUBLIC_KEY_LENGTH, 'The database public key');
+        const signatureBytes = decodeBase64(signatureFile.signature, SIGNATURE_LENGTH, 'The database signature');
+        
+        const keyId = await keyIdOf(publicKeyBytes, subtle);
+        if (signatureFile.keyId && signatureFile.keyId !== keyId) {
+            throw new Error(`The database was signed with another key (${signatureFile.keyId}, expected ${keyId})`);
+        }
+        
+        let valid;
+        try {
+            const key = await subtle.importKey('raw', publicKeyBytes, { name: SIGNATURE_ALGORITHM }, false, ['verify']);
+            valid = await subtle.verify({ name: SIGNATURE_ALGORITHM }, key, signatureBytes, content);
+        } catch (error) {
+            throw new Error(`This browser cannot verify ${SIGNATURE_ALGORITHM} signatures: ${error.message}`);
+        }
+        if (!valid) {
+            throw new Error('The database signature is invalid: the file was modified after it was signed');
+        }
+    }
+
+    return {
+        SIGNATURE_ALGORITHM,
+        keyIdOf,
+        verifyDatabase
+    };
+});
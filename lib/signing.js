@@ -0,0 +1,93 @@
+// Database signing for convert-list.js - Ed25519 signatures verified by the page (see lib/signature.js)
+const crypto = require('crypto');
+const { SIGNATURE_ALGORITHM } = require('./signature');
+
+// Environment variable holding the PKCS#8 PEM private key in CI
+const SIGNING_KEY_ENV = 'SHAI_HULUD_SIGNING_KEY';
+// Meta tag of index.html holding the public key read by the page
+const PUBLIC_KEY_META = /(<meta name="shai-hulud-database-key" content=")([^"]*)(")/;
+
+function loadPrivateKey(privateKeyPem) {
+    let key;
+    try {
+        key = crypto.createPrivateKey(privateKeyPem);
+    } catch (error) {
+        throw new Error(`Invalid signing key: ${error.message}`);
+    }
+    if (key.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`The signing key must be an Ed25519 private key, got ${key.asymmetricKeyType}`);
+    }
+    return key;
+}
+
+// Raw 32-byte public key, base64 - the value embedded in index.html
+function rawPublicKey(key) {
+    return Buffer.from(crypto.createPublicKey(key).export({ format: 'jwk' }).x, 'base64url').toString('base64');
+}
+
+// Same identifier as signature.keyIdOf: first 8 bytes of the SHA-256 of the raw public key
+function keyIdOf(publicKeyBase64) {
+    return crypto.createHash('sha256').update(Buffer.from(publicKeyBase64, 'base64')).digest('hex').slice(0, 16);
+}
+
+// { privateKey: PKCS#8 PEM (CI secret), publicKey: raw base64 (index.html) }
+function generateSigningKeyPair() {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        publicKey: rawPublicKey(privateKey)
+    };
+}
+
+function publicKeyOf(privateKeyPem) {
+    return rawPublicKey(loadPrivateKey(privateKeyPem));
+}
+
+// Public key of the shai-hulud-database-key meta tag of a page ('' when empty)
+function readPublicKey(html) {
+    const match = PUBLIC_KEY_META.exec(html);
+    if (!match) throw new Error('No shai-hulud-database-key meta tag in the page');
+    return match[2].trim();
+}
+
+// Page with the public key set in its shai-hulud-database-key meta tag
+function embedPublicKey(html, publicKeyBase64) {
+    readPublicKey(html);
+    return html.replace(PUBLIC_KEY_META, (match, before, content, after) => `${before}${publicKeyBase64}${after}`);
+}
+
+// Throws unless the public key of the page is a raw Ed25519 key - and the one of the signature, when given
+function checkPublicKey(html, signatureFile = null) {
+    const publicKey = readPublicKey(html);
+    if (!publicKey) {
+        throw new Error('The shai-hulud-database-key meta tag is empty: the page would refuse every database');
+    }
+    if (Buffer.from(publicKey, 'base64').length !== 32) {
+        throw new Error('The shai-hulud-database-key meta tag does not hold a raw Ed25519 public key (32 bytes, base64)');
+    }
+    if (signatureFile && signatureFile.keyId !== keyIdOf(publicKey)) {
+        throw new Error(`The database is signed with key ${signatureFile.keyId}, the page expects ${keyIdOf(publicKey)}`);
+    }
+    return publicKey;
+}
+
+// Signature file content for the exact bytes of the database file
+function signDatabase(content, privateKeyPem) {
+    const key = loadPrivateKey(privateKeyPem);
+    return {
+        algorithm: SIGNATURE_ALGORITHM,
+        keyId: keyIdOf(rawPublicKey(key)),
+        signature: crypto.sign(null, Buffer.from(content), key).toString('base64')
+    };
+}
+
+module.exports = {
+    SIGNING_KEY_ENV,
+    keyIdOf,
+    generateSigningKeyPair,
+    publicKeyOf,
+    readPublicKey,
+    embedPublicKey,
+    checkPublicKey,
+    signDatabase
+};
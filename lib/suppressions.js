@@ -0,0 +1,125 @@
+// Suppressions (.shaihulud-ignore.json) - reviewed findings acknowledged with a justification, an owner and an expiry
+//
+// {
+//   "suppressions": [
+//     { "package": "posthog-node", "versions": "<4.18.1", "reason": "Reviewed: pre-attack release", "owner": "security@example.com", "expires": "2026-06-30" }
+//   ]
+// }
+// "versions" is a SemVer range, "*" or the exact installed version (for versions that are not SemVer, e.g. git URLs).
+// A suppression is honoured until the end of its "expires" day (UTC). CRITICAL exact matches are only suppressed
+// with the allowCritical override (--allow-critical-suppressions in the CLI).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./semver'));
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.suppressions = factory(root.ShaiHulud.semver);
+    }
+})(typeof self !== 'undefined' ? self : this, function (semver) {
+    'use strict';
+
+    const SUPPRESSION_FILE_NAME = '.shaihulud-ignore.json';
+    const REQUIRED_FIELDS = ['package', 'versions', 'reason', 'owner', 'expires'];
+
+    // Status of a suppression matching a finding
+    const SUPPRESSED = 'suppressed';
+    const EXPIRED = 'expired';
+    // CRITICAL exact match without the override
+    const REFUSED = 'refused';
+
+    function isDate(text) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(Date.parse(`${text}T00:00:00Z`));
+    }
+
+    // A SemVer range ("*" included) or a version that is not SemVer, as installed: git, tarball, alias ("github:org/repo#sha").
+    // Anything else ("5.x.y", a trailing comma) would match nothing and silently leave the finding active.
+    function isVersionSpec(text) {
+        return semver.parseRange(text) !== null || /[:/]/.test(text);
+    }
+
+    // Validated suppressions of a .shaihulud-ignore.json file (text or parsed JSON) - throws on the first invalid entry
+    function parseSuppressions(content) {
+        let file = content;
+        if (typeof content === 'string') {
+            try {
+                file = JSON.parse(content);
+            } catch (error) {
+                throw new Error(`Invalid JSON in ${SUPPRESSION_FILE_NAME}: ${error.message}`);
+            }
+        }
+        
+        const entries = Array.isArray(file) ? file : file && file.suppressions;
+        if (!Array.isArray(entries)) {
+            throw new Error(`${SUPPRESSION_FILE_NAME} must contain a "suppressions" array`);
+        }
+        
+        return entries.map((entry, index) => {
+            const label = `Suppression #${index + 1}${entry && typeof entry.package === 'string' ? ` (${entry.package})` : ''}`;
+            if (!entry || typeof entry !== 'object') throw new Error(`${label} must be an object`);
+            
+            const missing = REQUIRED_FIELDS.filter(key => typeof entry[key] !== 'string' || entry[key].trim() === '');
+            if (missing.length > 0) {
+                throw new Error(`${label} is missing ${missing.map(key => `"${key}"`).join(', ')}`);
+            }
+            if (!isDate(entry.expires)) {
+                throw new Error(`${label}: "expires" must be a YYYY-MM-DD date, got "${entry.expires}"`);
+            }
+            if (!isVersionSpec(entry.versions.trim())) {
+                throw new Error(`${label}: "versions" must be a SemVer range, "*" or the exact git or tarball version, got "${entry.versions}"`);
+            }
+            
+            return {
+                package: entry.package.trim(),
+                versions: entry.versions.trim(),
+                reason: entry.reason.trim(),
+                owner: entry.owner.trim(),
+                expires: entry.expires
+            };
+        });
+    }
+
+    function matchesVersion(version, range) {
+        return range === '*' || range === version || semver.satisfies(version, range);
+    }
+
+    function isExpired(suppression, now) {
+        return now.toISOString().slice(0, 10) > suppression.expires;
+    }
+
+    // Sort threats (see detection.analyzeDependencies) into active and suppressed findings: { threats, suppressed }
+    // Findings matched by a suppression carry it as finding.suppression = { ...entry, status }; expired and
+    // refused suppressions leave the finding active. options: { allowCritical, now }
+    function applySuppressions(threats, suppressions, { allowCritical = false, now = new Date() } = {}) {
+        const active = [];
+        const suppressed = [];
+        
+        threats.forEach(finding => {
+            const matching = suppressions.filter(entry => entry.package === finding.name && matchesVersion(String(finding.version), entry.versions));
+            if (matching.length === 0) {
+                active.push(finding);
+                return;
+            }
+            
+            // A valid suppression wins over expired ones for the same package
+            const current = matching.find(entry => !isExpired(entry, now));
+            if (!current) {
+                active.push({ ...finding, suppression: { ...matching[0], status: EXPIRED } });
+            } else if (finding.threat.severity === 'critical' && !allowCritical) {
+                active.push({ ...finding, suppression: { ...current, status: REFUSED } });
+            } else {
+                suppressed.push({ ...finding, suppression: { ...current, status: SUPPRESSED } });
+            }
+        });
+        
+        return { threats: active, suppressed };
+    }
+
+    return {
+        SUPPRESSION_FILE_NAME,
+        SUPPRESSED,
+        EXPIRED,
+        REFUSED,
+        parseSuppressions,
+        applySuppressions
+    };
+});
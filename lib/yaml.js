@@ -0,0 +1,265 @@
+// Minimal YAML reader for lockfiles (yarn Berry, pnpm) - block mappings, block sequences,
+// quoted/plain scalars and single-line flow collections. Not a general purpose YAML parser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.yaml = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Remove a trailing comment, ignoring '#' inside quotes
+    function stripComment(line) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === '\'') {
+                quote = char;
+            } else if (char === '#' && (i === 0 || line[i - 1] === ' ' || line[i - 1] === '\t')) {
+                return line.slice(0, i);
+            }
+        }
+        return line;
+    }
+
+    // Split text into meaningful lines with their indentation
+    function tokenize(text) {
+        const lines = [];
+        text.split(/\r?\n/).forEach((raw, index) => {
+            const content = stripComment(raw).trimEnd();
+            if (!content.trim() || content === '---' || content === '...') return;
+            const indent = content.length - content.trimStart().length;
+            lines.push({ indent, content: content.trimStart(), lineNumber: index + 1 });
+        });
+        return lines;
+    }
+
+    function isSequenceItem(content) {
+        return content === '-' || content.startsWith('- ');
+    }
+
+    // Parse a quoted or plain scalar
+    function parseScalar(value) {
+        if (value.startsWith('"')) {
+            return JSON.parse(value);
+        }
+        if (value.startsWith('\'')) {
+            return value.slice(1, -1).replace(/''/g, '\'');
+        }
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        if (value === 'null' || value === '~') return null;
+        return value;
+    }
+
+    // Parse a single-line flow collection: {a: b, c: [d, e]}
+    function parseFlow(text, lineNumber) {
+        let pos = 0;
+        
+        function fail(message) {
+            throw new SyntaxError(`YAML line ${lineNumber}: ${message}`);
+        }
+        
+        function skipSpaces() {
+            while (text[pos] === ' ') pos++;
+        }
+        
+        function readScalarToken() {
+            skipSpaces();
+            if (text[pos] === '"' || text[pos] === '\'') {
+                const quote = text[pos];
+                let end = pos + 1;
+                while (end < text.length) {
+                    if (text[end] === '\\' && quote === '"') {
+                        end += 2;
+                        continue;
+                    }
+                    if (text[end] === quote) {
+                        if (quote === '\'' && text[end + 1] === '\'') {
+                            end += 2;
+                            continue;
+                        }
+                        break;
+                    }
+                    end++;
+                }
+                if (end >= text.length) fail('unterminated string');
+                const token = text.slice(pos, end + 1);
+                pos = end + 1;
+                return parseScalar(token);
+            }
+            const start = pos;
+            while (pos < text.length && !',]}'.includes(text[pos]) &&
+                !(text[pos] === ':' && (text[pos + 1] === ' ' || text[pos + 1] === undefined || ',]}'.includes(text[pos + 1])))) {
+                pos++;
+            }
+            return parseScalar(text.slice(start, pos).trim());
+        }
+        
+        function readValue() {
+            skipSpaces();
+            if (text[pos] === '{') return readMapping();
+            if (text[pos] === '[') return readSequence();
+            return readScalarToken();
+        }
+        
+        function readMapping() {
+            const result = {};
+            pos++; // {
+            skipSpaces();
+            while (text[pos] !== '}') {
+                if (pos >= text.length) fail('unterminated flow mapping');
+                const key = readScalarToken();
+                skipSpaces();
+                if (text[pos] !== ':') fail(`expected ':' after key "${key}"`);
+                pos++;
+                result[key] = readValue();
+                skipSpaces();
+                if (text[pos] === ',') pos++;
+                skipSpaces();
+            }
+            pos++; // }
+            return result;
+        }
+        
+        function readSequence() {
+            const result = [];
+            pos++; // [
+            skipSpaces();
+            while (text[pos] !== ']') {
+                if (pos >= text.length) fail('unterminated flow sequence');
+                result.push(readValue());
+                skipSpaces();
+                if (text[pos] === ',') pos++;
+                skipSpaces();
+            }
+            pos++; // ]
+            return result;
+        }
+        
+        const value = readValue();
+        skipSpaces();
+        if (pos < text.length) fail('unexpected characters after flow collection');
+        return value;
+    }
+
+    function parseValue(value, lineNumber) {
+        if (value.startsWith('{') || value.startsWith('[')) {
+            return parseFlow(value, lineNumber);
+        }
+        if (value === '|' || value === '>' || /^[|>][-+]?$/.test(value)) {
+            throw new SyntaxError(`YAML line ${lineNumber}: block scalars are not supported`);
+        }
+        return parseScalar(value);
+    }
+
+    // Split "key: value" into its parts, handling quoted keys
+    function splitKeyValue(content, lineNumber) {
+        let key;
+        let rest;
+        
+        if (content.startsWith('"') || content.startsWith('\'')) {
+            const quote = content[0];
+            let end = 1;
+            while (end < content.length) {
+                if (content[end] === '\\' && quote === '"') {
+                    end += 2;
+                    continue;
+                }
+                if (content[end] === quote) {
+                    if (quote === '\'' && content[end + 1] === '\'') {
+                        end += 2;
+                        continue;
+                    }
+                    break;
+                }
+                end++;
+            }
+            key = parseScalar(content.slice(0, end + 1));
+            rest = content.slice(end + 1);
+            if (!rest.startsWith(':')) {
+                throw new SyntaxError(`YAML line ${lineNumber}: expected ':' after key`);
+            }
+            rest = rest.slice(1);
+        } else {
+            const separator = content.indexOf(': ');
+            if (separator !== -1) {
+                key = content.slice(0, separator);
+                rest = content.slice(separator + 1);
+            } else if (content.endsWith(':')) {
+                key = content.slice(0, -1);
+                rest = '';
+            } else {
+                throw new SyntaxError(`YAML line ${lineNumber}: expected "key: value"`);
+            }
+        }
+        
+        return { key: String(key).trim(), rest: rest.trim() };
+    }
+
+    function parse(text) {
+        const lines = tokenize(text);
+        let index = 0;
+        
+        function parseNode(indent) {
+            return isSequenceItem(lines[index].content) ? parseSequence(indent) : parseMapping(indent);
+        }
+        
+        // Nested block following "key:" (more indented, or a sequence at the same indent)
+        function parseNested(parentIndent) {
+            const next = lines[index];
+            if (next && (next.indent > parentIndent || (next.indent === parentIndent && isSequenceItem(next.content)))) {
+                return parseNode(next.indent);
+            }
+            return null;
+        }
+        
+        function parseMapping(indent) {
+            const result = {};
+            while (index < lines.length && lines[index].indent === indent && !isSequenceItem(lines[index].content)) {
+                const line = lines[index];
+                const { key, rest } = splitKeyValue(line.content, line.lineNumber);
+                index++;
+                result[key] = rest === '' ? parseNested(indent) : parseValue(rest, line.lineNumber);
+            }
+            if (index < lines.length && lines[index].indent > indent) {
+                throw new SyntaxError(`YAML line ${lines[index].lineNumber}: unexpected indentation`);
+            }
+            return result;
+        }
+        
+        function parseSequence(indent) {
+            const result = [];
+            while (index < lines.length && lines[index].indent === indent && isSequenceItem(lines[index].content)) {
+                const line = lines[index];
+                const rest = line.content.slice(1).trim();
+                
+                if (rest === '') {
+                    index++;
+                    result.push(parseNested(indent));
+                } else if (/^("[^"]*"|'[^']*'|[^'"{[][^:]*?):( |$)/.test(rest)) {
+                    // "- key: value" starts a mapping nested in the sequence item
+                    lines[index] = { indent: indent + line.content.indexOf(rest), content: rest, lineNumber: line.lineNumber };
+                    result.push(parseMapping(lines[index].indent));
+                } else {
+                    index++;
+                    result.push(parseValue(rest, line.lineNumber));
+                }
+            }
+            return result;
+        }
+        
+        if (lines.length === 0) return null;
+        const document = parseNode(lines[0].indent);
+        if (index < lines.length) {
+            throw new SyntaxError(`YAML line ${lines[index].lineNumber}: unexpected content`);
+        }
+        return document;
+    }
+
+    return { parse };
+});
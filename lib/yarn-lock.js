@@ -0,0 +1,199 @@
+// yarn.lock parsers - classic (v1 custom text format) and Berry (v2+, YAML)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./yaml'));
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.yarnLock = factory(root.ShaiHulud.yaml);
+    }
+})(typeof self !== 'undefined' ? self : this, function (yaml) {
+    'use strict';
+
+    function unquote(value) {
+        return value.startsWith('"') ? JSON.parse(value) : value;
+    }
+
+    // Split a descriptor such as "@scope/name@^1.0.0" into name and range
+    function parseDescriptor(descriptor) {
+        const at = descriptor.indexOf('@', 1);
+        if (at === -1) return { name: descriptor, range: '' };
+        return { name: descriptor.slice(0, at), range: descriptor.slice(at + 1) };
+    }
+
+    // Resolve npm aliases ("alias@npm:real-name@^1.0.0") to the real package name
+    function realPackageName(descriptor) {
+        const { name, range } = parseDescriptor(descriptor);
+        if (range.startsWith('npm:')) {
+            const target = range.slice(4);
+            const at = target.indexOf('@', 1);
+            if (at !== -1) return target.slice(0, at);
+        }
+        return name;
+    }
+
+    function isBerryLockfile(content) {
+        return /^__metadata:/m.test(content);
+    }
+
+    // Yarn classic (v1) entries
+    function parseClassicEntries(content) {
+        const entries = [];
+        let current = null;
+        let section = null;
+        
+        content.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim() || line.trimStart().startsWith('#')) return;
+            
+            const indent = line.length - line.trimStart().length;
+            const trimmed = line.trim();
+            
+            if (indent === 0) {
+                if (!trimmed.endsWith(':')) {
+                    throw new SyntaxError(`yarn.lock line ${index + 1}: expected an entry header`);
+                }
+                const key = trimmed.slice(0, -1);
+                current = {
+                    key,
+                    descriptors: key.split(/,\s*/).map(unquote),
+                    fields: {},
+                    dependencies: {},
+                    optionalDependencies: {}
+                };
+                section = null;
+                entries.push(current);
+                return;
+            }
+            
+            if (!current) {
+                throw new SyntaxError(`yarn.lock line ${index + 1}: field outside of an entry`);
+            }
+            
+            if (indent <= 2 && trimmed.endsWith(':')) {
+                section = trimmed.slice(0, -1);
+                current[section] = current[section] || {};
+                return;
+            }
+            
+            const match = trimmed.match(/^("(?:[^"\\]|\\.)*"|\S+)\s+(.*)$/);
+            if (!match) {
+                throw new SyntaxError(`yarn.lock line ${index + 1}: expected "key value"`);
+            }
+            const key = unquote(match[1]);
+            const value = unquote(match[2]);
+            
+            if (indent > 2 && section) {
+                current[section][key] = value;
+            } else {
+                current.fields[key] = value;
+                section = null;
+            }
+        });
+        
+        return entries;
+    }
+
+    const EDGE_FIELDS = ['dependencies', 'optionalDependencies'];
+
+    // Resolve "name range" dependency pairs to entry keys through the descriptor index
+    function buildEdges(entries, descriptorIndex, lookup) {
+        const edges = {};
+        const hasParent = new Set();
+        
+        entries.forEach(entry => {
+            const children = [];
+            EDGE_FIELDS.forEach(field => {
+                Object.entries(entry[field] || {}).forEach(([name, range]) => {
+                    const child = lookup(descriptorIndex, name, String(range));
+                    if (child) children.push(child);
+                });
+            });
+            edges[entry.path] = children;
+            children.forEach(child => hasParent.add(child));
+        });
+        
+        return { edges, hasParent };
+    }
+
+    function indexDescriptors(entries) {
+        const index = {};
+        entries.forEach(entry => entry.descriptors.forEach(descriptor => {
+            index[descriptor] = entry.path;
+        }));
+        return index;
+    }
+
+    // Yarn classic (v1)
+    function readClassicLockfile(content) {
+        const entries = parseClassicEntries(content).map(entry => ({ ...entry, path: entry.descriptors.join(', ') }));
+        
+        const dependencies = entries
+            .filter(entry => entry.fields.version)
+            .map(entry => ({
+                name: realPackageName(entry.descriptors[0]),
+                version: entry.fields.version,
+                path: entry.path
+            }));
+        
+        const { edges, hasParent } = buildEdges(entries, indexDescriptors(entries),
+            (index, name, range) => index[`${name}@${range}`]);
+        
+        // yarn.lock does not record the project's own dependencies: entries nobody depends on are direct
+        const direct = entries.map(entry => entry.path).filter(path => !hasParent.has(path));
+        
+        return { variant: 'classic', dependencies, graph: { roots: [{ name: '(root)', dependencies: direct }], edges } };
+    }
+
+    // Yarn Berry (v2+) - only registry packages ("name@npm:1.2.3" resolutions) are reported
+    function readBerryLockfile(content) {
+        const lockfile = yaml.parse(content) || {};
+        const entries = [];
+        const dependencies = [];
+        const workspaces = [];
+        
+        Object.entries(lockfile).forEach(([key, entry]) => {
+            if (key === '__metadata' || !entry || !entry.resolution) return;
+            
+            entries.push({ ...entry, path: key, descriptors: key.split(/,\s*/) });
+            
+            const { name, range } = parseDescriptor(entry.resolution);
+            if (range.startsWith('workspace:')) {
+                workspaces.push({ name, path: key });
+            }
+            if (!range.startsWith('npm:')) return;
+            
+            dependencies.push({
+                name,
+                version: entry.version || range.slice(4),
+                path: key
+            });
+        });
+        
+        // Older Berry lockfiles omit the "npm:" protocol in dependency ranges
+        const { edges } = buildEdges(entries, indexDescriptors(entries),
+            (index, name, range) => index[`${name}@${range}`] || index[`${name}@npm:${range}`]);
+        
+        const roots = workspaces.map(workspace => ({ name: workspace.name, dependencies: edges[workspace.path] }));
+        
+        return { variant: 'berry', dependencies, graph: { roots, edges } };
+    }
+
+    // { dependencies, graph } - see npm-lock.buildNpmGraph for the graph shape
+    function readYarnLockfile(content) {
+        return isBerryLockfile(content)
+            ? readBerryLockfile(content)
+            : readClassicLockfile(content);
+    }
+
+    function extractYarnDependencies(content) {
+        return readYarnLockfile(content).dependencies;
+    }
+
+    return {
+        parseDescriptor,
+        realPackageName,
+        isBerryLockfile,
+        parseClassicEntries,
+        readYarnLockfile,
+        extractYarnDependencies
+    };
+});
@@ -0,0 +1,116 @@
+// Minimal ZIP reader for batch analysis - stored and deflated entries, inflating is provided by the caller
+// (DecompressionStream('deflate-raw') in browsers, zlib.inflateRawSync in Node)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ShaiHulud = root.ShaiHulud || {};
+        root.ShaiHulud.zip = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+    const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+    const LOCAL_FILE_HEADER = 0x04034b50;
+    const METHOD_STORED = 0;
+    const METHOD_DEFLATE = 8;
+    const FLAG_ENCRYPTED = 0x1;
+    // End of central directory record (22 bytes) plus the longest possible comment
+    const MAX_EOCD_SEARCH = 22 + 0xFFFF;
+
+    function isZip(bytes) {
+        return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+    }
+
+    function findEndOfCentralDirectory(view) {
+        const last = view.byteLength - 22;
+        for (let offset = last; offset >= Math.max(0, view.byteLength - MAX_EOCD_SEARCH); offset--) {
+            if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) return offset;
+        }
+        throw new Error('Invalid ZIP archive: end of central directory not found');
+    }
+
+    // File entries of the central directory: [{ name, method, flags, compressedSize, localHeaderOffset }]
+    function listEntries(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const eocd = findEndOfCentralDirectory(view);
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        
+        if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+        
+        const decoder = new TextDecoder();
+        const entries = [];
+        for (let index = 0; index < count; index++) {
+            if (offset + 46 > bytes.length || view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+                throw new Error('Invalid ZIP archive: corrupted central directory');
+            }
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            
+            if (!name.endsWith('/')) {
+                entries.push({
+                    name,
+                    flags: view.getUint16(offset + 8, true),
+                    method: view.getUint16(offset + 10, true),
+                    compressedSize: view.getUint32(offset + 20, true),
+                    localHeaderOffset: view.getUint32(offset + 42, true)
+                });
+            }
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        
+        return entries;
+    }
+
+    // Compressed bytes of an entry, after its local header
+    function entryData(bytes, entry) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const offset = entry.localHeaderOffset;
+        if (offset + 30 > bytes.length || view.getUint32(offset, true) !== LOCAL_FILE_HEADER) {
+            throw new Error(`Invalid ZIP archive: missing local header for ${entry.name}`);
+        }
+        const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        if (start + entry.compressedSize > bytes.length) {
+            throw new Error(`Invalid ZIP archive: truncated data for ${entry.name}`);
+        }
+        return bytes.subarray(start, start + entry.compressedSize);
+    }
+
+    // [{ name, content }] text files of an archive, for the names accepted by "filter"
+    async function readZip(bytes, { inflateRaw, filter = () => true }) {
+        const decoder = new TextDecoder();
+        const files = [];
+        
+        for (const entry of listEntries(bytes)) {
+            if (!filter(entry.name)) continue;
+            if (entry.flags & FLAG_ENCRYPTED) {
+                throw new Error(`Encrypted ZIP entries are not supported: ${entry.name}`);
+            }
+            
+            const data = entryData(bytes, entry);
+            let content;
+            if (entry.method === METHOD_STORED) {
+                content = data;
+            } else if (entry.method === METHOD_DEFLATE) {
+                content = await inflateRaw(data);
+            } else {
+                throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+            }
+            files.push({ name: entry.name, content: decoder.decode(content) });
+        }
+        
+        return files;
+    }
+
+    return {
+        isZip,
+        listEntries,
+        readZip
+    };
+});
@@ -0,0 +1,148 @@
+// Service worker - offline analysis and background database updates (registered by app.js)
+//
+// App shell: served from the cache and refreshed in the background (stale-while-revalidate), the next
+// visit gets the new files. Bump CACHE_VERSION when the shell files change in incompatible ways.
+// Database: compromised-packages.json and its signature are served from the cache and refreshed together,
+// so that the page never verifies a new database against an old signature. Pages receive
+// { type: 'database-updated' } when a refresh brought a new database.
+
+const CACHE_VERSION = 'v1';
+const APP_CACHE = `shai-hulud-app-${CACHE_VERSION}`;
+const DATA_CACHE = 'shai-hulud-data';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'app.js',
+    'styles.css',
+    'analysis-worker.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'lib/yaml.js',
+    'lib/yarn-lock.js',
+    'lib/pnpm-lock.js',
+    'lib/semver.js',
+    'lib/database.js',
+    'lib/ranges.js',
+    'lib/chains.js',
+    'lib/npm-lock.js',
+    'lib/suppressions.js',
+    'lib/heuristics.js',
+    'lib/detection.js',
+    'lib/sbom.js',
+    'lib/lockfile.js',
+    'lib/remediation.js',
+    'lib/changelog.js',
+    'lib/report.js',
+    'lib/zip.js',
+    'lib/batch.js',
+    'lib/diff.js',
+    'lib/inventory.js',
+    'lib/render.js',
+    'lib/signature.js',
+    'lib/freshness.js'
+];
+
+const DATABASE_PATH = 'data/compromised-packages.json';
+const SIGNATURE_PATH = 'data/compromised-packages.json.sig';
+// Optional: older deployments do not have it
+const CHANGELOG_PATH = 'data/changelog.json';
+const DATA_FILES = [DATABASE_PATH, SIGNATURE_PATH, CHANGELOG_PATH];
+
+// Tag of the Periodic Background Sync registered by app.js (installed app, Chromium)
+const PERIODIC_SYNC_TAG = 'update-database';
+
+function scopeUrl(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(APP_CACHE).then(cache => cache.addAll(APP_SHELL.map(scopeUrl))).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('shai-hulud-app-') && name !== APP_CACHE)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+async function notifyDatabaseUpdated() {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'database-updated' }));
+}
+
+// Download the database, its signature and the changelog - the cached pair is only replaced
+// when both the database and its signature were downloaded. Resolves with true when the database changed.
+async function updateDatabase() {
+    const cache = await caches.open(DATA_CACHE);
+    const [database, signature, changelog] = await Promise.all(DATA_FILES.map(path =>
+        fetch(scopeUrl(path), { cache: 'no-cache' }).catch(() => null)));
+    
+    // Offline, or a deployment in progress: keep the cached database
+    if (!database || !database.ok || !signature || !signature.ok) return false;
+    
+    const previous = await cache.match(scopeUrl(SIGNATURE_PATH));
+    const previousSignature = previous ? await previous.text() : null;
+    const signatureText = await signature.clone().text();
+    
+    await cache.put(scopeUrl(DATABASE_PATH), database);
+    await cache.put(scopeUrl(SIGNATURE_PATH), signature);
+    if (changelog && changelog.ok) await cache.put(scopeUrl(CHANGELOG_PATH), changelog);
+    
+    // The first download is not an update
+    if (previousSignature === null || previousSignature === signatureText) return false;
+    await notifyDatabaseUpdated();
+    return true;
+}
+
+// One update at a time: the database, signature and changelog requests of a page load share it
+let updating = null;
+
+function refreshDatabase() {
+    if (!updating) {
+        updating = updateDatabase().finally(() => {
+            updating = null;
+        });
+    }
+    return updating;
+}
+
+// Cached database files, refreshed in the background - the network is awaited only when nothing is cached
+async function databaseResponse(event) {
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(event.request);
+    const refresh = refreshDatabase().catch(() => false);
+    event.waitUntil(refresh);
+    
+    if (cached) return cached;
+    await refresh;
+    return (await cache.match(event.request)) || fetch(event.request);
+}
+
+async function appResponse(event) {
+    const cache = await caches.open(APP_CACHE);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const network = fetch(event.request).then(response => {
+        if (response.ok) return cache.put(event.request, response.clone()).then(() => response);
+        return response;
+    });
+    event.waitUntil(network.catch(() => null));
+    
+    return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+    
+    const path = request.url.slice(self.registration.scope.length).split(/[?#]/)[0];
+    event.respondWith(DATA_FILES.includes(path) ? databaseResponse(event) : appResponse(event));
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === PERIODIC_SYNC_TAG) event.waitUntil(refreshDatabase());
+});
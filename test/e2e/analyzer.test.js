@@ -4,6 +4,7 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
+const { analyzeLockfile } = require('../../lib/detection');
 
 const TEST_PORT = 8181;
 const BASE_URL = `http://localhost:${TEST_PORT}`;
@@ -56,6 +57,9 @@ describe('E2E - Page Loading', () => {
         
         const cssResponse = await fetch(`${BASE_URL}/styles.css`);
         assert.strictEqual(cssResponse.status, 200);
+        
+        const detectionResponse = await fetch(`${BASE_URL}/lib/detection.js`);
+        assert.strictEqual(detectionResponse.status, 200);
     });
 
     test('compromised data should be accessible', async () => {
@@ -79,30 +83,9 @@ describe('E2E - Package Lock Analysis', () => {
             fs.readFileSync(path.join(__dirname, '../fixtures/package-lock-with-threat.json'), 'utf-8')
         );
         
-        // Extract dependencies
-        const dependencies = [];
-        if (packageLock.packages) {
-            Object.entries(packageLock.packages).forEach(([pkgPath, pkg]) => {
-                if (pkgPath === '') return;
-                const name = pkg.name || pkgPath.replace(/^node_modules\//, '');
-                const version = pkg.version;
-                if (name && version) {
-                    dependencies.push({ name, version });
-                }
-            });
-        }
-        
-        // Vérifier la détection
-        let threatsFound = 0;
-        dependencies.forEach(dep => {
-            const compromisedPkg = compromisedData.compromisedPackages.find(p => p.name === dep.name);
-            if (compromisedPkg) {
-                const exactMatch = compromisedPkg.compromisedVersions.includes(dep.version);
-                if (exactMatch) {
-                    threatsFound++;
-                }
-            }
-        });
+        // Run the shipped detection engine
+        const results = analyzeLockfile(packageLock, compromisedData);
+        const threatsFound = results.threats.filter(t => t.threat.exactMatch).length;
         
         assert.ok(threatsFound > 0, 'At least one threat should be detected');
     });
@@ -114,28 +97,8 @@ describe('E2E - Package Lock Analysis', () => {
             fs.readFileSync(path.join(__dirname, '../fixtures/package-lock-safe.json'), 'utf-8')
         );
         
-        const dependencies = [];
-        if (packageLock.packages) {
-            Object.entries(packageLock.packages).forEach(([pkgPath, pkg]) => {
-                if (pkgPath === '') return;
-                const name = pkg.name || pkgPath.replace(/^node_modules\//, '');
-                const version = pkg.version;
-                if (name && version) {
-                    dependencies.push({ name, version });
-                }
-            });
-        }
-        
-        let threatsFound = 0;
-        dependencies.forEach(dep => {
-            const compromisedPkg = compromisedData.compromisedPackages.find(p => p.name === dep.name);
-            if (compromisedPkg) {
-                const exactMatch = compromisedPkg.compromisedVersions.includes(dep.version);
-                if (exactMatch) {
-                    threatsFound++;
-                }
-            }
-        });
+        const results = analyzeLockfile(packageLock, compromisedData);
+        const threatsFound = results.threats.filter(t => t.threat.exactMatch).length;
         
         assert.strictEqual(threatsFound, 0, 'No threats should be detected');
     });
@@ -0,0 +1,464 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+
+const CLI_PATH = path.join(__dirname, '../../bin/shai-hulud-tester.js');
+const FIXTURES = path.join(__dirname, '../fixtures');
+const DB_PATH = path.join(FIXTURES, 'compromised-packages.json');
+
+function runCli(args, options = {}) {
+    return spawnSync(process.execPath, [CLI_PATH, ...args], { encoding: 'utf-8', ...options });
+}
+
+describe('E2E - CLI scan', () => {
+    test('should exit with code 1 when a critical threat is found', () => {
+        const result = runCli(['scan', path.join(FIXTURES, 'package-lock-with-threat.json'), '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stdout.includes('@asyncapi/parser@3.4.1'));
+        assert.ok(result.stdout.includes('CRITICAL'));
+    });
+
+    test('should exit with code 0 for a safe lockfile', () => {
+        const result = runCli(['scan', path.join(FIXTURES, 'package-lock-safe.json'), '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 0);
+        assert.ok(result.stdout.includes('No threats detected'));
+    });
+
+    test('should exit with code 2 when the lockfile does not exist', () => {
+        const result = runCli(['scan', path.join(FIXTURES, 'missing.json'), '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 2);
+        assert.ok(result.stderr.includes('Cannot read lockfile'));
+    });
+
+    test('should exit with code 2 and print usage without a command', () => {
+        const result = runCli([]);
+        
+        assert.strictEqual(result.status, 2);
+        assert.ok(result.stderr.includes('Usage: shai-hulud-tester'));
+    });
+});
+
+describe('E2E - CLI scan (yarn)', () => {
+    test('should scan a yarn classic lockfile', () => {
+        const result = runCli(['scan', path.join(FIXTURES, 'yarn-classic.lock'), '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stdout.includes('@asyncapi/parser@3.4.1'));
+    });
+
+    test('should scan a yarn Berry lockfile', () => {
+        const result = runCli(['scan', path.join(FIXTURES, 'yarn-berry.lock'), '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stdout.includes('posthog-node@4.18.1'));
+    });
+});
+
+describe('E2E - CLI scan (SBOM)', () => {
+    test('should scan a CycloneDX SBOM and print the chain from its dependency graph', () => {
+        const result = runCli(['scan', path.join(FIXTURES, 'sbom-cyclonedx.json'), '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stdout.includes('@asyncapi/parser@3.4.1'));
+        assert.ok(result.stdout.includes('my-app@1.0.0 > @asyncapi/specs@6.8.1 > @asyncapi/parser@3.4.1'));
+    });
+
+    test('should scan an SPDX SBOM', () => {
+        const result = runCli(['scan', path.join(FIXTURES, 'sbom-spdx.json'), '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stdout.includes('@zapier/zapier-sdk@0.15.5'));
+    });
+});
+
+describe('E2E - CLI scan (pnpm)', () => {
+    test('should scan a pnpm workspace lockfile and name the importer', () => {
+        const result = runCli(['scan', path.join(FIXTURES, 'pnpm-lock-v9.yaml'), '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stdout.includes('@asyncapi/parser@3.4.1'));
+        assert.ok(result.stdout.includes('Workspace projects: packages/api'));
+        assert.ok(result.stdout.includes('Reported by: 3.4.1 (datadog, osv), 3.4.2 (datadog)'));
+    });
+
+    test('should print a pnpm.overrides remediation block', () => {
+        const result = runCli(['scan', path.join(FIXTURES, 'pnpm-lock-v9.yaml'), '--db', DB_PATH]);
+        
+        assert.ok(result.stdout.includes('"overrides": {'));
+        assert.ok(result.stdout.includes('"@asyncapi/parser": ">=3.0.0 <3.4.1"'));
+        assert.ok(result.stdout.includes('Then regenerate the lockfile: pnpm install --ignore-scripts'));
+    });
+});
+
+describe('E2E - CLI scan (package.json)', () => {
+    test('should report ranges admitting compromised versions without failing', () => {
+        const result = runCli(['scan', path.join(FIXTURES, 'package-manifest.json'), '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 0);
+        assert.ok(result.stdout.includes('RANGE  @asyncapi/parser@^3.4.0'));
+        assert.ok(result.stdout.includes('Suggested range: >=3.4.0 <3.4.1 || >3.4.2 <4.0.0'));
+    });
+});
+
+describe('E2E - CLI dependency chains', () => {
+    test('should print the chain that brings a threat in', () => {
+        const result = runCli(['scan', path.join(FIXTURES, 'package-lock-chains.json'), '--db', DB_PATH]);
+        
+        assert.ok(result.stdout.includes('Chain: chains-project > @asyncapi/cli@2.0.0 > @asyncapi/parser@3.4.1'));
+    });
+});
+
+describe('E2E - CLI reports', () => {
+    test('should print a SARIF report and keep the exit code', () => {
+        const result = runCli(['scan', path.join(FIXTURES, 'package-lock-with-threat.json'), '--db', DB_PATH, '--format', 'sarif']);
+        
+        assert.strictEqual(result.status, 1);
+        const sarif = JSON.parse(result.stdout);
+        assert.strictEqual(sarif.version, '2.1.0');
+        assert.strictEqual(sarif.runs[0].results[0].locations[0].physicalLocation.region.startLine, 15);
+    });
+
+    test('should locate SARIF results relative to the working directory', () => {
+        const args = ['scan', path.join(FIXTURES, 'package-lock-with-threat.json'), '--db', DB_PATH, '--format', 'sarif'];
+        const inside = JSON.parse(runCli(args, { cwd: path.join(FIXTURES, '..') }).stdout).runs[0];
+        const outside = JSON.parse(runCli(args, { cwd: os.tmpdir() }).stdout).runs[0];
+        
+        assert.deepStrictEqual(inside.results[0].locations[0].physicalLocation.artifactLocation, { uri: 'fixtures/package-lock-with-threat.json', uriBaseId: '%SRCROOT%' });
+        assert.deepStrictEqual(inside.artifacts[0].location, { uri: 'fixtures/package-lock-with-threat.json', uriBaseId: '%SRCROOT%' });
+        assert.match(outside.artifacts[0].location.uri, /^file:\/\/\/.*\/fixtures\/package-lock-with-threat\.json$/);
+        assert.strictEqual(outside.artifacts[0].location.uriBaseId, undefined);
+    });
+
+    test('should write a report to --output', () => {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-report-'));
+        const outputPath = path.join(outputDir, 'report.md');
+        
+        try {
+            const result = runCli(['scan', path.join(FIXTURES, 'package-lock-safe.json'), '--db', DB_PATH, '--format', 'markdown', '--output', outputPath]);
+            
+            assert.strictEqual(result.status, 0);
+            assert.strictEqual(result.stdout, '');
+            assert.ok(fs.readFileSync(outputPath, 'utf-8').includes('No threats detected'));
+        } finally {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+
+    test('should exit with code 2 for an unknown format', () => {
+        const result = runCli(['scan', path.join(FIXTURES, 'package-lock-safe.json'), '--db', DB_PATH, '--format', 'xml']);
+        
+        assert.strictEqual(result.status, 2);
+        assert.ok(result.stderr.includes('Unsupported report format "xml"'));
+    });
+});
+
+describe('E2E - CLI scan (suppressions)', () => {
+    // Project with a CRITICAL @asyncapi/parser and a HIGH posthog-node, and its suppressions file
+    function createProject(suppressions) {
+        const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-suppressions-'));
+        fs.writeFileSync(path.join(projectDir, 'package-lock.json'), JSON.stringify({
+            name: 'app',
+            lockfileVersion: 3,
+            packages: {
+                '': { name: 'app', dependencies: { '@asyncapi/parser': '3.4.1', 'posthog-node': '5.0.0' } },
+                'node_modules/@asyncapi/parser': { version: '3.4.1' },
+                'node_modules/posthog-node': { version: '5.0.0' }
+            }
+        }));
+        fs.writeFileSync(path.join(projectDir, '.shaihulud-ignore.json'), JSON.stringify({ suppressions }));
+        return projectDir;
+    }
+
+    const entry = (name, versions, expires = '2999-12-31') => ({ package: name, versions, reason: 'Reviewed', owner: 'security', expires });
+
+    test('should load the suppressions file next to the lockfile and exit 0 when every finding is suppressed', () => {
+        const projectDir = createProject([entry('posthog-node', '5.0.0'), entry('@asyncapi/parser', '3.4.1')]);
+        
+        try {
+            const refused = runCli(['scan', path.join(projectDir, 'package-lock.json'), '--db', DB_PATH]);
+            assert.strictEqual(refused.status, 1);
+            assert.ok(refused.stdout.includes('🔕 SUPPRESSED  posthog-node@5.0.0'));
+            assert.ok(refused.stdout.includes('Suppression ignored: CRITICAL exact matches need --allow-critical-suppressions'));
+            
+            const overridden = runCli(['scan', path.join(projectDir, 'package-lock.json'), '--db', DB_PATH, '--allow-critical-suppressions']);
+            assert.strictEqual(overridden.status, 0);
+            assert.ok(overridden.stdout.includes('2 findings suppressed'));
+        } finally {
+            fs.rmSync(projectDir, { recursive: true, force: true });
+        }
+    });
+
+    test('should report expired suppressions as active findings', () => {
+        const projectDir = createProject([entry('posthog-node', '*', '2020-01-01')]);
+        
+        try {
+            const result = runCli(['scan', path.join(projectDir, 'package-lock.json'), '--db', DB_PATH, '--format', 'json']);
+            const report = JSON.parse(result.stdout);
+            
+            assert.strictEqual(result.status, 1);
+            assert.strictEqual(report.summary.suppressed, 0);
+            assert.strictEqual(report.findings.find(finding => finding.name === 'posthog-node').suppression.status, 'expired');
+        } finally {
+            fs.rmSync(projectDir, { recursive: true, force: true });
+        }
+    });
+
+    test('should exit with code 2 for an invalid --ignore-file', () => {
+        const projectDir = createProject([{ package: 'posthog-node', versions: '*' }]);
+        
+        try {
+            const result = runCli(['scan', path.join(FIXTURES, 'package-lock-safe.json'), '--db', DB_PATH, '--ignore-file', path.join(projectDir, '.shaihulud-ignore.json')]);
+            
+            assert.strictEqual(result.status, 2);
+            assert.ok(result.stderr.includes('Invalid suppressions file'));
+            assert.ok(result.stderr.includes('missing "reason", "owner", "expires"'));
+        } finally {
+            fs.rmSync(projectDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('E2E - CLI diff', () => {
+    const BASE = path.join(FIXTURES, 'package-lock-diff-base.json');
+
+    test('should list the changes and exit with code 1 on a new CRITICAL finding', () => {
+        const result = runCli(['diff', BASE, path.join(FIXTURES, 'package-lock-diff-head.json'), '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stdout.includes('1 added, 1 removed, 2 changed packages'));
+        assert.ok(result.stdout.includes('~ posthog-node 4.0.0 → 5.11.3'));
+        assert.ok(result.stdout.includes('findings already in the base lockfile: @asyncapi/parser@3.4.1'));
+        assert.ok(result.stdout.includes('Removed by the change: posthog-node@4.0.0'));
+        assert.ok(result.stdout.includes('2 new findings, 1 CRITICAL/HIGH'));
+    });
+
+    test('should exit with code 0 when the change only introduces lower findings', () => {
+        const result = runCli(['diff', BASE, path.join(FIXTURES, 'package-lock-diff-head-low.json'), '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 0);
+        assert.ok(result.stdout.includes('@zapier/zapier-sdk@0.1.0'));
+        assert.ok(result.stdout.includes('1 new findings, 0 CRITICAL/HIGH'));
+    });
+
+    test('should include the comparison in the JSON report', () => {
+        const result = runCli(['diff', BASE, path.join(FIXTURES, 'package-lock-diff-head.json'), '--db', DB_PATH, '--format', 'json']);
+        const report = JSON.parse(result.stdout);
+        
+        assert.strictEqual(result.status, 1);
+        assert.deepStrictEqual(report.comparison.added, [{ name: '@zapier/zapier-sdk', versions: ['0.1.0'] }]);
+        assert.deepStrictEqual(report.findings.map(finding => finding.name).sort(), ['@zapier/zapier-sdk', 'posthog-node']);
+    });
+
+    test('should exit with code 2 without a head lockfile', () => {
+        const result = runCli(['diff', BASE, '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 2);
+    });
+});
+
+describe('E2E - CLI scan (heuristics)', () => {
+    const LOCKFILE = path.join(FIXTURES, 'package-lock-heuristics.json');
+
+    test('should report suspicious packages without failing the scan', () => {
+        const result = runCli(['scan', LOCKFILE, '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 0);
+        assert.ok(result.stdout.includes('🔎 SUSPICIOUS  setup-helper@1.0.0'));
+        assert.ok(result.stdout.includes('Resolved from npm.mirror.example, outside the configured registries'));
+        assert.ok(result.stdout.includes('6 suspicious packages'));
+        assert.ok(result.stdout.includes('No threats detected'));
+    });
+
+    test('should accept --registry and --allow-install-script', () => {
+        const result = runCli(['scan', LOCKFILE, '--db', DB_PATH, '--registry', 'https://npm.mirror.example/', '--allow-install-script', '@acme/*', '--format', 'json']);
+        const report = JSON.parse(result.stdout);
+        
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(report.summary.suspicious, 4);
+        assert.deepStrictEqual(report.suspicious.map(finding => finding.name), ['old-hash', 'setup-helper', 'tool', 'vendored']);
+        assert.strictEqual(report.packages.find(pkg => pkg.name === 'tool').verdict, 'suspicious');
+    });
+});
+
+describe('E2E - CLI installed', () => {
+    const PROJECT = path.join(FIXTURES, 'installed/project');
+
+    test('should report payload files, IOC matches and lockfile differences', () => {
+        const result = runCli(['installed', PROJECT, '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stdout.includes('Inspected 5 installed packages'));
+        assert.ok(result.stdout.includes('+ posthog-node@5.11.3 installed but not in the lockfile'));
+        assert.ok(result.stdout.includes('~ express 4.19.2 installed, 4.18.2 in the lockfile'));
+        assert.ok(result.stdout.includes('☠️  PAYLOAD FILE  @acme/tool@1.0.0  (node_modules/@acme/tool/setup_bun.js)'));
+        assert.ok(result.stdout.includes('🔴 CRITICAL  posthog-node@5.11.3'));
+        assert.ok(result.stdout.includes('1 findings, 1 CRITICAL/HIGH, 3 payload indicators'));
+    });
+
+    test('should match the payload hashes of the database in the JSON report', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-installed-'));
+        const payload = fs.readFileSync(path.join(PROJECT, 'node_modules/@acme/tool/bun_environment.js'));
+        const database = JSON.parse(fs.readFileSync(DB_PATH, 'utf-8'));
+        database.payloadHashes = [{ sha256: crypto.createHash('sha256').update(payload).digest('hex'), fileName: 'bun_environment.js' }];
+        fs.writeFileSync(path.join(dir, 'db.json'), JSON.stringify(database));
+        
+        try {
+            const result = runCli(['installed', PROJECT, '--db', path.join(dir, 'db.json'), '--format', 'json']);
+            const report = JSON.parse(result.stdout);
+            
+            assert.strictEqual(result.status, 1);
+            assert.deepStrictEqual(report.payloadIndicators.filter(indicator => indicator.type === 'payload-hash').map(indicator => indicator.file), [
+                'node_modules/@acme/tool/bun_environment.js',
+                'node_modules/innocent-helper/scripts/prepare.js'
+            ]);
+            assert.deepStrictEqual(report.lockfile.removed, [{ name: 'left-pad', versions: ['1.3.0'] }]);
+            assert.deepStrictEqual(report.findings.map(finding => finding.name), ['posthog-node']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should exit with code 0 for a clean tree matching its lockfile', () => {
+        const result = runCli(['installed', path.join(FIXTURES, 'installed/clean'), '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 0);
+        assert.ok(result.stdout.includes('The installed packages match'));
+    });
+
+    test('should exit with code 2 without a node_modules folder', () => {
+        const result = runCli(['installed', FIXTURES, '--db', DB_PATH]);
+        
+        assert.strictEqual(result.status, 2);
+        assert.ok(result.stderr.includes('No node_modules folder'));
+    });
+});
+
+describe('E2E - CLI repo', () => {
+    test('should report the indicators and the credentials to rotate', () => {
+        const result = runCli(['repo', path.join(FIXTURES, 'repository/compromised')]);
+        
+        assert.strictEqual(result.status, 1);
+        assert.ok(result.stdout.includes('🔴 CRITICAL  .github/workflows/discussion.yaml:12'));
+        assert.ok(result.stdout.includes('11 indicators, 10 CRITICAL/HIGH'));
+        assert.ok(result.stdout.includes('[ ] Self-hosted runners:'));
+    });
+
+    test('should write the findings and the checklist in the JSON report', () => {
+        const result = runCli(['repo', path.join(FIXTURES, 'repository/compromised'), '--format', 'json']);
+        const report = JSON.parse(result.stdout);
+        
+        assert.strictEqual(result.status, 1);
+        assert.strictEqual(report.findings.length, 11);
+        assert.deepStrictEqual(report.checklist.find(item => item.id === 'runner').files, [
+            '.github/workflows/discussion.yaml',
+            '.github/workflows/formatter_123456789.yml',
+            '.dev-env/.runner'
+        ]);
+    });
+
+    test('should exit with code 0 for a clean checkout and 2 for a missing one', () => {
+        const clean = runCli(['repo', path.join(FIXTURES, 'repository/clean')]);
+        
+        assert.strictEqual(clean.status, 0);
+        assert.ok(clean.stdout.includes('No compromise indicators found'));
+        assert.strictEqual(runCli(['repo', path.join(FIXTURES, 'repository/missing')]).status, 2);
+    });
+
+    test('should exit with code 0 for a common file name away from a payload', () => {
+        const result = runCli(['repo', path.join(FIXTURES, 'repository/common-names')]);
+        
+        assert.strictEqual(result.status, 0);
+        assert.ok(result.stdout.includes('🟡 MEDIUM  config/environment.json'));
+    });
+});
+
+describe('E2E - CLI history', () => {
+    // Local clone whose lockfile gained posthog-node@5.11.3 in a second commit - and lost it in a third one when removed
+    function createRepository({ removed = false } = {}) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-history-'));
+        const git = (args, date) => spawnSync('git', ['-C', dir, ...args], {
+            env: {
+                ...process.env,
+                GIT_CONFIG_NOSYSTEM: '1',
+                GIT_CONFIG_GLOBAL: os.devNull,
+                GIT_AUTHOR_NAME: 'Dana',
+                GIT_AUTHOR_EMAIL: 'dana@example.com',
+                GIT_COMMITTER_NAME: 'Dana',
+                GIT_COMMITTER_EMAIL: 'dana@example.com',
+                GIT_AUTHOR_DATE: date,
+                GIT_COMMITTER_DATE: date
+            }
+        });
+        const commit = (dependencies, message, date) => {
+            const packages = { '': { name: 'app', dependencies } };
+            Object.entries(dependencies).forEach(([name, version]) => {
+                packages[`node_modules/${name}`] = { version };
+            });
+            fs.writeFileSync(path.join(dir, 'package-lock.json'), JSON.stringify({ name: 'app', lockfileVersion: 3, packages }));
+            git(['add', 'package-lock.json'], date);
+            git(['commit', '--quiet', '-m', message], date);
+        };
+        
+        git(['init', '--quiet']);
+        commit({ express: '4.18.2' }, 'Initial commit', '2025-11-01T09:00:00Z');
+        commit({ express: '4.18.2', 'posthog-node': '5.11.3' }, 'Add analytics', '2025-11-24T10:00:00Z');
+        if (removed) commit({ express: '4.18.2', 'posthog-node': '5.11.4' }, 'Upgrade posthog-node', '2025-11-26T22:00:00Z');
+        return dir;
+    }
+
+    test('should report the commit that introduced a compromised version', () => {
+        const dir = createRepository();
+        
+        try {
+            const result = runCli(['history', dir, '--db', DB_PATH]);
+            
+            assert.strictEqual(result.status, 1);
+            assert.ok(result.stdout.includes('package-lock.json (2 revisions)'));
+            assert.ok(result.stdout.includes('🔴 CRITICAL  posthog-node@5.11.3  (package-lock.json)'));
+            assert.ok(/Introduced: [0-9a-f]{10} 2025-11-24 10:00:00\+00:00 by Dana <dana@example\.com> - "Add analytics"/.test(result.stdout));
+            assert.ok(result.stdout.includes('Still in the lockfile at HEAD'));
+            
+            const report = JSON.parse(runCli(['history', dir, '--db', DB_PATH, '--format', 'json']).stdout);
+            assert.deepStrictEqual(report.windows.map(window => `${window.name}@${window.version} ${window.introduced.subject} ${window.removed}`), [
+                'posthog-node@5.11.3 Add analytics null'
+            ]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should exit with code 0 when every compromised version has been removed', () => {
+        const dir = createRepository({ removed: true });
+        
+        try {
+            const result = runCli(['history', dir, '--db', DB_PATH]);
+            
+            assert.strictEqual(result.status, 0);
+            assert.ok(/Removed: {4}[0-9a-f]{10} 2025-11-26 22:00:00\+00:00 by Dana <dana@example\.com> - "Upgrade posthog-node"/.test(result.stdout));
+            assert.ok(result.stdout.includes('1 exposure windows, 0 still open'));
+            assert.strictEqual(runCli(['history', dir, '--db', DB_PATH, '--format', 'json']).status, 0);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should exit with code 2 outside a git repository', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-history-'));
+        
+        try {
+            const result = runCli(['history', dir, '--db', DB_PATH]);
+            
+            assert.strictEqual(result.status, 2);
+            assert.ok(result.stderr.includes('not a git repository'));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,292 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawnSync } = require('child_process');
+const { webcrypto } = require('crypto');
+const { download } = require('../../convert-list');
+const { verifyDatabase } = require('../../lib/signature');
+const { SIGNING_KEY_ENV, generateSigningKeyPair } = require('../../lib/signing');
+
+const CONVERT_PATH = path.join(__dirname, '../../convert-list.js');
+const IOCS = path.join(__dirname, '../fixtures/iocs');
+const SOURCES_PATH = path.join(IOCS, 'sources.json');
+
+function runConvert(args) {
+    return spawnSync(process.execPath, [CONVERT_PATH, ...args], { encoding: 'utf-8' });
+}
+
+describe('E2E - convert-list.js', () => {
+    test('should merge local CSV, JSON and OSV sources into one database', () => {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-convert-'));
+        const outputPath = path.join(outputDir, 'compromised-packages.json');
+        
+        try {
+            const result = runConvert(['--sources', SOURCES_PATH, '--output', outputPath]);
+            
+            assert.strictEqual(result.status, 0, result.stderr);
+            assert.ok(result.stdout.includes('3 compromised packages detected'));
+            
+            const database = JSON.parse(fs.readFileSync(outputPath, 'utf-8'));
+            assert.strictEqual(database.attackName, 'Shai Hulud 2.0');
+            assert.strictEqual(database.sources.length, 3);
+            assert.deepStrictEqual(database.compromisedPackages[0].versionSources['3.4.2'], ['datadog', 'osv']);
+            
+            // First database: nothing to compare with yet
+            const changelog = JSON.parse(fs.readFileSync(path.join(outputDir, 'changelog.json'), 'utf-8'));
+            assert.deepStrictEqual(changelog, { entries: [] });
+        } finally {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+
+    test('should fail without writing when a source cannot be read', () => {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-convert-'));
+        const sourcesPath = path.join(outputDir, 'sources.json');
+        const outputPath = path.join(outputDir, 'compromised-packages.json');
+        fs.writeFileSync(sourcesPath, JSON.stringify({
+            attackName: 'Shai Hulud 2.0',
+            sources: [{ id: 'missing', format: 'csv', file: 'missing.csv' }]
+        }));
+        
+        try {
+            const result = runConvert(['--sources', sourcesPath, '--output', outputPath]);
+            
+            assert.strictEqual(result.status, 1);
+            assert.ok(result.stderr.includes('Source "missing"'));
+            assert.ok(!fs.existsSync(outputPath));
+        } finally {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('E2E - convert-list.js anomaly guard', () => {
+    function withPreviousDatabase(packageCount, callback) {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-convert-'));
+        const outputPath = path.join(outputDir, 'compromised-packages.json');
+        const previous = JSON.stringify({
+            attackName: 'Shai Hulud 2.0',
+            compromisedPackages: Array.from({ length: packageCount }, (_, index) => ({ name: `pkg-${index}`, compromisedVersions: ['1.0.0'] }))
+        });
+        fs.writeFileSync(outputPath, previous);
+        
+        try {
+            callback(outputPath, previous);
+        } finally {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        }
+    }
+
+    test('should keep the existing database when the package count drops sharply', () => {
+        withPreviousDatabase(100, (outputPath, previous) => {
+            const result = runConvert(['--sources', SOURCES_PATH, '--output', outputPath]);
+            
+            assert.strictEqual(result.status, 1);
+            assert.ok(result.stderr.includes('package count dropped from 100 to 3'));
+            assert.strictEqual(fs.readFileSync(outputPath, 'utf-8'), previous);
+        });
+    });
+
+    test('should write despite anomalies with --force', () => {
+        withPreviousDatabase(100, (outputPath) => {
+            const result = runConvert(['--sources', SOURCES_PATH, '--output', outputPath, '--force']);
+            
+            assert.strictEqual(result.status, 0);
+            assert.strictEqual(JSON.parse(fs.readFileSync(outputPath, 'utf-8')).compromisedPackages.length, 3);
+            
+            const [entry] = JSON.parse(fs.readFileSync(path.join(path.dirname(outputPath), 'changelog.json'), 'utf-8')).entries;
+            assert.deepStrictEqual(entry.added.map(change => change.name), ['@asyncapi/parser', '@zapier/zapier-sdk', 'posthog-node']);
+            assert.strictEqual(entry.removed.length, 100);
+            assert.ok(result.stdout.includes('🆕 Added: @asyncapi/parser@3.4.1, 3.4.2'));
+        });
+    });
+
+    test('should keep the existing database when too many records are rejected', () => {
+        withPreviousDatabase(2, (outputPath, previous) => {
+            const sourcesPath = path.join(path.dirname(outputPath), 'sources.json');
+            fs.writeFileSync(sourcesPath, JSON.stringify({
+                attackName: 'Shai Hulud 2.0',
+                sources: [{ id: 'datadog', format: 'csv', file: path.join(IOCS, 'invalid-rows.csv') }]
+            }));
+            
+            const result = runConvert(['--sources', sourcesPath, '--output', outputPath]);
+            
+            assert.strictEqual(result.status, 1);
+            assert.ok(result.stderr.includes('3 of 5 records rejected'));
+            assert.strictEqual(fs.readFileSync(outputPath, 'utf-8'), previous);
+        });
+    });
+
+    test('should fail on a truncated CSV', () => {
+        const sourcesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-convert-'));
+        const sourcesPath = path.join(sourcesDir, 'sources.json');
+        fs.writeFileSync(sourcesPath, JSON.stringify({
+            attackName: 'Shai Hulud 2.0',
+            sources: [{ id: 'datadog', format: 'csv', file: path.join(IOCS, 'truncated.csv') }]
+        }));
+        
+        try {
+            const result = runConvert(['--sources', sourcesPath, '--output', path.join(sourcesDir, 'out.json')]);
+            
+            assert.strictEqual(result.status, 1);
+            assert.ok(result.stderr.includes('unterminated quoted field'));
+            assert.ok(!fs.existsSync(path.join(sourcesDir, 'out.json')));
+        } finally {
+            fs.rmSync(sourcesDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('E2E - convert-list.js downloads', () => {
+    let server;
+    let baseUrl;
+
+    // Local server standing in for the IOC hosts
+    before(async () => {
+        server = http.createServer((request, response) => {
+            if (request.url === '/iocs.csv') {
+                response.end(fs.readFileSync(path.join(IOCS, 'datadog.csv')));
+            } else if (request.url === '/moved.csv') {
+                response.writeHead(302, { location: '/iocs.csv' });
+                response.end();
+            } else if (request.url === '/truncated.csv') {
+                response.writeHead(200, { 'content-length': 1000 });
+                response.write('package_name,package_versions\n');
+                setTimeout(() => response.socket.destroy(), 10);
+            } else {
+                response.writeHead(404, { 'content-type': 'text/html' });
+                response.end(fs.readFileSync(path.join(IOCS, 'not-found.html')));
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    test('should download a source and follow redirects', async () => {
+        assert.strictEqual(await download(`${baseUrl}/moved.csv`), fs.readFileSync(path.join(IOCS, 'datadog.csv'), 'utf-8'));
+    });
+
+    test('should reject an error page instead of returning it', async () => {
+        await assert.rejects(download(`${baseUrl}/missing.csv`), /HTTP 404/);
+    });
+
+    test('should reject a truncated download', async () => {
+        await assert.rejects(download(`${baseUrl}/truncated.csv`));
+    });
+});
+
+describe('E2E - convert-list.js signature', () => {
+    test('should sign the database with the key from --signing-key', async () => {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-convert-'));
+        const keyPath = path.join(outputDir, 'signing-key.pem');
+        const outputPath = path.join(outputDir, 'compromised-packages.json');
+        
+        try {
+            const generated = runConvert(['--generate-key', keyPath]);
+            assert.strictEqual(generated.status, 0, generated.stderr);
+            const publicKey = generated.stdout.trim().split('\n').pop();
+            
+            const result = runConvert(['--sources', SOURCES_PATH, '--output', outputPath, '--signing-key', keyPath]);
+            assert.strictEqual(result.status, 0, result.stderr);
+            
+            const signature = JSON.parse(fs.readFileSync(`${outputPath}.sig`, 'utf-8'));
+            await verifyDatabase(fs.readFileSync(outputPath), signature, publicKey, webcrypto.subtle);
+        } finally {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+
+    test('should read the key from the environment and refuse to overwrite a key file', () => {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-convert-'));
+        const outputPath = path.join(outputDir, 'compromised-packages.json');
+        const { privateKey } = generateSigningKeyPair();
+        
+        try {
+            const result = spawnSync(process.execPath, [CONVERT_PATH, '--sources', SOURCES_PATH, '--output', outputPath], {
+                encoding: 'utf-8',
+                env: { ...process.env, [SIGNING_KEY_ENV]: privateKey }
+            });
+            assert.strictEqual(result.status, 0, result.stderr);
+            assert.ok(fs.existsSync(`${outputPath}.sig`));
+            
+            fs.writeFileSync(path.join(outputDir, 'existing.pem'), 'keep me');
+            const overwrite = runConvert(['--generate-key', path.join(outputDir, 'existing.pem')]);
+            assert.strictEqual(overwrite.status, 1);
+            assert.strictEqual(fs.readFileSync(path.join(outputDir, 'existing.pem'), 'utf-8'), 'keep me');
+        } finally {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+
+    test('should embed the public key of the signing key in the page and check it', () => {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-convert-'));
+        const keyPath = path.join(outputDir, 'signing-key.pem');
+        const htmlPath = path.join(outputDir, 'index.html');
+        const outputPath = path.join(outputDir, 'compromised-packages.json');
+        fs.copyFileSync(path.join(__dirname, '../../index.html'), htmlPath);
+        
+        try {
+            const empty = runConvert(['--check-key', htmlPath, '--output', outputPath]);
+            assert.strictEqual(empty.status, 1);
+            assert.ok(empty.stderr.includes('meta tag is empty'));
+            
+            const publicKey = runConvert(['--generate-key', keyPath]).stdout.trim().split('\n').pop();
+            assert.strictEqual(runConvert(['--sources', SOURCES_PATH, '--output', outputPath, '--signing-key', keyPath]).status, 0);
+            const embedded = runConvert(['--embed-key', htmlPath, '--signing-key', keyPath]);
+            assert.strictEqual(embedded.status, 0, embedded.stderr);
+            assert.ok(fs.readFileSync(htmlPath, 'utf-8').includes(`<meta name="shai-hulud-database-key" content="${publicKey}">`));
+            assert.strictEqual(runConvert(['--check-key', htmlPath, '--output', outputPath]).status, 0);
+            
+            const { privateKey } = generateSigningKeyPair();
+            fs.writeFileSync(keyPath, privateKey);
+            runConvert(['--embed-key', htmlPath, '--signing-key', keyPath]);
+            const mismatch = runConvert(['--check-key', htmlPath, '--output', outputPath]);
+            assert.strictEqual(mismatch.status, 1);
+            assert.ok(mismatch.stderr.includes('the page expects'));
+        } finally {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+
+    test('should refuse to embed a key without a signing key', () => {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-convert-'));
+        const htmlPath = path.join(outputDir, 'index.html');
+        fs.copyFileSync(path.join(__dirname, '../../index.html'), htmlPath);
+        
+        try {
+            const result = spawnSync(process.execPath, [CONVERT_PATH, '--embed-key', htmlPath], {
+                encoding: 'utf-8',
+                env: { ...process.env, [SIGNING_KEY_ENV]: '' }
+            });
+            
+            assert.strictEqual(result.status, 1);
+            assert.ok(result.stderr.includes('No signing key'));
+        } finally {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+
+    test('should warn and remove a stale signature without a key', () => {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-convert-'));
+        const outputPath = path.join(outputDir, 'compromised-packages.json');
+        fs.writeFileSync(`${outputPath}.sig`, '{}');
+        
+        try {
+            const result = spawnSync(process.execPath, [CONVERT_PATH, '--sources', SOURCES_PATH, '--output', outputPath], {
+                encoding: 'utf-8',
+                env: { ...process.env, [SIGNING_KEY_ENV]: '' }
+            });
+            
+            assert.strictEqual(result.status, 0, result.stderr);
+            assert.ok(result.stderr.includes('the database is not signed'));
+            assert.ok(!fs.existsSync(`${outputPath}.sig`));
+        } finally {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+});
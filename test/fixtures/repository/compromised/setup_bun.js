@@ -0,0 +1 @@
+// Harmless test fixture standing for the Shai-Hulud loader
@@ -0,0 +1,94 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '../..');
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf-8');
+}
+
+// analysis-worker.js in a worker-like global scope: importScripts runs the lib scripts, postMessage is recorded
+function loadWorker() {
+    const messages = [];
+    const context = {
+        postMessage: message => messages.push(message),
+        importScripts: (...scripts) => scripts.forEach(script => {
+            vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf-8'), context, { filename: script });
+        })
+    };
+    context.self = context;
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'analysis-worker.js'), 'utf-8'), context, { filename: 'analysis-worker.js' });
+    
+    return {
+        messages,
+        send: data => context.onmessage({ data })
+    };
+}
+
+describe('Analysis worker', () => {
+    test('should analyze a lockfile with the database sent beforehand', () => {
+        const worker = loadWorker();
+        worker.send({ type: 'database', data: compromisedData });
+        worker.send({ type: 'analyze', id: 1, content: fixture('package-lock-with-threat.json'), fileName: 'package-lock.json' });
+        
+        const result = worker.messages.find(message => message.type === 'result');
+        assert.strictEqual(result.id, 1);
+        assert.strictEqual(result.analysis.parsed.format, 'npm');
+        assert.strictEqual(result.analysis.results.threats[0].name, '@asyncapi/parser');
+        assert.deepStrictEqual(worker.messages.filter(message => message.type === 'progress').map(message => message.stage), ['parse', 'match']);
+    });
+
+    test('should analyze a batch and index its findings', () => {
+        const worker = loadWorker();
+        worker.send({ type: 'database', data: compromisedData });
+        worker.send({
+            type: 'batch',
+            id: 2,
+            files: [
+                { path: 'api/package-lock.json', content: fixture('package-lock-with-threat.json') },
+                { path: 'web/pnpm-lock.yaml', content: fixture('pnpm-lock-v9.yaml') }
+            ]
+        });
+        
+        const progress = worker.messages.filter(message => message.type === 'progress');
+        const result = worker.messages.find(message => message.type === 'result');
+        assert.deepStrictEqual(progress.map(message => [message.stage, message.done, message.total]), [['batch', 1, 2], ['batch', 2, 2]]);
+        assert.strictEqual(result.batch.totals.projects, 2);
+        assert.strictEqual(result.batch.findings[0].name, '@asyncapi/parser');
+    });
+
+    test('should compare a base and a head lockfile', () => {
+        const worker = loadWorker();
+        worker.send({ type: 'database', data: compromisedData });
+        worker.send({
+            type: 'compare',
+            id: 5,
+            base: { content: fixture('package-lock-diff-base.json'), fileName: 'package-lock.json' },
+            head: { content: fixture('package-lock-diff-head.json'), fileName: 'package-lock.json' }
+        });
+        
+        const { comparison } = worker.messages.find(message => message.type === 'result');
+        // Arrays built in the worker context: compare their contents
+        assert.strictEqual(comparison.changes.added.map(change => change.name).join(), '@zapier/zapier-sdk');
+        assert.strictEqual(comparison.results.threats.map(threat => threat.name).sort().join(), '@zapier/zapier-sdk,posthog-node');
+        assert.strictEqual(comparison.results.preexisting.map(threat => threat.name).join(), '@asyncapi/parser');
+        assert.strictEqual(comparison.parsed.format, 'npm');
+    });
+
+    test('should post an error for an invalid lockfile or a missing database', () => {
+        const worker = loadWorker();
+        worker.send({ type: 'analyze', id: 3, content: '{}', fileName: 'package-lock.json' });
+        worker.send({ type: 'database', data: compromisedData });
+        worker.send({ type: 'analyze', id: 4, content: '{ not json', fileName: 'package-lock.json' });
+        
+        const errors = worker.messages.filter(message => message.type === 'error');
+        assert.deepStrictEqual(errors.map(message => message.id), [3, 4]);
+        assert.ok(errors[0].message.includes('not loaded'));
+    });
+});
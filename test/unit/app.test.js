@@ -0,0 +1,129 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '../..');
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf-8');
+}
+
+// Element stub: every property reads as a no-op method returning another element
+function stubElement() {
+    const state = { hidden: false, checked: false, value: '', textContent: '' };
+    return new Proxy(state, {
+        get: (target, property) => (property in target || property === 'then' ? target[property] : () => stubElement())
+    });
+}
+
+// app.js with the scripts of index.html, a stub DOM and no Web Workers: analyses run on the main thread.
+// Displayed analyses are recorded instead of rendered; stored holds the localStorage entries found at startup.
+function loadApp(stored = {}) {
+    const storage = new Map(Object.entries(stored));
+    const elements = new Map();
+    const displayed = [];
+    const context = {
+        console,
+        alert: message => assert.fail(`Unexpected alert: ${message}`),
+        // Startup downloads never complete: the tests set the database themselves
+        fetch: () => new Promise(() => {}),
+        localStorage: { getItem: key => (storage.has(key) ? storage.get(key) : null), setItem: (key, value) => storage.set(key, value) },
+        navigator: {},
+        location: { protocol: 'file:' },
+        document: {
+            getElementById: id => (elements.has(id) ? elements.get(id) : elements.set(id, stubElement()).get(id)),
+            querySelector: () => stubElement(),
+            querySelectorAll: () => []
+        }
+    };
+    context.self = context;
+    vm.createContext(context);
+
+    const scripts = Array.from(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf-8').matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+    scripts.forEach(script => vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf-8'), context, { filename: script }));
+    vm.runInContext(`
+        compromisedPackagesData = __data.database;
+        databaseChangelog = __data.changelog;
+        showAnalysis = analysis => __displayed.push(analysis);
+        displayBatch = batch => __displayed.push(batch);
+    `, Object.assign(context, {
+        __displayed: displayed,
+        __data: {
+            database: compromisedData,
+            // posthog-node 5.11.3 was added after the previous scan
+            changelog: { entries: [{ date: '2025-11-25', added: [{ name: 'posthog-node', versions: ['5.11.3'] }], removed: [] }] }
+        }
+    }));
+    storage.set('shaiHulud.lastScanDatabaseDate', '2025-11-20');
+
+    return { context, displayed, storage };
+}
+
+// Arrays built in the app context: compare their contents
+function newFindings(results) {
+    return results.threats.filter(threat => threat.newVersions).map(threat => `${threat.name}@${threat.newVersions.join()}`).join();
+}
+
+describe('App - New findings since the previous scan', () => {
+    test('should flag the findings of a single lockfile analysis', async () => {
+        const { context, displayed, storage } = loadApp();
+        await context.analyzeLockfileContent(fixture('package-lock-diff-head.json'), 'package-lock.json');
+        
+        assert.strictEqual(newFindings(displayed[0].results), 'posthog-node@5.11.3');
+        assert.strictEqual(storage.get('shaiHulud.lastScanDatabaseDate'), '2025-11-25');
+    });
+
+    test('should flag the findings of every project of a batch', async () => {
+        const { context, displayed } = loadApp();
+        await context.analyzeProjectFiles([
+            { path: 'api/package-lock.json', content: fixture('package-lock-diff-head.json') },
+            { path: 'web/package-lock.json', content: fixture('package-lock-with-threat.json') }
+        ]);
+        
+        const projects = displayed[0].projects;
+        assert.strictEqual(projects.length, 2);
+        assert.strictEqual(newFindings(projects[0].results), 'posthog-node@5.11.3');
+        assert.strictEqual(newFindings(projects[1].results), '');
+    });
+
+    test('should flag the findings introduced by a comparison', async () => {
+        const { context, displayed } = loadApp();
+        await context.compareLockfiles(
+            { content: fixture('package-lock-diff-base.json'), fileName: 'package-lock.json' },
+            { content: fixture('package-lock-diff-head.json'), fileName: 'package-lock.json' }
+        );
+        
+        assert.strictEqual(newFindings(displayed[0].results), 'posthog-node@5.11.3');
+        assert.strictEqual(displayed[0].baseFileName, 'package-lock.json');
+    });
+});
+
+describe('App - Suspicious entries settings', () => {
+    const heuristicsLockfile = fixture('package-lock-heuristics.json');
+
+    function suspiciousNames(results) {
+        return results.suspicious.map(finding => finding.name).join();
+    }
+
+    test('should apply the remembered registries and install script allowlist to single and batch analyses', async () => {
+        const defaults = loadApp();
+        await defaults.context.analyzeLockfileContent(heuristicsLockfile, 'package-lock.json');
+        assert.match(suspiciousNames(defaults.displayed[0].results), /@acme\/native.*left-pad/);
+        
+        const { context, displayed } = loadApp({
+            'shaiHulud.registries': 'https://npm.mirror.example',
+            'shaiHulud.allowInstallScripts': '@acme/*'
+        });
+        await context.analyzeLockfileContent(heuristicsLockfile, 'package-lock.json');
+        await context.analyzeProjectFiles([{ path: 'api/package-lock.json', content: heuristicsLockfile }]);
+        
+        [displayed[0].results, displayed[1].projects[0].results].forEach(results => {
+            assert.doesNotMatch(suspiciousNames(results), /@acme\/native|left-pad/);
+            assert.match(suspiciousNames(results), /setup-helper/);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { projectOf, selectProjectFiles, analyzeBatch, indexFindings } = require('../../lib/batch');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf-8');
+}
+
+const files = [
+    { path: 'repos/api/package-lock.json', content: fixture('package-lock-with-threat.json') },
+    { path: 'repos/web/pnpm-lock.yaml', content: fixture('pnpm-lock-v9.yaml') },
+    { path: 'repos/safe/package-lock.json', content: fixture('package-lock-safe.json') },
+    { path: 'repos/lib/package.json', content: fixture('package-manifest.json') },
+    { path: 'repos/broken/package-lock.json', content: '{ not json' }
+];
+
+describe('Batch - File selection', () => {
+    test('should group lockfiles by directory', () => {
+        assert.strictEqual(projectOf('repos/api/package-lock.json'), 'repos/api');
+        assert.strictEqual(projectOf('package-lock.json'), '.');
+        assert.strictEqual(projectOf('C:\\repos\\api\\yarn.lock'), 'C:/repos/api');
+    });
+
+    test('should keep lockfiles, skip node_modules and keep package.json only without a lockfile', () => {
+        assert.deepStrictEqual(selectProjectFiles([
+            'repos/api/package-lock.json',
+            'repos/api/package.json',
+            'repos/api/node_modules/dep/package.json',
+            'repos/api/.git/package.json',
+            'repos/lib/package.json',
+            'repos/lib/README.md',
+            'repos/lib/my-package.json'
+        ]), ['repos/api/package-lock.json', 'repos/lib/package.json']);
+    });
+});
+
+describe('Batch - Dashboard', () => {
+    test('should count findings by severity for each project, most severe first', () => {
+        const { projects, totals } = analyzeBatch(files, compromisedData);
+        
+        assert.deepStrictEqual(projects.map(project => [project.path, project.worst]), [
+            ['repos/api/package-lock.json', 'critical'],
+            ['repos/web/pnpm-lock.yaml', 'critical'],
+            ['repos/lib/package.json', 'range'],
+            ['repos/safe/package-lock.json', null],
+            ['repos/broken/package-lock.json', undefined]
+        ]);
+        assert.deepStrictEqual(projects[1].counts, { critical: 2, high: 0, warning: 0, low: 0, range: 0, suspicious: 0 });
+        assert.ok(projects[4].error);
+        assert.deepStrictEqual(totals, { projects: 5, affected: 3, errors: 1, critical: 3, high: 0, warning: 0, low: 0, range: 5, suspicious: 1, suppressed: 0 });
+    });
+
+    test('should answer which projects contain a compromised package', () => {
+        const { projects } = analyzeBatch(files, compromisedData);
+        const findings = indexFindings(projects);
+        const parser = findings.find(finding => finding.name === '@asyncapi/parser');
+        
+        assert.strictEqual(findings[0].worst, 'critical');
+        assert.deepStrictEqual(parser.projects.map(project => [project.path, project.severity, project.versions]), [
+            ['repos/api/package-lock.json', 'critical', ['3.4.1']],
+            ['repos/web/pnpm-lock.yaml', 'critical', ['3.4.1']],
+            ['repos/lib/package.json', 'range', ['^3.4.0', '3.4.2']]
+        ]);
+    });
+    test('should report progress after each project', () => {
+        const reports = [];
+        analyzeBatch(files, compromisedData, { onProgress: report => reports.push(report) });
+        
+        assert.deepStrictEqual(reports.map(report => report.done), [1, 2, 3, 4, 5]);
+        assert.ok(reports.every(report => report.total === files.length));
+    });
+});
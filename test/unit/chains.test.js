@@ -0,0 +1,117 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_MAX_CHAINS, searchChains, findChains } = require('../../lib/chains');
+const { parseLockfile } = require('../../lib/lockfile');
+const { analyzeProject } = require('../../lib/detection');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+
+function analyzeFixture(name, fileName = name) {
+    const content = fs.readFileSync(path.join(FIXTURES, name), 'utf-8');
+    return analyzeProject(parseLockfile(content, fileName), compromisedData);
+}
+
+function chainsOf(results, packageName) {
+    const threat = results.threats.find(t => t.name === packageName);
+    return threat.chains.map(chain => chain.join(' > '));
+}
+
+describe('Chains - Graph Search', () => {
+    const graph = {
+        roots: [{ name: 'app', dependencies: ['a', 'target'] }],
+        edges: { a: ['b'], b: ['target', 'a'], target: [] }
+    };
+
+    test('should list every chain, shortest first, without looping on cycles', () => {
+        assert.deepStrictEqual(findChains(graph, 'target'), [
+            { root: 'app', path: ['target'] },
+            { root: 'app', path: ['a', 'b', 'target'] }
+        ]);
+    });
+
+    test('should cap the number of chains', () => {
+        assert.strictEqual(findChains(graph, 'target', 1).length, 1);
+    });
+
+    test('should count the chains left out by the cap', () => {
+        const { chains, more } = searchChains(graph, 'target', 1);
+        
+        assert.deepStrictEqual(chains, [{ root: 'app', path: ['target'] }]);
+        assert.strictEqual(more, 1);
+        assert.strictEqual(searchChains(graph, 'target').more, 0);
+    });
+
+    test('should return no chain for an unreachable package', () => {
+        assert.deepStrictEqual(findChains(graph, 'orphan'), []);
+    });
+});
+
+describe('Chains - npm Lockfiles', () => {
+    test('should resolve every chain to a hoisted package (v3)', () => {
+        const results = analyzeFixture('package-lock-chains.json');
+        
+        assert.deepStrictEqual(chainsOf(results, '@asyncapi/parser'), [
+            'chains-project > @asyncapi/parser@3.4.1',
+            'chains-project > @asyncapi/cli@2.0.0 > @asyncapi/parser@3.4.1',
+            'chains-project > @asyncapi/cli@2.0.0 > cycle-a@1.0.0 > cycle-b@1.0.0 > @asyncapi/parser@3.4.1'
+        ]);
+    });
+
+    test('should report how many chains are not listed', () => {
+        // DEFAULT_MAX_CHAINS + 2 plugins, each bringing @asyncapi/parser in
+        const plugins = Array.from({ length: DEFAULT_MAX_CHAINS + 2 }, (value, index) => `plugin-${String(index).padStart(2, '0')}`);
+        const packages = {
+            '': { name: 'wide-project', version: '1.0.0', dependencies: Object.fromEntries(plugins.map(plugin => [plugin, '1.0.0'])) },
+            'node_modules/@asyncapi/parser': { version: '3.4.1' }
+        };
+        plugins.forEach(plugin => {
+            packages[`node_modules/${plugin}`] = { version: '1.0.0', dependencies: { '@asyncapi/parser': '3.4.1' } };
+        });
+        const results = analyzeProject(parseLockfile(JSON.stringify({ name: 'wide-project', lockfileVersion: 3, packages }), 'package-lock.json'), compromisedData);
+        const threat = results.threats.find(t => t.name === '@asyncapi/parser');
+        
+        assert.strictEqual(threat.chains.length, DEFAULT_MAX_CHAINS);
+        assert.deepStrictEqual(threat.chains[0], ['wide-project', 'plugin-00@1.0.0', '@asyncapi/parser@3.4.1']);
+        assert.strictEqual(threat.moreChains, 2);
+        assert.strictEqual(analyzeFixture('package-lock-chains.json').threats.find(t => t.name === '@asyncapi/parser').moreChains, undefined);
+    });
+
+    test('should resolve nested copies to their own parent (v3)', () => {
+        const results = analyzeFixture('package-lock-chains.json');
+        const nested = results.threats.find(t => t.path === 'node_modules/docs-generator/node_modules/@asyncapi/parser');
+        
+        assert.deepStrictEqual(nested.chains, [['chains-project', 'docs-generator@1.0.0', '@asyncapi/parser@3.0.0']]);
+    });
+
+    test('should follow requires through nested dependencies (v1)', () => {
+        const results = analyzeFixture('package-lock-chains-v1.json');
+        const nested = results.threats.find(t => t.path === '@asyncapi/cli > @asyncapi/parser');
+        
+        assert.deepStrictEqual(nested.chains, [['chains-project', '@asyncapi/cli@2.0.0', '@asyncapi/parser@3.4.1']]);
+    });
+});
+
+describe('Chains - yarn and pnpm Lockfiles', () => {
+    test('should resolve chains in a yarn classic lockfile', () => {
+        const results = analyzeFixture('yarn-classic.lock', 'yarn.lock');
+        
+        assert.deepStrictEqual(chainsOf(results, '@asyncapi/parser'), ['(root) > @asyncapi/parser@3.4.1']);
+    });
+
+    test('should start yarn Berry chains at the workspace', () => {
+        const results = analyzeFixture('yarn-berry.lock', 'yarn.lock');
+        
+        assert.deepStrictEqual(chainsOf(results, 'posthog-node'), ['test-project > posthog-node@4.18.1']);
+    });
+
+    test('should start pnpm chains at the importer', () => {
+        const results = analyzeFixture('pnpm-lock-v9.yaml', 'pnpm-lock.yaml');
+        
+        assert.deepStrictEqual(chainsOf(results, '@asyncapi/parser'), [
+            'packages/api > @asyncapi/specs@6.8.1 > @asyncapi/parser@3.4.1'
+        ]);
+    });
+});
@@ -0,0 +1,67 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { diffDatabases, appendChangelog, latestDate, addedSince, newVersionsOf } = require('../../lib/changelog');
+
+const previous = {
+    compromisedPackages: [
+        { name: '@asyncapi/parser', compromisedVersions: ['3.4.1'] },
+        { name: 'left-pad', compromisedVersions: ['1.0.0'] }
+    ]
+};
+
+const next = {
+    compromisedPackages: [
+        { name: '@asyncapi/parser', compromisedVersions: ['3.4.1', '3.4.2'] },
+        { name: 'posthog-node', compromisedVersions: ['5.11.3'] }
+    ]
+};
+
+const changelog = {
+    entries: [
+        { date: '2025-11-26T02:00:00.000Z', added: [{ name: 'posthog-node', versions: ['5.11.3'], wholePackage: true }], removed: [] },
+        { date: '2025-11-25T02:00:00.000Z', added: [{ name: '@asyncapi/parser', versions: ['3.4.2'], wholePackage: false }], removed: [] }
+    ]
+};
+
+describe('Changelog - Database diff', () => {
+    test('should list added and removed packages and versions', () => {
+        assert.deepStrictEqual(diffDatabases(previous, next), {
+            added: [
+                { name: '@asyncapi/parser', versions: ['3.4.2'], wholePackage: false },
+                { name: 'posthog-node', versions: ['5.11.3'], wholePackage: true }
+            ],
+            removed: [
+                { name: 'left-pad', versions: ['1.0.0'], wholePackage: true }
+            ]
+        });
+    });
+
+    test('should prepend an entry only when the database changed', () => {
+        const diff = diffDatabases(previous, next);
+        const updated = appendChangelog(changelog, diff, '2025-11-27T02:00:00.000Z');
+        
+        assert.strictEqual(updated.entries.length, 3);
+        assert.strictEqual(updated.entries[0].date, '2025-11-27T02:00:00.000Z');
+        assert.deepStrictEqual(appendChangelog(changelog, diffDatabases(next, next), '2025-11-27T02:00:00.000Z'), changelog);
+        assert.deepStrictEqual(appendChangelog(null, diff, 'now', 1).entries.length, 1);
+    });
+});
+
+describe('Changelog - New since last scan', () => {
+    test('should collect versions added after the previous scan', () => {
+        const added = addedSince(changelog, '2025-11-25T02:00:00.000Z');
+        
+        assert.deepStrictEqual(Array.from(added.keys()), ['posthog-node']);
+        assert.strictEqual(addedSince(changelog, null).size, 0);
+        assert.strictEqual(latestDate(changelog), '2025-11-26T02:00:00.000Z');
+        assert.strictEqual(latestDate({ entries: [] }), null);
+    });
+
+    test('should report the new compromised versions of a finding', () => {
+        const added = addedSince(changelog, '2025-11-24T00:00:00.000Z');
+        const finding = { name: '@asyncapi/parser', threat: { compromisedVersions: ['3.4.1', '3.4.2'] } };
+        
+        assert.deepStrictEqual(newVersionsOf(finding, added), ['3.4.2']);
+        assert.deepStrictEqual(newVersionsOf({ name: 'other', threat: { compromisedVersions: ['1.0.0'] } }, added), []);
+    });
+});
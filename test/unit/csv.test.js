@@ -0,0 +1,30 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { parseCsv } = require('../../lib/csv');
+
+describe('CSV - RFC 4180', () => {
+    test('should split records on LF and CRLF and skip blank lines', () => {
+        assert.deepStrictEqual(parseCsv('a,b\r\nc,d\n\ne,f'), [
+            { line: 1, fields: ['a', 'b'] },
+            { line: 2, fields: ['c', 'd'] },
+            { line: 4, fields: ['e', 'f'] }
+        ]);
+    });
+
+    test('should unescape doubled quotes and keep commas and line breaks in quoted fields', () => {
+        assert.deepStrictEqual(parseCsv('"a ""b"", c","1\r\n2"\r\nnext,'), [
+            { line: 1, fields: ['a "b", c', '1\r\n2'] },
+            { line: 3, fields: ['next', ''] }
+        ]);
+    });
+
+    test('should ignore a byte order mark', () => {
+        assert.deepStrictEqual(parseCsv('﻿name,version\n'), [{ line: 1, fields: ['name', 'version'] }]);
+    });
+
+    test('should reject stray and unterminated quotes', () => {
+        assert.throws(() => parseCsv('a,b"c'), /CSV line 1: unexpected quote inside an unquoted field/);
+        assert.throws(() => parseCsv('"a"b,c'), /CSV line 1: unexpected character after a closing quote/);
+        assert.throws(() => parseCsv('a,b\n"c,d'), /CSV line 2: unterminated quoted field/);
+    });
+});
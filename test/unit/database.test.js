@@ -0,0 +1,46 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { indexDatabase, findPackage } = require('../../lib/database');
+
+function database(packages) {
+    return { attackName: 'Test', compromisedPackages: packages };
+}
+
+describe('Database - Name index', () => {
+    test('should find packages by name', () => {
+        const data = database([
+            { name: '@asyncapi/parser', compromisedVersions: ['3.4.1'] },
+            { name: 'posthog-node', compromisedVersions: ['4.18.1'] }
+        ]);
+        
+        assert.deepStrictEqual(findPackage(data, 'posthog-node').compromisedVersions, ['4.18.1']);
+        assert.strictEqual(findPackage(data, 'left-pad'), null);
+    });
+
+    test('should build the index once per database', () => {
+        const data = database([{ name: 'posthog-node', compromisedVersions: ['4.18.1'] }]);
+        
+        assert.strictEqual(indexDatabase(data), indexDatabase(data));
+        // The same packages behind another database object share the index
+        assert.strictEqual(indexDatabase({ ...data }), indexDatabase(data));
+    });
+
+    test('should index a replaced package list again', () => {
+        const data = database([{ name: 'posthog-node', compromisedVersions: ['4.18.1'] }]);
+        findPackage(data, 'posthog-node');
+        
+        data.compromisedPackages = [{ name: '@asyncapi/parser', compromisedVersions: ['3.4.1'] }];
+        
+        assert.strictEqual(findPackage(data, 'posthog-node'), null);
+        assert.ok(findPackage(data, '@asyncapi/parser'));
+    });
+
+    test('should keep the first entry of a duplicated name', () => {
+        const data = database([
+            { name: 'posthog-node', compromisedVersions: ['4.18.1'] },
+            { name: 'posthog-node', compromisedVersions: ['5.0.0'] }
+        ]);
+        
+        assert.deepStrictEqual(findPackage(data, 'posthog-node').compromisedVersions, ['4.18.1']);
+    });
+});
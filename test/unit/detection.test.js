@@ -2,6 +2,7 @@ const { test, describe } = require('node:test');
 const assert = require('node:assert');
 const fs = require('fs');
 const path = require('path');
+const { compareVersions, checkPackage, extractDependencies, analyzeDependencies, analyzeLockfile, PROGRESS_INTERVAL } = require('../../lib/detection');
 
 // Load data file
 const dataPath = path.join(__dirname, '../../data/compromised-packages.json');
@@ -15,61 +16,6 @@ try {
     process.exit(1);
 }
 
-// Utility functions (copied from app.js)
-function compareVersions(v1, v2) {
-    const parts1 = v1.split('.').map(Number);
-    const parts2 = v2.split('.').map(Number);
-    
-    for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
-        const p1 = parts1[i] || 0;
-        const p2 = parts2[i] || 0;
-        
-        if (p1 > p2) return 1;
-        if (p1 < p2) return -1;
-    }
-    return 0;
-}
-
-function checkPackage(packageName, version) {
-    const compromisedPkg = compromisedData.compromisedPackages.find(
-        pkg => pkg.name === packageName
-    );
-    
-    if (!compromisedPkg) return null;
-    
-    const exactMatch = compromisedPkg.compromisedVersions.includes(version);
-    
-    if (exactMatch) {
-        return {
-            severity: 'critical',
-            exactMatch: true,
-            compromisedVersions: compromisedPkg.compromisedVersions
-        };
-    }
-    
-    const isHigherVersion = compromisedPkg.compromisedVersions.some(compVer => {
-        try {
-            return compareVersions(version, compVer) > 0;
-        } catch (e) {
-            return false;
-        }
-    });
-    
-    if (isHigherVersion) {
-        return {
-            severity: 'high',
-            exactMatch: false,
-            compromisedVersions: compromisedPkg.compromisedVersions
-        };
-    }
-    
-    return {
-        severity: 'warning',
-        exactMatch: false,
-        compromisedVersions: compromisedPkg.compromisedVersions
-    };
-}
-
 describe('Data Validation', () => {
     test('compromised-packages.json should exist and be valid', () => {
         assert.ok(compromisedData, 'File should be loaded');
@@ -94,7 +40,7 @@ describe('Detection - Exact Match (Critical)', () => {
         const testPkg = compromisedData.compromisedPackages[0];
         const testVersion = testPkg.compromisedVersions[0];
         
-        const result = checkPackage(testPkg.name, testVersion);
+        const result = checkPackage(testPkg.name, testVersion, compromisedData);
         
         assert.ok(result, 'A result should be returned');
         assert.strictEqual(result.severity, 'critical', 'Severity should be "critical"');
@@ -104,7 +50,7 @@ describe('Detection - Exact Match (Critical)', () => {
     test('should detect @asyncapi/parser@3.4.1 (if present)', () => {
         const pkg = compromisedData.compromisedPackages.find(p => p.name === '@asyncapi/parser');
         if (pkg && pkg.compromisedVersions.includes('3.4.1')) {
-            const result = checkPackage('@asyncapi/parser', '3.4.1');
+            const result = checkPackage('@asyncapi/parser', '3.4.1', compromisedData);
             assert.strictEqual(result.severity, 'critical');
             assert.strictEqual(result.exactMatch, true);
         }
@@ -121,7 +67,7 @@ describe('Detection - Higher Version (High)', () => {
         parts[parts.length - 1] = String(parseInt(parts[parts.length - 1]) + 10);
         const higherVersion = parts.join('.');
         
-        const result = checkPackage(testPkg.name, higherVersion);
+        const result = checkPackage(testPkg.name, higherVersion, compromisedData);
         
         assert.ok(result, 'A result should be returned');
         assert.strictEqual(result.severity, 'high', 'Severity should be "high"');
@@ -130,28 +76,43 @@ describe('Detection - Higher Version (High)', () => {
 });
 
 describe('Detection - Different Version (Warning)', () => {
-    test('should detect a different version of a compromised package', () => {
+    test('should detect a version that cannot be compared', () => {
         const testPkg = compromisedData.compromisedPackages[0];
         
-        // Completely different version
-        const differentVersion = '0.0.1';
+        // Not a SemVer version (git dependency)
+        const differentVersion = 'github:someone/fork#abc123';
         
-        const result = checkPackage(testPkg.name, differentVersion);
+        const result = checkPackage(testPkg.name, differentVersion, compromisedData);
         
         assert.ok(result, 'A result should be returned');
-        // Can be 'warning' or 'high' depending on comparison
-        assert.ok(['warning', 'high'].includes(result.severity), 'Severity should be "warning" or "high"');
+        assert.strictEqual(result.severity, 'warning', 'Severity should be "warning"');
+        assert.strictEqual(result.versionPosition, 'unknown');
+    });
+});
+
+describe('Detection - Older Version (Low)', () => {
+    test('should detect a version older than every compromised version', () => {
+        const testPkg = compromisedData.compromisedPackages[0];
+        
+        // Lowest possible SemVer version
+        const olderVersion = '0.0.0-0';
+        
+        const result = checkPackage(testPkg.name, olderVersion, compromisedData);
+        
+        assert.ok(result, 'A result should be returned');
+        assert.strictEqual(result.severity, 'low', 'Severity should be "low"');
+        assert.strictEqual(result.versionPosition, 'below');
     });
 });
 
 describe('Detection - Safe Packages', () => {
     test('should not detect a non-compromised package', () => {
-        const result = checkPackage('express', '4.18.2');
+        const result = checkPackage('express', '4.18.2', compromisedData);
         assert.strictEqual(result, null, 'No result should be returned for a safe package');
     });
 
     test('should not detect react as compromised', () => {
-        const result = checkPackage('react', '18.2.0');
+        const result = checkPackage('react', '18.2.0', compromisedData);
         assert.strictEqual(result, null);
     });
 });
@@ -165,3 +126,69 @@ describe('Version Comparison', () => {
         assert.strictEqual(compareVersions('1.2.3', '1.2.3'), 0, '1.2.3 = 1.2.3');
     });
 });
+
+describe('Dependency Extraction', () => {
+    test('should extract packages from a lockfileVersion 3 file', () => {
+        const packageLock = JSON.parse(
+            fs.readFileSync(path.join(__dirname, '../fixtures/package-lock-with-threat.json'), 'utf-8')
+        );
+        
+        const dependencies = extractDependencies(packageLock);
+        
+        assert.deepStrictEqual(dependencies.map(d => `${d.name}@${d.version}`), [
+            '@asyncapi/parser@3.4.1',
+            'express@4.18.2'
+        ]);
+    });
+
+    test('should extract nested packages from a lockfileVersion 1 file', () => {
+        const dependencies = extractDependencies({
+            lockfileVersion: 1,
+            dependencies: {
+                a: { version: '1.0.0', dependencies: { b: { version: '2.0.0' } } }
+            }
+        });
+        
+        assert.deepStrictEqual(dependencies, [
+            { name: 'a', version: '1.0.0', path: 'a' },
+            { name: 'b', version: '2.0.0', path: 'a > b' }
+        ]);
+    });
+});
+
+describe('Lockfile Analysis', () => {
+    test('should report threats and count safe packages', () => {
+        const packageLock = JSON.parse(
+            fs.readFileSync(path.join(__dirname, '../fixtures/package-lock-with-threat.json'), 'utf-8')
+        );
+        
+        const results = analyzeLockfile(packageLock, compromisedData);
+        
+        assert.strictEqual(results.allPackages.length, 2);
+        assert.strictEqual(results.safe, 1);
+        assert.strictEqual(results.threats.length, 1);
+        assert.strictEqual(results.threats[0].name, '@asyncapi/parser');
+        assert.strictEqual(results.threats[0].threat.severity, 'critical');
+    });
+});
+
+describe('Analysis Progress', () => {
+    test('should report progress every PROGRESS_INTERVAL dependencies and at the end', () => {
+        const total = PROGRESS_INTERVAL * 2 + 500;
+        const dependencies = Array.from({ length: total }, (_, index) => ({
+            name: `pkg-${index}`,
+            version: '1.0.0',
+            path: `node_modules/pkg-${index}`
+        }));
+        const reports = [];
+        
+        const results = analyzeDependencies(dependencies, compromisedData, { onProgress: report => reports.push(report) });
+        
+        assert.strictEqual(results.safe, total);
+        assert.deepStrictEqual(reports, [
+            { done: PROGRESS_INTERVAL, total },
+            { done: PROGRESS_INTERVAL * 2, total },
+            { done: total, total }
+        ]);
+    });
+});
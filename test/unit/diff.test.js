@@ -0,0 +1,105 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { diffDependencies, compareProjects } = require('../../lib/diff');
+const { parseLockfile } = require('../../lib/lockfile');
+const { createReport, formatReport } = require('../../lib/report');
+const { buildInventory } = require('../../lib/inventory');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+
+function readLockfile(name) {
+    return parseLockfile(fs.readFileSync(path.join(FIXTURES, name), 'utf-8'), name);
+}
+
+function ids(findings) {
+    return findings.map(finding => `${finding.name}@${finding.version}`).sort();
+}
+
+describe('Diff - Dependency changes', () => {
+    test('should list added, removed and changed packages', () => {
+        const changes = diffDependencies(readLockfile('package-lock-diff-base.json').dependencies, readLockfile('package-lock-diff-head.json').dependencies);
+        
+        assert.deepStrictEqual(changes, {
+            added: [{ name: '@zapier/zapier-sdk', versions: ['0.1.0'] }],
+            removed: [{ name: 'left-pad', versions: ['1.3.0'] }],
+            changed: [
+                { name: 'express', from: ['4.18.2'], to: ['4.19.2'] },
+                { name: 'posthog-node', from: ['4.0.0'], to: ['5.11.3'] }
+            ]
+        });
+    });
+
+    test('should report a second copy of a package as a change and ignore moves', () => {
+        const base = [{ name: 'a', version: '1.0.0', path: 'node_modules/a' }, { name: 'b', version: '2.0.0', path: 'node_modules/x/node_modules/b' }];
+        const head = [
+            { name: 'a', version: '1.0.0', path: 'node_modules/a' },
+            { name: 'a', version: '2.0.0', path: 'node_modules/y/node_modules/a' },
+            { name: 'b', version: '2.0.0', path: 'node_modules/b' },
+            { name: 'workspace', version: '0.0.0', path: 'packages/workspace', local: true }
+        ];
+        
+        assert.deepStrictEqual(diffDependencies(base, head), {
+            added: [],
+            removed: [],
+            changed: [{ name: 'a', from: ['1.0.0'], to: ['1.0.0', '2.0.0'] }]
+        });
+    });
+});
+
+describe('Diff - Findings', () => {
+    test('should only report the findings the change introduced', () => {
+        const { results, resolved } = compareProjects(readLockfile('package-lock-diff-base.json'), readLockfile('package-lock-diff-head.json'), compromisedData);
+        
+        assert.deepStrictEqual(ids(results.threats), ['@zapier/zapier-sdk@0.1.0', 'posthog-node@5.11.3']);
+        assert.strictEqual(results.threats.find(threat => threat.name === 'posthog-node').threat.severity, 'critical');
+        assert.deepStrictEqual(ids(results.preexisting), ['@asyncapi/parser@3.4.1']);
+        assert.deepStrictEqual(ids(resolved), ['posthog-node@4.0.0']);
+    });
+
+    test('should only report the declared ranges the change introduced', () => {
+        const { results } = compareProjects(readLockfile('package-lock-diff-base.json'), readLockfile('package-lock-diff-head.json'), compromisedData);
+        
+        assert.deepStrictEqual(results.rangeFindings.map(finding => `${finding.name}@${finding.range}`), ['posthog-node@^5.11.3']);
+    });
+
+    test('should report nothing new when base and head are the same', () => {
+        const lockfile = readLockfile('package-lock-diff-head.json');
+        const { changes, results, resolved } = compareProjects(lockfile, lockfile, compromisedData);
+        
+        assert.deepStrictEqual(changes, { added: [], removed: [], changed: [] });
+        assert.deepStrictEqual(results.threats, []);
+        assert.deepStrictEqual(results.rangeFindings, []);
+        assert.deepStrictEqual(resolved, []);
+        assert.strictEqual(results.preexisting.length, 3);
+    });
+
+    test('should compare lockfiles of different package managers', () => {
+        const { results } = compareProjects(readLockfile('package-lock-diff-base.json'), readLockfile('yarn-classic.lock'), compromisedData);
+        
+        assert.deepStrictEqual(ids(results.threats), ['posthog-node@4.18.1']);
+        assert.deepStrictEqual(ids(results.preexisting), ['@asyncapi/parser@3.4.1']);
+    });
+});
+
+describe('Diff - Reports', () => {
+    test('should describe the changes and keep the verdict of pre-existing findings', () => {
+        const head = readLockfile('package-lock-diff-head.json');
+        const comparison = compareProjects(readLockfile('package-lock-diff-base.json'), head, compromisedData);
+        const report = createReport(comparison.results, { parsed: head, compromisedData, comparison, baseFileName: 'base/package-lock.json' });
+        
+        assert.strictEqual(report.summary.critical, 1);
+        assert.strictEqual(report.comparison.base, 'base/package-lock.json');
+        assert.deepStrictEqual(report.comparison.resolved, [{ name: 'posthog-node', version: '4.0.0', severity: 'low' }]);
+        assert.strictEqual(report.packages.find(pkg => pkg.name === '@asyncapi/parser').verdict, 'critical');
+        assert.strictEqual(buildInventory(comparison.results).find(row => row.name === '@asyncapi/parser').verdict, 'critical');
+        
+        const markdown = formatReport(report, 'markdown');
+        assert.ok(markdown.includes('## Changes since base/package-lock.json'));
+        assert.ok(markdown.includes('| Changed | `posthog-node` | 4.0.0 → 5.11.3 |'));
+        assert.ok(markdown.includes('## New findings'));
+        assert.ok(markdown.includes('Findings already in the base lockfile: `@asyncapi/parser@3.4.1` (CRITICAL)'));
+    });
+});
@@ -0,0 +1,43 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_MAX_AGE_DAYS, parseMaxAge, databaseAge, checkFreshness } = require('../../lib/freshness');
+
+const NOW = new Date('2025-12-10T15:00:00Z');
+
+describe('Freshness - Database age', () => {
+    test('should count whole days since the last update', () => {
+        assert.strictEqual(databaseAge('2025-12-10', NOW), 0);
+        assert.strictEqual(databaseAge('2025-12-03', NOW), 7);
+        assert.strictEqual(databaseAge('2025-11-25T00:00:00.000Z', NOW), 15);
+    });
+
+    test('should not report a negative age for a date in the future', () => {
+        assert.strictEqual(databaseAge('2026-01-01', NOW), 0);
+    });
+
+    test('should return null for an invalid date', () => {
+        assert.strictEqual(databaseAge('not a date', NOW), null);
+        assert.strictEqual(databaseAge(undefined, NOW), null);
+    });
+});
+
+describe('Freshness - Threshold', () => {
+    test('should flag a database older than the threshold', () => {
+        assert.deepStrictEqual(checkFreshness('2025-12-03', 7, NOW), { ageDays: 7, maxAgeDays: 7, stale: false });
+        assert.deepStrictEqual(checkFreshness('2025-12-02', 7, NOW), { ageDays: 8, maxAgeDays: 7, stale: true });
+        assert.strictEqual(checkFreshness('2025-12-02', 30, NOW).stale, false);
+    });
+
+    test('should treat a database without a valid date as stale', () => {
+        assert.strictEqual(checkFreshness('', 7, NOW).stale, true);
+    });
+
+    test('should parse the configured threshold or fall back to the default', () => {
+        assert.strictEqual(parseMaxAge('14'), 14);
+        assert.strictEqual(parseMaxAge('1.5'), 1.5);
+        assert.strictEqual(parseMaxAge(''), DEFAULT_MAX_AGE_DAYS);
+        assert.strictEqual(parseMaxAge('-3'), DEFAULT_MAX_AGE_DAYS);
+        assert.strictEqual(parseMaxAge('abc', 30), 30);
+        assert.strictEqual(parseMaxAge(null, 30), 30);
+    });
+});
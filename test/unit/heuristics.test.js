@@ -0,0 +1,76 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { analyzeHeuristics, classifyResolved, DEFAULT_REGISTRIES } = require('../../lib/heuristics');
+const { analyzeProject } = require('../../lib/detection');
+const { parseLockfile } = require('../../lib/lockfile');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+const parsed = parseLockfile(fs.readFileSync(path.join(FIXTURES, 'package-lock-heuristics.json'), 'utf-8'), 'package-lock.json');
+
+function signalsByName(findings) {
+    return Object.fromEntries(findings.map(finding => [finding.name, finding.threat.signals.map(signal => signal.type)]));
+}
+
+describe('Heuristics - Lockfile entries', () => {
+    test('should flag install scripts, foreign sources and missing or weak integrity', () => {
+        const findings = analyzeHeuristics(parsed);
+        
+        assert.deepStrictEqual(signalsByName(findings), {
+            '@acme/native': ['install-script'],
+            'left-pad': ['foreign-registry'],
+            'old-hash': ['weak-integrity'],
+            'setup-helper': ['install-script', 'missing-integrity'],
+            'tool': ['git-dependency'],
+            'vendored': ['tarball-dependency']
+        });
+        assert.ok(findings.every(finding => finding.threat.severity === 'suspicious'));
+        assert.strictEqual(findings.find(finding => finding.name === 'left-pad').threat.signals[0].message,
+            'Resolved from npm.mirror.example, outside the configured registries');
+    });
+
+    test('should accept configured registries and allowed install scripts', () => {
+        const findings = analyzeHeuristics(parsed, { registries: ['https://npm.mirror.example'], allowInstallScripts: ['@acme/*'] });
+        
+        assert.deepStrictEqual(Object.keys(signalsByName(findings)), ['old-hash', 'setup-helper', 'tool', 'vendored']);
+    });
+
+    test('should classify resolved URLs', () => {
+        assert.strictEqual(classifyResolved('https://registry.npmjs.org/a/-/a-1.0.0.tgz', DEFAULT_REGISTRIES), 'registry');
+        assert.strictEqual(classifyResolved('https://evil.example/a/-/a-1.0.0.tgz', DEFAULT_REGISTRIES), 'foreign-registry');
+        assert.strictEqual(classifyResolved('https://evil.example/a.tgz', DEFAULT_REGISTRIES), 'tarball');
+        assert.strictEqual(classifyResolved('github:acme/tool#main', DEFAULT_REGISTRIES), 'git');
+        assert.strictEqual(classifyResolved('file:vendor/a-1.0.0.tgz', DEFAULT_REGISTRIES), 'tarball');
+        assert.strictEqual(classifyResolved('file:packages/a', DEFAULT_REGISTRIES), null);
+        assert.strictEqual(classifyResolved(undefined, DEFAULT_REGISTRIES), null);
+    });
+
+    test('should only inspect lockfiles that record install metadata', () => {
+        const v1 = parseLockfile(JSON.stringify({
+            lockfileVersion: 1,
+            dependencies: { 'setup-helper': { version: '1.0.0', resolved: 'https://evil.example/setup-helper.tgz' } }
+        }), 'package-lock.json');
+        
+        assert.strictEqual(v1.installMetadata, null);
+        assert.deepStrictEqual(analyzeHeuristics(v1), []);
+    });
+});
+
+describe('Heuristics - Analysis', () => {
+    test('should report suspicious packages apart from the compromised ones', () => {
+        const lockfile = parseLockfile(JSON.stringify({
+            lockfileVersion: 3,
+            packages: {
+                '': { name: 'app' },
+                'node_modules/@asyncapi/parser': { version: '3.4.1', resolved: 'https://evil.example/parser.tgz', hasInstallScript: true },
+                'node_modules/setup-helper': { version: '1.0.0', resolved: 'https://registry.npmjs.org/setup-helper/-/setup-helper-1.0.0.tgz', integrity: 'sha512-c2V0dXA=', hasInstallScript: true }
+            }
+        }), 'package-lock.json');
+        const results = analyzeProject(lockfile, compromisedData);
+        
+        assert.deepStrictEqual(results.threats.map(threat => threat.name), ['@asyncapi/parser']);
+        assert.deepStrictEqual(results.suspicious.map(finding => finding.name), ['setup-helper']);
+    });
+});
@@ -0,0 +1,158 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { findLockfiles, scanHistory } = require('../../lib/history');
+
+const compromisedData = JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/compromised-packages.json'), 'utf-8'));
+
+function packageLock(dependencies) {
+    const packages = { '': { name: 'app', version: '1.0.0', dependencies } };
+    Object.entries(dependencies).forEach(([name, version]) => {
+        packages[`node_modules/${name}`] = { version };
+    });
+    return `${JSON.stringify({ name: 'app', lockfileVersion: 3, packages }, null, 2)}\n`;
+}
+
+// Scripted repository: commits = [{ author, date, message, files: { path: content | null (deleted) } }]
+function createRepository(commits) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-history-'));
+    const git = (args, env = {}) => execFileSync('git', ['-C', dir, ...args], {
+        env: { ...process.env, GIT_CONFIG_NOSYSTEM: '1', GIT_CONFIG_GLOBAL: os.devNull, ...env },
+        stdio: 'pipe'
+    });
+    git(['init', '--quiet', '--initial-branch=main']);
+
+    commits.forEach(({ author, date, message, files }) => {
+        Object.entries(files).forEach(([file, content]) => {
+            if (content === null) {
+                git(['rm', '--quiet', file]);
+                return;
+            }
+            fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+            fs.writeFileSync(path.join(dir, file), content);
+            git(['add', file]);
+        });
+        const [name] = author.split(' <');
+        const email = author.slice(name.length + 2, -1);
+        git(['commit', '--quiet', '-m', message], {
+            GIT_AUTHOR_NAME: name,
+            GIT_AUTHOR_EMAIL: email,
+            GIT_AUTHOR_DATE: date,
+            GIT_COMMITTER_NAME: name,
+            GIT_COMMITTER_EMAIL: email,
+            GIT_COMMITTER_DATE: date
+        });
+    });
+
+    return dir;
+}
+
+describe('History - Exposure windows', () => {
+    let repoDir;
+
+    before(() => {
+        repoDir = createRepository([
+            { author: 'Alice <alice@example.com>', date: '2025-11-01T09:00:00Z', message: 'Initial commit', files: {
+                'package-lock.json': packageLock({ express: '4.18.2' })
+            } },
+            { author: 'Bob <bob@example.com>', date: '2025-11-24T10:00:00Z', message: 'Add analytics', files: {
+                'package-lock.json': packageLock({ express: '4.18.2', 'posthog-node': '5.11.3', '@asyncapi/parser': '3.4.1' })
+            } },
+            { author: 'Alice <alice@example.com>', date: '2025-11-25T08:00:00Z', message: 'Add the web app', files: {
+                'README.md': '# app\n',
+                'packages/web/package-lock.json': packageLock({ '@zapier/zapier-sdk': '0.15.6' })
+            } },
+            { author: 'Carol <carol@example.com>', date: '2025-11-25T12:00:00Z', message: 'Broken merge', files: {
+                'package-lock.json': '{ "lockfileVersion": 3,'
+            } },
+            { author: 'Carol <carol@example.com>', date: '2025-11-26T22:00:00Z', message: 'Upgrade posthog-node', files: {
+                'package-lock.json': packageLock({ express: '4.18.2', 'posthog-node': '5.11.4', '@asyncapi/parser': '3.4.1' })
+            } },
+            { author: 'Bob <bob@example.com>', date: '2025-11-28T10:00:00Z', message: 'Remove the web app', files: {
+                'packages/web/package-lock.json': null
+            } }
+        ]);
+    });
+
+    after(() => {
+        fs.rmSync(repoDir, { recursive: true, force: true });
+    });
+
+    test('should find the lockfiles of the history, deleted ones included', () => {
+        assert.deepStrictEqual(findLockfiles(repoDir), ['package-lock.json', 'packages/web/package-lock.json']);
+    });
+
+    test('should report when each compromised version entered and left its lockfile', () => {
+        const { lockfiles, windows } = scanHistory(repoDir, compromisedData, { now: new Date('2025-12-01T10:00:00Z') });
+        
+        assert.deepStrictEqual(lockfiles.map(lockfile => `${lockfile.path} ${lockfile.revisions}`), ['package-lock.json 4', 'packages/web/package-lock.json 2']);
+        assert.deepStrictEqual(windows.map(window => [
+            `${window.lockfile} ${window.name}@${window.version}`,
+            window.introduced.subject,
+            window.removed && window.removed.subject,
+            window.days
+        ]), [
+            ['package-lock.json posthog-node@5.11.3', 'Add analytics', 'Upgrade posthog-node', 2.5],
+            ['package-lock.json @asyncapi/parser@3.4.1', 'Add analytics', null, 7],
+            ['packages/web/package-lock.json @zapier/zapier-sdk@0.15.6', 'Add the web app', 'Remove the web app', 3.1]
+        ]);
+        
+        const { introduced } = windows[0];
+        assert.strictEqual(introduced.author, 'Bob');
+        assert.strictEqual(introduced.email, 'bob@example.com');
+        assert.strictEqual(introduced.date, '2025-11-24T10:00:00+00:00');
+        assert.match(introduced.sha, /^[0-9a-f]{40}$/);
+        assert.strictEqual(windows[0].severity, 'critical');
+    });
+
+    test('should skip revisions that cannot be parsed without closing the windows', () => {
+        const { lockfiles } = scanHistory(repoDir, compromisedData, { lockfile: 'package-lock.json' });
+        
+        assert.strictEqual(lockfiles.length, 1);
+        assert.deepStrictEqual(lockfiles[0].errors.map(error => error.commit.subject), ['Broken merge']);
+    });
+
+    test('should refuse a lockfile no commit touches and a folder that is not a repository', () => {
+        assert.throws(() => scanHistory(repoDir, compromisedData, { lockfile: 'yarn.lock' }), /No commit touches yarn\.lock/);
+        
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-history-'));
+        try {
+            assert.throws(() => scanHistory(dir, compromisedData), /not a git repository/);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('History - Unreadable revisions', () => {
+    test('should not close a window on a revision whose lockfile cannot be read', () => {
+        const repoDir = createRepository([
+            { author: 'Alice <alice@example.com>', date: '2025-11-01T09:00:00Z', message: 'Initial commit', files: {
+                'package-lock.json': packageLock({ express: '4.18.2' })
+            } },
+            { author: 'Bob <bob@example.com>', date: '2025-11-24T10:00:00Z', message: 'Add analytics', files: {
+                'package-lock.json': packageLock({ express: '4.18.2', 'posthog-node': '5.11.3' })
+            } },
+            { author: 'Bob <bob@example.com>', date: '2025-11-25T10:00:00Z', message: 'Upgrade express', files: {
+                'package-lock.json': packageLock({ express: '4.19.2', 'posthog-node': '5.11.3' })
+            } }
+        ]);
+        
+        try {
+            // Corrupt repository: the lockfile of the last commit is gone from the object store
+            const blob = execFileSync('git', ['-C', repoDir, 'rev-parse', 'HEAD:package-lock.json'], { encoding: 'utf-8' }).trim();
+            fs.rmSync(path.join(repoDir, '.git/objects', blob.slice(0, 2), blob.slice(2)), { force: true });
+            
+            const { lockfiles, windows } = scanHistory(repoDir, compromisedData);
+            assert.deepStrictEqual(lockfiles[0].errors.map(error => error.commit.subject), ['Upgrade express']);
+            assert.deepStrictEqual(windows.map(window => `${window.name}@${window.version} ${window.introduced.subject} ${window.removed}`), [
+                'posthog-node@5.11.3 Add analytics null'
+            ]);
+        } finally {
+            fs.rmSync(repoDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,97 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { listInstalled, findPayloadIndicators, compareWithLockfile } = require('../../lib/installed');
+const { parseLockfile } = require('../../lib/lockfile');
+
+const INSTALLED = path.join(__dirname, '../fixtures/installed');
+const PROJECT = path.join(INSTALLED, 'project');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(__dirname, '../fixtures/compromised-packages.json'), 'utf-8'));
+
+// The fixture "payload" is a harmless file: its hash stands for a known malicious bundle
+const payloadHash = crypto.createHash('sha256')
+    .update(fs.readFileSync(path.join(PROJECT, 'node_modules/@acme/tool/bun_environment.js')))
+    .digest('hex');
+const withHashes = {
+    ...compromisedData,
+    payloadHashes: [{ sha256: payloadHash, fileName: 'bun_environment.js', description: 'Credential stealer', sources: ['test'] }]
+};
+
+function readLockfile(projectDir) {
+    return parseLockfile(fs.readFileSync(path.join(projectDir, 'package-lock.json'), 'utf-8'), 'package-lock.json');
+}
+
+function summarize(indicators) {
+    return indicators.map(indicator => `${indicator.type} ${indicator.file}`);
+}
+
+describe('Installed - node_modules', () => {
+    test('should list scoped, nested and top-level packages with lockfile paths', () => {
+        const packages = listInstalled(PROJECT);
+        
+        assert.deepStrictEqual(packages.map(pkg => `${pkg.path} ${pkg.name}@${pkg.version}`), [
+            'node_modules/@acme/tool @acme/tool@1.0.0',
+            'node_modules/express express@4.19.2',
+            'node_modules/express/node_modules/debug debug@2.6.9',
+            'node_modules/innocent-helper innocent-helper@1.0.0',
+            'node_modules/posthog-node posthog-node@5.11.3'
+        ]);
+        assert.strictEqual(packages[0].manifest.scripts.preinstall, 'node setup_bun.js');
+    });
+
+    test('should return no packages without a node_modules folder', () => {
+        assert.deepStrictEqual(listInstalled(path.join(INSTALLED, 'missing')), []);
+    });
+});
+
+describe('Installed - Payload indicators', () => {
+    test('should find payload files and the lifecycle scripts running them by name', () => {
+        const indicators = findPayloadIndicators(listInstalled(PROJECT), compromisedData);
+        
+        assert.deepStrictEqual(summarize(indicators), [
+            'payload-file node_modules/@acme/tool/bun_environment.js',
+            'payload-file node_modules/@acme/tool/setup_bun.js',
+            'lifecycle-script node_modules/@acme/tool/package.json'
+        ]);
+        assert.strictEqual(indicators[2].message, '"preinstall" script runs the payload: node setup_bun.js');
+    });
+
+    test('should match the SHA-256 of known malicious files, renamed files run by a script included', () => {
+        const indicators = findPayloadIndicators(listInstalled(PROJECT), withHashes);
+        
+        assert.deepStrictEqual(summarize(indicators), [
+            'payload-file node_modules/@acme/tool/bun_environment.js',
+            'payload-hash node_modules/@acme/tool/bun_environment.js',
+            'payload-file node_modules/@acme/tool/setup_bun.js',
+            'lifecycle-script node_modules/@acme/tool/package.json',
+            'payload-hash node_modules/innocent-helper/scripts/prepare.js',
+            'lifecycle-script node_modules/innocent-helper/package.json'
+        ]);
+        assert.strictEqual(indicators[1].sha256, payloadHash);
+        assert.strictEqual(indicators[1].message, 'SHA-256 matches a known malicious file (Credential stealer)');
+    });
+
+    test('should find nothing in a clean tree', () => {
+        assert.deepStrictEqual(findPayloadIndicators(listInstalled(path.join(INSTALLED, 'clean')), withHashes), []);
+    });
+});
+
+describe('Installed - Lockfile comparison', () => {
+    test('should report packages installed, missing or in another version than locked', () => {
+        const changes = compareWithLockfile(listInstalled(PROJECT), readLockfile(PROJECT));
+        
+        assert.deepStrictEqual(changes, {
+            added: [{ name: 'posthog-node', versions: ['5.11.3'] }],
+            removed: [{ name: 'left-pad', versions: ['1.3.0'] }],
+            changed: [{ name: 'express', from: ['4.18.2'], to: ['4.19.2'] }]
+        });
+    });
+
+    test('should find no difference when the tree matches its lockfile', () => {
+        const clean = path.join(INSTALLED, 'clean');
+        
+        assert.deepStrictEqual(compareWithLockfile(listInstalled(clean), readLockfile(clean)), { added: [], removed: [], changed: [] });
+    });
+});
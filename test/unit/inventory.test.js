@@ -0,0 +1,87 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildInventory, queryInventory } = require('../../lib/inventory');
+const { parseLockfile } = require('../../lib/lockfile');
+const { analyzeProject, analyzeDependencies } = require('../../lib/detection');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+
+function inventoryFor(fixture) {
+    const parsed = parseLockfile(fs.readFileSync(path.join(FIXTURES, fixture), 'utf-8'), fixture);
+    return buildInventory(analyzeProject(parsed, compromisedData));
+}
+
+describe('Inventory - Rows', () => {
+    test('should list every analyzed package with its flags and verdict', () => {
+        const rows = inventoryFor('package-lock-workspaces.json');
+        
+        assert.ok(rows.length > 0);
+        rows.forEach(row => {
+            assert.ok(['critical', 'high', 'warning', 'low', 'local', 'safe'].includes(row.verdict));
+            assert.ok(Array.isArray(row.flags));
+        });
+        assert.ok(rows.some(row => row.verdict === 'local'));
+    });
+
+    test('should report the verdict of each installed copy by lockfile path', () => {
+        const rows = inventoryFor('package-lock-nested.json');
+        const parsers = rows.filter(row => row.name === '@asyncapi/parser');
+        
+        assert.ok(parsers.length >= 2);
+        assert.deepStrictEqual(new Set(parsers.map(row => row.path)).size, parsers.length);
+    });
+});
+
+describe('Inventory - Query', () => {
+    const results = analyzeDependencies([
+        { name: '@asyncapi/parser', version: '3.4.1', path: 'node_modules/@asyncapi/parser' },
+        { name: 'posthog-node', version: '5.20.0', path: 'node_modules/posthog-node', optional: true },
+        { name: 'express', version: '4.18.2', path: 'node_modules/express' },
+        { name: 'js-yaml', version: '4.1.0', path: 'node_modules/js-yaml', dev: true },
+        { name: 'react', version: '18.2.0', path: 'node_modules/react', peer: true },
+        { name: 'app', version: '1.0.0', path: 'packages/app', local: true }
+    ], compromisedData);
+    const rows = buildInventory(results);
+
+    test('should search names, versions and paths', () => {
+        assert.deepStrictEqual(queryInventory(rows, { search: 'YAML' }).rows.map(row => row.name), ['js-yaml']);
+        assert.deepStrictEqual(queryInventory(rows, { search: '18.2' }).rows.map(row => row.name), ['express', 'react']);
+        assert.deepStrictEqual(queryInventory(rows, { search: 'packages/' }).rows.map(row => row.name), ['app']);
+    });
+
+    test('should filter by verdict and dependency type', () => {
+        assert.deepStrictEqual(queryInventory(rows, { verdict: 'critical' }).rows.map(row => row.name), ['@asyncapi/parser']);
+        assert.deepStrictEqual(queryInventory(rows, { type: 'dev' }).rows.map(row => row.name), ['js-yaml']);
+        assert.deepStrictEqual(queryInventory(rows, { type: 'peer' }).rows.map(row => row.name), ['react']);
+        assert.deepStrictEqual(queryInventory(rows, { type: 'prod' }).rows.map(row => row.name), ['@asyncapi/parser', 'app', 'express']);
+    });
+
+    test('should sort by verdict severity and by version', () => {
+        assert.deepStrictEqual(queryInventory(rows, { sortBy: 'verdict' }).rows.map(row => row.verdict),
+            ['critical', 'high', 'local', 'safe', 'safe', 'safe']);
+        assert.deepStrictEqual(queryInventory(rows, { sortBy: 'version', sortDirection: 'desc' }).rows[0].name, 'react');
+    });
+
+    test('should paginate large inventories', () => {
+        const dependencies = Array.from({ length: 6000 }, (_, index) => ({
+            name: `pkg-${String(index).padStart(4, '0')}`,
+            version: `1.0.${index}`,
+            path: `node_modules/pkg-${index}`
+        }));
+        const large = buildInventory(analyzeDependencies(dependencies, compromisedData));
+        
+        const first = queryInventory(large);
+        assert.strictEqual(first.total, 6000);
+        assert.strictEqual(first.pageCount, 120);
+        assert.strictEqual(first.rows.length, 50);
+        
+        const last = queryInventory(large, { page: 500, pageSize: 100 });
+        assert.strictEqual(last.page, 60);
+        assert.strictEqual(last.rows[99].name, 'pkg-5999');
+        
+        assert.strictEqual(queryInventory(large, { search: 'pkg-00' }).filtered, 100);
+    });
+});
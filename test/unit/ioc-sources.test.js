@@ -0,0 +1,221 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+    parseCsvSource,
+    parseJsonSource,
+    parseOsvSource,
+    parseSource,
+    parsePayloadHashes,
+    mergePayloadHashes,
+    checkAnomalies,
+    isValidPackageName,
+    mergeSources,
+    findDisagreements,
+    buildDatabase,
+    validateConfig
+} = require('../../lib/ioc-sources');
+const { checkPackage } = require('../../lib/detection');
+
+const IOCS = path.join(__dirname, '../fixtures/iocs');
+
+function readIoc(name) {
+    return fs.readFileSync(path.join(IOCS, name), 'utf-8');
+}
+
+const config = JSON.parse(readIoc('sources.json'));
+
+function parseAll() {
+    return config.sources.map(source => ({ source, entries: parseSource(readIoc(source.file), source.format) }));
+}
+
+describe('IOC Sources - Formats', () => {
+    test('should parse the DataDog CSV with quoted version lists', () => {
+        assert.deepStrictEqual(parseCsvSource(readIoc('datadog.csv')), [
+            { name: '@asyncapi/parser', versions: ['3.4.1', '3.4.2'], line: 2 },
+            { name: 'posthog-node', versions: ['4.18.1', '5.11.3'], line: 3 }
+        ]);
+    });
+
+    test('should reject a CSV without name and version columns', () => {
+        assert.throws(() => parseCsvSource('foo,bar\na,b\n'), /CSV header must contain/);
+    });
+
+    test('should parse JSON arrays, databases and name maps', () => {
+        assert.deepStrictEqual(parseJsonSource(readIoc('vendor.json'))[1], { name: 'posthog-node', versions: ['5.11.3', '5.13.3'] });
+        assert.deepStrictEqual(
+            parseJsonSource('{"compromisedPackages":[{"name":"a","compromisedVersions":["1.0.0"]}]}'),
+            [{ name: 'a', versions: ['1.0.0'] }]
+        );
+        assert.deepStrictEqual(parseJsonSource('{"a":"1.0.0, 1.0.1"}'), [{ name: 'a', versions: ['1.0.0', '1.0.1'] }]);
+    });
+
+    test('should keep only npm packages from OSV records', () => {
+        assert.deepStrictEqual(parseOsvSource(readIoc('osv.json')), [
+            { name: '@zapier/zapier-sdk', versions: ['0.15.5', '0.15.6', '0.15.7'] },
+            { name: '@asyncapi/parser', versions: ['3.4.2'] }
+        ]);
+    });
+
+    test('should reject an unknown format', () => {
+        assert.throws(() => parseSource('', 'xml'), /Unsupported source format "xml"/);
+    });
+});
+
+describe('IOC Sources - Hardened CSV import', () => {
+    test('should parse CRLF records, escaped quotes and quoted multi-line fields', () => {
+        assert.deepStrictEqual(parseCsvSource(readIoc('rfc4180.csv')), [
+            { name: '@asyncapi/parser', versions: ['3.4.1', '3.4.2'], line: 2 },
+            { name: 'posthog-node', versions: ['4.18.1', '5.11.3'], line: 3 }
+        ]);
+    });
+
+    test('should refuse a truncated CSV ending inside a quoted field', () => {
+        assert.throws(() => parseSource(readIoc('truncated.csv'), 'csv'), /CSV line 3: unterminated quoted field/);
+    });
+
+    test('should refuse an HTML error page served instead of the CSV', () => {
+        assert.throws(() => parseSource(readIoc('not-found.html'), 'csv'));
+    });
+
+    test('should reject invalid names, versions and records with the wrong number of fields', () => {
+        const errors = [];
+        const entries = parseSource(readIoc('invalid-rows.csv'), 'csv', errors);
+        
+        assert.deepStrictEqual(entries, [
+            { name: '@asyncapi/parser', versions: ['3.4.1', '3.4.2'] },
+            { name: 'posthog-node', versions: ['4.18.1'] }
+        ]);
+        assert.deepStrictEqual(errors, [
+            { line: 5, message: 'expected 3 fields, found 2' },
+            { line: 3, message: 'invalid package name "<script>alert(1)</script>"' },
+            { line: 4, message: 'invalid version "latest" for posthog-node' }
+        ]);
+    });
+
+    test('should validate npm package names', () => {
+        assert.ok(isValidPackageName('@asyncapi/parser'));
+        assert.ok(isValidPackageName('JSONStream'));
+        assert.ok(!isValidPackageName('../etc/passwd'));
+        assert.ok(!isValidPackageName('a b'));
+        assert.ok(!isValidPackageName('a'.repeat(215)));
+    });
+});
+
+describe('IOC Sources - Anomaly guard', () => {
+    const databaseOf = count => ({
+        compromisedPackages: Array.from({ length: count }, (_, index) => ({ name: `pkg-${index}`, compromisedVersions: ['1.0.0'] }))
+    });
+
+    test('should accept a database close to the previous one', () => {
+        assert.deepStrictEqual(checkAnomalies({ database: databaseOf(95), previous: databaseOf(100), recordCount: 95, errorCount: 0 }), []);
+    });
+
+    test('should refuse a sharp drop of the package count', () => {
+        assert.deepStrictEqual(checkAnomalies({ database: databaseOf(10), previous: databaseOf(100), recordCount: 10, errorCount: 0 }), [
+            'package count dropped from 100 to 10 (more than 20%)'
+        ]);
+    });
+
+    test('should refuse an empty database', () => {
+        assert.deepStrictEqual(checkAnomalies({ database: databaseOf(0), previous: null, recordCount: 0, errorCount: 0 }), [
+            'the new database is empty'
+        ]);
+    });
+
+    test('should refuse when too many records are rejected, with configurable thresholds', () => {
+        const input = { database: databaseOf(90), previous: databaseOf(100), recordCount: 100, errorCount: 10 };
+        
+        assert.deepStrictEqual(checkAnomalies(input), ['10 of 100 records rejected (more than 5%)']);
+        assert.deepStrictEqual(checkAnomalies(input, { maxErrorRate: 0.2 }), []);
+    });
+});
+
+describe('IOC Sources - Merge', () => {
+    test('should merge versions and record which sources reported them', () => {
+        const packages = mergeSources(parseAll());
+        
+        assert.deepStrictEqual(packages.map(pkg => pkg.name), ['@asyncapi/parser', '@zapier/zapier-sdk', 'posthog-node']);
+        assert.deepStrictEqual(packages[0].versionSources, {
+            '3.4.1': ['datadog', 'vendor'],
+            '3.4.2': ['datadog', 'osv']
+        });
+        assert.deepStrictEqual(packages[2].compromisedVersions, ['4.18.1', '5.11.3', '5.13.3']);
+        assert.deepStrictEqual(packages[2].versionSources['5.11.3'], ['datadog', 'vendor']);
+    });
+
+    test('should list versions the sources disagree on', () => {
+        const packages = mergeSources(parseAll().slice(0, 2));
+        
+        assert.deepStrictEqual(findDisagreements(packages, ['datadog', 'vendor']), [
+            { name: '@asyncapi/parser', version: '3.4.2', reportedBy: ['datadog'] },
+            { name: 'posthog-node', version: '4.18.1', reportedBy: ['datadog'] },
+            { name: 'posthog-node', version: '5.13.3', reportedBy: ['vendor'] }
+        ]);
+    });
+
+    test('should build a database usable by the detection engine', () => {
+        const database = buildDatabase(config, parseAll(), new Date('2025-11-25T10:00:00Z'));
+        
+        assert.strictEqual(database.lastUpdate, '2025-11-25');
+        assert.strictEqual(database.version, '2025-11-25T10:00:00.000Z');
+        assert.deepStrictEqual(database.sources.map(source => source.id), ['datadog', 'vendor', 'osv']);
+        
+        const threat = checkPackage('@zapier/zapier-sdk', '0.15.6', database);
+        assert.strictEqual(threat.severity, 'critical');
+        assert.deepStrictEqual(threat.versionSources['0.15.6'], ['osv']);
+    });
+});
+
+describe('IOC Sources - Payload hashes', () => {
+    const HASH_A = 'a'.repeat(64);
+    const HASH_B = 'B'.repeat(64);
+    const vendor = JSON.stringify({
+        packages: [],
+        payloadHashes: [
+            { sha256: HASH_A, fileName: 'bun_environment.js', description: 'Credential stealer' },
+            { sha256: HASH_B },
+            { sha256: 'not-a-hash', fileName: 'setup_bun.js' }
+        ]
+    });
+
+    test('should read the payload hashes of JSON sources and reject invalid ones', () => {
+        const errors = [];
+        
+        assert.deepStrictEqual(parsePayloadHashes(vendor, 'json', errors), [
+            { sha256: HASH_A, fileName: 'bun_environment.js', description: 'Credential stealer' },
+            { sha256: 'b'.repeat(64), fileName: null, description: null }
+        ]);
+        assert.deepStrictEqual(errors, [{ message: 'invalid payload hash "not-a-hash"' }]);
+        assert.deepStrictEqual(parsePayloadHashes(readIoc('datadog.csv'), 'csv'), []);
+    });
+
+    test('should merge the hashes of every source into the database', () => {
+        const hashes = [
+            { source: { id: 'vendor' }, payloadHashes: parsePayloadHashes(vendor, 'json') },
+            { source: { id: 'other' }, payloadHashes: [{ sha256: HASH_A, fileName: null, description: null }] }
+        ];
+        
+        assert.deepStrictEqual(mergePayloadHashes(hashes), [
+            { sha256: HASH_A, fileName: 'bun_environment.js', description: 'Credential stealer', sources: ['vendor', 'other'] },
+            { sha256: 'b'.repeat(64), fileName: null, description: null, sources: ['vendor'] }
+        ]);
+        assert.strictEqual(buildDatabase(config, parseAll()).payloadHashes, undefined);
+        assert.strictEqual(buildDatabase(config, [...parseAll(), ...hashes.map(entry => ({ ...entry, entries: [] }))]).payloadHashes.length, 2);
+    });
+});
+
+describe('IOC Sources - Configuration', () => {
+    test('should accept the shipped configuration', () => {
+        assert.doesNotThrow(() => validateConfig(JSON.parse(fs.readFileSync(path.join(__dirname, '../../ioc-sources.json'), 'utf-8'))));
+    });
+
+    test('should reject duplicate ids, unknown formats and missing locations', () => {
+        assert.throws(() => validateConfig({ sources: [] }), /non-empty "sources"/);
+        assert.throws(() => validateConfig({ sources: [{ id: 'a', format: 'csv', file: 'a' }, { id: 'a', format: 'csv', file: 'b' }] }), /Duplicate source id "a"/);
+        assert.throws(() => validateConfig({ sources: [{ id: 'a', format: 'xml', file: 'a' }] }), /unsupported format/);
+        assert.throws(() => validateConfig({ sources: [{ id: 'a', format: 'csv' }] }), /either a "url" or a "file"/);
+        assert.throws(() => validateConfig({ sources: [{ id: 'a', format: 'csv', file: 'a' }], guard: { maxErrorRate: 5 } }), /ratio between 0 and 1/);
+    });
+});
@@ -0,0 +1,173 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { detectFormat, parseLockfile, isSupportedLockfileName } = require('../../lib/lockfile');
+const { parseDescriptor, realPackageName } = require('../../lib/yarn-lock');
+const { parsePackageKey } = require('../../lib/pnpm-lock');
+const { analyzeDependencies } = require('../../lib/detection');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf-8');
+}
+
+function packageIds(dependencies) {
+    return dependencies.map(d => `${d.name}@${d.version}`).sort();
+}
+
+describe('Lockfile - Format Detection', () => {
+    test('should detect the format from the file name', () => {
+        assert.strictEqual(detectFormat('', 'project/package-lock.json'), 'npm');
+        assert.strictEqual(detectFormat('', 'project/yarn.lock'), 'yarn');
+    });
+
+    test('should detect the format of pasted content', () => {
+        assert.strictEqual(detectFormat('{"lockfileVersion": 3}'), 'npm');
+        assert.strictEqual(detectFormat('{"name": "app", "dependencies": {}}'), 'package-json');
+        assert.strictEqual(detectFormat(readFixture('yarn-classic.lock')), 'yarn');
+        assert.strictEqual(detectFormat(readFixture('yarn-berry.lock')), 'yarn');
+        assert.strictEqual(detectFormat('hello world'), null);
+    });
+
+    test('should accept supported file names only', () => {
+        assert.ok(isSupportedLockfileName('package-lock.json'));
+        assert.ok(isSupportedLockfileName('yarn.lock'));
+        assert.ok(isSupportedLockfileName('package.json'));
+        assert.ok(!isSupportedLockfileName('tsconfig.json'));
+    });
+
+    test('should reject unknown content', () => {
+        assert.throws(() => parseLockfile('hello world'), /Unrecognized lockfile format/);
+    });
+});
+
+describe('Lockfile - Yarn Classic (v1)', () => {
+    test('should extract one entry per resolved package', () => {
+        const { format, dependencies } = parseLockfile(readFixture('yarn-classic.lock'), 'yarn.lock');
+        
+        assert.strictEqual(format, 'yarn');
+        assert.deepStrictEqual(packageIds(dependencies), [
+            '@asyncapi/parser@3.4.1',
+            '@asyncapi/specs@6.8.1',
+            'express@4.18.2',
+            'js-yaml@4.1.0',
+            'posthog-node@4.18.1'
+        ]);
+    });
+
+    test('should keep the entry descriptors as path', () => {
+        const { dependencies } = parseLockfile(readFixture('yarn-classic.lock'), 'yarn.lock');
+        const express = dependencies.find(d => d.name === 'express');
+        
+        assert.strictEqual(express.path, 'express@4.18.2, express@^4.18.0');
+    });
+
+    test('should detect compromised packages, including aliased installs', () => {
+        const { dependencies } = parseLockfile(readFixture('yarn-classic.lock'));
+        const results = analyzeDependencies(dependencies, compromisedData);
+        
+        assert.deepStrictEqual(results.threats.map(t => t.name).sort(), ['@asyncapi/parser', 'posthog-node']);
+        assert.ok(results.threats.every(t => t.threat.severity === 'critical'));
+    });
+});
+
+describe('Lockfile - Yarn Berry', () => {
+    test('should extract registry packages and skip workspaces and patches', () => {
+        const { dependencies } = parseLockfile(readFixture('yarn-berry.lock'), 'yarn.lock');
+        
+        assert.deepStrictEqual(packageIds(dependencies), [
+            '@asyncapi/parser@3.4.1',
+            '@asyncapi/specs@6.8.1',
+            'express@4.18.2',
+            'js-yaml@4.1.0',
+            'posthog-node@4.18.1'
+        ]);
+    });
+
+    test('should detect compromised packages', () => {
+        const { dependencies } = parseLockfile(readFixture('yarn-berry.lock'));
+        const results = analyzeDependencies(dependencies, compromisedData);
+        
+        assert.deepStrictEqual(results.threats.map(t => t.name).sort(), ['@asyncapi/parser', 'posthog-node']);
+    });
+});
+
+describe('Lockfile - Yarn Descriptors', () => {
+    test('should split scoped and unscoped descriptors', () => {
+        assert.deepStrictEqual(parseDescriptor('@scope/name@^1.0.0'), { name: '@scope/name', range: '^1.0.0' });
+        assert.deepStrictEqual(parseDescriptor('name@npm:1.0.0'), { name: 'name', range: 'npm:1.0.0' });
+    });
+
+    test('should resolve npm aliases to the real package name', () => {
+        assert.strictEqual(realPackageName('alias@npm:@scope/real@^2.0.0'), '@scope/real');
+        assert.strictEqual(realPackageName('name@npm:^1.0.0'), 'name');
+    });
+});
+
+describe('Lockfile - pnpm', () => {
+    test('should detect pnpm lockfiles by name and content', () => {
+        assert.strictEqual(detectFormat('', 'pnpm-lock.yaml'), 'pnpm');
+        assert.strictEqual(detectFormat(readFixture('pnpm-lock-v9.yaml')), 'pnpm');
+        assert.ok(isSupportedLockfileName('pnpm-lock.yaml'));
+    });
+
+    test('should parse package keys of every lockfile version', () => {
+        assert.deepStrictEqual(parsePackageKey('/@scope/name/1.0.0_react@18.2.0', 5), { name: '@scope/name', version: '1.0.0' });
+        assert.deepStrictEqual(parsePackageKey('/@scope/name@1.0.0(react@18.2.0)', 6), { name: '@scope/name', version: '1.0.0' });
+        assert.deepStrictEqual(parsePackageKey('name@1.0.0(react@18.2.0)(debug@4.3.4)', 9), { name: 'name', version: '1.0.0' });
+    });
+
+    test('should extract packages from a v5 single-project lockfile', () => {
+        const { format, dependencies } = parseLockfile(readFixture('pnpm-lock-v5.yaml'), 'pnpm-lock.yaml');
+        
+        assert.strictEqual(format, 'pnpm');
+        assert.deepStrictEqual(packageIds(dependencies), [
+            '@asyncapi/parser@3.4.1',
+            'express@4.18.2',
+            'js-yaml@4.1.0',
+            'react-widget@1.0.0',
+            'react@18.2.0'
+        ]);
+        assert.ok(dependencies.every(d => d.importers.length === 1 && d.importers[0] === '.'));
+    });
+
+    test('should attribute v6 packages to the workspace importers that depend on them', () => {
+        const { dependencies } = parseLockfile(readFixture('pnpm-lock-v6.yaml'), 'pnpm-lock.yaml');
+        const byName = Object.fromEntries(dependencies.map(d => [d.name, d]));
+        
+        assert.deepStrictEqual(byName['@asyncapi/parser'].importers, ['packages/api']);
+        assert.deepStrictEqual(byName['js-yaml'].importers.sort(), ['.', 'packages/api']);
+        assert.deepStrictEqual(byName['posthog-node'].importers, ['packages/web']);
+        assert.strictEqual(byName['posthog-node'].version, '4.18.1');
+    });
+
+    test('should read the v9 snapshots graph and count peer variants once', () => {
+        const { dependencies } = parseLockfile(readFixture('pnpm-lock-v9.yaml'), 'pnpm-lock.yaml');
+        
+        assert.deepStrictEqual(packageIds(dependencies), [
+            '@asyncapi/parser@3.4.1',
+            '@asyncapi/specs@6.8.1',
+            'debug@4.3.4',
+            'express@4.18.2',
+            'js-yaml@4.1.0',
+            'posthog-node@4.18.1'
+        ]);
+        
+        const parser = dependencies.find(d => d.name === '@asyncapi/parser');
+        assert.deepStrictEqual(parser.importers, ['packages/api']);
+    });
+
+    test('should report findings with their workspace importer', () => {
+        const { dependencies } = parseLockfile(readFixture('pnpm-lock-v9.yaml'));
+        const results = analyzeDependencies(dependencies, compromisedData);
+        const findings = Object.fromEntries(results.threats.map(t => [t.name, t.importers]));
+        
+        assert.deepStrictEqual(findings, {
+            '@asyncapi/parser': ['packages/api'],
+            'posthog-node': ['packages/web']
+        });
+    });
+});
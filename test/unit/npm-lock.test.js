@@ -0,0 +1,114 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { extractNpmDependencies, nameFromPath, parseAliasSpec } = require('../../lib/npm-lock');
+const { analyzeLockfile } = require('../../lib/detection');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+
+function readFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf-8'));
+}
+
+describe('npm Lockfile - Install Paths', () => {
+    test('should derive the package name from the last node_modules segment', () => {
+        assert.strictEqual(nameFromPath('node_modules/express'), 'express');
+        assert.strictEqual(nameFromPath('node_modules/a/node_modules/@scope/b'), '@scope/b');
+        assert.strictEqual(nameFromPath('packages/my-lib'), null);
+    });
+
+    test('should detect a compromised copy nested under another package', () => {
+        const results = analyzeLockfile(readFixture('package-lock-nested.json'), compromisedData);
+        const nested = results.threats.find(t => t.path === 'node_modules/@asyncapi/cli/node_modules/@asyncapi/parser');
+        
+        assert.ok(nested, 'The nested copy should be reported');
+        assert.strictEqual(nested.name, '@asyncapi/parser');
+        assert.strictEqual(nested.threat.severity, 'critical');
+    });
+
+    test('should keep dependency type flags', () => {
+        const dependencies = extractNpmDependencies(readFixture('package-lock-nested.json'));
+        const hoisted = dependencies.find(d => d.path === 'node_modules/@asyncapi/parser');
+        
+        assert.strictEqual(hoisted.dev, true);
+    });
+});
+
+describe('npm Lockfile - lockfileVersion 2', () => {
+    test('should count each package once', () => {
+        const dependencies = extractNpmDependencies(readFixture('package-lock-v2.json'));
+        
+        assert.deepStrictEqual(dependencies.map(d => d.path), [
+            'node_modules/@asyncapi/parser',
+            'node_modules/express'
+        ]);
+    });
+
+    test('should report accurate statistics', () => {
+        const results = analyzeLockfile(readFixture('package-lock-v2.json'), compromisedData);
+        
+        assert.strictEqual(results.allPackages.length, 2);
+        assert.strictEqual(results.threats.length, 1);
+        assert.strictEqual(results.safe, 1);
+    });
+});
+
+describe('npm Lockfile - Aliases', () => {
+    test('should parse npm alias specifiers', () => {
+        assert.deepStrictEqual(parseAliasSpec('npm:@scope/real@1.2.3'), { name: '@scope/real', version: '1.2.3' });
+        assert.strictEqual(parseAliasSpec('1.2.3'), null);
+    });
+
+    test('should resolve v1 aliases to the real package', () => {
+        const dependencies = extractNpmDependencies(readFixture('package-lock-alias-v1.json'));
+        
+        assert.deepStrictEqual(dependencies[0], {
+            name: 'posthog-node',
+            version: '4.18.1',
+            path: 'analytics',
+            alias: 'analytics'
+        });
+    });
+
+    test('should resolve v3 aliases to the real package', () => {
+        const dependencies = extractNpmDependencies(readFixture('package-lock-alias-v3.json'));
+        
+        assert.deepStrictEqual(dependencies[0], {
+            name: 'posthog-node',
+            version: '4.18.1',
+            path: 'node_modules/analytics',
+            alias: 'analytics'
+        });
+    });
+
+    test('should detect compromised packages installed under an alias', () => {
+        ['package-lock-alias-v1.json', 'package-lock-alias-v3.json'].forEach(fixture => {
+            const results = analyzeLockfile(readFixture(fixture), compromisedData);
+            
+            assert.strictEqual(results.threats.length, 1, fixture);
+            assert.strictEqual(results.threats[0].name, 'posthog-node', fixture);
+            assert.strictEqual(results.threats[0].threat.severity, 'critical', fixture);
+        });
+    });
+});
+
+describe('npm Lockfile - Workspaces', () => {
+    test('should report workspace links as local packages', () => {
+        const dependencies = extractNpmDependencies(readFixture('package-lock-workspaces.json'));
+        
+        assert.deepStrictEqual(dependencies, [
+            { name: '@asyncapi/parser', version: '3.4.1', path: 'node_modules/@asyncapi/parser', local: true },
+            { name: 'express', version: '4.18.2', path: 'node_modules/express' }
+        ]);
+    });
+
+    test('should not check local packages against the database', () => {
+        const results = analyzeLockfile(readFixture('package-lock-workspaces.json'), compromisedData);
+        
+        assert.strictEqual(results.threats.length, 0);
+        assert.strictEqual(results.local, 1);
+        assert.strictEqual(results.safe, 1);
+    });
+});
@@ -0,0 +1,98 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { extractRanges, checkRange, analyzeManifest } = require('../../lib/ranges');
+const { parseLockfile } = require('../../lib/lockfile');
+const { analyzeProject } = require('../../lib/detection');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf-8');
+}
+
+describe('Ranges - Extraction', () => {
+    test('should collect dependencies, devDependencies, optionalDependencies and overrides', () => {
+        const ranges = extractRanges(JSON.parse(readFixture('package-manifest.json')));
+        
+        assert.deepStrictEqual(ranges, [
+            { field: 'dependencies', name: '@asyncapi/parser', range: '^3.4.0' },
+            { field: 'dependencies', name: 'express', range: '^4.18.2' },
+            { field: 'dependencies', name: 'posthog-node', range: '^4.0.0' },
+            { field: 'devDependencies', name: '@zapier/zapier-sdk', range: '~0.15.0' },
+            { field: 'devDependencies', name: 'js-yaml', range: 'github:nodeca/js-yaml' },
+            { field: 'optionalDependencies', name: 'posthog-node', range: '5.12.0' },
+            { field: 'overrides', name: '@asyncapi/parser', range: '3.4.2' }
+        ]);
+    });
+});
+
+describe('Ranges - Compromised Versions', () => {
+    test('should flag a caret range that admits a compromised version', () => {
+        const threat = checkRange('@asyncapi/parser', '^3.4.0', compromisedData);
+        
+        assert.strictEqual(threat.severity, 'range');
+        assert.deepStrictEqual(threat.admittedVersions, ['3.4.1', '3.4.2']);
+        assert.strictEqual(threat.suggestedPin, '3.4.0');
+        assert.strictEqual(threat.suggestedRange, '>=3.4.0 <3.4.1 || >3.4.2 <4.0.0');
+    });
+
+    test('should prefer the locked version as pin when it is clean', () => {
+        const threat = checkRange('posthog-node', '^4.0.0', compromisedData, '4.17.0');
+        
+        assert.strictEqual(threat.suggestedPin, '4.17.0');
+        assert.strictEqual(threat.suggestedRange, '>=4.0.0 <4.18.1 || >4.18.1 <5.0.0');
+    });
+
+    test('should not suggest a compromised pin', () => {
+        const threat = checkRange('@asyncapi/parser', '3.4.1', compromisedData, '3.4.1');
+        
+        assert.deepStrictEqual(threat.admittedVersions, ['3.4.1']);
+        assert.strictEqual(threat.suggestedPin, null);
+        assert.strictEqual(threat.suggestedRange, null);
+    });
+
+    test('should ignore ranges that exclude every compromised version', () => {
+        assert.strictEqual(checkRange('posthog-node', '5.12.0', compromisedData), null);
+        assert.strictEqual(checkRange('@asyncapi/parser', '<3.4.1', compromisedData), null);
+        assert.strictEqual(checkRange('express', '^4.18.2', compromisedData), null);
+    });
+
+    test('should ignore specs that are not ranges', () => {
+        assert.strictEqual(checkRange('@asyncapi/parser', 'latest', compromisedData), null);
+        assert.strictEqual(checkRange('@asyncapi/parser', 'file:../parser', compromisedData), null);
+    });
+
+    test('should analyze every range of a manifest', () => {
+        const findings = analyzeManifest(JSON.parse(readFixture('package-manifest.json')), compromisedData);
+        
+        assert.deepStrictEqual(findings.map(f => `${f.field}:${f.name}@${f.range}`), [
+            'dependencies:@asyncapi/parser@^3.4.0',
+            'dependencies:posthog-node@^4.0.0',
+            'devDependencies:@zapier/zapier-sdk@~0.15.0',
+            'overrides:@asyncapi/parser@3.4.2'
+        ]);
+    });
+});
+
+describe('Ranges - Inputs', () => {
+    test('should accept a package.json', () => {
+        const parsed = parseLockfile(readFixture('package-manifest.json'));
+        const results = analyzeProject(parsed, compromisedData);
+        
+        assert.strictEqual(parsed.format, 'package-json');
+        assert.strictEqual(results.allPackages.length, 0);
+        assert.strictEqual(results.rangeFindings.length, 4);
+    });
+
+    test('should check the root entry of a lockfile', () => {
+        const parsed = parseLockfile(readFixture('package-lock-with-threat.json'), 'package-lock.json');
+        const results = analyzeProject(parsed, compromisedData);
+        
+        assert.deepStrictEqual(parsed.installedVersions, { '@asyncapi/parser': '3.4.1', express: '4.18.2' });
+        assert.strictEqual(results.threats.length, 1);
+        assert.deepStrictEqual(results.rangeFindings.map(f => f.name), ['@asyncapi/parser']);
+    });
+});
@@ -0,0 +1,124 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { nearestSafeVersion, createPlan, formatBlock } = require('../../lib/remediation');
+const { parseLockfile } = require('../../lib/lockfile');
+const { analyzeProject } = require('../../lib/detection');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+
+function planFor(fixture, data = compromisedData) {
+    const parsed = parseLockfile(fs.readFileSync(path.join(FIXTURES, fixture), 'utf-8'), fixture);
+    return createPlan(analyzeProject(parsed, data), parsed, data);
+}
+
+describe('Remediation - Nearest Safe Version', () => {
+    test('should target the release line below a run of consecutive compromised patches', () => {
+        assert.strictEqual(nearestSafeVersion('3.4.2', ['3.4.1', '3.4.2']), '>=3.0.0 <3.4.1');
+    });
+
+    test('should stay above an earlier compromised version of the same major', () => {
+        assert.strictEqual(nearestSafeVersion('5.13.3', ['4.18.1', '5.11.3', '5.13.3']), '>5.11.3 <5.13.3');
+    });
+
+    test('should move up when nothing precedes the compromised version in its release line', () => {
+        assert.strictEqual(nearestSafeVersion('1.0.0', ['1.0.0']), '>1.0.0 <2.0.0');
+        assert.strictEqual(nearestSafeVersion('0.15.0', ['0.15.0', '0.15.1', '0.16.0']), '>0.15.1 <0.16.0');
+    });
+
+    test('should treat each 0.x minor as its own release line', () => {
+        assert.strictEqual(nearestSafeVersion('0.15.6', ['0.15.5', '0.15.6', '0.15.7']), '>=0.15.0 <0.15.5');
+    });
+
+    test('should prefer known safe versions from the IOC data', () => {
+        assert.strictEqual(nearestSafeVersion('3.4.1', ['3.4.1'], ['3.3.0', '3.4.0', '3.5.0']), '3.4.0');
+        assert.strictEqual(nearestSafeVersion('3.4.1', ['3.4.1'], ['3.5.0', '4.0.0']), '3.5.0');
+    });
+});
+
+describe('Remediation - Plans', () => {
+    test('should pin every npm finding in a single overrides block', () => {
+        const plan = planFor('package-lock-with-threat.json');
+        
+        assert.strictEqual(plan.packageManager, 'npm');
+        assert.strictEqual(plan.command, 'npm install --ignore-scripts');
+        assert.ok(plan.entries.length > 0);
+        plan.entries.forEach(entry => {
+            assert.strictEqual(plan.blocks.npm.overrides[entry.name], entry.target);
+        });
+        assert.deepStrictEqual(JSON.parse(formatBlock(plan, 'npm')), plan.blocks.npm);
+    });
+
+    test('should use pnpm.overrides for pnpm lockfiles', () => {
+        const plan = planFor('pnpm-lock-v9.yaml');
+        
+        assert.strictEqual(plan.command, 'pnpm install --ignore-scripts');
+        assert.deepStrictEqual(JSON.parse(formatBlock(plan, plan.packageManager)), {
+            pnpm: {
+                overrides: {
+                    '@asyncapi/parser': '>=3.0.0 <3.4.1',
+                    'posthog-node': '>=4.0.0 <4.18.1'
+                }
+            }
+        });
+    });
+
+    test('should use resolutions and the matching install command for yarn', () => {
+        const classic = planFor('yarn-classic.lock');
+        const berry = planFor('yarn-berry.lock');
+        
+        assert.strictEqual(classic.command, 'yarn install --ignore-scripts');
+        assert.strictEqual(berry.command, 'yarn install --mode=skip-build');
+        assert.ok(Object.keys(JSON.parse(formatBlock(berry, berry.packageManager)).resolutions).length > 0);
+    });
+
+    test('should pin a clean install of a compromised package to its installed version', () => {
+        const parsed = { format: 'npm', dependencies: [{ name: 'posthog-node', version: '5.12.0', path: 'node_modules/posthog-node' }] };
+        const plan = createPlan(analyzeProject(parsed, compromisedData), parsed, compromisedData);
+        
+        assert.deepStrictEqual(plan.entries, [
+            { name: 'posthog-node', installedVersions: ['5.12.0'], target: '5.12.0', reason: 'pin' }
+        ]);
+    });
+
+    test('should list versions that cannot be compared for manual review', () => {
+        const parsed = { format: 'npm', dependencies: [{ name: 'posthog-node', version: 'github:PostHog/posthog-js-lite', path: 'node_modules/posthog-node' }] };
+        const plan = createPlan(analyzeProject(parsed, compromisedData), parsed, compromisedData);
+        
+        assert.deepStrictEqual(plan.entries, []);
+        assert.deepStrictEqual(plan.manualReview, ['posthog-node']);
+        assert.strictEqual(plan.command, null);
+    });
+
+    test('should send listed versions that are not SemVer to manual review', () => {
+        const data = {
+            ...compromisedData,
+            compromisedPackages: [{ name: 'git-tool', compromisedVersions: ['git+https://git.example/tool.git#a1', 'git+https://git.example/tool.git#b2', '1.0.0'] }]
+        };
+        const dependency = version => ({ name: 'git-tool', version, path: `node_modules/${version}/git-tool` });
+        const onlyGit = { format: 'npm', dependencies: [dependency('git+https://git.example/tool.git#b2'), dependency('git+https://git.example/tool.git#a1')] };
+        const mixed = { format: 'npm', dependencies: [...onlyGit.dependencies, dependency('1.0.0')] };
+        
+        const plan = createPlan(analyzeProject(onlyGit, data), onlyGit, data);
+        assert.deepStrictEqual(plan.entries, []);
+        assert.deepStrictEqual(plan.manualReview, ['git-tool']);
+        
+        assert.deepStrictEqual(createPlan(analyzeProject(mixed, data), mixed, data).entries.map(entry => `${entry.name} ${entry.target}`), ['git-tool >1.0.0 <2.0.0']);
+    });
+
+    test('should use the suggested pin for ranges admitting compromised versions', () => {
+        const plan = planFor('package-manifest.json');
+        
+        assert.strictEqual(plan.blocks.npm.overrides['@asyncapi/parser'], '3.4.0');
+        assert.ok(plan.entries.every(entry => entry.reason === 'range'));
+    });
+
+    test('should produce an empty plan for a safe lockfile', () => {
+        const plan = planFor('package-lock-safe.json');
+        
+        assert.deepStrictEqual(plan.entries, []);
+        assert.strictEqual(plan.command, null);
+    });
+});
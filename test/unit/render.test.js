@@ -0,0 +1,283 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const render = require('../../lib/render');
+const { analyzeProject } = require('../../lib/detection');
+const { parseLockfile } = require('../../lib/lockfile');
+const { createPlan, formatBlock } = require('../../lib/remediation');
+const { buildInventory } = require('../../lib/inventory');
+const { analyzeBatch, indexFindings } = require('../../lib/batch');
+const { compareProjects } = require('../../lib/diff');
+
+const ROOT = path.join(__dirname, '../..');
+
+// Minimal DOM: enough for lib/render.js, and innerHTML is a hard failure
+class FakeText {
+    constructor(text) {
+        this.text = text;
+    }
+}
+
+class FakeElement {
+    constructor(tagName, namespaceURI = null) {
+        this.tagName = tagName;
+        this.namespaceURI = namespaceURI;
+        this.attributes = new Map();
+        this.dataset = {};
+        this.className = '';
+        this.children = [];
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, value);
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    set innerHTML(value) {
+        throw new Error('innerHTML must not be used');
+    }
+}
+
+const fakeDocument = {
+    createElement: tagName => new FakeElement(tagName),
+    createElementNS: (namespaceURI, tagName) => new FakeElement(tagName, namespaceURI),
+    createTextNode: text => new FakeText(text)
+};
+
+function escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// HTML a browser would hold for the node: text and attribute values escaped
+function serialize(node) {
+    if (node instanceof FakeText) return escape(node.text);
+
+    const attributes = [...node.attributes];
+    if (node.className) attributes.push(['class', node.className]);
+    Object.entries(node.dataset).forEach(([key, value]) => {
+        attributes.push([`data-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`, value]);
+    });
+
+    const open = [node.tagName, ...attributes.map(([name, value]) => `${name}="${escape(value)}"`)].join(' ');
+    return `<${open}>${node.children.map(serialize).join('')}</${node.tagName}>`;
+}
+
+function walk(node, visit) {
+    visit(node);
+    if (node instanceof FakeElement) node.children.forEach(child => walk(child, visit));
+}
+
+// Nothing in the rendered nodes can run: no script elements, no event handler or URL attributes
+function assertInert(nodes) {
+    [nodes].flat().forEach(node => walk(node, current => {
+        if (!(current instanceof FakeElement)) return;
+        assert.ok(!['script', 'iframe', 'object', 'embed', 'img', 'a'].includes(current.tagName), `unexpected <${current.tagName}>`);
+        current.attributes.forEach((value, name) => {
+            assert.ok(!/^on/i.test(name), `event handler attribute ${name}`);
+            assert.ok(!['href', 'src', 'srcdoc', 'style'].includes(name), `attribute ${name}`);
+        });
+    }));
+}
+
+function texts(nodes) {
+    const found = [];
+    [nodes].flat().forEach(node => walk(node, current => {
+        if (current instanceof FakeText) found.push(String(current.text));
+    }));
+    return found.join('');
+}
+
+const PAYLOADS = [
+    '<img src=x onerror="globalThis.pwned=true">',
+    "x'); globalThis.pwned = true; ('",
+    '</code><script>globalThis.pwned = true</script>'
+];
+
+const hostileDatabase = {
+    attackName: '<script>globalThis.pwned = true</script>',
+    lastUpdate: '2026-01-01',
+    sources: [{ id: 'evil', name: '<b onmouseover="globalThis.pwned=true">vendor</b>' }],
+    compromisedPackages: PAYLOADS.map(name => ({
+        name,
+        compromisedVersions: ['1.0.0'],
+        versionSources: { '1.0.0': ['evil'] }
+    }))
+};
+
+const hostileLockfile = JSON.stringify({
+    name: '<svg onload="globalThis.pwned=true">',
+    version: '1.0.0',
+    lockfileVersion: 3,
+    packages: {
+        '': { name: '<svg onload="globalThis.pwned=true">', version: '1.0.0', dependencies: { [PAYLOADS[0]]: '1.0.0' } },
+        [`node_modules/${PAYLOADS[0]}`]: { version: '1.0.0' },
+        [`node_modules/${PAYLOADS[1]}`]: { version: '1.0.0" onclick="globalThis.pwned=true' },
+        [`node_modules/${PAYLOADS[2]}`]: { version: '2.0.0', dev: true }
+    }
+});
+
+const hostileManifest = JSON.stringify({
+    name: 'hostile',
+    dependencies: { [PAYLOADS[1]]: '^1.0.0 <script>', [PAYLOADS[2]]: '^1.0.0' }
+});
+
+function analyze(content, fileName) {
+    const parsed = parseLockfile(content, fileName);
+    return { parsed, results: analyzeProject(parsed, hostileDatabase) };
+}
+
+describe('Safe rendering - Malicious package names', () => {
+    test('should render threat cards with lockfile data as text only', () => {
+        const { results } = analyze(hostileLockfile, 'package-lock.json');
+        const sourceName = id => hostileDatabase.sources.find(source => source.id === id).name;
+        
+        assert.strictEqual(results.threats.length, 3);
+        const cards = results.threats.map(threat => render.threatCard(fakeDocument, threat, { sourceName }));
+        
+        assertInert(cards);
+        PAYLOADS.forEach(payload => assert.ok(texts(cards).includes(payload)));
+        const html = cards.map(serialize).join('');
+        assert.ok(!html.includes('<img') && !html.includes('<script') && !html.includes('<b '));
+        assert.ok(html.includes('&lt;script&gt;globalThis.pwned = true&lt;/script&gt;'));
+    });
+
+    test('should keep package names out of handlers in data-* attributes', () => {
+        const { results } = analyze(hostileLockfile, 'package-lock.json');
+        const card = render.threatCard(fakeDocument, results.threats.find(threat => threat.name === PAYLOADS[1]));
+        let copyButton;
+        walk(card, node => {
+            if (node instanceof FakeElement && node.dataset.action === 'copy-name') copyButton = node;
+        });
+        
+        assert.strictEqual(copyButton.dataset.name, PAYLOADS[1]);
+        assert.ok(serialize(copyButton).includes('data-name="x\'); globalThis.pwned = true; (\'"'));
+    });
+
+    test('should render range cards, the remediation plan and the inventory as text only', () => {
+        const lockfile = analyze(hostileLockfile, 'package-lock.json');
+        const manifest = analyze(hostileManifest, 'package.json');
+        const plan = createPlan(lockfile.results, lockfile.parsed, hostileDatabase);
+        
+        const nodes = [
+            ...manifest.results.rangeFindings.map(finding => render.rangeCard(fakeDocument, finding)),
+            ...render.remediationPlan(fakeDocument, plan, { block: formatBlock(plan, plan.packageManager) }),
+            ...buildInventory(lockfile.results).map(row => render.inventoryRow(fakeDocument, row)),
+            render.statistics(fakeDocument, lockfile.results)
+        ];
+        
+        assert.ok(manifest.results.rangeFindings.length > 0);
+        assertInert(nodes);
+        assert.ok(texts(nodes).includes(PAYLOADS[2]));
+        assert.ok(!nodes.map(serialize).join('').includes('<script'));
+    });
+
+    test('should render the batch dashboard as text only', () => {
+        const batch = analyzeBatch([
+            { path: '<img src=x onerror=alert(1)>/package-lock.json', content: hostileLockfile },
+            { path: 'broken/package-lock.json', content: '{ "<script>": ' }
+        ], hostileDatabase);
+        const findings = indexFindings(batch.projects);
+        
+        const nodes = [
+            ...render.batchSummary(fakeDocument, batch.totals),
+            ...render.batchRows(fakeDocument, batch.projects),
+            ...render.crossProjectView(fakeDocument, findings, { projects: batch.projects, hasFindings: true })
+        ];
+        
+        assertInert(nodes);
+        assert.ok(texts(nodes).includes('<img src=x onerror=alert(1)>/package-lock.json'));
+        assert.ok(!nodes.map(serialize).join('').includes('<img'));
+    });
+
+    test('should render suppressions as text only', () => {
+        const { results } = analyze(hostileLockfile, 'package-lock.json');
+        const suppression = { versions: '*', reason: PAYLOADS[2], owner: PAYLOADS[0], expires: '2026-01-01' };
+        const nodes = [
+            render.suppressedCard(fakeDocument, { ...results.threats[1], suppression: { ...suppression, status: 'suppressed' } }),
+            render.threatCard(fakeDocument, { ...results.threats[0], suppression: { ...suppression, status: 'expired' } })
+        ];
+        
+        assertInert(nodes);
+        assert.ok(texts(nodes).includes(PAYLOADS[2]));
+        assert.ok(!nodes.map(serialize).join('').includes('<script'));
+    });
+
+    test('should render lockfile comparisons as text only', () => {
+        const base = parseLockfile(JSON.stringify({ lockfileVersion: 3, packages: { [`node_modules/${PAYLOADS[1]}`]: { version: '0.9.0' } } }), 'package-lock.json');
+        const comparison = compareProjects(base, parseLockfile(hostileLockfile, 'package-lock.json'), hostileDatabase);
+        const nodes = render.comparison(fakeDocument, comparison, { baseFileName: PAYLOADS[2] });
+        
+        assertInert(nodes);
+        assert.ok(texts(nodes).includes(PAYLOADS[0]));
+        assert.ok(texts(nodes).includes(PAYLOADS[2]));
+        assert.ok(!nodes.map(serialize).join('').includes('<script'));
+    });
+
+    test('should render suspicious packages as text only', () => {
+        const nodes = [render.suspiciousCard(fakeDocument, {
+            name: PAYLOADS[0],
+            version: '1.0.0',
+            path: `node_modules/${PAYLOADS[0]}`,
+            threat: { severity: 'suspicious', description: 'Review', signals: [{ type: 'tarball-dependency', message: `Installed from a tarball: ${PAYLOADS[2]}` }] }
+        })];
+        
+        assertInert(nodes);
+        assert.ok(texts(nodes).includes(PAYLOADS[2]));
+        assert.ok(!nodes.map(serialize).join('').includes('<script'));
+    });
+
+    test('should render database changelog entries as text only', () => {
+        const nodes = render.recentAdditions(fakeDocument, [
+            { date: '2026-01-01', added: [{ name: PAYLOADS[0], versions: ['1.0.0'] }] }
+        ], { formatDate: date => date, perEntry: 10 });
+        
+        assertInert(nodes);
+        assert.ok(texts(nodes).includes(PAYLOADS[0]));
+    });
+
+    test('should refuse inline event handler attributes', () => {
+        assert.throws(() => render.h(fakeDocument, 'button', { onclick: 'alert(1)' }), /not allowed/);
+    });
+});
+
+describe('Rendering - Dependency chains', () => {
+    test('should tell how many chains are not listed', () => {
+        const { results } = analyze(hostileLockfile, 'package-lock.json');
+        const threat = results.threats.find(t => t.name === PAYLOADS[0]);
+        
+        assert.ok(!texts(render.threatCard(fakeDocument, threat)).includes('more chains'));
+        assert.ok(texts(render.threatCard(fakeDocument, { ...threat, moreChains: 3 })).includes('+3 more chains'));
+    });
+});
+
+describe('Safe rendering - Page', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf-8');
+    const app = fs.readFileSync(path.join(ROOT, 'app.js'), 'utf-8');
+
+    test('should ship a strict Content-Security-Policy', () => {
+        const match = html.match(/<meta http-equiv="Content-Security-Policy" content="([^"]+)">/);
+        
+        assert.ok(match);
+        assert.ok(match[1].includes("script-src 'self'"));
+        assert.ok(match[1].includes("object-src 'none'"));
+        assert.ok(!match[1].includes('unsafe-inline') && !match[1].includes('unsafe-eval'));
+    });
+
+    test('should have no inline scripts, event handlers or styles', () => {
+        const inlineScripts = [...html.matchAll(/<script\b([^>]*)>/g)].filter(script => !/\bsrc="/.test(script[1]));
+        
+        assert.deepStrictEqual(inlineScripts, []);
+        assert.ok(!/\son[a-z]+\s*=/i.test(html));
+        assert.ok(!/\sstyle\s*=/i.test(html));
+    });
+
+    test('should not build HTML from strings in app.js', () => {
+        assert.ok(!/\.(innerHTML|outerHTML)\s*=|insertAdjacentHTML|document\.write/.test(app));
+        assert.ok(!/onclick/i.test(app));
+    });
+});
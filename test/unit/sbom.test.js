@@ -0,0 +1,130 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parsePurl, readCycloneDx, readSpdx } = require('../../lib/sbom');
+const { detectFormat, parseLockfile, isSupportedLockfileName } = require('../../lib/lockfile');
+const { analyzeProject } = require('../../lib/detection');
+const { selectProjectFiles } = require('../../lib/batch');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf-8');
+}
+
+function packageIds(dependencies) {
+    return dependencies.map(d => `${d.name}@${d.version}`).sort();
+}
+
+describe('SBOM - Package URLs', () => {
+    test('should read scoped and unscoped npm package URLs', () => {
+        assert.deepStrictEqual(parsePurl('pkg:npm/%40asyncapi/parser@3.4.1'), { name: '@asyncapi/parser', version: '3.4.1' });
+        assert.deepStrictEqual(parsePurl('pkg:npm/@asyncapi/parser@3.4.1'), { name: '@asyncapi/parser', version: '3.4.1' });
+        assert.deepStrictEqual(parsePurl('pkg:npm/posthog-node@4.18.1'), { name: 'posthog-node', version: '4.18.1' });
+    });
+
+    test('should ignore qualifiers, subpaths and encoded versions', () => {
+        assert.deepStrictEqual(parsePurl('pkg:npm/left-pad@1.3.0?vcs_url=git%2Bhttps#lib'), { name: 'left-pad', version: '1.3.0' });
+        assert.deepStrictEqual(parsePurl('pkg:npm/pre@1.0.0-beta%2Bbuild'), { name: 'pre', version: '1.0.0-beta+build' });
+    });
+
+    test('should reject other ecosystems and npm package URLs without a version', () => {
+        assert.strictEqual(parsePurl('pkg:pypi/requests@2.31.0'), null);
+        assert.strictEqual(parsePurl('pkg:npm/%40asyncapi/parser'), null);
+        assert.strictEqual(parsePurl('pkg:npm/express'), null);
+        assert.strictEqual(parsePurl(undefined), null);
+    });
+});
+
+describe('SBOM - CycloneDX', () => {
+    test('should map npm components, nested ones included, to the dependency list', () => {
+        const { format, dependencies } = parseLockfile(readFixture('sbom-cyclonedx.json'), 'bom.json');
+        
+        assert.strictEqual(format, 'cyclonedx');
+        assert.deepStrictEqual(packageIds(dependencies), [
+            '@asyncapi/parser@3.4.1',
+            '@asyncapi/specs@6.8.1',
+            'express@4.18.2',
+            'js-yaml@4.1.0',
+            'posthog-node@4.18.1'
+        ]);
+    });
+
+    test('should keep the dependency graph of the SBOM in the chains', () => {
+        const results = analyzeProject(parseLockfile(readFixture('sbom-cyclonedx.json'), 'bom.json'), compromisedData);
+        const parser = results.threats.find(threat => threat.name === '@asyncapi/parser');
+        const posthog = results.threats.find(threat => threat.name === 'posthog-node');
+        
+        assert.strictEqual(parser.threat.severity, 'critical');
+        assert.deepStrictEqual(parser.chains, [['my-app@1.0.0', '@asyncapi/specs@6.8.1', '@asyncapi/parser@3.4.1']]);
+        // Through a non-npm component
+        assert.deepStrictEqual(posthog.chains, [['my-app@1.0.0', 'posthog-node@4.18.1']]);
+    });
+
+    test('should accept CycloneDX 1.4 to 1.6 only', () => {
+        ['1.4', '1.5', '1.6'].forEach(specVersion => {
+            assert.deepStrictEqual(readCycloneDx({ bomFormat: 'CycloneDX', specVersion }).dependencies, []);
+        });
+        assert.throws(() => readCycloneDx({ bomFormat: 'CycloneDX', specVersion: '1.2' }), /Unsupported CycloneDX version "1.2"/);
+    });
+
+    test('should treat every package as direct without a dependency graph', () => {
+        const { graph } = readCycloneDx({
+            bomFormat: 'CycloneDX',
+            specVersion: '1.6',
+            components: [
+                { name: 'express', version: '4.18.2', purl: 'pkg:npm/express@4.18.2' },
+                { name: 'posthog-node', version: '4.18.1', purl: 'pkg:npm/posthog-node@4.18.1' }
+            ]
+        });
+        
+        assert.deepStrictEqual(graph.roots, [{ name: 'SBOM', dependencies: ['pkg:npm/express@4.18.2', 'pkg:npm/posthog-node@4.18.1'] }]);
+    });
+});
+
+describe('SBOM - SPDX', () => {
+    test('should map packages with an npm package URL to the dependency list', () => {
+        const { format, dependencies } = parseLockfile(readFixture('sbom-spdx.json'), 'my-app.spdx.json');
+        
+        assert.strictEqual(format, 'spdx');
+        assert.deepStrictEqual(packageIds(dependencies), [
+            '@asyncapi/parser@3.4.2',
+            '@asyncapi/specs@6.8.1',
+            '@zapier/zapier-sdk@0.15.5',
+            'express@4.18.2'
+        ]);
+    });
+
+    test('should follow DEPENDS_ON and *_DEPENDENCY_OF relationships from the described package', () => {
+        const results = analyzeProject(parseLockfile(readFixture('sbom-spdx.json'), 'my-app.spdx.json'), compromisedData);
+        
+        assert.deepStrictEqual(results.threats.map(threat => [threat.name, threat.threat.severity, threat.chains]).sort(), [
+            ['@asyncapi/parser', 'critical', [['my-app@1.0.0', '@asyncapi/specs@6.8.1', '@asyncapi/parser@3.4.2']]],
+            ['@zapier/zapier-sdk', 'critical', [['my-app@1.0.0', '@zapier/zapier-sdk@0.15.5']]]
+        ]);
+    });
+
+    test('should accept SPDX 2.3 only', () => {
+        assert.throws(() => readSpdx({ spdxVersion: 'SPDX-2.2' }), /Unsupported SPDX version "SPDX-2.2"/);
+    });
+});
+
+describe('SBOM - Input', () => {
+    test('should detect SBOMs from their content, pasted or named', () => {
+        assert.strictEqual(detectFormat(readFixture('sbom-cyclonedx.json')), 'cyclonedx');
+        assert.strictEqual(detectFormat(readFixture('sbom-spdx.json'), 'anything.json'), 'spdx');
+    });
+
+    test('should pick SBOM files up in folders and archives', () => {
+        assert.ok(isSupportedLockfileName('dist/app.cdx.json'));
+        assert.ok(isSupportedLockfileName('sbom.spdx.json'));
+        assert.deepStrictEqual(selectProjectFiles([
+            'service/bom.json',
+            'service/package.json',
+            'web/web.spdx.json',
+            'web/tsconfig.json'
+        ]), ['service/bom.json', 'web/web.spdx.json']);
+    });
+});
@@ -0,0 +1,198 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { parse, isValid, compare, parseRange, satisfies, excludeVersions, minVersion } = require('../../lib/semver');
+const { classifyVersion, checkPackage } = require('../../lib/detection');
+
+describe('SemVer - Parsing', () => {
+    const cases = [
+        ['1.2.3', { major: 1, minor: 2, patch: 3, prerelease: [], build: [] }],
+        ['v2.0.0', { major: 2, minor: 0, patch: 0, prerelease: [], build: [] }],
+        ['=1.0.0', { major: 1, minor: 0, patch: 0, prerelease: [], build: [] }],
+        ['1.2.3-beta.1', { major: 1, minor: 2, patch: 3, prerelease: ['beta', 1], build: [] }],
+        ['1.0.0+build.5', { major: 1, minor: 0, patch: 0, prerelease: [], build: ['build', '5'] }],
+        ['1.0.0-rc.1+sha.abc', { major: 1, minor: 0, patch: 0, prerelease: ['rc', 1], build: ['sha', 'abc'] }],
+        ['1.0.0-0A.is.legal', { major: 1, minor: 0, patch: 0, prerelease: ['0A', 'is', 'legal'], build: [] }]
+    ];
+
+    cases.forEach(([version, expected]) => {
+        test(`should parse ${version}`, () => {
+            assert.deepStrictEqual(parse(version), expected);
+        });
+    });
+
+    const invalid = ['1.2', '1.2.3.4', '01.2.3', '1.2.3-01', '1.2.3-', '1.2.3+', 'latest', '', 'github:user/repo', '99999999999999999999.0.0', null];
+
+    invalid.forEach(version => {
+        test(`should reject ${JSON.stringify(version)}`, () => {
+            assert.strictEqual(parse(version), null);
+            assert.strictEqual(isValid(version), false);
+        });
+    });
+});
+
+describe('SemVer - Precedence', () => {
+    // [lower, higher] pairs, including the ordering example from the SemVer 2.0 specification
+    const ordered = [
+        ['1.0.0', '2.0.0'],
+        ['2.0.0', '2.1.0'],
+        ['2.1.0', '2.1.1'],
+        ['1.9.9', '1.10.0'],
+        ['1.0.0-alpha', '1.0.0-alpha.1'],
+        ['1.0.0-alpha.1', '1.0.0-alpha.beta'],
+        ['1.0.0-alpha.beta', '1.0.0-beta'],
+        ['1.0.0-beta', '1.0.0-beta.2'],
+        ['1.0.0-beta.2', '1.0.0-beta.11'],
+        ['1.0.0-beta.11', '1.0.0-rc.1'],
+        ['1.0.0-rc.1', '1.0.0'],
+        ['1.2.3-beta.1', '1.2.3'],
+        ['1.2.2', '1.2.3-beta.1'],
+        ['0.0.0-0', '0.0.0']
+    ];
+
+    ordered.forEach(([lower, higher]) => {
+        test(`${lower} < ${higher}`, () => {
+            assert.strictEqual(compare(lower, higher), -1);
+            assert.strictEqual(compare(higher, lower), 1);
+        });
+    });
+
+    const equal = [
+        ['1.0.0', '1.0.0'],
+        ['1.0.0+build', '1.0.0'],
+        ['1.0.0+build.1', '1.0.0+build.2'],
+        ['v2.0.0', '2.0.0'],
+        ['1.0.0-rc.1+x', '1.0.0-rc.1']
+    ];
+
+    equal.forEach(([a, b]) => {
+        test(`${a} = ${b}`, () => {
+            assert.strictEqual(compare(a, b), 0);
+        });
+    });
+
+    test('should throw on invalid versions', () => {
+        assert.throws(() => compare('1.2.3-beta.1', 'not-a-version'), TypeError);
+        assert.throws(() => compare('1.x', '1.0.0'), TypeError);
+    });
+});
+
+describe('SemVer - Severity Classification', () => {
+    const compromised = ['1.2.0', '1.4.0-beta.1', '2.0.0'];
+    const cases = [
+        ['1.2.0', 'exact'],
+        ['1.2.0+build.7', 'exact'],
+        ['v2.0.0', 'exact'],
+        ['1.4.0-beta.1', 'exact'],
+        ['2.0.1', 'above'],
+        ['2.1.0-rc.1', 'above'],
+        ['1.3.0', 'between'],
+        ['1.4.0-alpha', 'between'],
+        ['1.4.0-beta.2', 'between'],
+        ['2.0.0-rc.1', 'between'],
+        ['1.1.9', 'below'],
+        ['1.2.0-rc.1', 'below'],
+        ['latest', 'unknown'],
+        ['file:../local', 'unknown']
+    ];
+
+    cases.forEach(([version, position]) => {
+        test(`${version} is ${position}`, () => {
+            assert.strictEqual(classifyVersion(version, compromised), position);
+        });
+    });
+
+    test('should be unknown when no compromised version is valid SemVer', () => {
+        assert.strictEqual(classifyVersion('1.0.0', ['*']), 'unknown');
+    });
+
+    const data = {
+        attackName: 'Test',
+        compromisedPackages: [{ name: 'pkg', compromisedVersions: compromised }]
+    };
+    const severities = [
+        ['1.2.0', 'critical'],
+        ['2.0.1', 'high'],
+        ['1.3.0', 'high'],
+        ['1.1.9', 'low'],
+        ['latest', 'warning']
+    ];
+
+    severities.forEach(([version, severity]) => {
+        test(`checkPackage(pkg@${version}) is ${severity}`, () => {
+            assert.strictEqual(checkPackage('pkg', version, data).severity, severity);
+        });
+    });
+});
+
+describe('SemVer - Ranges', () => {
+    // [version, range, expected]
+    const cases = [
+        ['3.4.1', '^3.4.0', true],
+        ['4.0.0', '^3.4.0', false],
+        ['0.2.5', '^0.2.3', true],
+        ['0.3.0', '^0.2.3', false],
+        ['0.0.4', '^0.0.3', false],
+        ['1.9.9', '^1.2.x', true],
+        ['1.2.9', '~1.2.3', true],
+        ['1.3.0', '~1.2.3', false],
+        ['1.4.9', '~1.4', true],
+        ['1.0.0', '*', true],
+        ['1.0.0', '', true],
+        ['1.0.0', 'x', true],
+        ['1.5.0', '1.x', true],
+        ['2.0.0', '1.x', false],
+        ['2.0.0', '>1', true],
+        ['1.9.0', '>1', false],
+        ['1.2.0', '<1.2', false],
+        ['1.1.9', '<=1.1', true],
+        ['1.2.3', '>= 1.2.3', true],
+        ['2.3.9', '1.2.3 - 2.3', true],
+        ['2.4.0', '1.2.3 - 2.3', false],
+        ['1.0.0', '^2.0.0 || 1.0.0', true],
+        ['1.5.0', '>=1.0.0 <1.5.0', false],
+        ['1.2.3', 'v1.2.3', true],
+        // Prereleases only match a comparator on the same [major, minor, patch]
+        ['1.2.3-beta', '^1.2.0', false],
+        ['1.2.3-beta.3', '^1.2.3-beta.2', true],
+        ['1.2.4-beta.1', '^1.2.3-beta.2', false],
+        ['1.0.0', 'not-a-range', false]
+    ];
+
+    cases.forEach(([version, range, expected]) => {
+        test(`${version} ${expected ? 'satisfies' : 'does not satisfy'} "${range}"`, () => {
+            assert.strictEqual(satisfies(version, range), expected);
+        });
+    });
+
+    test('should reject specs that are not ranges', () => {
+        ['latest', 'workspace:*', 'file:../lib', 'github:user/repo', 'https://example.com/a.tgz'].forEach(spec => {
+            assert.strictEqual(parseRange(spec), null, spec);
+        });
+    });
+
+    test('should narrow a range to exclude versions', () => {
+        assert.strictEqual(excludeVersions('^3.4.0', ['3.4.1', '3.4.2']), '>=3.4.0 <3.4.1 || >3.4.2 <4.0.0');
+        assert.strictEqual(excludeVersions('^1.0.0 || ^2.0.0', ['2.1.0']), '>=1.0.0 <2.0.0 || >=2.0.0 <2.1.0 || >2.1.0 <3.0.0');
+        assert.strictEqual(excludeVersions('1.0.0', ['1.0.0']), null);
+    });
+
+    test('should compute the lowest version of a range', () => {
+        assert.strictEqual(minVersion('^3.4.0'), '3.4.0');
+        assert.strictEqual(minVersion('~1.2 || ^0.5.0'), '0.5.0');
+        assert.strictEqual(minVersion('*'), '0.0.0');
+    });
+
+    test('should compute the lowest version above an exclusive bound', () => {
+        assert.strictEqual(minVersion('>1.2.3'), '1.2.4');
+        assert.strictEqual(minVersion('>1.2.3-beta.1'), '1.2.3-beta.1.0');
+        assert.strictEqual(minVersion('>1.2.3 <2.0.0 || >=3.0.0'), '1.2.4');
+        assert.strictEqual(minVersion('>1.2.3 <1.2.4'), null);
+        assert.strictEqual(minVersion('>0.0.0-0'), '0.0.0');
+    });
+
+    test('should keep the prerelease of an inclusive bound', () => {
+        assert.strictEqual(minVersion('>=1.2.3-beta'), '1.2.3-beta');
+        assert.strictEqual(minVersion('>=1.2.3-pre.2 <2.0.0'), '1.2.3-pre.2');
+        assert.strictEqual(minVersion('>=0.0.0-0'), '0.0.0');
+    });
+});
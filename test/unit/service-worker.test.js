@@ -0,0 +1,232 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '../..');
+const SCOPE = 'https://example.test/shai-hulud-tester/';
+
+class FakeResponse {
+    constructor(body, status = 200) {
+        this.body = body;
+        this.status = status;
+        this.ok = status >= 200 && status < 300;
+    }
+
+    clone() {
+        return new FakeResponse(this.body, this.status);
+    }
+
+    async text() {
+        return this.body;
+    }
+}
+
+class FakeCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async match(request) {
+        return this.entries.get(typeof request === 'string' ? request : request.url);
+    }
+
+    async put(request, response) {
+        this.entries.set(typeof request === 'string' ? request : request.url, response);
+    }
+
+    async addAll(urls) {
+        for (const url of urls) {
+            const response = await this.fetch(url);
+            if (!response.ok) throw new Error(`Precache failed for ${url}`);
+            await this.put(url, response);
+        }
+    }
+}
+
+// service-worker.js in a worker-like scope: Cache Storage, fetch and clients are in-memory fakes.
+// network maps URLs (relative to SCOPE) to bodies; offline makes every fetch fail.
+function loadServiceWorker() {
+    const network = new Map();
+    // Messages posted to the pages, created in the vm context
+    const messages = [];
+    const stores = new Map();
+    const handlers = {};
+    const state = { offline: false };
+
+    const fetch = async (request) => {
+        const url = typeof request === 'string' ? request : request.url;
+        if (state.offline) throw new TypeError('Failed to fetch');
+        const relative = url.slice(SCOPE.length);
+        return network.has(relative) ? new FakeResponse(network.get(relative)) : new FakeResponse('Not found', 404);
+    };
+    const caches = {
+        open: async name => {
+            if (!stores.has(name)) {
+                const cache = new FakeCache();
+                cache.fetch = fetch;
+                stores.set(name, cache);
+            }
+            return stores.get(name);
+        },
+        keys: async () => [...stores.keys()],
+        delete: async name => stores.delete(name)
+    };
+    const context = {
+        URL,
+        caches,
+        fetch,
+        registration: { scope: SCOPE },
+        clients: {
+            matchAll: async () => [{ postMessage: message => messages.push(message) }],
+            claim: async () => {}
+        },
+        skipWaiting: async () => {},
+        addEventListener: (type, handler) => {
+            handlers[type] = handler;
+        }
+    };
+    context.self = context;
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'service-worker.js'), 'utf-8'), context, { filename: 'service-worker.js' });
+
+    // Dispatch an event and wait for its respondWith and waitUntil promises
+    async function dispatch(type, properties = {}) {
+        const pending = [];
+        let response;
+        handlers[type]({
+            ...properties,
+            respondWith: promise => {
+                response = promise;
+            },
+            waitUntil: promise => pending.push(promise)
+        });
+        const result = await response;
+        await Promise.all(pending);
+        return result;
+    }
+
+    return {
+        network,
+        messages,
+        stores,
+        state,
+        dispatch,
+        request: relative => dispatch('fetch', { request: { method: 'GET', url: `${SCOPE}${relative}` } })
+    };
+}
+
+function shellFiles() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf-8');
+    const worker = fs.readFileSync(path.join(ROOT, 'analysis-worker.js'), 'utf-8');
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.webmanifest'), 'utf-8'));
+    return [
+        'index.html',
+        'manifest.webmanifest',
+        'analysis-worker.js',
+        ...[...html.matchAll(/<script src="([^"]+)"/g)].map(match => match[1]),
+        ...[...html.matchAll(/<link rel="[^"]+" href="([^"]+)"/g)].map(match => match[1]),
+        ...[...worker.matchAll(/'(lib\/[^']+\.js)'/g)].map(match => match[1]),
+        ...manifest.icons.map(icon => icon.src)
+    ];
+}
+
+// Serve the repository files on the fake network
+function serveRepository(worker) {
+    worker.network.set('', fs.readFileSync(path.join(ROOT, 'index.html'), 'utf-8'));
+    new Set(shellFiles()).forEach(file => worker.network.set(file, fs.readFileSync(path.join(ROOT, file), 'latin1')));
+}
+
+describe('Service worker - App shell', () => {
+    test('should precache every file the page and the analysis worker load', async () => {
+        const worker = loadServiceWorker();
+        serveRepository(worker);
+        
+        await worker.dispatch('install');
+        
+        const [appCache] = [...worker.stores.entries()].filter(([name]) => name.startsWith('shai-hulud-app-')).map(([, cache]) => cache);
+        new Set(shellFiles()).forEach(file => assert.ok(appCache.entries.has(`${SCOPE}${file}`), `${file} is not precached`));
+    });
+
+    test('should serve the app shell offline', async () => {
+        const worker = loadServiceWorker();
+        serveRepository(worker);
+        await worker.dispatch('install');
+        
+        worker.state.offline = true;
+        const response = await worker.request('app.js');
+        
+        assert.ok(response.ok);
+        assert.ok(response.body.includes('loadCompromisedPackages'));
+    });
+
+    test('should delete the caches of previous versions and keep the database', async () => {
+        const worker = loadServiceWorker();
+        worker.stores.set('shai-hulud-app-v0', new FakeCache());
+        worker.stores.set('shai-hulud-data', new FakeCache());
+        
+        await worker.dispatch('activate');
+        
+        assert.deepStrictEqual([...worker.stores.keys()], ['shai-hulud-data']);
+    });
+});
+
+describe('Service worker - Database', () => {
+    function publish(worker, version) {
+        worker.network.set('data/compromised-packages.json', `{ "version": "${version}" }`);
+        worker.network.set('data/compromised-packages.json.sig', `{ "signature": "${version}" }`);
+    }
+
+    test('should download the database on first use and serve it offline afterwards', async () => {
+        const worker = loadServiceWorker();
+        publish(worker, '1');
+        
+        assert.strictEqual((await worker.request('data/compromised-packages.json')).body, '{ "version": "1" }');
+        
+        worker.state.offline = true;
+        assert.strictEqual((await worker.request('data/compromised-packages.json')).body, '{ "version": "1" }');
+        assert.strictEqual((await worker.request('data/compromised-packages.json.sig')).body, '{ "signature": "1" }');
+        assert.deepStrictEqual(worker.messages, []);
+    });
+
+    test('should update the database and its signature in the background and notify the pages', async () => {
+        const worker = loadServiceWorker();
+        publish(worker, '1');
+        await worker.request('data/compromised-packages.json');
+        
+        publish(worker, '2');
+        // Served from the cache while the new version downloads
+        assert.strictEqual((await worker.request('data/compromised-packages.json')).body, '{ "version": "1" }');
+        
+        assert.strictEqual((await worker.request('data/compromised-packages.json')).body, '{ "version": "2" }');
+        assert.strictEqual((await worker.request('data/compromised-packages.json.sig')).body, '{ "signature": "2" }');
+        assert.deepStrictEqual(worker.messages.map(message => message.type), ['database-updated']);
+    });
+
+    test('should keep the cached pair when the new signature cannot be downloaded', async () => {
+        const worker = loadServiceWorker();
+        publish(worker, '1');
+        await worker.request('data/compromised-packages.json');
+        
+        worker.network.set('data/compromised-packages.json', '{ "version": "2" }');
+        worker.network.delete('data/compromised-packages.json.sig');
+        await worker.request('data/compromised-packages.json');
+        
+        assert.strictEqual((await worker.request('data/compromised-packages.json')).body, '{ "version": "1" }');
+        assert.strictEqual((await worker.request('data/compromised-packages.json.sig')).body, '{ "signature": "1" }');
+        assert.deepStrictEqual(worker.messages, []);
+    });
+
+    test('should update the database on a periodic background sync', async () => {
+        const worker = loadServiceWorker();
+        publish(worker, '1');
+        await worker.request('data/compromised-packages.json');
+        
+        publish(worker, '2');
+        await worker.dispatch('periodicsync', { tag: 'update-database' });
+        
+        assert.strictEqual((await worker.stores.get('shai-hulud-data').match(`${SCOPE}data/compromised-packages.json`)).body, '{ "version": "2" }');
+        assert.deepStrictEqual(worker.messages.map(message => message.type), ['database-updated']);
+    });
+});
@@ -0,0 +1,78 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { webcrypto } = require('crypto');
+const { keyIdOf, verifyDatabase } = require('../../lib/signature');
+const signing = require('../../lib/signing');
+
+const { subtle } = webcrypto;
+
+// Locally generated key pair: no key material in the repository
+const keys = signing.generateSigningKeyPair();
+const otherKeys = signing.generateSigningKeyPair();
+
+const content = JSON.stringify({
+    attackName: 'Shai Hulud 2.0',
+    compromisedPackages: [{ name: '@asyncapi/parser', compromisedVersions: ['3.4.1'] }]
+}, null, 2);
+const bytes = new TextEncoder().encode(content);
+
+describe('Signature - Signing', () => {
+    test('should sign with an Ed25519 key and identify the key', () => {
+        const signature = signing.signDatabase(content, keys.privateKey);
+        
+        assert.strictEqual(signature.algorithm, 'Ed25519');
+        assert.strictEqual(signature.keyId, signing.keyIdOf(keys.publicKey));
+        assert.strictEqual(Buffer.from(signature.signature, 'base64').length, 64);
+        assert.strictEqual(signing.publicKeyOf(keys.privateKey), keys.publicKey);
+    });
+
+    test('should refuse keys that are not Ed25519 private keys', () => {
+        const { privateKey } = require('crypto').generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        
+        assert.throws(() => signing.signDatabase(content, privateKey.export({ type: 'pkcs8', format: 'pem' })), /must be an Ed25519 private key/);
+        assert.throws(() => signing.signDatabase(content, 'not a key'), /Invalid signing key/);
+    });
+
+    test('should compute the same key id in Node and with WebCrypto', async () => {
+        assert.strictEqual(await keyIdOf(Buffer.from(keys.publicKey, 'base64'), subtle), signing.keyIdOf(keys.publicKey));
+    });
+});
+
+describe('Signature - Verification', () => {
+    const signature = signing.signDatabase(content, keys.privateKey);
+
+    test('should accept the signed database', async () => {
+        await verifyDatabase(bytes, signature, keys.publicKey, subtle);
+    });
+
+    test('should refuse a modified database', async () => {
+        const tampered = new TextEncoder().encode(content.replace('3.4.1', '3.4.0'));
+        
+        await assert.rejects(verifyDatabase(tampered, signature, keys.publicKey, subtle), /signature is invalid/);
+    });
+
+    test('should refuse a database emptied with its key id kept', async () => {
+        const emptied = new TextEncoder().encode(JSON.stringify({ attackName: 'Shai Hulud 2.0', compromisedPackages: [] }));
+        
+        await assert.rejects(verifyDatabase(emptied, signature, keys.publicKey, subtle), /signature is invalid/);
+    });
+
+    test('should refuse a database signed with another key', async () => {
+        const forged = signing.signDatabase(content, otherKeys.privateKey);
+        
+        await assert.rejects(verifyDatabase(bytes, forged, keys.publicKey, subtle), /signed with another key/);
+        // Without a key id, the signature check itself fails
+        await assert.rejects(verifyDatabase(bytes, { ...forged, keyId: undefined }, keys.publicKey, subtle), /signature is invalid/);
+    });
+
+    test('should refuse a missing or malformed signature', async () => {
+        await assert.rejects(verifyDatabase(bytes, null, keys.publicKey, subtle), /signature is missing/);
+        await assert.rejects(verifyDatabase(bytes, { ...signature, algorithm: 'RSA' }, keys.publicKey, subtle), /Unsupported database signature algorithm "RSA"/);
+        await assert.rejects(verifyDatabase(bytes, { ...signature, signature: 'c2hvcnQ=' }, keys.publicKey, subtle), /must be 64 bytes/);
+    });
+
+    test('should refuse when the page has no public key or no WebCrypto', async () => {
+        await assert.rejects(verifyDatabase(bytes, signature, '', subtle), /No database public key/);
+        await assert.rejects(verifyDatabase(bytes, signature, keys.publicKey, undefined), /WebCrypto is not available/);
+    });
+});
@@ -0,0 +1,137 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseSuppressions, applySuppressions } = require('../../lib/suppressions');
+const { parseLockfile } = require('../../lib/lockfile');
+const { analyzeProject } = require('../../lib/detection');
+const { createReport, formatReport } = require('../../lib/report');
+const { buildInventory } = require('../../lib/inventory');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+const compromisedData = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'compromised-packages.json'), 'utf-8'));
+
+const NOW = new Date('2026-01-15T12:00:00Z');
+
+// One CRITICAL (@asyncapi/parser), one HIGH (posthog-node between compromised versions), one LOW (@zapier/zapier-sdk)
+const lockfile = parseLockfile(JSON.stringify({
+    name: 'app',
+    lockfileVersion: 3,
+    packages: {
+        '': { name: 'app', dependencies: { '@asyncapi/parser': '3.4.1', 'posthog-node': '5.0.0', '@zapier/zapier-sdk': '0.1.0' } },
+        'node_modules/@asyncapi/parser': { version: '3.4.1' },
+        'node_modules/posthog-node': { version: '5.0.0' },
+        'node_modules/@zapier/zapier-sdk': { version: '0.1.0' }
+    }
+}), 'package-lock.json');
+
+function suppression(overrides) {
+    return { package: 'posthog-node', versions: '^5.0.0', reason: 'Reviewed, clean release', owner: 'security@example.com', expires: '2026-06-30', ...overrides };
+}
+
+function analyze(entries, options = {}) {
+    return analyzeProject(lockfile, compromisedData, { suppressions: parseSuppressions({ suppressions: entries }), now: NOW, ...options });
+}
+
+describe('Suppressions - File', () => {
+    test('should read the entries of a suppressions file', () => {
+        const entries = parseSuppressions(JSON.stringify({ suppressions: [suppression({ owner: '  team-web  ' })] }));
+        
+        assert.deepStrictEqual(entries, [{ package: 'posthog-node', versions: '^5.0.0', reason: 'Reviewed, clean release', owner: 'team-web', expires: '2026-06-30' }]);
+    });
+
+    test('should require a reason, an owner and an expiry date', () => {
+        assert.throws(() => parseSuppressions({ suppressions: [suppression({ reason: '' })] }), /Suppression #1 \(posthog-node\) is missing "reason"/);
+        assert.throws(() => parseSuppressions({ suppressions: [{ package: 'a', versions: '*' }] }), /missing "reason", "owner", "expires"/);
+        assert.throws(() => parseSuppressions({ suppressions: [suppression({ expires: 'next month' })] }), /"expires" must be a YYYY-MM-DD date/);
+    });
+
+    test('should reject malformed version ranges', () => {
+        assert.throws(() => parseSuppressions({ suppressions: [suppression({ versions: '>=5.0.0 <5.11.3,' })] }),
+            /Suppression #1 \(posthog-node\): "versions" must be a SemVer range, "\*" or the exact git or tarball version, got ">=5\.0\.0 <5\.11\.3,"/);
+        assert.throws(() => parseSuppressions({ suppressions: [suppression({ versions: '5.x.y' })] }), /"versions" must be a SemVer range/);
+        assert.strictEqual(parseSuppressions({ suppressions: [suppression({ versions: 'github:PostHog/posthog-js-lite#abc' })] }).length, 1);
+    });
+
+    test('should reject files without a suppressions array', () => {
+        assert.throws(() => parseSuppressions('{ "ignore": [] }'), /must contain a "suppressions" array/);
+        assert.throws(() => parseSuppressions('{ oops'), /Invalid JSON in \.shaihulud-ignore\.json/);
+    });
+});
+
+describe('Suppressions - Findings', () => {
+    test('should move matching findings to the suppressed list with their justification', () => {
+        const results = analyze([suppression()]);
+        
+        assert.deepStrictEqual(results.threats.map(threat => threat.name).sort(), ['@asyncapi/parser', '@zapier/zapier-sdk']);
+        assert.strictEqual(results.suppressed.length, 1);
+        assert.strictEqual(results.suppressed[0].name, 'posthog-node');
+        assert.strictEqual(results.suppressed[0].threat.severity, 'high');
+        assert.deepStrictEqual(results.suppressed[0].suppression, { ...suppression(), status: 'suppressed' });
+    });
+
+    test('should only match versions in the range', () => {
+        const results = analyze([suppression({ versions: '<5.0.0' })]);
+        
+        assert.deepStrictEqual(results.suppressed, []);
+        assert.strictEqual(results.threats.find(threat => threat.name === 'posthog-node').suppression, undefined);
+    });
+
+    test('should bring expired suppressions back as active findings', () => {
+        const results = analyze([suppression({ expires: '2026-01-14' })]);
+        const posthog = results.threats.find(threat => threat.name === 'posthog-node');
+        
+        assert.deepStrictEqual(results.suppressed, []);
+        assert.strictEqual(posthog.suppression.status, 'expired');
+    });
+
+    test('should honour a suppression until the end of its expiry day', () => {
+        assert.strictEqual(analyze([suppression({ expires: '2026-01-15' })]).suppressed.length, 1);
+    });
+
+    test('should never suppress a CRITICAL exact match without the override', () => {
+        const entry = suppression({ package: '@asyncapi/parser', versions: '3.4.1' });
+        
+        const refused = analyze([entry]);
+        assert.deepStrictEqual(refused.suppressed, []);
+        assert.strictEqual(refused.threats.find(threat => threat.name === '@asyncapi/parser').suppression.status, 'refused');
+        
+        const overridden = analyze([entry], { allowCritical: true });
+        assert.deepStrictEqual(overridden.suppressed.map(finding => finding.name), ['@asyncapi/parser']);
+    });
+
+    test('should match versions that are not SemVer exactly or with "*"', () => {
+        const threats = [{ name: 'posthog-node', version: 'github:PostHog/posthog-js-lite#abc', threat: { severity: 'warning' } }];
+        
+        assert.strictEqual(applySuppressions(threats, [suppression({ versions: 'github:PostHog/posthog-js-lite#abc' })], { now: NOW }).suppressed.length, 1);
+        assert.strictEqual(applySuppressions(threats, [suppression({ versions: '*' })], { now: NOW }).suppressed.length, 1);
+        assert.strictEqual(applySuppressions(threats, [suppression()], { now: NOW }).suppressed.length, 0);
+    });
+});
+
+describe('Suppressions - Reports', () => {
+    test('should list suppressed findings apart, with their verdict and justification', () => {
+        const results = analyze([suppression()]);
+        const report = createReport(results, { parsed: lockfile, compromisedData, generatedAt: '2026-01-15T12:00:00.000Z' });
+        
+        assert.strictEqual(report.summary.suppressed, 1);
+        assert.strictEqual(report.summary.high, 0);
+        assert.deepStrictEqual(report.suppressed.map(finding => [finding.name, finding.suppression.owner]), [['posthog-node', 'security@example.com']]);
+        assert.strictEqual(report.packages.find(pkg => pkg.name === 'posthog-node').verdict, 'suppressed');
+        assert.strictEqual(buildInventory(results).find(row => row.name === 'posthog-node').verdict, 'suppressed');
+        assert.ok(formatReport(report, 'markdown').includes('| HIGH | `posthog-node` | 5.0.0 | Reviewed, clean release | security@example.com | 2026-06-30 |'));
+    });
+
+    test('should mark suppressed SARIF results with their justification', () => {
+        const results = analyze([suppression()]);
+        const sarif = JSON.parse(formatReport(createReport(results, { parsed: lockfile, compromisedData }), 'sarif'));
+        const suppressed = sarif.runs[0].results.filter(result => result.suppressions);
+        
+        assert.strictEqual(suppressed.length, 1);
+        assert.deepStrictEqual(suppressed[0].suppressions, [{
+            kind: 'external',
+            status: 'accepted',
+            justification: 'Reviewed, clean release (owner: security@example.com, expires 2026-06-30)'
+        }]);
+    });
+});
@@ -0,0 +1,45 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('../../lib/yaml');
+
+describe('YAML - Lockfile Subset', () => {
+    test('should parse nested mappings with quoted keys and comments', () => {
+        const result = parse([
+            '# comment',
+            '"a@npm:^1.0.0, a@npm:^1.1.0":',
+            '  version: 1.2.0 # trailing comment',
+            '  resolution: "a@npm:1.2.0"',
+            '  dependencies:',
+            '    b: \'^2.0.0\''
+        ].join('\n'));
+        
+        assert.deepStrictEqual(result, {
+            'a@npm:^1.0.0, a@npm:^1.1.0': {
+                version: '1.2.0',
+                resolution: 'a@npm:1.2.0',
+                dependencies: { b: '^2.0.0' }
+            }
+        });
+    });
+
+    test('should parse flow collections and sequences', () => {
+        const result = parse([
+            'resolution: {integrity: sha512-abc==, tarball: "https://example.com/a.tgz#x"}',
+            'os: [darwin, linux]',
+            'items:',
+            '  - one',
+            '  - name: two',
+            '    optional: true'
+        ].join('\r\n'));
+        
+        assert.deepStrictEqual(result, {
+            resolution: { integrity: 'sha512-abc==', tarball: 'https://example.com/a.tgz#x' },
+            os: ['darwin', 'linux'],
+            items: ['one', { name: 'two', optional: true }]
+        });
+    });
+
+    test('should report the line of a syntax error', () => {
+        assert.throws(() => parse('a: 1\nnot a mapping'), /YAML line 2/);
+    });
+});
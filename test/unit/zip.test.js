@@ -0,0 +1,43 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { isZip, listEntries, readZip } = require('../../lib/zip');
+
+const ARCHIVE = new Uint8Array(fs.readFileSync(path.join(__dirname, '../fixtures/projects.zip')));
+const inflateRaw = data => zlib.inflateRawSync(data);
+
+describe('ZIP - Reading', () => {
+    test('should recognize ZIP archives', () => {
+        assert.ok(isZip(ARCHIVE));
+        assert.ok(!isZip(new TextEncoder().encode('{"lockfileVersion": 3}')));
+    });
+
+    test('should list file entries', () => {
+        assert.deepStrictEqual(listEntries(ARCHIVE).map(entry => entry.name), [
+            'projects/api/package-lock.json',
+            'projects/web/pnpm-lock.yaml',
+            'projects/web/package.json',
+            'projects/legacy/yarn.lock',
+            'projects/safe/package-lock.json',
+            'projects/lib/package.json',
+            'projects/api/node_modules/dep/package.json',
+            'projects/README.md'
+        ]);
+    });
+
+    test('should read stored and deflated entries accepted by the filter', async () => {
+        const files = await readZip(ARCHIVE, { inflateRaw, filter: name => name.endsWith('.lock') || name.endsWith('safe/package-lock.json') });
+        const fixture = name => fs.readFileSync(path.join(__dirname, '../fixtures', name), 'utf-8');
+        
+        assert.deepStrictEqual(files, [
+            { name: 'projects/legacy/yarn.lock', content: fixture('yarn-classic.lock') },
+            { name: 'projects/safe/package-lock.json', content: fixture('package-lock-safe.json') }
+        ]);
+    });
+
+    test('should reject truncated archives', async () => {
+        await assert.rejects(readZip(ARCHIVE.subarray(0, ARCHIVE.length - 30), { inflateRaw }), /Invalid ZIP archive/);
+    });
+});